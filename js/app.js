@@ -6,12 +6,26 @@
 class VelocitatsApp {
     constructor() {
         // Modules
-        this.sensors = new SensorManager();
+        this.sensors = new GenericSensorManager();
         this.simulator = new SensorSimulator();
+        this.replay = new SensorReplay();
         this.audio = new AudioEngine();
+        this.voice = new VoiceAnnouncer();
+        this.haptics = new HapticEngine();
+        this.storage = new TripStorage();
+        this.recorder = new TripRecorder(this.storage);
+        this.calibration = new MountCalibration();
+        this.fusion = new SensorFusion();
+        this.brakeDetector = new BrakeDetector();
+        this.zones = new SpeedZones();
+        this.impact = new ImpactDetector();
+        this.format = new Formatter();
+        this.gpsHealth = new GpsHealthMonitor();
+        this.compass = new CompassMonitor();
 
         // Mode
         this.isSimulating = false;
+        this.dataSource = null;
 
         // Wake lock
         this.wakeLock = null;
@@ -20,31 +34,146 @@ class VelocitatsApp {
         this.SPEED_THRESHOLD = 0.5;    // m/s (~2 km/h) - minimum speed for braking detection
         this.BRAKE_THRESHOLD = -2.0;   // m/s² - deceleration threshold
 
+        // Alert grading (m/s²); each level has its own sound, see AudioEngine.alertLevels
+        this.HARD_BRAKE_THRESHOLD = -5.0;
+        this.EMERGENCY_BRAKE_THRESHOLD = -7.5;
+        this.HARD_ACCEL_THRESHOLD = 5.0;
+        this.CORNERING_THRESHOLD = 4.0;   // lateral
+        this.BRAKE_LEVELS = ['brake', 'hard-brake', 'emergency'];
+
+        // Speed limit (km/h); a matching speed zone overrides MAX_SPEED
+        this.MAX_SPEED = 0;                // 0 = no limit
+        this.SPEED_TOLERANCE = 5;          // alert only above limit + tolerance
+        this.SPEED_REPEAT_INTERVAL = 30;   // s between repeated alerts while speeding
+
+        // Driving score thresholds; harsh braking reuses BRAKE_THRESHOLD
+        this.SCORE_ACCEL_THRESHOLD = 3.0;      // m/s²
+        this.SCORE_CORNERING_THRESHOLD = 3.5;  // m/s² lateral
+        this.SCORE_HANDLING_THRESHOLD = 60;    // degrees/s of phone tilt while moving
+
+        // Live chart window (s); pinch zoom changes it temporarily
+        this.CHART_SPAN = 30;
+
+        // Compass and bearings shown against 'true' or 'magnetic' north; the
+        // World Magnetic Model declination is refreshed after moving this far
+        this.NORTH_REFERENCE = 'true';
+        this.DECLINATION_DISTANCE = 10000;   // m
+
+        // Screen orientation lock: 'portrait', 'landscape' or 'any' (follow the
+        // device). Browsers only honour it for installed apps or in fullscreen
+        this.ORIENTATION_LOCK = 'portrait';
+
+        // Crash detection: impact threshold lives in ImpactDetector.THRESHOLD_G
+        this.IMPACT_DETECTION = true;
+        this.IMPACT_COUNTDOWN = 30;   // s before the position is shown for sharing
+
+        // Spoken speed readouts (s, 0 = off); only while moving and voice is on
+        this.VOICE_READOUT_INTERVAL = 60;
+
+        // Brake signal filtering (defaults reproduce single-sample detection)
+        this.BRAKE_EXIT_THRESHOLD = -2.0;  // m/s² - braking ends at or above this (hysteresis)
+        this.BRAKE_FILTER = 'none';        // none, lowpass, average, median
+        this.BRAKE_FILTER_WINDOW = 5;      // samples
+        this.BRAKE_MIN_DURATION = 0;       // ms the deceleration must persist
+
+        // Braking signal: 'accelerometer', 'gps' (speed deltas) or 'cross-check'
+        // (accelerometer, vetoed when recent GPS deceleration disagrees)
+        this.BRAKE_SOURCE = 'accelerometer';
+        this.GPS_ACCEL_MAX_AGE = 3000;  // ms - older GPS acceleration is ignored
+        this.GPS_AGREEMENT = 0.5;       // fraction of the threshold GPS must reach to confirm
+
+        // Simulator scenario (custom scenarios loaded from JSON are not persisted)
+        this.scenarioId = 'random-drive';
+        this.scenarioSeed = 1;
+        this.customScenario = null;
+
+        // Mount calibration (stored apart from settings as 'velocitats-mount')
+        this.mount = null;
+        this.MOUNT_MOVED_MS = 3000;     // gravity outside the motion tolerance this long
+
         // UI Elements
         this.elements = {
             overlay: document.getElementById('permission-overlay'),
             startBtn: document.getElementById('start-btn'),
             simulateBtn: document.getElementById('simulate-btn'),
+            replayFileBtn: document.getElementById('replay-file-btn'),
+            replayFileInput: document.getElementById('replay-file-input'),
+            scenarioSelect: document.getElementById('scenario-select'),
+            scenarioSeed: document.getElementById('scenario-seed'),
+            scenarioFileInput: document.getElementById('scenario-file-input'),
             dashboard: document.getElementById('dashboard'),
+            sourceSelect: document.getElementById('source-select'),
+            sensorBackendSelect: document.getElementById('sensor-backend-select'),
+            sensorFrequencyInput: document.getElementById('sensor-frequency'),
+            sensorFrequencyValue: document.getElementById('sensor-frequency-value'),
+            sensorBackendNote: document.getElementById('sensor-backend-note'),
+            exitBtn: document.getElementById('exit-btn'),
 
             // Status indicators
             gpsStatus: document.getElementById('gps-status'),
             motionStatus: document.getElementById('motion-status'),
             wakelockStatus: document.getElementById('wakelock-status'),
+            compassStatus: document.getElementById('compass-status'),
+            mountStatus: document.getElementById('mount-status'),
 
             // Telemetry
-            speedMs: document.getElementById('speed-ms'),
-            speedKmh: document.getElementById('speed-kmh'),
+            speedValue: document.getElementById('speed-value'),
+            speedUnit: document.getElementById('speed-unit'),
+            speedSecondary: document.getElementById('speed-secondary'),
+            speedSecondaryUnit: document.getElementById('speed-secondary-unit'),
+            speedConfidence: document.getElementById('speed-confidence'),
             bearing: document.getElementById('bearing'),
             bearingDirection: document.getElementById('bearing-direction'),
             acceleration: document.getElementById('acceleration'),
+            accelerationUnit: document.getElementById('acceleration-unit'),
             accelStatus: document.getElementById('accel-status'),
             accelCard: document.getElementById('accel-card'),
+            speedCard: document.getElementById('speed-card'),
+            bearingCard: document.getElementById('bearing-card'),
+            coordinatesCard: document.getElementById('coordinates-card'),
+            gpsQuality: document.getElementById('gps-quality'),
             latitude: document.getElementById('latitude'),
+            latitudeLabel: document.getElementById('latitude-label'),
             longitude: document.getElementById('longitude'),
+            longitudeLabel: document.getElementById('longitude-label'),
+            longitudeRow: document.getElementById('longitude-row'),
+
+            // Charts
+            liveChart: document.getElementById('live-chart'),
+            chartSpanInput: document.getElementById('chart-span'),
+            chartSpanValue: document.getElementById('chart-span-value'),
+            chartLegendSpeed: document.getElementById('chart-legend-speed'),
+            chartLegendForward: document.getElementById('chart-legend-forward'),
+            reportChart: document.getElementById('report-chart'),
+
+            // Map
+            mapCanvas: document.getElementById('map-canvas'),
+            mapZoomIn: document.getElementById('map-zoom-in'),
+            mapZoomOut: document.getElementById('map-zoom-out'),
+            mapDrawDone: document.getElementById('map-draw-done'),
+            mapDrawCancel: document.getElementById('map-draw-cancel'),
+            mapDrawHint: document.getElementById('map-draw-hint'),
+            mapTilesToggle: document.getElementById('map-tiles-toggle'),
+            mapTilesLabel: document.getElementById('map-tiles-label'),
+            importTilesBtn: document.getElementById('import-tiles-btn'),
+            clearTilesBtn: document.getElementById('clear-tiles-btn'),
+            tilesFolderInput: document.getElementById('tiles-folder-input'),
 
             // Arrows
+            arrowSvg: document.getElementById('arrow-svg'),
+            arrowCanvas: document.getElementById('arrow-canvas'),
+            arrowSmoothingInput: document.getElementById('arrow-smoothing'),
+            arrowSmoothingValue: document.getElementById('arrow-smoothing-value'),
             northArrow: document.getElementById('north-arrow'),
+            northReferenceSelect: document.getElementById('north-reference-select'),
+            declinationValue: document.getElementById('declination-value'),
+            northLegend: document.getElementById('north-legend'),
+            compassNote: document.getElementById('compass-note'),
+            compassBanner: document.getElementById('compass-banner'),
+            compassBannerReason: document.getElementById('compass-banner-reason'),
+            compassDismissBtn: document.getElementById('compass-dismiss-btn'),
+            bearingUnit: document.getElementById('bearing-unit'),
+            orientationLockSelect: document.getElementById('orientation-lock-select'),
             velocityArrow: document.getElementById('velocity-arrow'),
             velocityPolygon: document.getElementById('velocity-polygon'),
 
@@ -54,19 +183,163 @@ class VelocitatsApp {
             // Settings
             settingsBtn: document.getElementById('settings-btn'),
             settingsPanel: document.getElementById('settings-panel'),
+            speedUnitSelect: document.getElementById('speed-unit-select'),
+            accelerationUnitSelect: document.getElementById('acceleration-unit-select'),
+            coordinateFormatSelect: document.getElementById('coordinate-format-select'),
             speedThresholdInput: document.getElementById('speed-threshold'),
+            speedThresholdLabel: document.getElementById('speed-threshold-label'),
             speedThresholdValue: document.getElementById('speed-threshold-value'),
             brakeThresholdInput: document.getElementById('brake-threshold'),
+            brakeThresholdLabel: document.getElementById('brake-threshold-label'),
             brakeThresholdValue: document.getElementById('brake-threshold-value'),
-            testSoundBtn: document.getElementById('test-sound-btn')
+            brakeExitThresholdInput: document.getElementById('brake-exit-threshold'),
+            brakeExitThresholdLabel: document.getElementById('brake-exit-threshold-label'),
+            brakeExitThresholdValue: document.getElementById('brake-exit-threshold-value'),
+            brakeFilterSelect: document.getElementById('brake-filter'),
+            brakeFilterWindowInput: document.getElementById('brake-filter-window'),
+            brakeFilterWindowValue: document.getElementById('brake-filter-window-value'),
+            brakeMinDurationInput: document.getElementById('brake-min-duration'),
+            brakeMinDurationValue: document.getElementById('brake-min-duration-value'),
+            brakeSourceSelect: document.getElementById('brake-source'),
+            maxSpeedInput: document.getElementById('max-speed'),
+            maxSpeedLabel: document.getElementById('max-speed-label'),
+            maxSpeedValue: document.getElementById('max-speed-value'),
+            speedToleranceInput: document.getElementById('speed-tolerance'),
+            speedToleranceLabel: document.getElementById('speed-tolerance-label'),
+            speedToleranceValue: document.getElementById('speed-tolerance-value'),
+            speedRepeatInput: document.getElementById('speed-repeat'),
+            speedRepeatValue: document.getElementById('speed-repeat-value'),
+            zoneList: document.getElementById('zone-list'),
+            zoneLimit: document.getElementById('zone-limit'),
+            zoneRadius: document.getElementById('zone-radius'),
+            addZoneBtn: document.getElementById('add-zone-btn'),
+            drawZoneBtn: document.getElementById('draw-zone-btn'),
+            importZonesBtn: document.getElementById('import-zones-btn'),
+            zonesFileInput: document.getElementById('zones-file-input'),
+            speedBanner: document.getElementById('speed-banner'),
+            hapticsToggle: document.getElementById('haptics-toggle'),
+            hapticLevels: document.getElementById('haptic-levels'),
+            hapticsUnsupported: document.getElementById('haptics-unsupported'),
+            voiceToggle: document.getElementById('voice-toggle'),
+            voiceLanguageSelect: document.getElementById('voice-language'),
+            voiceReadoutInput: document.getElementById('voice-readout'),
+            voiceReadoutValue: document.getElementById('voice-readout-value'),
+            speedBannerLabel: document.getElementById('speed-banner-label'),
+            scoreAccelInput: document.getElementById('score-accel'),
+            scoreAccelLabel: document.getElementById('score-accel-label'),
+            scoreAccelValue: document.getElementById('score-accel-value'),
+            scoreCorneringInput: document.getElementById('score-cornering'),
+            scoreCorneringLabel: document.getElementById('score-cornering-label'),
+            scoreCorneringValue: document.getElementById('score-cornering-value'),
+            scoreHandlingInput: document.getElementById('score-handling'),
+            scoreHandlingValue: document.getElementById('score-handling-value'),
+            impactToggle: document.getElementById('impact-toggle'),
+            impactThresholdInput: document.getElementById('impact-threshold'),
+            impactThresholdValue: document.getElementById('impact-threshold-value'),
+            impactCountdownLengthInput: document.getElementById('impact-countdown-length'),
+            impactCountdownLengthValue: document.getElementById('impact-countdown-length-value'),
+            fusionToggle: document.getElementById('fusion-toggle'),
+            testSoundBtn: document.getElementById('test-sound-btn'),
+
+            // Mount calibration
+            mountStateLabel: document.getElementById('mount-state-label'),
+            calibrateBtn: document.getElementById('calibrate-btn'),
+            clearMountBtn: document.getElementById('clear-mount-btn'),
+            calibrationPanel: document.getElementById('calibration-panel'),
+            calibrationStep: document.getElementById('calibration-step'),
+            calibrationMessage: document.getElementById('calibration-message'),
+            calibrationProgress: document.getElementById('calibration-progress'),
+            calibrationCancelBtn: document.getElementById('calibration-cancel-btn'),
+            mountMovedBanner: document.getElementById('mount-moved-banner'),
+            recalibrateBtn: document.getElementById('recalibrate-btn'),
+            mountMovedDismissBtn: document.getElementById('mount-moved-dismiss-btn'),
+
+            // Trip history
+            recordBtn: document.getElementById('record-btn'),
+            tripsBtn: document.getElementById('trips-btn'),
+            tripsPanel: document.getElementById('trips-panel'),
+            tripToggleBtn: document.getElementById('trip-toggle-btn'),
+            tripToggleLabel: document.getElementById('trip-toggle-label'),
+            tripList: document.getElementById('trip-list'),
+            tripListEmpty: document.getElementById('trip-list-empty'),
+
+            incidentLog: document.getElementById('incident-log'),
+            incidentList: document.getElementById('incident-list'),
+
+            // Impact countdown
+            impactOverlay: document.getElementById('impact-overlay'),
+            impactCountdownView: document.getElementById('impact-countdown-view'),
+            impactCountdown: document.getElementById('impact-countdown'),
+            impactCancelBtn: document.getElementById('impact-cancel-btn'),
+            impactLocationView: document.getElementById('impact-location-view'),
+            impactDms: document.getElementById('impact-dms'),
+            impactDecimal: document.getElementById('impact-decimal'),
+            impactDetails: document.getElementById('impact-details'),
+            impactShareBtn: document.getElementById('impact-share-btn'),
+            impactCloseBtn: document.getElementById('impact-close-btn'),
+
+            // Driving report
+            reportPanel: document.getElementById('report-panel'),
+            reportSubtitle: document.getElementById('report-subtitle'),
+            reportScore: document.getElementById('report-score'),
+            reportCategories: document.getElementById('report-categories'),
+            reportTimeline: document.getElementById('report-timeline'),
+            reportEvents: document.getElementById('report-events'),
+            reportEventsEmpty: document.getElementById('report-events-empty'),
+            reportCloseBtn: document.getElementById('report-close-btn'),
+
+            // Replay controls
+            replayPanel: document.getElementById('replay-panel'),
+            replayPlayBtn: document.getElementById('replay-play-btn'),
+            replayPlayIcon: document.getElementById('replay-play-icon'),
+            replaySeek: document.getElementById('replay-seek'),
+            replayTime: document.getElementById('replay-time'),
+            replayRate: document.getElementById('replay-rate'),
+            replayLoop: document.getElementById('replay-loop')
         };
 
+        // Dual arrows on a canvas; the SVG stays when there is no 2D context
+        this.arrow = new ArrowRenderer(this.elements.arrowCanvas);
+        if (this.arrow.ctx) {
+            this.elements.arrowSvg.classList.add('hidden');
+            this.elements.arrowCanvas.classList.remove('hidden');
+        }
+
+        // Canvas map under the arrows
+        this.map = new TrackMap(this.elements.mapCanvas);
+
+        // Speed / forward acceleration charts: live on the dashboard, whole trips in the report
+        this.chart = this.createChart(this.elements.liveChart);
+        this.reportChart = this.createChart(this.elements.reportChart);
+
         // State
         this.currentSpeed = 0;
         this.currentBearing = 0;
         this.currentAzimuth = 0;
         this.currentAcceleration = 0;
+        this.gpsAcceleration = null;
+        this.gpsAccelerationTime = 0;
+        this.currentPosition = null;
         this.isBraking = false;
+        this.brakeLevel = null;
+        this.isHardAccelerating = false;
+        this.isSpeeding = false;
+        this.lastSpeedAlert = 0;
+        this.lastReadout = 0;
+        this.isCornering = false;
+        this.dataSourceName = null;
+        this.pausedInBackground = false;
+        this.isReplaySeeking = false;
+        this.lastReplayProgressUpdate = 0;
+        this.lastEstimateUpdate = 0;
+        this.tripListRender = 0;
+        this.mountShiftSince = null;
+        this.mountMovedDismissed = false;
+        this.rawAzimuth = null;             // latest compass heading, magnetic
+        this.declination = null;            // degrees east, once a fix is known
+        this.declinationPosition = null;
+        this.compassDismissed = false;
+        this.screenAngle = 0;               // screen.orientation.angle
 
         this.init();
     }
@@ -75,14 +348,61 @@ class VelocitatsApp {
      * Set up event listeners
      */
     init() {
-        this.elements.startBtn.addEventListener('click', () => this.start(false));
-        this.elements.simulateBtn.addEventListener('click', () => this.start(true));
+        this.elements.startBtn.addEventListener('click', () => this.start('sensors'));
+        this.elements.simulateBtn.addEventListener('click', () => this.start('simulator'));
+
+        // Replay an imported file
+        this.elements.replayFileBtn.addEventListener('click', () => this.elements.replayFileInput.click());
+        this.elements.replayFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.replayFile(file);
+            }
+        });
 
-        // Handle visibility change for wake lock
-        document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'visible' && this.wakeLock !== null) {
-                this.requestWakeLock();
+        // Simulator scenario picker
+        this.populateScenarioSelect();
+        this.elements.scenarioSelect.addEventListener('ionChange', (e) => {
+            if (e.detail.value === 'custom') {
+                this.elements.scenarioFileInput.click();
+                return;
             }
+            this.scenarioId = e.detail.value;
+            this.saveSettings();
+        });
+        this.elements.scenarioSeed.addEventListener('ionChange', (e) => {
+            const seed = parseInt(e.detail.value, 10);
+            this.scenarioSeed = isFinite(seed) ? seed : 1;
+            this.saveSettings();
+        });
+        this.elements.scenarioFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            this.loadCustomScenario(file);
+        });
+
+        // GPS health drives the status dot, stale telemetry and alert gating
+        this.gpsHealth.onChange = (state, status) => this.updateGpsHealth(status);
+
+        // Pause sensors in the background; wake lock is re-requested on return
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+
+        // Switch data source live, or go back to the start screen
+        this.elements.sourceSelect.addEventListener('ionChange', (e) => {
+            this.switchSource(e.detail.value);
+        });
+        this.elements.exitBtn.addEventListener('click', () => this.exit());
+
+        // Device sensors: Generic Sensor API (falling back to events) and its sample rate
+        this.elements.sensorBackendSelect.addEventListener('ionChange', (e) => {
+            this.sensors.setBackend(e.detail.value);
+            this.saveSettings();
+        });
+        this.elements.sensorFrequencyInput.addEventListener('ionChange', (e) => {
+            this.sensors.setFrequency(parseInt(e.detail.value, 10));
+            this.elements.sensorFrequencyValue.textContent = this.sensors.frequency;
+            this.saveSettings();
         });
 
         // Settings panel toggle
@@ -90,17 +410,228 @@ class VelocitatsApp {
             this.elements.settingsPanel.classList.toggle('hidden');
         });
 
-        // Speed threshold slider (Ionic ion-range uses ionChange)
+        // Display units
+        this.elements.speedUnitSelect.addEventListener('ionChange', (e) => {
+            this.setUnits({ speed: e.detail.value });
+        });
+        this.elements.accelerationUnitSelect.addEventListener('ionChange', (e) => {
+            this.setUnits({ acceleration: e.detail.value });
+        });
+        this.elements.coordinateFormatSelect.addEventListener('ionChange', (e) => {
+            this.setUnits({ coordinates: e.detail.value });
+        });
+
+        // Speed threshold slider (Ionic ion-range uses ionChange; sliders show display units)
         this.elements.speedThresholdInput.addEventListener('ionChange', (e) => {
-            this.SPEED_THRESHOLD = parseFloat(e.detail.value);
-            this.elements.speedThresholdValue.textContent = this.SPEED_THRESHOLD.toFixed(1);
+            this.SPEED_THRESHOLD = this.format.fromSpeed(parseFloat(e.detail.value));
+            this.updateUnitLabel('speedThreshold');
             this.saveSettings();
         });
 
         // Brake threshold slider (Ionic ion-range uses ionChange)
         this.elements.brakeThresholdInput.addEventListener('ionChange', (e) => {
-            this.BRAKE_THRESHOLD = parseFloat(e.detail.value);
-            this.elements.brakeThresholdValue.textContent = this.BRAKE_THRESHOLD.toFixed(1);
+            this.BRAKE_THRESHOLD = this.format.fromAcceleration(parseFloat(e.detail.value));
+            this.updateUnitLabel('brakeThreshold');
+            this.updateChartThreshold();
+            this.saveSettings();
+        });
+
+        // Brake exit threshold slider (hysteresis)
+        this.elements.brakeExitThresholdInput.addEventListener('ionChange', (e) => {
+            this.BRAKE_EXIT_THRESHOLD = this.format.fromAcceleration(parseFloat(e.detail.value));
+            this.updateUnitLabel('brakeExitThreshold');
+            this.saveSettings();
+        });
+
+        // Brake signal filter
+        this.elements.brakeFilterSelect.addEventListener('ionChange', (e) => {
+            this.BRAKE_FILTER = e.detail.value;
+            this.saveSettings();
+        });
+        this.elements.brakeFilterWindowInput.addEventListener('ionChange', (e) => {
+            this.BRAKE_FILTER_WINDOW = parseInt(e.detail.value, 10);
+            this.elements.brakeFilterWindowValue.textContent = this.BRAKE_FILTER_WINDOW;
+            this.saveSettings();
+        });
+        this.elements.brakeMinDurationInput.addEventListener('ionChange', (e) => {
+            this.BRAKE_MIN_DURATION = parseInt(e.detail.value, 10);
+            this.elements.brakeMinDurationValue.textContent = this.BRAKE_MIN_DURATION;
+            this.saveSettings();
+        });
+
+        // Speed limit sliders
+        this.elements.maxSpeedInput.addEventListener('ionChange', (e) => {
+            this.MAX_SPEED = this.format.fromSpeedLimit(parseFloat(e.detail.value));
+            this.updateSpeedLimitLabels();
+            this.saveSettings();
+        });
+        this.elements.speedToleranceInput.addEventListener('ionChange', (e) => {
+            this.SPEED_TOLERANCE = this.format.fromSpeedLimit(parseFloat(e.detail.value));
+            this.updateSpeedLimitLabels();
+            this.saveSettings();
+        });
+        this.elements.speedRepeatInput.addEventListener('ionChange', (e) => {
+            this.SPEED_REPEAT_INTERVAL = parseInt(e.detail.value, 10);
+            this.updateSpeedLimitLabels();
+            this.saveSettings();
+        });
+
+        // Driving score sliders
+        this.elements.scoreAccelInput.addEventListener('ionChange', (e) => {
+            this.SCORE_ACCEL_THRESHOLD = this.format.fromAcceleration(parseFloat(e.detail.value));
+            this.updateScoreLabels();
+            this.saveSettings();
+        });
+        this.elements.scoreCorneringInput.addEventListener('ionChange', (e) => {
+            this.SCORE_CORNERING_THRESHOLD = this.format.fromAcceleration(parseFloat(e.detail.value));
+            this.updateScoreLabels();
+            this.saveSettings();
+        });
+        this.elements.scoreHandlingInput.addEventListener('ionChange', (e) => {
+            this.SCORE_HANDLING_THRESHOLD = parseInt(e.detail.value, 10);
+            this.updateScoreLabels();
+            this.saveSettings();
+        });
+
+        // Charts
+        this.elements.chartSpanInput.addEventListener('ionChange', (e) => {
+            this.CHART_SPAN = parseInt(e.detail.value, 10);
+            this.elements.chartSpanValue.textContent = this.CHART_SPAN;
+            this.chart.setSpan(this.CHART_SPAN * 1000);
+            this.saveSettings();
+        });
+        this.updateChartThreshold();
+
+        // Arrows
+        this.elements.arrowSmoothingInput.addEventListener('ionChange', (e) => {
+            this.arrow.SMOOTHING_MS = parseInt(e.detail.value, 10);
+            this.elements.arrowSmoothingValue.textContent = this.arrow.SMOOTHING_MS;
+            this.saveSettings();
+        });
+        this.elements.northReferenceSelect.addEventListener('ionChange', (e) => {
+            this.setNorthReference(e.detail.value);
+        });
+
+        // Screen rotation: the arrows and motion axes follow the top of the screen
+        const screenOrientation = window.screen && window.screen.orientation;
+        if (screenOrientation && typeof screenOrientation.addEventListener === 'function') {
+            screenOrientation.addEventListener('change', () => this.updateScreenOrientation());
+        } else {
+            window.addEventListener('orientationchange', () => this.updateScreenOrientation());
+        }
+        this.elements.orientationLockSelect.addEventListener('ionChange', (e) => {
+            this.setOrientationLock(e.detail.value);
+        });
+
+        // Compass quality: dot, relative-north note and the figure-8 prompt
+        this.compass.onChange = (state, status) => this.updateCompassQuality(status);
+        this.elements.compassDismissBtn.addEventListener('click', () => {
+            this.compassDismissed = true;
+            this.elements.compassBanner.classList.add('hidden');
+        });
+
+        // Map
+        this.elements.mapZoomIn.addEventListener('click', () => {
+            this.map.setZoom(this.map.zoom + 1);
+            this.saveSettings();
+        });
+        this.elements.mapZoomOut.addEventListener('click', () => {
+            this.map.setZoom(this.map.zoom - 1);
+            this.saveSettings();
+        });
+        this.elements.mapTilesToggle.addEventListener('ionChange', (e) => {
+            this.map.showTiles = e.detail.checked;
+            this.map.requestRender();
+            this.saveSettings();
+        });
+        this.elements.importTilesBtn.addEventListener('click', () => this.elements.tilesFolderInput.click());
+        this.elements.tilesFolderInput.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files || []);
+            e.target.value = '';
+            if (files.length > 0) {
+                this.importTiles(files);
+            }
+        });
+        this.elements.clearTilesBtn.addEventListener('click', async () => {
+            if (!window.confirm('Delete all imported map tiles?')) return;
+            await TrackMap.clearTiles();
+            this.map.reloadTiles();
+            this.updateTilesLabel();
+        });
+        this.updateTilesLabel();
+
+        // Impact detection
+        this.elements.impactToggle.addEventListener('ionChange', (e) => {
+            this.IMPACT_DETECTION = e.detail.checked;
+            if (!this.IMPACT_DETECTION) {
+                this.impact.reset();
+            }
+            this.saveSettings();
+        });
+        this.elements.impactThresholdInput.addEventListener('ionChange', (e) => {
+            this.impact.THRESHOLD_G = parseFloat(e.detail.value);
+            this.updateImpactLabels();
+            this.saveSettings();
+        });
+        this.elements.impactCountdownLengthInput.addEventListener('ionChange', (e) => {
+            this.IMPACT_COUNTDOWN = parseInt(e.detail.value, 10);
+            this.updateImpactLabels();
+            this.saveSettings();
+        });
+        this.impact.onImpact = (impact) => this.startImpactCountdown(impact);
+        this.elements.impactCancelBtn.addEventListener('click', () => this.cancelImpact());
+        this.elements.impactShareBtn.addEventListener('click', () => this.shareIncident(this.lastIncident));
+        this.elements.impactCloseBtn.addEventListener('click', () => {
+            this.elements.impactOverlay.classList.add('hidden');
+        });
+
+        // Voice announcements
+        this.elements.voiceToggle.disabled = !this.voice.isSupported;
+        this.elements.voiceToggle.addEventListener('ionChange', (e) => {
+            this.voice.setEnabled(e.detail.checked);
+            this.saveSettings();
+        });
+        this.elements.voiceLanguageSelect.addEventListener('ionChange', (e) => {
+            this.voice.setLanguage(e.detail.value);
+            this.saveSettings();
+        });
+        this.elements.voiceReadoutInput.addEventListener('ionChange', (e) => {
+            this.VOICE_READOUT_INTERVAL = parseInt(e.detail.value, 10);
+            this.elements.voiceReadoutValue.textContent = this.VOICE_READOUT_INTERVAL || 'Off';
+            this.saveSettings();
+        });
+
+        // Haptics
+        this.renderHapticSettings();
+        this.elements.hapticsToggle.addEventListener('ionChange', (e) => {
+            this.haptics.enabled = e.detail.checked;
+            this.saveSettings();
+        });
+
+        // Speed zones
+        this.elements.addZoneBtn.addEventListener('click', () => this.addZoneHere());
+        this.elements.drawZoneBtn.addEventListener('click', () => this.startZoneDrawing());
+        this.elements.mapDrawDone.addEventListener('click', () => this.finishZoneDrawing());
+        this.elements.mapDrawCancel.addEventListener('click', () => this.stopZoneDrawing());
+        this.elements.importZonesBtn.addEventListener('click', () => this.elements.zonesFileInput.click());
+        this.elements.zonesFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importZones(file);
+            }
+        });
+
+        // Braking signal
+        this.elements.brakeSourceSelect.addEventListener('ionChange', (e) => {
+            this.BRAKE_SOURCE = e.detail.value;
+            this.saveSettings();
+        });
+
+        // GPS/accelerometer fusion (takes effect immediately)
+        this.elements.fusionToggle.addEventListener('ionChange', (e) => {
+            this.fusion.setEnabled(e.detail.checked);
+            this.elements.speedConfidence.classList.add('hidden');
             this.saveSettings();
         });
 
@@ -110,8 +641,73 @@ class VelocitatsApp {
             this.audio.playBeep(880, 150, 'sine');
         });
 
+        // Trip recording and history
+        this.elements.recordBtn.addEventListener('click', () => this.toggleRecording());
+        this.elements.tripToggleBtn.addEventListener('click', () => this.toggleRecording());
+        this.elements.tripsBtn.addEventListener('click', () => {
+            this.elements.tripsPanel.classList.toggle('hidden');
+            if (!this.elements.tripsPanel.classList.contains('hidden')) {
+                this.renderTripList();
+                this.renderIncidentList();
+            }
+        });
+        this.elements.reportCloseBtn.addEventListener('click', () => {
+            this.elements.reportPanel.classList.add('hidden');
+        });
+
+        // Replay controls
+        this.replay.onProgress = (position, duration) => this.updateReplayProgress(position, duration);
+        this.replay.onEnd = () => {
+            this.elements.replayPlayIcon.name = 'play';
+        };
+        this.elements.replayPlayBtn.addEventListener('click', () => {
+            if (this.replay.isPaused) {
+                this.replay.resume();
+            } else {
+                this.replay.pause();
+            }
+            this.elements.replayPlayIcon.name = this.replay.isPaused ? 'play' : 'pause';
+        });
+        this.elements.replaySeek.addEventListener('ionKnobMoveStart', () => {
+            this.isReplaySeeking = true;
+        });
+        this.elements.replaySeek.addEventListener('ionKnobMoveEnd', () => {
+            this.isReplaySeeking = false;
+        });
+        this.elements.replaySeek.addEventListener('ionChange', (e) => {
+            this.replay.seek(parseFloat(e.detail.value));
+        });
+        this.elements.replayRate.addEventListener('ionChange', (e) => {
+            this.replay.setRate(parseFloat(e.detail.value));
+        });
+        this.elements.replayLoop.addEventListener('ionChange', (e) => {
+            this.replay.loop = e.detail.checked;
+        });
+
+        // Mount calibration
+        this.calibration.onUpdate = (state, progress, message) => this.updateCalibrationUI(state, progress, message);
+        this.calibration.onComplete = (mount) => this.setMount(mount);
+        this.elements.calibrateBtn.addEventListener('click', () => this.startCalibration());
+        this.elements.recalibrateBtn.addEventListener('click', () => this.startCalibration());
+        this.elements.clearMountBtn.addEventListener('click', () => this.setMount(null));
+        this.elements.calibrationCancelBtn.addEventListener('click', () => {
+            this.calibration.cancel();
+            this.elements.calibrationPanel.classList.add('hidden');
+        });
+        this.elements.mountMovedDismissBtn.addEventListener('click', () => {
+            this.mountMovedDismissed = true;
+            this.elements.mountMovedBanner.classList.add('hidden');
+        });
+
         // Load saved settings
         this.loadSettings();
+        this.applyUnits();
+        this.updateNorthReference();
+        this.updateScreenOrientation();
+        this.applyOrientationLock();
+        this.loadMount();
+        this.zones.load();
+        this.renderZoneList();
 
         // Register service worker
         if ('serviceWorker' in navigator) {
@@ -127,7 +723,37 @@ class VelocitatsApp {
     saveSettings() {
         const settings = {
             speedThreshold: this.SPEED_THRESHOLD,
-            brakeThreshold: this.BRAKE_THRESHOLD
+            brakeThreshold: this.BRAKE_THRESHOLD,
+            brakeExitThreshold: this.BRAKE_EXIT_THRESHOLD,
+            brakeFilter: this.BRAKE_FILTER,
+            brakeFilterWindow: this.BRAKE_FILTER_WINDOW,
+            brakeMinDuration: this.BRAKE_MIN_DURATION,
+            brakeSource: this.BRAKE_SOURCE,
+            maxSpeed: this.MAX_SPEED,
+            speedTolerance: this.SPEED_TOLERANCE,
+            speedRepeatInterval: this.SPEED_REPEAT_INTERVAL,
+            scoreAccelThreshold: this.SCORE_ACCEL_THRESHOLD,
+            scoreCorneringThreshold: this.SCORE_CORNERING_THRESHOLD,
+            scoreHandlingThreshold: this.SCORE_HANDLING_THRESHOLD,
+            chartSpan: this.CHART_SPAN,
+            arrowSmoothing: this.arrow.SMOOTHING_MS,
+            northReference: this.NORTH_REFERENCE,
+            orientationLock: this.ORIENTATION_LOCK,
+            mapZoom: this.map.zoom,
+            mapTiles: this.map.showTiles,
+            impactDetection: this.IMPACT_DETECTION,
+            impactThreshold: this.impact.THRESHOLD_G,
+            impactCountdown: this.IMPACT_COUNTDOWN,
+            haptics: this.haptics.toJSON(),
+            units: this.format.toJSON(),
+            voice: this.voice.enabled,
+            voiceLanguage: this.voice.language,
+            voiceReadoutInterval: this.VOICE_READOUT_INTERVAL,
+            fusion: this.fusion.enabled,
+            scenarioId: this.scenarioId,
+            scenarioSeed: this.scenarioSeed,
+            sensorBackend: this.sensors.backend,
+            sensorFrequency: this.sensors.frequency
         };
         localStorage.setItem('velocitats-settings', JSON.stringify(settings));
     }
@@ -143,23 +769,380 @@ class VelocitatsApp {
                 this.SPEED_THRESHOLD = settings.speedThreshold;
                 this.BRAKE_THRESHOLD = settings.brakeThreshold;
 
-                // Update UI
-                this.elements.speedThresholdInput.value = this.SPEED_THRESHOLD;
-                this.elements.speedThresholdValue.textContent = this.SPEED_THRESHOLD.toFixed(1);
-                this.elements.brakeThresholdInput.value = this.BRAKE_THRESHOLD;
-                this.elements.brakeThresholdValue.textContent = this.BRAKE_THRESHOLD.toFixed(1);
+                // Sliders in display units are set by applyUnits()
+                this.format.restore(settings.units);
+
+                if (settings.brakeExitThreshold !== undefined) {
+                    this.BRAKE_EXIT_THRESHOLD = settings.brakeExitThreshold;
+                }
+                if (this.brakeDetector.FILTERS.includes(settings.brakeFilter)) {
+                    this.BRAKE_FILTER = settings.brakeFilter;
+                }
+                if (settings.brakeFilterWindow !== undefined) {
+                    this.BRAKE_FILTER_WINDOW = settings.brakeFilterWindow;
+                }
+                if (settings.brakeMinDuration !== undefined) {
+                    this.BRAKE_MIN_DURATION = settings.brakeMinDuration;
+                }
+                this.elements.brakeFilterSelect.value = this.BRAKE_FILTER;
+                this.elements.brakeFilterWindowInput.value = this.BRAKE_FILTER_WINDOW;
+                this.elements.brakeFilterWindowValue.textContent = this.BRAKE_FILTER_WINDOW;
+                this.elements.brakeMinDurationInput.value = this.BRAKE_MIN_DURATION;
+                this.elements.brakeMinDurationValue.textContent = this.BRAKE_MIN_DURATION;
+
+                if (['accelerometer', 'gps', 'cross-check'].includes(settings.brakeSource)) {
+                    this.BRAKE_SOURCE = settings.brakeSource;
+                }
+                this.elements.brakeSourceSelect.value = this.BRAKE_SOURCE;
+
+                if (settings.maxSpeed !== undefined) {
+                    this.MAX_SPEED = settings.maxSpeed;
+                }
+                if (settings.speedTolerance !== undefined) {
+                    this.SPEED_TOLERANCE = settings.speedTolerance;
+                }
+                if (settings.speedRepeatInterval !== undefined) {
+                    this.SPEED_REPEAT_INTERVAL = settings.speedRepeatInterval;
+                }
+                this.elements.speedRepeatInput.value = this.SPEED_REPEAT_INTERVAL;
+
+                if (settings.scoreAccelThreshold !== undefined) {
+                    this.SCORE_ACCEL_THRESHOLD = settings.scoreAccelThreshold;
+                }
+                if (settings.scoreCorneringThreshold !== undefined) {
+                    this.SCORE_CORNERING_THRESHOLD = settings.scoreCorneringThreshold;
+                }
+                if (settings.scoreHandlingThreshold !== undefined) {
+                    this.SCORE_HANDLING_THRESHOLD = settings.scoreHandlingThreshold;
+                }
+                this.elements.scoreHandlingInput.value = this.SCORE_HANDLING_THRESHOLD;
+
+                if (settings.chartSpan !== undefined) {
+                    this.CHART_SPAN = settings.chartSpan;
+                    this.chart.setSpan(this.CHART_SPAN * 1000);
+                }
+                this.elements.chartSpanInput.value = this.CHART_SPAN;
+                this.elements.chartSpanValue.textContent = this.CHART_SPAN;
+
+                if (settings.arrowSmoothing !== undefined) {
+                    this.arrow.SMOOTHING_MS = settings.arrowSmoothing;
+                }
+                this.elements.arrowSmoothingInput.value = this.arrow.SMOOTHING_MS;
+                this.elements.arrowSmoothingValue.textContent = this.arrow.SMOOTHING_MS;
+
+                if (['true', 'magnetic'].includes(settings.northReference)) {
+                    this.NORTH_REFERENCE = settings.northReference;
+                }
+                if (['portrait', 'landscape', 'any'].includes(settings.orientationLock)) {
+                    this.ORIENTATION_LOCK = settings.orientationLock;
+                }
+
+                if (settings.mapZoom !== undefined) {
+                    this.map.setZoom(settings.mapZoom);
+                }
+                if (settings.mapTiles !== undefined) {
+                    this.map.showTiles = settings.mapTiles;
+                }
+                this.elements.mapTilesToggle.checked = this.map.showTiles;
+
+                if (settings.impactDetection !== undefined) {
+                    this.IMPACT_DETECTION = settings.impactDetection;
+                }
+                if (settings.impactThreshold !== undefined) {
+                    this.impact.THRESHOLD_G = settings.impactThreshold;
+                }
+                if (settings.impactCountdown !== undefined) {
+                    this.IMPACT_COUNTDOWN = settings.impactCountdown;
+                }
+                this.elements.impactToggle.checked = this.IMPACT_DETECTION;
+                this.elements.impactThresholdInput.value = this.impact.THRESHOLD_G;
+                this.elements.impactCountdownLengthInput.value = this.IMPACT_COUNTDOWN;
+                this.updateImpactLabels();
+
+                this.haptics.restore(settings.haptics);
+                this.elements.hapticsToggle.checked = this.haptics.enabled;
+                this.renderHapticSettings();
+
+                if (settings.voice !== undefined) {
+                    this.voice.setEnabled(settings.voice);
+                }
+                if (settings.voiceLanguage) {
+                    this.voice.setLanguage(settings.voiceLanguage);
+                }
+                if (settings.voiceReadoutInterval !== undefined) {
+                    this.VOICE_READOUT_INTERVAL = settings.voiceReadoutInterval;
+                }
+                this.elements.voiceToggle.checked = this.voice.enabled;
+                this.elements.voiceLanguageSelect.value = this.voice.language;
+                this.elements.voiceReadoutInput.value = this.VOICE_READOUT_INTERVAL;
+                this.elements.voiceReadoutValue.textContent = this.VOICE_READOUT_INTERVAL || 'Off';
+
+                if (settings.fusion !== undefined) {
+                    this.fusion.setEnabled(settings.fusion);
+                }
+                this.elements.fusionToggle.checked = this.fusion.enabled;
+
+                if (settings.scenarioId && SimulatorScenarios.get(settings.scenarioId)) {
+                    this.scenarioId = settings.scenarioId;
+                }
+                if (settings.scenarioSeed !== undefined) {
+                    this.scenarioSeed = settings.scenarioSeed;
+                }
+                this.elements.scenarioSelect.value = this.scenarioId;
+                this.elements.scenarioSeed.value = this.scenarioSeed;
+
+                if (['generic', 'events'].includes(settings.sensorBackend)) {
+                    this.sensors.backend = settings.sensorBackend;
+                }
+                if (settings.sensorFrequency !== undefined) {
+                    this.sensors.setFrequency(settings.sensorFrequency);
+                }
+                this.elements.sensorBackendSelect.value = this.sensors.backend;
+                this.elements.sensorFrequencyInput.value = this.sensors.frequency;
+                this.elements.sensorFrequencyValue.textContent = this.sensors.frequency;
             }
         } catch (e) {
             console.error('Failed to load settings:', e);
         }
     }
 
+    /**
+     * Change display units and refresh everything that shows them
+     * @param {Object} units - { speed, acceleration, coordinates } (any subset)
+     */
+    setUnits(units) {
+        const speedFactor = this.format.toSpeed(1);
+        const accelerationFactor = this.format.toAcceleration(1);
+        this.format.restore({ ...this.format.toJSON(), ...units });
+
+        // Keep the plotted history, converted
+        [this.chart, this.reportChart].forEach((chart) => {
+            chart.rescale('speed', this.format.toSpeed(1) / speedFactor);
+            chart.rescale('forward', this.format.toAcceleration(1) / accelerationFactor);
+        });
+
+        this.applyUnits();
+        this.saveSettings();
+    }
+
+    /**
+     * Show the selected units on the cards, charts and sliders
+     */
+    applyUnits() {
+        this.elements.speedUnitSelect.value = this.format.speedUnit;
+        this.elements.accelerationUnitSelect.value = this.format.accelerationUnit;
+        this.elements.coordinateFormatSelect.value = this.format.coordinateFormat;
+
+        this.elements.speedUnit.textContent = this.format.speedLabel;
+        this.elements.accelerationUnit.textContent = this.format.accelerationLabel;
+        this.elements.chartLegendSpeed.textContent = this.format.speedLabel;
+        this.elements.chartLegendForward.textContent = this.format.accelerationLabel;
+        this.elements.zoneLimit.label = `Limit (${this.format.speedLabel})`;
+        this.updateChartThreshold();
+
+        this.updateUnitSliders();
+        this.updateSpeedDisplay();
+        this.updatePositionDisplay();
+        this.renderZoneList();
+    }
+
+    /**
+     * Sliders shown in display units; the settings themselves stay in m/s,
+     * m/s² and (speed limits) km/h. Bounds and steps are in stored units.
+     */
+    get unitSliders() {
+        return {
+            speedThreshold: { label: 'Min Speed', quantity: 'speed', min: 0, max: 5, step: 0.1, value: this.SPEED_THRESHOLD },
+            brakeThreshold: { label: 'Brake Sensitivity', quantity: 'acceleration', min: -10, max: -0.5, step: 0.5, value: this.BRAKE_THRESHOLD },
+            brakeExitThreshold: { label: 'Brake Release', quantity: 'acceleration', min: -10, max: 0, step: 0.5, value: this.BRAKE_EXIT_THRESHOLD },
+            maxSpeed: { label: 'Max Speed', quantity: 'limit', min: 0, max: 200, step: 5, value: this.MAX_SPEED },
+            speedTolerance: { label: 'Tolerance', quantity: 'limit', min: 0, max: 20, step: 1, value: this.SPEED_TOLERANCE },
+            scoreAccel: { label: 'Harsh Accel', quantity: 'acceleration', min: 1, max: 8, step: 0.5, value: this.SCORE_ACCEL_THRESHOLD },
+            scoreCornering: { label: 'Cornering', quantity: 'acceleration', min: 1, max: 8, step: 0.5, value: this.SCORE_CORNERING_THRESHOLD }
+        };
+    }
+
+    /**
+     * Rescale the unit sliders to the selected units
+     */
+    updateUnitSliders() {
+        Object.entries(this.unitSliders).forEach(([name, slider]) => {
+            const range = this.format.range(slider.quantity, slider.min, slider.max, slider.step);
+            const input = this.elements[`${name}Input`];
+            input.min = range.min;
+            input.max = range.max;
+            input.step = range.step;
+            input.value = range.round(this.format.toDisplay(slider.quantity, slider.value));
+
+            this.elements[`${name}Label`].textContent = `${slider.label} (${this.format.label(slider.quantity)})`;
+            this.updateUnitLabel(name);
+        });
+    }
+
+    /**
+     * Value label of one unit slider
+     */
+    updateUnitLabel(name) {
+        const slider = this.unitSliders[name];
+        const range = this.format.range(slider.quantity, slider.min, slider.max, slider.step);
+
+        this.elements[`${name}Value`].textContent = name === 'maxSpeed' && !slider.value
+            ? 'Off'
+            : this.format.toDisplay(slider.quantity, slider.value).toFixed(range.digits);
+    }
+
+    /**
+     * Fill the scenario picker with the built-in scenarios
+     */
+    populateScenarioSelect() {
+        const select = this.elements.scenarioSelect;
+        const options = [
+            ...SimulatorScenarios.PRESETS.map((scenario) => ({ value: scenario.id, label: scenario.name })),
+            { value: 'custom', label: 'Custom JSON…' }
+        ];
+
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('ion-select-option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.scenarioId;
+    }
+
+    /**
+     * Load a scenario definition from a JSON file
+     */
+    async loadCustomScenario(file) {
+        if (!file) {
+            this.elements.scenarioSelect.value = this.customScenario ? 'custom' : this.scenarioId;
+            return;
+        }
+
+        try {
+            this.customScenario = SimulatorScenarios.parse(await file.text());
+            this.customScenario.name = this.customScenario.name || file.name;
+            console.log('Custom scenario loaded:', this.customScenario.name);
+        } catch (error) {
+            console.error('Failed to load scenario:', error);
+            window.alert(error.message);
+            this.customScenario = null;
+            this.elements.scenarioSelect.value = this.scenarioId;
+        }
+    }
+
+    /**
+     * Scenario chosen in the picker
+     */
+    getSelectedScenario() {
+        if (this.elements.scenarioSelect.value === 'custom' && this.customScenario) {
+            return this.customScenario;
+        }
+        return SimulatorScenarios.get(this.scenarioId);
+    }
+
+    /**
+     * Load the calibrated mount from localStorage
+     */
+    loadMount() {
+        try {
+            const saved = localStorage.getItem('velocitats-mount');
+            this.applyMount(saved ? JSON.parse(saved) : null);
+        } catch (e) {
+            console.error('Failed to load mount calibration:', e);
+        }
+    }
+
+    /**
+     * Store (or clear, with null) the calibrated mount
+     */
+    setMount(mount) {
+        if (mount) {
+            localStorage.setItem('velocitats-mount', JSON.stringify(mount));
+            this.elements.calibrationPanel.classList.add('hidden');
+            console.log('📐 Mount calibrated');
+        } else {
+            localStorage.removeItem('velocitats-mount');
+        }
+        this.applyMount(mount);
+    }
+
+    /**
+     * Hand the mount to the motion pipeline and refresh its UI
+     */
+    applyMount(mount) {
+        this.mount = mount;
+        this.sensors.motionProcessor.setMount(mount);
+
+        this.mountShiftSince = null;
+        this.mountMovedDismissed = false;
+        this.elements.mountMovedBanner.classList.add('hidden');
+
+        this.elements.mountStateLabel.textContent = mount
+            ? `Calibrated ${new Date(mount.calibratedAt).toLocaleString()}`
+            : 'Not calibrated';
+        this.updateStatusIndicator('mount', mount !== null);
+    }
+
+    /**
+     * Open the calibration wizard
+     */
+    startCalibration() {
+        this.elements.settingsPanel.classList.add('hidden');
+        this.elements.mountMovedBanner.classList.add('hidden');
+        this.elements.calibrationPanel.classList.remove('hidden');
+        this.calibration.start();
+    }
+
+    /**
+     * Reflect the wizard's progress
+     */
+    updateCalibrationUI(state, progress, message) {
+        const steps = { gravity: 'Step 1 of 2', forward: 'Step 2 of 2', done: 'Done', failed: 'Failed' };
+
+        this.elements.calibrationStep.textContent = steps[state] || '';
+        this.elements.calibrationMessage.textContent = message;
+        this.elements.calibrationProgress.value = progress;
+        this.elements.calibrationCancelBtn.textContent = state === 'failed' ? 'Close' : 'Cancel';
+    }
+
+    /**
+     * Offer recalibration once gravity has stayed away from the calibrated mount
+     * @param {number|null} shift - Degrees, from the motion payload
+     */
+    checkMountShift(shift) {
+        if (!this.mount || shift === null || shift === undefined || this.calibration.isActive) return;
+
+        // Same threshold at which the motion processor stops trusting the mount
+        if (shift <= this.sensors.motionProcessor.MOUNT_TOLERANCE) {
+            if (this.mountShiftSince !== null) {
+                this.mountShiftSince = null;
+                this.updateStatusIndicator('mount', true);
+            }
+            return;
+        }
+
+        const now = Date.now();
+        if (this.mountShiftSince === null) {
+            this.mountShiftSince = now;
+        }
+
+        if (now - this.mountShiftSince >= this.MOUNT_MOVED_MS) {
+            this.elements.mountStatus.classList.remove('active');
+            this.elements.mountStatus.classList.add('warning');
+            if (!this.mountMovedDismissed) {
+                this.elements.mountMovedBanner.classList.remove('hidden');
+            }
+        }
+    }
+
     /**
      * Start the application
-     * @param {boolean} simulate - If true, use simulator instead of real sensors
+     * @param {string} mode - Data source: sensors, simulator or replay
      */
-    async start(simulate = false) {
-        this.isSimulating = simulate;
+    async start(mode = 'sensors') {
+        this.isSimulating = mode !== 'sensors';
+        this.dataSourceName = mode;
 
         // Unlock audio (requires user gesture)
         const audioUnlocked = await this.audio.unlock();
@@ -171,23 +1154,52 @@ class VelocitatsApp {
             console.log('🔊 Audio confirmed working');
         }
 
-        // Choose data source
-        const dataSource = simulate ? this.simulator : this.sensors;
+        // Choose data source; live sources are filtered through the fusion
+        // layer, replays are played back as recorded
+        const source = this.getDataSource(mode);
+        const dataSource = mode === 'replay' ? source : this.fusion.attach(source);
+
+        // Detach the previous source when switching (e.g. replaying from trip history);
+        // the fusion layer swaps its own wrapped source in attach()
+        if (this.dataSource !== dataSource) {
+            this.detachDataSource();
+        }
+        this.dataSource = dataSource;
+        this.pausedInBackground = false;
+        this.elements.sourceSelect.value = mode;
+        this.map.reset();
+        this.chart.clear();
+        this.chart.start();
 
         // Set up sensor callbacks
         dataSource.onGpsUpdate = (data) => this.handleGpsUpdate(data);
         dataSource.onOrientationUpdate = (data) => this.handleOrientationUpdate(data);
         dataSource.onMotionUpdate = (data) => this.handleMotionUpdate(data);
 
-        if (!simulate) {
+        // Disposing the sensors on a switch drops these, so bind them on every start
+        if (mode === 'sensors') {
             this.sensors.onError = (sensor, message) => this.handleSensorError(sensor, message);
+            this.sensors.onBackendChange = (backends) => this.updateSensorBackendNote(backends);
+        }
+
+        if (mode === 'simulator') {
+            this.simulator.setScenario(this.getSelectedScenario(), this.scenarioSeed);
         }
 
+        this.gpsHealth.reset();
+        this.gpsHealth.start();
+        this.compass.reset();
+
         // Initialize sensors/simulator
         const results = await dataSource.initialize();
 
-        // Update status indicators
-        this.updateStatusIndicator('gps', results.gps);
+        // Update status indicators; once the first fix or error is in, the
+        // GPS health monitor owns the GPS dot
+        if (this.gpsHealth.status) {
+            this.updateGpsHealth(this.gpsHealth.status);
+        } else {
+            this.updateStatusIndicator('gps', results.gps);
+        }
         this.updateStatusIndicator('motion', results.motion);
 
         // Request wake lock
@@ -196,78 +1208,542 @@ class VelocitatsApp {
         // Show dashboard
         this.elements.overlay.classList.add('hidden');
         this.elements.dashboard.classList.remove('hidden');
+        this.elements.replayPanel.classList.toggle('hidden', mode !== 'replay');
 
-        if (simulate) {
+        if (mode === 'simulator') {
             console.log('🎮 Simulation mode active');
+        } else if (mode === 'replay') {
+            console.log('⏯ Replay mode active');
         }
     }
 
     /**
-     * Handle GPS updates
+     * Switch between live sources from the dashboard
+     * @param {string} mode - sensors or simulator
      */
-    handleGpsUpdate(data) {
-        this.currentSpeed = data.speed || 0;
-        this.currentBearing = data.bearing || 0;
-
-        // Update speed display
-        this.elements.speedMs.textContent = this.currentSpeed.toFixed(1);
-        this.elements.speedKmh.textContent = (this.currentSpeed * 3.6).toFixed(1);
+    async switchSource(mode) {
+        if (mode === this.dataSourceName || mode === 'replay') return;
 
-        // Update bearing display
-        if (data.bearing !== null && data.bearing !== undefined) {
-            this.elements.bearing.textContent = Math.round(data.bearing);
-            this.elements.bearingDirection.textContent = SensorManager.bearingToCardinal(data.bearing);
+        // A trip belongs to one source
+        if (this.recorder.isRecording) {
+            await this.toggleRecording();
         }
+        await this.start(mode);
+    }
 
-        // Update coordinates
-        this.elements.latitude.textContent = SensorManager.toDMS(data.latitude, true);
-        this.elements.longitude.textContent = SensorManager.toDMS(data.longitude, false);
+    /**
+     * Stop the data source and return to the start screen
+     */
+    async exit() {
+        if (this.recorder.isRecording) {
+            await this.toggleRecording();
+        }
 
-        // Update velocity arrow
-        this.updateVelocityArrow();
+        this.detachDataSource();
+        this.gpsHealth.stop();
+        this.dataSourceName = null;
+        this.isSimulating = false;
+        this.pausedInBackground = false;
+        this.chart.stop();
+        await this.releaseWakeLock();
+
+        this.elements.settingsPanel.classList.add('hidden');
+        this.elements.replayPanel.classList.add('hidden');
+        this.elements.dashboard.classList.add('hidden');
+        this.elements.overlay.classList.remove('hidden');
+    }
 
-        // Update GPS status
-        this.updateStatusIndicator('gps', true);
+    /**
+     * Stop the current data source and stop listening to it
+     */
+    detachDataSource() {
+        if (!this.dataSource) return;
+
+        this.dataSource.onGpsUpdate = null;
+        this.dataSource.onOrientationUpdate = null;
+        this.dataSource.onMotionUpdate = null;
+        this.dataSource.stop();
+        this.dataSource = null;
+        this.sensors.onError = null;
     }
 
     /**
-     * Handle device orientation updates
+     * Pause the data source while the page is hidden, resume when it is back
      */
-    handleOrientationUpdate(data) {
-        // Validate azimuth - must be a finite number
-        if (!isFinite(data.azimuth)) {
-            console.warn('Invalid azimuth received:', data.azimuth);
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            // Leave a replay the user paused alone
+            if (this.dataSource && this.dataSource.isRunning && !this.dataSource.isPaused) {
+                this.dataSource.pause();
+                this.gpsHealth.stop();
+                this.pausedInBackground = true;
+            }
             return;
         }
 
-        // Normalize azimuth to 0-360 range
-        let azimuth = ((data.azimuth % 360) + 360) % 360;
-        this.currentAzimuth = azimuth;
-
-        // Rotate north arrow to point to magnetic north
-        // When device points north, arrow should point up (0°)
-        // As device rotates clockwise, arrow should rotate counter-clockwise
-        const northRotation = -azimuth;
+        if (this.pausedInBackground) {
+            this.pausedInBackground = false;
+            if (this.dataSource) {
+                this.gpsHealth.reset();
+                this.gpsHealth.start();
+                this.dataSource.resume();
+            }
+        }
 
-        // Use anime.js for SVG rotation with proper pivot point
-        anime.set(this.elements.northArrow, {
-            rotate: northRotation,
-            transformOrigin: '100px 100px'  // Center of 200x200 SVG viewBox
-        });
+        if (this.wakeLock !== null) {
+            this.requestWakeLock();
+        }
+    }
 
-        // Update velocity arrow based on new orientation
-        this.updateVelocityArrow();
+    /**
+     * Show which path the device sensors ended up on
+     * @param {Object} backends - { orientation, motion }: 'generic', 'events' or null
+     */
+    updateSensorBackendNote(backends) {
+        const labels = { generic: 'Generic Sensor API', events: 'events' };
+        const parts = [['orientation', 'Compass'], ['motion', 'Motion']]
+            .filter(([sensor]) => backends[sensor])
+            .map(([sensor, name]) => `${name}: ${labels[backends[sensor]]}`);
+        this.elements.sensorBackendNote.textContent = parts.length > 0 ? parts.join(' · ') : 'Sensors not started';
     }
 
     /**
-     * Handle device motion updates
+     * Get the data source object for a mode
      */
-    handleMotionUpdate(data) {
-        this.currentAcceleration = data.forward;
+    getDataSource(mode) {
+        switch (mode) {
+            case 'simulator':
+                return this.simulator;
+            case 'replay':
+                return this.replay;
+            default:
+                return this.sensors;
+        }
+    }
 
-        // Update acceleration display
-        this.elements.acceleration.textContent = data.magnitude.toFixed(1);
-        this.elements.accelStatus.textContent = this.getAccelDescription(data.forward);
+    /**
+     * Replay a recorded trip from history
+     */
+    async replayTrip(trip) {
+        try {
+            const samples = await this.storage.getSamples(trip.id);
+            this.replay.load(samples);
+        } catch (error) {
+            console.error('Failed to load trip for replay:', error);
+            window.alert(error.message);
+            return;
+        }
+
+        this.elements.tripsPanel.classList.add('hidden');
+        await this.start('replay');
+    }
+
+    /**
+     * Replay an imported GPX or CSV file
+     */
+    async replayFile(file) {
+        try {
+            const text = await file.text();
+            this.replay.load(SensorReplay.parse(text, file.name));
+        } catch (error) {
+            console.error('Failed to import replay file:', error);
+            window.alert(error.message);
+            return;
+        }
+
+        await this.start('replay');
+    }
+
+    /**
+     * Update the replay controls with the current playhead
+     */
+    updateReplayProgress(position, duration) {
+        const now = Date.now();
+
+        // Keep DOM updates to a few per second, and leave the knob alone while dragging
+        if (this.isReplaySeeking || now - this.lastReplayProgressUpdate < 250) return;
+        this.lastReplayProgressUpdate = now;
+
+        this.elements.replaySeek.max = Math.max(duration, 1);
+        this.elements.replaySeek.value = position;
+        this.elements.replayTime.textContent =
+            `${this.formatClock(position)} / ${this.formatClock(duration)}`;
+        this.elements.replayPlayIcon.name = this.replay.isPaused ? 'play' : 'pause';
+    }
+
+    /**
+     * Format milliseconds as m:ss
+     */
+    formatClock(ms) {
+        const totalSeconds = Math.round(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${minutes}:${seconds}`;
+    }
+
+    /**
+     * Handle GPS updates
+     */
+    handleGpsUpdate(data) {
+        this.currentSpeed = data.speed || 0;
+        if (data.bearing !== null && data.bearing !== undefined) {
+            // Keep the last known course while it cannot be derived
+            this.currentBearing = data.bearing;
+        }
+        this.currentPosition = data;
+        const now = Date.now();
+
+        // Fused estimates arrive at the motion rate; only fixes are recorded,
+        // count towards the GPS health and feed the impact detector
+        const isFix = data.fix !== false;
+        if (isFix) {
+            const gpsAcceleration = data.fused ? data.gpsAcceleration : data.acceleration;
+            if (gpsAcceleration !== null && gpsAcceleration !== undefined) {
+                this.gpsAcceleration = gpsAcceleration;
+                this.gpsAccelerationTime = now;
+            }
+
+            // Health and the compass course check judge the device's own fix:
+            // the filter's accuracy and course are already smoothed
+            const fix = data.raw || data;
+            this.recorder.record('gps', fix);
+            this.gpsHealth.recordFix(fix);
+            this.updateDeclination(fix);
+            this.compass.addCourse(fix.bearing, fix.speed);
+            if (this.IMPACT_DETECTION) {
+                this.impact.update('gps', fix, now);
+            }
+        }
+
+        // Between fixes, keep the display and zone checks to a few per second
+        if (!isFix && now - this.lastEstimateUpdate < 250) return;
+        this.lastEstimateUpdate = now;
+
+        this.chart.push('speed', now, this.format.toSpeed(this.currentSpeed));
+
+        // Update speed display
+        this.updateSpeedDisplay();
+        this.elements.speedConfidence.classList.toggle('hidden', !data.fused);
+        if (data.fused) {
+            this.elements.speedConfidence.textContent = `Fused · ${Math.round(data.confidence * 100)}%`;
+        }
+
+        // Update bearing display
+        if (data.bearing !== null && data.bearing !== undefined) {
+            this.updateBearingDisplay();
+        }
+
+        // Update coordinates
+        this.updatePositionDisplay();
+
+        // Update velocity arrow and map
+        this.updateVelocityArrow();
+        this.map.setPosition(data, isFix);
+
+        this.checkSpeedLimit(data);
+        this.checkReadout();
+
+        if (isFix && this.BRAKE_SOURCE === 'gps' && this.getGpsAcceleration() !== null) {
+            this.checkBraking(this.gpsAcceleration);
+        }
+    }
+
+    /**
+     * Reflect the GPS health: status dot, greyed stale cards, quality note,
+     * and no speeding banner left up on a speed that can no longer be trusted
+     * @param {Object} status - From GpsHealthMonitor.evaluate()
+     */
+    updateGpsHealth(status) {
+        const element = this.elements.gpsStatus;
+        element.classList.remove('active', 'warning', 'error');
+        element.classList.add({ good: 'active', degraded: 'warning', lost: 'error' }[status.state]);
+        element.title = status.reasons.length > 0 ? `GPS: ${status.state} (${status.reasons.join(', ')})` : 'GPS';
+
+        [this.elements.speedCard, this.elements.bearingCard, this.elements.coordinatesCard].forEach((card) => {
+            card.classList.toggle('stale', status.stale);
+        });
+
+        this.elements.gpsQuality.classList.toggle('hidden', status.state === 'good');
+        if (status.state === 'lost') {
+            this.elements.gpsQuality.textContent = status.age === null ? 'Waiting for GPS' : 'GPS lost';
+        } else if (status.state === 'degraded') {
+            this.elements.gpsQuality.textContent = status.accuracy !== null
+                ? `Weak GPS · ±${Math.round(status.accuracy)} m`
+                : 'Weak GPS';
+        }
+
+        if (status.state === 'lost' && this.isSpeeding) {
+            this.isSpeeding = false;
+            this.elements.speedBanner.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Above the minimum speed, as far as a trusted GPS speed can tell
+     */
+    isMoving() {
+        return this.gpsHealth.isTrusted && this.currentSpeed > this.SPEED_THRESHOLD;
+    }
+
+    /**
+     * Speed card: the selected unit, with m/s (or km/h when m/s is selected) below
+     */
+    updateSpeedDisplay() {
+        const secondary = this.format.speedUnit === 'ms' ? 'kmh' : 'ms';
+
+        this.elements.speedValue.textContent = this.format.toSpeed(this.currentSpeed).toFixed(1);
+        this.elements.speedSecondary.textContent =
+            (this.currentSpeed * this.format.SPEED_UNITS[secondary].factor).toFixed(1);
+        this.elements.speedSecondaryUnit.textContent = this.format.SPEED_UNITS[secondary].label;
+    }
+
+    /**
+     * Coordinates card; grid formats (UTM, MGRS, Plus Code) use a single row
+     */
+    updatePositionDisplay() {
+        if (!this.currentPosition || !SpeedZones.isCoordinate(this.currentPosition)) return;
+
+        const rows = this.format.position(this.currentPosition.latitude, this.currentPosition.longitude);
+        this.elements.latitudeLabel.textContent = rows[0].label;
+        this.elements.latitude.textContent = rows[0].text;
+        this.elements.longitudeRow.classList.toggle('hidden', rows.length < 2);
+        if (rows.length > 1) {
+            this.elements.longitudeLabel.textContent = rows[1].label;
+            this.elements.longitude.textContent = rows[1].text;
+        }
+    }
+
+    /**
+     * Handle device orientation updates
+     */
+    handleOrientationUpdate(data) {
+        // Validate azimuth - must be a finite number
+        if (!isFinite(data.azimuth)) {
+            console.warn('Invalid azimuth received:', data.azimuth);
+            return;
+        }
+
+        // Normalize azimuth to 0-360 range
+        this.rawAzimuth = ((data.azimuth % 360) + 360) % 360;
+
+        this.recorder.record('orientation', data);
+        if (this.IMPACT_DETECTION) {
+            this.impact.update('orientation', data, Date.now());
+        }
+        this.compass.addHeading(data);
+
+        this.updateNorthArrow();
+    }
+
+    /**
+     * Point the north needle at the chosen north; the velocity arrow is drawn
+     * against the same reference
+     */
+    updateNorthArrow() {
+        if (this.rawAzimuth === null) return;
+
+        // The sensors report the heading of the device's top edge; the arrows
+        // are drawn for the top of the screen, a quarter turn away in landscape
+        const azimuth = (this.magneticToReference(this.rawAzimuth) + this.screenAngle) % 360;
+        this.currentAzimuth = azimuth;
+
+        // Canvas renderer eases towards the new heading on its own frames
+        if (this.arrow.ctx) {
+            this.arrow.setTarget({ azimuth: azimuth });
+            return;
+        }
+
+        // SVG fallback: rotate north arrow to point to the chosen north
+        // When device points north, arrow should point up (0°)
+        // As device rotates clockwise, arrow should rotate counter-clockwise
+        const northRotation = -azimuth;
+
+        // Use anime.js for SVG rotation with proper pivot point
+        anime.set(this.elements.northArrow, {
+            rotate: northRotation,
+            transformOrigin: '100px 100px'  // Center of 200x200 SVG viewBox
+        });
+
+        // Update velocity arrow based on new orientation
+        this.updateVelocityArrow();
+    }
+
+    /**
+     * Recompute the declination for a new area
+     */
+    updateDeclination(position) {
+        if (!SpeedZones.isCoordinate(position)) return;
+        if (this.declinationPosition && Geo.distance(this.declinationPosition.latitude, this.declinationPosition.longitude,
+            position.latitude, position.longitude) < this.DECLINATION_DISTANCE) {
+            return;
+        }
+
+        this.declination = MagneticModel.declination(position.latitude, position.longitude, 0, new Date(Date.now()));
+        this.declinationPosition = { latitude: position.latitude, longitude: position.longitude };
+        this.updateNorthReference();
+    }
+
+    /**
+     * Compass heading (magnetic) in the chosen reference
+     */
+    magneticToReference(azimuth) {
+        // A relative-only heading has no north to correct
+        const offset = this.NORTH_REFERENCE === 'true' && this.declination !== null && this.compass.isAbsolute
+            ? this.declination
+            : 0;
+        return ((azimuth + offset) % 360 + 360) % 360;
+    }
+
+    /**
+     * GPS course (true) in the chosen reference
+     */
+    trueToReference(bearing) {
+        const offset = this.NORTH_REFERENCE === 'magnetic' && this.declination !== null && this.compass.isAbsolute
+            ? this.declination
+            : 0;
+        return ((bearing - offset) % 360 + 360) % 360;
+    }
+
+    setNorthReference(reference) {
+        this.NORTH_REFERENCE = reference === 'magnetic' ? 'magnetic' : 'true';
+        this.updateNorthReference();
+        this.saveSettings();
+    }
+
+    /**
+     * Redraw everything shown against north after the reference or declination changed
+     */
+    updateNorthReference() {
+        const magnetic = this.NORTH_REFERENCE === 'magnetic';
+        this.elements.northReferenceSelect.value = this.NORTH_REFERENCE;
+        this.elements.northLegend.textContent = magnetic ? 'Magnetic North' : 'True North';
+        this.elements.bearingUnit.textContent = magnetic ? '°M' : '°T';
+        this.elements.declinationValue.textContent = this.declination === null
+            ? '--'
+            : `${Math.abs(this.declination).toFixed(1)}° ${this.declination < 0 ? 'W' : 'E'}`;
+
+        this.updateBearingDisplay();
+        this.updateNorthArrow();
+        if (this.currentPosition) {
+            this.updateVelocityArrow();
+        }
+    }
+
+    updateBearingDisplay() {
+        if (!this.currentPosition || typeof this.currentPosition.bearing !== 'number') return;
+
+        const bearing = this.trueToReference(this.currentPosition.bearing);
+        this.elements.bearing.textContent = Math.round(bearing) % 360;
+        this.elements.bearingDirection.textContent = Formatter.bearingToCardinal(bearing);
+    }
+
+    /**
+     * Reflect the compass quality: status dot, dimmed needle for relative-only
+     * data, and the figure-8 prompt on interference (until dismissed)
+     * @param {Object} status - From CompassMonitor.evaluate()
+     */
+    updateCompassQuality(status) {
+        const element = this.elements.compassStatus;
+        element.classList.remove('active', 'warning', 'error');
+        element.classList.add({ good: 'active', relative: 'warning', interference: 'error' }[status.state]);
+        element.title = status.reasons.length > 0 ? `Compass: ${status.reasons.join(', ')}` : 'Compass';
+
+        const relative = status.state === 'relative';
+        this.arrow.setNorthReliable(!relative);
+        this.elements.northArrow.classList.toggle('unreliable', relative);
+        this.elements.compassNote.classList.toggle('hidden', !relative);
+
+        if (status.state === 'interference') {
+            this.elements.compassBannerReason.textContent = status.reasons.join(', ');
+            if (!this.compassDismissed) {
+                this.elements.compassBanner.classList.remove('hidden');
+            }
+        } else {
+            // Ask again next time
+            this.compassDismissed = false;
+            this.elements.compassBanner.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Current rotation of the screen content in degrees (0, 90, 180 or 270)
+     */
+    static getScreenAngle() {
+        const screenOrientation = window.screen && window.screen.orientation;
+        if (screenOrientation && typeof screenOrientation.angle === 'number') {
+            return screenOrientation.angle;
+        }
+        // Older iOS Safari: window.orientation is -90 for a clockwise turn
+        return typeof window.orientation === 'number' ? (window.orientation + 360) % 360 : 0;
+    }
+
+    /**
+     * Re-read the screen rotation and redraw what depends on it
+     */
+    updateScreenOrientation() {
+        const angle = VelocitatsApp.getScreenAngle();
+        if (angle === this.screenAngle) return;
+
+        this.screenAngle = angle;
+        this.sensors.setScreenAngle(angle);
+        this.updateNorthArrow();
+        if (this.currentPosition) {
+            this.updateVelocityArrow();
+        }
+        this.map.requestRender();
+    }
+
+    setOrientationLock(lock) {
+        this.ORIENTATION_LOCK = ['portrait', 'landscape', 'any'].includes(lock) ? lock : 'portrait';
+        this.applyOrientationLock();
+        this.saveSettings();
+    }
+
+    /**
+     * Lock (or unlock) the screen orientation. The manifest leaves it free so
+     * this setting decides; outside an installed app the lock is refused and
+     * the layout simply follows the device
+     */
+    applyOrientationLock() {
+        this.elements.orientationLockSelect.value = this.ORIENTATION_LOCK;
+
+        const screenOrientation = window.screen && window.screen.orientation;
+        if (!screenOrientation || typeof screenOrientation.lock !== 'function') return;
+
+        if (this.ORIENTATION_LOCK === 'any') {
+            try {
+                screenOrientation.unlock();
+            } catch (error) {
+                console.warn('Screen orientation unlock failed:', error.message);
+            }
+            return;
+        }
+
+        screenOrientation.lock(this.ORIENTATION_LOCK).catch((error) => {
+            console.warn('Screen orientation lock not available:', error.message);
+        });
+    }
+
+    /**
+     * Handle device motion updates
+     */
+    handleMotionUpdate(data) {
+        this.currentAcceleration = data.forward;
+
+        this.recorder.record('motion', data);
+        this.chart.push('forward', Date.now(), this.format.toAcceleration(data.forward));
+        if (this.IMPACT_DETECTION) {
+            this.impact.update('motion', data, Date.now());
+        }
+
+        if (this.calibration.isActive) {
+            this.calibration.addSample(data, this.currentSpeed);
+        }
+        this.checkMountShift(data.mountShift);
+
+        // Update acceleration display
+        this.elements.acceleration.textContent = this.format.toAcceleration(data.magnitude).toFixed(this.format.accelerationDigits);
+        this.elements.accelStatus.textContent = this.getAccelDescription(data.forward);
 
         // Update card styling based on acceleration
         this.elements.accelCard.classList.remove('braking', 'accelerating');
@@ -281,16 +1757,30 @@ class VelocitatsApp {
         this.updateStatusIndicator('motion', true);
 
         // Check for braking condition
-        this.checkBraking(data.forward);
+        if (this.BRAKE_SOURCE !== 'gps') {
+            this.checkBraking(data.forward);
+        }
+        this.checkManoeuvres(data);
+    }
+
+    /**
+     * Longitudinal acceleration from GPS speed deltas, null when missing or stale
+     */
+    getGpsAcceleration() {
+        if (this.gpsAcceleration === null || Date.now() - this.gpsAccelerationTime > this.GPS_ACCEL_MAX_AGE ||
+            !this.gpsHealth.isTrusted) {
+            return null;
+        }
+        return this.gpsAcceleration;
     }
 
     /**
      * Get human-readable acceleration description
      */
     getAccelDescription(forward) {
-        if (forward < -5) return 'Hard braking';
+        if (forward < this.HARD_BRAKE_THRESHOLD) return 'Hard braking';
         if (forward < -2) return 'Braking';
-        if (forward > 5) return 'Hard acceleration';
+        if (forward > this.HARD_ACCEL_THRESHOLD) return 'Hard acceleration';
         if (forward > 2) return 'Accelerating';
         return 'Steady';
     }
@@ -299,10 +1789,17 @@ class VelocitatsApp {
      * Update velocity arrow position and size
      */
     updateVelocityArrow() {
+        const bearing = this.trueToReference(this.currentBearing);
+
+        if (this.arrow.ctx) {
+            this.arrow.setTarget({ bearing: bearing, speed: this.currentSpeed });
+            return;
+        }
+
         // Calculate arrow rotation:
         // GPS bearing is the direction of travel (0° = North)
         // We need to show this relative to the device's current orientation
-        let rotation = this.currentBearing - this.currentAzimuth;
+        let rotation = bearing - this.currentAzimuth;
 
         // Normalize rotation to 0-360 range
         rotation = ((rotation % 360) + 360) % 360;
@@ -338,28 +1835,900 @@ class VelocitatsApp {
      * Check braking conditions and trigger alert
      */
     checkBraking(forwardAccel) {
-        const isMoving = this.currentSpeed > this.SPEED_THRESHOLD;
-        const isHardBraking = forwardAccel < this.BRAKE_THRESHOLD;
+        const isMoving = this.isMoving();
+
+        // Cross-check: without recent GPS acceleration the accelerometer decides alone
+        const gpsAcceleration = this.getGpsAcceleration();
+        const gpsAgrees = this.BRAKE_SOURCE !== 'cross-check' || gpsAcceleration === null ||
+            gpsAcceleration < this.BRAKE_THRESHOLD * this.GPS_AGREEMENT;
+
+        const braking = this.brakeDetector.update(forwardAccel, isMoving && gpsAgrees, {
+            filter: this.BRAKE_FILTER,
+            window: this.BRAKE_FILTER_WINDOW,
+            minDuration: this.BRAKE_MIN_DURATION,
+            enter: this.BRAKE_THRESHOLD,
+            exit: this.BRAKE_EXIT_THRESHOLD
+        });
+
+        if (braking) {
+            const level = this.getBrakeLevel(this.brakeDetector.filtered);
 
-        if (isMoving && isHardBraking) {
             if (!this.isBraking) {
                 this.isBraking = true;
-                this.audio.playBrakeAlert();
+                this.brakeLevel = level;
+                this.triggerAlert(level);
                 this.elements.brakeIndicator.classList.remove('hidden');
+
+                if (this.currentPosition) {
+                    this.map.addBrake(this.currentPosition.latitude, this.currentPosition.longitude, level);
+                }
+
+                this.recorder.record('brake', {
+                    level: level,
+                    forward: forwardAccel,
+                    filtered: this.brakeDetector.filtered,
+                    speed: this.currentSpeed,
+                    latitude: this.currentPosition ? this.currentPosition.latitude : null,
+                    longitude: this.currentPosition ? this.currentPosition.longitude : null,
+                    gps: this.gpsHealth.state
+                });
+            } else if (this.BRAKE_LEVELS.indexOf(level) > this.BRAKE_LEVELS.indexOf(this.brakeLevel)) {
+                // Braking got harder: the stronger pattern interrupts the one
+                // sounding, even if the same level sounded moments ago
+                this.brakeLevel = level;
+                this.triggerAlert(level, {}, true);
             }
         } else {
             if (this.isBraking) {
                 this.isBraking = false;
+                this.brakeLevel = null;
                 this.elements.brakeIndicator.classList.add('hidden');
             }
         }
     }
 
+    /**
+     * Warn when the speed exceeds the zone limit (or MAX_SPEED) plus the tolerance.
+     * Repeats every SPEED_REPEAT_INTERVAL while speeding; clears once back under the limit
+     */
+    checkSpeedLimit(position) {
+        // updateGpsHealth() takes the banner down when the GPS is lost
+        if (!this.gpsHealth.isTrusted) return;
+
+        const zone = SpeedZones.isCoordinate(position) ? this.zones.zoneAt(position.latitude, position.longitude) : null;
+        const limit = zone ? zone.limit : this.MAX_SPEED;
+        const speedKmh = this.currentSpeed * 3.6;
+
+        if (!limit || speedKmh <= limit) {
+            if (this.isSpeeding) {
+                this.isSpeeding = false;
+                this.elements.speedBanner.classList.add('hidden');
+            }
+            return;
+        }
+
+        if (speedKmh > limit + this.SPEED_TOLERANCE) {
+            const now = Date.now();
+            if (!this.isSpeeding || now - this.lastSpeedAlert >= this.SPEED_REPEAT_INTERVAL * 1000) {
+                this.triggerAlert('speeding', { speed: this.format.toSpeed(this.currentSpeed), limit: this.format.toSpeedLimit(limit) });
+                this.lastSpeedAlert = now;
+            }
+            if (!this.isSpeeding) {
+                this.recorder.record('speeding', {
+                    speed: speedKmh,
+                    limit: limit,
+                    zone: zone ? zone.name : null,
+                    latitude: position.latitude,
+                    longitude: position.longitude,
+                    gps: this.gpsHealth.state
+                });
+            }
+            this.isSpeeding = true;
+        }
+
+        // Between the limit and limit + tolerance the banner keeps its state
+        if (this.isSpeeding) {
+            this.elements.speedBannerLabel.textContent =
+                `${this.format.speed(this.currentSpeed)} · limit ${Math.round(this.format.toSpeedLimit(limit))}${zone ? ` (${zone.name})` : ''}` +
+                (this.gpsHealth.state === 'degraded' ? ' · weak GPS' : '');
+            this.elements.speedBanner.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Periodic spoken speed (and heading) readout
+     */
+    checkReadout() {
+        if (!this.voice.enabled || !this.VOICE_READOUT_INTERVAL || !this.isMoving()) return;
+
+        const now = Date.now();
+        if (now - this.lastReadout < this.VOICE_READOUT_INTERVAL * 1000) return;
+        this.lastReadout = now;
+
+        this.voice.announce('readout', {
+            speed: this.format.toSpeed(this.currentSpeed),
+            bearing: this.currentPosition && typeof this.currentPosition.bearing === 'number'
+                ? this.currentPosition.bearing
+                : null
+        });
+    }
+
+    updateScoreLabels() {
+        this.updateUnitLabel('scoreAccel');
+        this.updateUnitLabel('scoreCornering');
+        this.elements.scoreHandlingValue.textContent = this.SCORE_HANDLING_THRESHOLD;
+    }
+
+    /**
+     * Thresholds for DrivingScore from the current settings
+     */
+    getScoreThresholds() {
+        return {
+            braking: this.BRAKE_THRESHOLD,
+            acceleration: this.SCORE_ACCEL_THRESHOLD,
+            cornering: this.SCORE_CORNERING_THRESHOLD,
+            handling: this.SCORE_HANDLING_THRESHOLD
+        };
+    }
+
+    /**
+     * Store a picked tile folder for the offline map
+     */
+    async importTiles(files) {
+        this.elements.mapTilesLabel.textContent = 'Importing…';
+        try {
+            const count = await TrackMap.importTiles(files);
+            if (count === 0) {
+                window.alert('No z/x/y tiles found in the selected folder');
+            }
+            this.map.reloadTiles();
+        } catch (error) {
+            console.error('Tile import failed:', error);
+            window.alert(error.message);
+        }
+        this.updateTilesLabel();
+    }
+
+    async updateTilesLabel() {
+        let count = 0;
+        try {
+            count = await TrackMap.countTiles();
+        } catch (error) {
+            console.error('Failed to count map tiles:', error);
+        }
+        this.elements.mapTilesLabel.textContent = count > 0 ? `${count} tiles stored` : 'No tiles imported';
+    }
+
+    /**
+     * Chart of speed (left axis) and forward acceleration (right axis) in display units
+     */
+    createChart(canvas) {
+        return new TimeSeriesChart(canvas, {
+            span: this.CHART_SPAN * 1000,
+            series: [
+                { key: 'speed', label: 'Speed', color: '#6366f1', axis: 'left', unit: this.format.speedLabel },
+                { key: 'forward', label: 'Forward', color: '#10b981', axis: 'right', unit: this.format.accelerationLabel }
+            ]
+        });
+    }
+
+    updateChartThreshold() {
+        [this.chart, this.reportChart].forEach((chart) => {
+            chart.setThreshold('brake', {
+                axis: 'right',
+                value: this.format.toAcceleration(this.BRAKE_THRESHOLD),
+                color: '#ef4444',
+                label: 'Brake'
+            });
+        });
+    }
+
+    updateImpactLabels() {
+        this.elements.impactThresholdValue.textContent = this.impact.THRESHOLD_G.toFixed(1);
+        this.elements.impactCountdownLengthValue.textContent = this.IMPACT_COUNTDOWN;
+    }
+
+    /**
+     * Probable crash: sound the alarm and count down, giving the driver a
+     * chance to cancel before the position is shown for sharing
+     */
+    startImpactCountdown(impact) {
+        if (this.pendingImpact) return;   // one crash, several confirmations
+
+        this.pendingImpact = impact;
+        this.impactRemaining = this.IMPACT_COUNTDOWN;
+
+        this.elements.impactCountdown.textContent = this.impactRemaining;
+        this.elements.impactCountdownView.classList.remove('hidden');
+        this.elements.impactLocationView.classList.add('hidden');
+        this.elements.impactOverlay.classList.remove('hidden');
+        this.triggerAlert('impact');
+
+        this.impactIntervalId = setInterval(() => {
+            this.impactRemaining--;
+            this.elements.impactCountdown.textContent = this.impactRemaining;
+
+            if (this.impactRemaining <= 0) {
+                this.expireImpactCountdown();
+                return;
+            }
+            this.audio.playAlert('impact');
+            this.haptics.vibrate('impact');
+        }, 1000);
+    }
+
+    /**
+     * Driver confirmed they are fine; still logged for reference
+     */
+    cancelImpact() {
+        if (!this.pendingImpact) return;
+
+        clearInterval(this.impactIntervalId);
+        this.elements.impactOverlay.classList.add('hidden');
+        this.voice.cancel();
+        this.logIncident(this.pendingImpact, 'cancelled');
+        this.pendingImpact = null;
+    }
+
+    /**
+     * Nobody cancelled: show the last coordinates ready to share
+     */
+    expireImpactCountdown() {
+        clearInterval(this.impactIntervalId);
+
+        const incident = this.logIncident(this.pendingImpact, 'expired');
+        this.pendingImpact = null;
+        this.lastIncident = incident;
+
+        const hasPosition = incident.latitude !== null && incident.longitude !== null;
+        this.elements.impactDms.textContent = hasPosition
+            ? `${Formatter.toDMS(incident.latitude, true)} ${Formatter.toDMS(incident.longitude, false)}`
+            : 'Position unknown';
+        this.elements.impactDecimal.textContent = hasPosition
+            ? `${incident.latitude.toFixed(6)}, ${incident.longitude.toFixed(6)}`
+            : '';
+        this.elements.impactDetails.textContent = this.formatIncident(incident);
+        this.elements.impactShareBtn.disabled = !hasPosition;
+
+        this.elements.impactCountdownView.classList.add('hidden');
+        this.elements.impactLocationView.classList.remove('hidden');
+    }
+
+    /**
+     * Store an incident with the sensor data before and after the impact
+     * @param {Object} impact - From ImpactDetector
+     * @param {string} status - 'cancelled' or 'expired'
+     * @returns {Object} The incident
+     */
+    logIncident(impact, status) {
+        // The detector buffer has moved on during the countdown: append what came after
+        const last = impact.samples.length > 0 ? impact.samples[impact.samples.length - 1].t : impact.time;
+        const incident = {
+            time: impact.time,
+            peak: impact.peak,
+            speedBefore: impact.speedBefore,
+            latitude: impact.latitude,
+            longitude: impact.longitude,
+            accuracy: impact.accuracy,
+            status: status,
+            source: this.dataSourceName,
+            tripId: this.recorder.trip ? this.recorder.trip.id : null,
+            samples: impact.samples.concat(this.impact.buffer.filter((sample) => sample.t > last))
+        };
+
+        this.storage.addIncident(incident)
+            .then((id) => {
+                incident.id = id;
+            })
+            .catch((error) => console.error('Failed to log incident:', error));
+
+        return incident;
+    }
+
+    /**
+     * Share an incident position via the Web Share API, else the clipboard
+     */
+    async shareIncident(incident) {
+        if (!incident || incident.latitude === null || incident.longitude === null) return;
+
+        const lat = incident.latitude.toFixed(6);
+        const lon = incident.longitude.toFixed(6);
+        const text = [
+            `Velocitats: impact at ${new Date(incident.time).toLocaleString()}`,
+            `${Formatter.toDMS(incident.latitude, true)} ${Formatter.toDMS(incident.longitude, false)}`,
+            `${lat}, ${lon}`,
+            `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lon}#map=17/${lat}/${lon}`
+        ].join('\n');
+
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: 'Velocitats incident', text: text });
+            } else {
+                await navigator.clipboard.writeText(text);
+                window.alert('Position copied to the clipboard');
+            }
+        } catch (error) {
+            // AbortError: the user closed the share sheet
+            if (error.name !== 'AbortError') {
+                console.error('Share failed:', error);
+                window.alert(text);
+            }
+        }
+    }
+
+    /**
+     * Render the incident log in the trips panel
+     */
+    async renderIncidentList() {
+        let incidents;
+        try {
+            incidents = await this.storage.listIncidents();
+        } catch (error) {
+            console.error('Failed to load incidents:', error);
+            incidents = [];
+        }
+
+        const list = this.elements.incidentList;
+        list.innerHTML = '';
+        this.elements.incidentLog.classList.toggle('hidden', incidents.length === 0);
+
+        incidents.forEach((incident) => {
+            const item = document.createElement('ion-item');
+            const label = document.createElement('ion-label');
+
+            const title = document.createElement('h3');
+            title.textContent = new Date(incident.time).toLocaleString();
+            label.appendChild(title);
+
+            const details = document.createElement('p');
+            details.className = 'trip-item-summary';
+            details.textContent = this.formatIncident(incident);
+            label.appendChild(details);
+
+            item.appendChild(label);
+
+            if (incident.latitude !== null) {
+                const shareBtn = document.createElement('ion-button');
+                shareBtn.setAttribute('slot', 'end');
+                shareBtn.setAttribute('fill', 'clear');
+                shareBtn.innerHTML = '<ion-icon name="share-social-outline" slot="icon-only"></ion-icon>';
+                shareBtn.addEventListener('click', () => this.shareIncident(incident));
+                item.appendChild(shareBtn);
+            }
+
+            const deleteBtn = document.createElement('ion-button');
+            deleteBtn.setAttribute('slot', 'end');
+            deleteBtn.setAttribute('fill', 'clear');
+            deleteBtn.setAttribute('color', 'danger');
+            deleteBtn.innerHTML = '<ion-icon name="trash-outline" slot="icon-only"></ion-icon>';
+            deleteBtn.addEventListener('click', () => this.deleteIncident(incident.id));
+            item.appendChild(deleteBtn);
+
+            list.appendChild(item);
+        });
+    }
+
+    async deleteIncident(id) {
+        if (!window.confirm('Delete this incident?')) return;
+
+        try {
+            await this.storage.deleteIncident(id);
+        } catch (error) {
+            console.error('Failed to delete incident:', error);
+        }
+        this.renderIncidentList();
+    }
+
+    formatIncident(incident) {
+        return [
+            `${incident.peak.toFixed(1)} g`,
+            `from ${this.format.speed(incident.speedBefore)}`,
+            incident.status === 'cancelled' ? 'cancelled' : 'alerted'
+        ].join(' · ');
+    }
+
+    updateSpeedLimitLabels() {
+        this.updateUnitLabel('maxSpeed');
+        this.updateUnitLabel('speedTolerance');
+        this.elements.speedRepeatValue.textContent = this.SPEED_REPEAT_INTERVAL;
+    }
+
+    /**
+     * Add a circular zone around the current position
+     */
+    addZoneHere() {
+        if (!this.currentPosition) {
+            window.alert('No GPS position yet');
+            return;
+        }
+
+        try {
+            this.zones.add([{
+                name: `Zone ${this.zones.zones.length + 1}`,
+                limit: this.format.fromSpeedLimit(parseFloat(this.elements.zoneLimit.value)),
+                type: 'circle',
+                center: { latitude: this.currentPosition.latitude, longitude: this.currentPosition.longitude },
+                radius: parseFloat(this.elements.zoneRadius.value)
+            }]);
+            this.renderZoneList();
+        } catch (error) {
+            window.alert(error.message);
+        }
+    }
+
+    /**
+     * Let the user tap out a polygon zone on the dashboard map
+     */
+    startZoneDrawing() {
+        if (!this.map.position && this.map.path.length === 0) {
+            window.alert('No GPS position yet');
+            return;
+        }
+
+        this.elements.settingsPanel.classList.add('hidden');
+        this.map.startDraft();
+        this.setZoneDrawingControls(true);
+    }
+
+    /**
+     * Store the drawn polygon with the limit from the zone settings
+     */
+    finishZoneDrawing() {
+        const points = this.map.draft || [];
+        if (points.length < 3) {
+            window.alert('Tap at least 3 corners on the map');
+            return;
+        }
+
+        try {
+            this.zones.add([{
+                name: `Zone ${this.zones.zones.length + 1}`,
+                limit: this.format.fromSpeedLimit(parseFloat(this.elements.zoneLimit.value)),
+                type: 'polygon',
+                points: points.slice()
+            }]);
+            this.renderZoneList();
+            this.stopZoneDrawing();
+        } catch (error) {
+            window.alert(error.message);
+        }
+    }
+
+    stopZoneDrawing() {
+        this.map.endDraft();
+        this.setZoneDrawingControls(false);
+    }
+
+    setZoneDrawingControls(drawing) {
+        this.elements.mapDrawDone.classList.toggle('hidden', !drawing);
+        this.elements.mapDrawCancel.classList.toggle('hidden', !drawing);
+        this.elements.mapDrawHint.classList.toggle('hidden', !drawing);
+    }
+
+    /**
+     * Import zones from a GeoJSON file
+     */
+    async importZones(file) {
+        try {
+            const { zones, skipped } = SpeedZones.fromGeoJSON(await file.text());
+            this.zones.add(zones);
+            this.renderZoneList();
+            console.log(`Imported ${zones.length} speed zone(s) from ${file.name}` +
+                (skipped > 0 ? `, skipped ${skipped} feature(s) without a geometry` : ''));
+            if (skipped > 0) {
+                window.alert(`Imported ${zones.length} zone(s); skipped ${skipped} feature(s) without a geometry`);
+            }
+        } catch (error) {
+            console.error('Failed to import speed zones:', error);
+            window.alert(`Could not import zones: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the stored zones with delete buttons
+     */
+    renderZoneList() {
+        const list = this.elements.zoneList;
+        list.innerHTML = '';
+
+        this.zones.zones.forEach((zone) => {
+            const item = document.createElement('ion-item');
+
+            const label = document.createElement('ion-label');
+            label.textContent = `${zone.name} · ${Math.round(this.format.toSpeedLimit(zone.limit))} ${this.format.speedLabel}` +
+                (zone.type === 'circle' ? ` · ${zone.radius} m` : ` · ${zone.points.length} points`);
+            item.appendChild(label);
+
+            const deleteBtn = document.createElement('ion-button');
+            deleteBtn.setAttribute('slot', 'end');
+            deleteBtn.setAttribute('fill', 'clear');
+            deleteBtn.setAttribute('color', 'danger');
+            deleteBtn.innerHTML = '<ion-icon name="trash-outline" slot="icon-only"></ion-icon>';
+            deleteBtn.addEventListener('click', () => {
+                this.zones.remove(zone.id);
+                this.renderZoneList();
+            });
+            item.appendChild(deleteBtn);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Fire an alert on every channel: sound, voice and vibration
+     * @param {string} level - 'brake', 'hard-brake', 'emergency', 'hard-accel', 'cornering', 'speeding'
+     * @param {Object} params - Values for the spoken phrase
+     * @param {boolean} escalation - A harder braking level within the same stop
+     */
+    triggerAlert(level, params = {}, escalation = false) {
+        if (this.BRAKE_LEVELS.includes(level)) {
+            this.audio.playBrakeAlert(level, escalation);
+        } else {
+            this.audio.playAlert(level);
+        }
+        this.voice.announce(level, params);
+        this.haptics.vibrate(level);
+    }
+
+    /**
+     * One toggle per alert type; hidden behind a note where vibration is unsupported
+     */
+    renderHapticSettings() {
+        const supported = this.haptics.isSupported;
+        this.elements.hapticsToggle.disabled = !supported;
+        this.elements.hapticsUnsupported.classList.toggle('hidden', supported);
+
+        const list = this.elements.hapticLevels;
+        list.innerHTML = '';
+        if (!supported) return;
+
+        Object.keys(this.haptics.PATTERNS).forEach((level) => {
+            const item = document.createElement('ion-item');
+            const toggle = document.createElement('ion-toggle');
+            toggle.textContent = this.haptics.LABELS[level];
+            toggle.checked = this.haptics.levels[level];
+            toggle.addEventListener('ionChange', (e) => {
+                this.haptics.setLevel(level, e.detail.checked);
+                this.saveSettings();
+            });
+            item.appendChild(toggle);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Alert level for a (filtered) deceleration
+     */
+    getBrakeLevel(forward) {
+        if (forward < this.EMERGENCY_BRAKE_THRESHOLD) return 'emergency';
+        if (forward < this.HARD_BRAKE_THRESHOLD) return 'hard-brake';
+        return 'brake';
+    }
+
+    /**
+     * Alert once when hard acceleration or sharp cornering begins
+     */
+    checkManoeuvres(data) {
+        const isMoving = this.isMoving();
+
+        const hardAccel = isMoving && data.forward > this.HARD_ACCEL_THRESHOLD;
+        if (hardAccel && !this.isHardAccelerating) {
+            this.triggerAlert('hard-accel');
+        }
+        this.isHardAccelerating = hardAccel;
+
+        const cornering = isMoving && Math.abs(data.lateral || 0) > this.CORNERING_THRESHOLD;
+        if (cornering && !this.isCornering) {
+            this.triggerAlert('cornering');
+        }
+        this.isCornering = cornering;
+    }
+
+    /**
+     * Start or stop recording the current trip
+     */
+    async toggleRecording() {
+        try {
+            if (this.recorder.isRecording) {
+                await this.recorder.stop();
+            } else {
+                this.recorder.scoreThresholds = this.getScoreThresholds();
+                await this.recorder.start(this.dataSourceName);
+            }
+        } catch (error) {
+            console.error('Trip recording failed:', error);
+        }
+
+        const recording = this.recorder.isRecording;
+        this.elements.recordBtn.classList.toggle('recording', recording);
+        this.elements.tripToggleLabel.textContent = recording ? 'Stop Recording' : 'Start Recording';
+        this.elements.tripToggleBtn.color = recording ? 'danger' : 'primary';
+
+        if (!this.elements.tripsPanel.classList.contains('hidden')) {
+            this.renderTripList();
+        }
+    }
+
+    /**
+     * Render the list of recorded trips with their summaries
+     */
+    async renderTripList() {
+        // Only the latest of overlapping renders fills the list
+        const render = ++this.tripListRender;
+        let trips;
+        try {
+            trips = await this.storage.listTrips();
+        } catch (error) {
+            console.error('Failed to load trips:', error);
+            trips = [];
+        }
+
+        // Build every item before touching the list: recovering a trip awaits
+        const items = [];
+
+        for (const trip of trips) {
+            const isActive = this.recorder.trip && this.recorder.trip.id === trip.id;
+            let summary = trip.summary;
+
+            // Trip interrupted before stop() (e.g. page closed) - rebuild from samples
+            if (!summary && !isActive) {
+                summary = await this.recoverTrip(trip);
+            }
+
+            const item = document.createElement('ion-item');
+            const label = document.createElement('ion-label');
+
+            const title = document.createElement('h3');
+            title.textContent = new Date(trip.startTime).toLocaleString() +
+                (trip.source === 'simulator' ? ' (simulated)' : '');
+            label.appendChild(title);
+
+            const details = document.createElement('p');
+            details.className = 'trip-item-summary';
+            details.textContent = isActive ? 'Recording…' : this.formatTripSummary(summary);
+            label.appendChild(details);
+
+            item.appendChild(label);
+
+            if (!isActive) {
+                const replayBtn = document.createElement('ion-button');
+                replayBtn.setAttribute('slot', 'end');
+                replayBtn.setAttribute('fill', 'clear');
+                replayBtn.innerHTML = '<ion-icon name="play-outline" slot="icon-only"></ion-icon>';
+                replayBtn.addEventListener('click', () => this.replayTrip(trip));
+                item.appendChild(replayBtn);
+
+                const reportBtn = document.createElement('ion-button');
+                reportBtn.setAttribute('slot', 'end');
+                reportBtn.setAttribute('fill', 'clear');
+                reportBtn.innerHTML = '<ion-icon name="analytics-outline" slot="icon-only"></ion-icon>';
+                reportBtn.addEventListener('click', () => this.showReport(trip));
+                item.appendChild(reportBtn);
+
+                const exportBtn = document.createElement('ion-button');
+                exportBtn.setAttribute('slot', 'end');
+                exportBtn.setAttribute('fill', 'clear');
+                exportBtn.innerHTML = '<ion-icon name="download-outline" slot="icon-only"></ion-icon>';
+                exportBtn.addEventListener('click', () => this.showExportOptions(trip));
+                item.appendChild(exportBtn);
+
+                const deleteBtn = document.createElement('ion-button');
+                deleteBtn.setAttribute('slot', 'end');
+                deleteBtn.setAttribute('fill', 'clear');
+                deleteBtn.setAttribute('color', 'danger');
+                deleteBtn.innerHTML = '<ion-icon name="trash-outline" slot="icon-only"></ion-icon>';
+                deleteBtn.addEventListener('click', () => this.deleteTrip(trip.id));
+                item.appendChild(deleteBtn);
+            }
+
+            items.push(item);
+        }
+
+        if (render !== this.tripListRender) return;
+
+        const list = this.elements.tripList;
+        list.innerHTML = '';
+        items.forEach((item) => list.appendChild(item));
+        this.elements.tripListEmpty.classList.toggle('hidden', trips.length > 0);
+    }
+
+    /**
+     * Rebuild and store the summary of a trip that was never stopped
+     */
+    async recoverTrip(trip) {
+        try {
+            const samples = await this.storage.getSamples(trip.id);
+            const endTime = samples.length > 0 ? samples[samples.length - 1].t : trip.startTime;
+
+            trip.endTime = endTime;
+            trip.summary = TripRecorder.summarizeSamples(samples, trip.startTime, endTime, this.getScoreThresholds());
+            await this.storage.updateTrip(trip);
+
+            return trip.summary;
+        } catch (error) {
+            console.error('Failed to recover trip:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Score a trip with the current thresholds and show its report
+     */
+    async showReport(trip) {
+        let samples;
+        try {
+            samples = await this.storage.getSamples(trip.id);
+        } catch (error) {
+            console.error('Failed to load trip for report:', error);
+            return;
+        }
+
+        const report = DrivingScore.analyze(samples, this.getScoreThresholds());
+        const duration = (trip.endTime || trip.startTime) - trip.startTime;
+        this.renderReport(report, trip, duration, samples);
+
+        this.elements.tripsPanel.classList.add('hidden');
+        this.elements.reportPanel.classList.remove('hidden');
+    }
+
+    /**
+     * Fill the report panel: score, trip chart, per-category penalties and the event timeline
+     */
+    renderReport(report, trip, duration, samples = []) {
+        const LABELS = {
+            braking: 'Harsh braking',
+            acceleration: 'Harsh acceleration',
+            cornering: 'Sharp cornering',
+            speeding: 'Speeding',
+            handling: 'Phone handling'
+        };
+
+        this.elements.reportSubtitle.textContent = new Date(trip.startTime).toLocaleString();
+        this.reportChart.setData(this.getTripChartData(samples), trip.startTime, trip.startTime + duration);
+        this.elements.reportScore.textContent = report.score;
+
+        const categories = this.elements.reportCategories;
+        categories.innerHTML = '';
+        DrivingScore.CATEGORIES.forEach((category) => {
+            const entry = report.categories[category];
+
+            const item = document.createElement('ion-item');
+            const label = document.createElement('ion-label');
+            label.textContent = `${LABELS[category]} · ${entry.count}`;
+            item.appendChild(label);
+
+            const note = document.createElement('ion-note');
+            note.setAttribute('slot', 'end');
+            note.textContent = entry.penalty > 0 ? `−${entry.penalty.toFixed(1)}` : '0';
+            item.appendChild(note);
+
+            categories.appendChild(item);
+        });
+
+        // Timeline: one marker per event along the trip duration
+        const timeline = this.elements.reportTimeline;
+        timeline.innerHTML = '';
+        report.events.forEach((event) => {
+            const marker = document.createElement('span');
+            marker.className = `report-marker ${event.category}`;
+            marker.style.left = `${duration > 0 ? Math.min(100, (event.t - trip.startTime) / duration * 100) : 0}%`;
+            timeline.appendChild(marker);
+        });
+
+        const events = this.elements.reportEvents;
+        events.innerHTML = '';
+        this.elements.reportEventsEmpty.classList.toggle('hidden', report.events.length > 0);
+        report.events.forEach((event) => {
+            const item = document.createElement('ion-item');
+            const label = document.createElement('ion-label');
+            label.textContent = `${this.formatClock(event.t - trip.startTime)} ${LABELS[event.category]}`;
+            item.appendChild(label);
+
+            const note = document.createElement('ion-note');
+            note.setAttribute('slot', 'end');
+            note.textContent = this.formatEventPeak(event);
+            item.appendChild(note);
+
+            events.appendChild(item);
+        });
+    }
+
+    /**
+     * Chart series of a recorded trip
+     */
+    getTripChartData(samples) {
+        const data = { speed: [], forward: [] };
+        samples.forEach((sample) => {
+            if (sample.type === 'gps') {
+                data.speed.push({ t: sample.t, v: this.format.toSpeed(sample.data.speed || 0) });
+            } else if (sample.type === 'motion') {
+                data.forward.push({ t: sample.t, v: this.format.toAcceleration(sample.data.forward) });
+            }
+        });
+        return data;
+    }
+
+    formatEventPeak(event) {
+        switch (event.category) {
+            case 'speeding':
+                // Recorded in km/h, like the limits
+                return `${Math.round(this.format.toSpeedLimit(event.peak))} ${this.format.speedLabel}`;
+            case 'handling':
+                return `${Math.round(event.peak)}°/s`;
+            default:
+                return this.format.acceleration(Math.abs(event.peak));
+        }
+    }
+
+    /**
+     * Let the user pick an export format for a trip
+     */
+    showExportOptions(trip) {
+        const exportAs = (format) => {
+            TripExporter.exportTrip(this.storage, trip, format)
+                .catch((error) => console.error('Export failed:', error));
+        };
+
+        const sheet = document.createElement('ion-action-sheet');
+        sheet.header = 'Export trip';
+        sheet.buttons = [
+            { text: 'GPX (track)', handler: () => exportAs('gpx') },
+            { text: 'GeoJSON (track + brake events)', handler: () => exportAs('geojson') },
+            { text: 'CSV (motion stream)', handler: () => exportAs('csv') },
+            { text: 'Cancel', role: 'cancel' }
+        ];
+        sheet.addEventListener('didDismiss', () => sheet.remove());
+
+        document.body.appendChild(sheet);
+        sheet.present();
+    }
+
+    /**
+     * Delete a recorded trip after confirmation
+     */
+    async deleteTrip(tripId) {
+        if (!window.confirm('Delete this trip?')) return;
+
+        try {
+            await this.storage.deleteTrip(tripId);
+        } catch (error) {
+            console.error('Failed to delete trip:', error);
+        }
+        this.renderTripList();
+    }
+
+    /**
+     * Format a trip summary as a single line
+     */
+    formatTripSummary(summary) {
+        if (!summary) return 'No data';
+
+        const parts = [
+            this.formatClock(summary.duration),
+            this.format.distance(summary.distance),
+            `max ${this.format.speed(summary.maxSpeed)}`,
+            `avg ${this.format.speed(summary.avgSpeed)}`,
+            `${summary.brakeEvents} brake${summary.brakeEvents === 1 ? '' : 's'}`
+        ];
+
+        // Trips recorded before scoring existed have no score
+        if (summary.score !== undefined) {
+            parts.push(`score ${summary.score}`);
+        }
+        return parts.join(' · ');
+    }
+
     /**
      * Handle sensor errors
      */
     handleSensorError(sensor, message) {
         console.error(`Sensor error (${sensor}):`, message);
+
+        // Repeated GPS errors degrade, then lose, the fix rather than failing at once
+        if (sensor === 'gps') {
+            this.gpsHealth.recordError(message);
+            return;
+        }
         this.updateStatusIndicator(sensor, false, true);
 
         // Update UI for specific sensor errors
@@ -379,12 +2748,18 @@ class VelocitatsApp {
                 element = this.elements.gpsStatus;
                 break;
             case 'motion':
-            case 'orientation':
                 element = this.elements.motionStatus;
                 break;
+            case 'orientation':
+            case 'compass':
+                element = this.elements.compassStatus;
+                break;
             case 'wakelock':
                 element = this.elements.wakelockStatus;
                 break;
+            case 'mount':
+                element = this.elements.mountStatus;
+                break;
             default:
                 return;
         }
@@ -420,6 +2795,22 @@ class VelocitatsApp {
             this.updateStatusIndicator('wakelock', false, true);
         }
     }
+
+    /**
+     * Release the screen wake lock
+     */
+    async releaseWakeLock() {
+        if (this.wakeLock === null) return;
+
+        const wakeLock = this.wakeLock;
+        this.wakeLock = null;
+        try {
+            await wakeLock.release();
+        } catch (error) {
+            console.error('Wake Lock release failed:', error);
+        }
+        this.updateStatusIndicator('wakelock', false);
+    }
 }
 
 // Start the app when DOM is ready
@@ -0,0 +1,324 @@
+/**
+ * Velocitats - Arrow Renderer
+ * Canvas version of the dual-arrow compass, redrawn on animation frames.
+ * Sensor events only set targets; each frame eases the drawn angles towards
+ * them along the shortest arc (so 359° → 0° turns by 1°, not 359°) with an
+ * exponential time constant that also damps magnetometer noise. A fading
+ * trail follows the velocity tip, longer at higher speed.
+ *
+ * Same 200×200 geometry as the SVG in index.html, which stays in use when
+ * the canvas has no 2D context.
+ */
+
+class ArrowRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+
+        this.SMOOTHING_MS = 150;         // time constant of the easing
+        this.DEADBAND = 0.5;             // ° of compass change ignored as noise
+        this.SETTLED = 0.05;             // ° (and px) close enough to stop animating
+        this.MAX_SPEED = 30;             // m/s at full arrow length (~108 km/h)
+        this.MIN_LENGTH = 35;            // arrow length in view units
+        this.MAX_LENGTH = 70;
+        this.TRAIL_MS = 1500;            // trail duration at MAX_SPEED
+        this.MAX_FRAME_MS = 100;         // longer gaps (background tab) jump straight to the target
+
+        this.target = { azimuth: 0, bearing: 0, speed: 0 };
+        this.current = { azimuth: 0, bearing: 0, speed: 0 };
+        this.trail = [];                 // [{ t, x, y }] velocity tips in view units
+        this.initialized = false;
+        this.northReliable = true;       // dimmed when the compass has no absolute north
+
+        this.frameId = null;
+        this.lastFrame = null;
+
+        this.COLORS = {
+            ring: 'rgba(255, 255, 255, 0.1)',
+            face: 'rgba(99, 102, 241, 0.05)',
+            tick: 'rgba(255, 255, 255, 0.4)',
+            text: 'rgba(255, 255, 255, 0.7)',
+            north: '#3b82f6',
+            northUnreliable: 'rgba(59, 130, 246, 0.3)',
+            velocity: '#ef4444',
+            trail: '239, 68, 68',
+            center: '#12121a'
+        };
+    }
+
+    /**
+     * Signed difference from one angle to another along the shortest arc
+     * @returns {number} Degrees in (-180, 180]
+     */
+    static shortestDelta(from, to) {
+        const delta = (((to - from) % 360) + 360) % 360;
+        return delta > 180 ? delta - 360 : delta;
+    }
+
+    static normalize(angle) {
+        return ((angle % 360) + 360) % 360;
+    }
+
+    /**
+     * New sensor values; the drawing catches up over the next frames
+     * @param {Object} values - { azimuth, bearing, speed } (any subset)
+     */
+    setTarget(values) {
+        if (typeof values.azimuth === 'number' && isFinite(values.azimuth)) {
+            if (Math.abs(ArrowRenderer.shortestDelta(this.target.azimuth, values.azimuth)) >= this.DEADBAND || !this.initialized) {
+                this.target.azimuth = ArrowRenderer.normalize(values.azimuth);
+            }
+        }
+        if (typeof values.bearing === 'number' && isFinite(values.bearing)) {
+            this.target.bearing = ArrowRenderer.normalize(values.bearing);
+        }
+        if (typeof values.speed === 'number' && isFinite(values.speed)) {
+            this.target.speed = Math.max(values.speed, 0);
+        }
+
+        if (!this.initialized) {
+            // Nothing to ease from yet
+            this.current = { ...this.target };
+            this.initialized = true;
+        }
+        this.start();
+    }
+
+    /**
+     * Dim the north needle when it does not point at north
+     */
+    setNorthReliable(reliable) {
+        if (reliable === this.northReliable) return;
+        this.northReliable = reliable;
+        if (this.initialized) {
+            this.render();
+        }
+    }
+
+    /**
+     * Animate until the arrows reach their targets and the trail has faded
+     */
+    start() {
+        if (!this.ctx || this.frameId !== null) return;
+
+        const loop = (time) => {
+            const now = typeof time === 'number' ? time : Date.now();
+            const dt = this.lastFrame === null ? 0 : now - this.lastFrame;
+            this.lastFrame = now;
+
+            const moving = this.step(dt);
+            this.render(now);
+
+            if (moving || this.trail.length > 1) {
+                this.frameId = requestAnimationFrame(loop);
+            } else {
+                this.frameId = null;
+                this.lastFrame = null;
+            }
+        };
+        this.frameId = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+            this.lastFrame = null;
+        }
+    }
+
+    /**
+     * Ease the current angles and speed towards the targets
+     * @param {number} dt - ms since the previous frame
+     * @returns {boolean} True while still moving
+     */
+    step(dt) {
+        const k = dt > this.MAX_FRAME_MS || this.SMOOTHING_MS <= 0 ? 1 : 1 - Math.exp(-dt / this.SMOOTHING_MS);
+        let moving = false;
+
+        ['azimuth', 'bearing'].forEach((key) => {
+            const delta = ArrowRenderer.shortestDelta(this.current[key], this.target[key]);
+            if (Math.abs(delta) <= this.SETTLED) {
+                this.current[key] = this.target[key];
+            } else {
+                this.current[key] = ArrowRenderer.normalize(this.current[key] + delta * k);
+                moving = true;
+            }
+        });
+
+        const speedDelta = this.target.speed - this.current.speed;
+        if (Math.abs(speedDelta) <= this.SETTLED) {
+            this.current.speed = this.target.speed;
+        } else {
+            this.current.speed += speedDelta * k;
+            moving = true;
+        }
+
+        return moving;
+    }
+
+    /**
+     * Drawn velocity arrow: rotation relative to the screen and length
+     */
+    getVelocityArrow() {
+        const ratio = Math.min(this.current.speed / this.MAX_SPEED, 1);
+        return {
+            rotation: ArrowRenderer.normalize(this.current.bearing - this.current.azimuth),
+            length: this.MIN_LENGTH + (this.MAX_LENGTH - this.MIN_LENGTH) * ratio,
+            ratio: ratio
+        };
+    }
+
+    /**
+     * Record the velocity tip and drop points older than the speed-scaled window
+     */
+    updateTrail(now, arrow) {
+        const angle = arrow.rotation * Math.PI / 180;
+        const tip = {
+            t: now,
+            x: 100 + Math.sin(angle) * arrow.length,
+            y: 100 - Math.cos(angle) * arrow.length
+        };
+
+        // A steady arrow adds nothing, so the trail fades out and the loop can stop
+        const last = this.trail[this.trail.length - 1];
+        if (!last || Math.hypot(tip.x - last.x, tip.y - last.y) > this.SETTLED) {
+            this.trail.push(tip);
+        }
+
+        const span = this.TRAIL_MS * arrow.ratio;
+        while (this.trail.length > 0 && now - this.trail[0].t > span) {
+            this.trail.shift();
+        }
+    }
+
+    render(now = Date.now()) {
+        const ctx = this.ctx;
+        if (!ctx) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth || this.canvas.width;
+        const height = this.canvas.clientHeight || this.canvas.height;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+
+        // Work in the SVG's 200×200 view box
+        const scale = Math.min(width, height) / 200;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.translate((width - 200 * scale) / 2, (height - 200 * scale) / 2);
+        ctx.scale(scale, scale);
+
+        const arrow = this.getVelocityArrow();
+        this.updateTrail(now, arrow);
+
+        this.drawDial();
+        this.drawTrail(now);
+        this.drawNeedle(arrow.rotation, arrow.length, this.COLORS.velocity);
+    }
+
+    /**
+     * Compass ring, cardinals and north needle, rotated against the azimuth
+     */
+    drawDial() {
+        const ctx = this.ctx;
+
+        ctx.beginPath();
+        ctx.arc(100, 100, 85, 0, Math.PI * 2);
+        ctx.fillStyle = this.COLORS.face;
+        ctx.fill();
+
+        ctx.beginPath();
+        ctx.arc(100, 100, 90, 0, Math.PI * 2);
+        ctx.strokeStyle = this.COLORS.ring;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        ctx.save();
+        ctx.translate(100, 100);
+        ctx.rotate(-this.current.azimuth * Math.PI / 180);
+
+        ctx.font = '600 14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = this.COLORS.text;
+        ctx.strokeStyle = this.COLORS.tick;
+        ctx.beginPath();
+        for (let i = 0; i < 4; i++) {
+            const angle = i * Math.PI / 2;
+            ctx.moveTo(Math.sin(angle) * 85, -Math.cos(angle) * 85);
+            ctx.lineTo(Math.sin(angle) * 75, -Math.cos(angle) * 75);
+        }
+        ctx.stroke();
+
+        // Label positions from the SVG, relative to its centre
+        ctx.fillText('N', 0, -75);
+        ctx.fillText('E', 80, 5);
+        ctx.fillText('S', 0, 90);
+        ctx.fillText('W', -80, 5);
+        ctx.restore();
+
+        this.drawNeedle(ArrowRenderer.normalize(-this.current.azimuth), 70,
+            this.northReliable ? this.COLORS.north : this.COLORS.northUnreliable);
+
+        ctx.beginPath();
+        ctx.arc(100, 100, 8, 0, Math.PI * 2);
+        ctx.fillStyle = this.COLORS.center;
+        ctx.fill();
+        ctx.strokeStyle = this.COLORS.tick;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    /**
+     * Arrowhead pointing away from the centre (same shape as the SVG polygons)
+     */
+    drawNeedle(rotation, length, color) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.translate(100, 100);
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.beginPath();
+        ctx.moveTo(0, -length);
+        ctx.lineTo(-6, -length + 35);
+        ctx.lineTo(0, -length + 25);
+        ctx.lineTo(6, -length + 35);
+        ctx.closePath();
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 8;
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * Fading polyline through the recent velocity tips
+     */
+    drawTrail(now) {
+        const ctx = this.ctx;
+        const span = this.TRAIL_MS * Math.max(this.getVelocityArrow().ratio, 1e-6);
+
+        ctx.lineCap = 'round';
+        for (let i = 1; i < this.trail.length; i++) {
+            const from = this.trail[i - 1];
+            const to = this.trail[i];
+            const alpha = Math.max(1 - (now - to.t) / span, 0) * 0.6;
+            if (alpha <= 0) continue;
+
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.strokeStyle = `rgba(${this.COLORS.trail}, ${alpha})`;
+            ctx.lineWidth = 1 + 4 * alpha;
+            ctx.stroke();
+        }
+    }
+}
+
+window.ArrowRenderer = ArrowRenderer;
@@ -8,7 +8,67 @@ class AudioEngine {
         this.audioContext = null;
         this.isUnlocked = false;
         this.lastBeepTime = 0;
-        this.debounceMs = 1000; // 1 second between beeps
+        this.debounceMs = 1000; // 1 second between beeps (playBeep only)
+
+        // Graded alerts, each with its own debounce; a higher priority
+        // interrupts a lower one still sounding
+        this.alertLevels = {
+            'brake': {
+                priority: 2,
+                debounceMs: 1000,
+                // 880Hz (A5 note) for 150ms - sharp, noticeable but not alarming
+                tones: [{ frequency: 880, duration: 150, type: 'sine' }]
+            },
+            'hard-brake': {
+                priority: 3,
+                debounceMs: 1500,
+                tones: [
+                    { frequency: 1100, duration: 120, type: 'square' },
+                    { frequency: 1100, duration: 120, type: 'square', gap: 80 }
+                ]
+            },
+            'emergency': {
+                priority: 4,
+                debounceMs: 3000,
+                tones: [
+                    { frequency: 600, to: 1800, duration: 300, type: 'sawtooth' },
+                    { frequency: 600, to: 1800, duration: 300, type: 'sawtooth', gap: 60 },
+                    { frequency: 600, to: 1800, duration: 300, type: 'sawtooth', gap: 60 }
+                ]
+            },
+            'hard-accel': {
+                priority: 1,
+                debounceMs: 2000,
+                tones: [
+                    { frequency: 523, duration: 100, type: 'triangle' },
+                    { frequency: 659, duration: 100, type: 'triangle', gap: 40 }
+                ]
+            },
+            'speeding': {
+                priority: 1,
+                debounceMs: 1000,
+                tones: [
+                    { frequency: 988, duration: 200, type: 'sine' },
+                    { frequency: 740, duration: 300, type: 'sine', gap: 30 }
+                ]
+            },
+            'cornering': {
+                priority: 1,
+                debounceMs: 2000,
+                tones: [{ frequency: 700, to: 500, duration: 250, type: 'triangle' }]
+            },
+            'impact': {
+                // Repeated every second of the crash countdown: loud two-tone siren
+                priority: 5,
+                debounceMs: 900,
+                tones: [
+                    { frequency: 1400, duration: 350, type: 'square', volume: 1 },
+                    { frequency: 950, duration: 350, type: 'square', volume: 1, gap: 50 }
+                ]
+            }
+        };
+        this.lastAlertTimes = {};
+        this.currentAlert = null; // { level, priority, endsAt, nodes }
     }
 
     /**
@@ -92,11 +152,121 @@ class AudioEngine {
     }
 
     /**
-     * Play the braking alert beep
+     * Play the braking alert
+     * @param {string} level - 'brake', 'hard-brake' or 'emergency'
+     * @param {boolean} escalation - Braking got harder during the same stop:
+     *     the level's debounce is skipped so the stronger pattern is not lost
+     */
+    playBrakeAlert(level = 'brake', escalation = false) {
+        return this.playAlert(level, escalation);
+    }
+
+    /**
+     * Play a graded alert pattern
+     * @param {string} level - Key of this.alertLevels
+     * @param {boolean} skipDebounce - Play even inside the level's debounce window
+     * @returns {boolean} Whether it played (false when debounced or outranked)
+     */
+    playAlert(level, skipDebounce = false) {
+        const alert = this.alertLevels[level];
+        if (!alert) {
+            console.warn('Unknown alert level:', level);
+            return false;
+        }
+
+        if (!this.isUnlocked || !this.audioContext) {
+            console.warn('Audio not unlocked');
+            return false;
+        }
+
+        const now = Date.now();
+        if (!skipDebounce && now - (this.lastAlertTimes[level] || 0) < alert.debounceMs) {
+            return false;
+        }
+
+        // Only a higher priority may cut into an alert that is still sounding
+        if (this.currentAlert && now < this.currentAlert.endsAt) {
+            if (alert.priority <= this.currentAlert.priority) {
+                return false;
+            }
+            this.stopCurrentAlert();
+        }
+
+        try {
+            const nodes = [];
+            let offset = 0;
+            alert.tones.forEach((tone) => {
+                offset += (tone.gap || 0) / 1000;
+                nodes.push(this.scheduleTone(tone, this.audioContext.currentTime + offset));
+                offset += tone.duration / 1000;
+            });
+
+            this.lastAlertTimes[level] = now;
+            this.currentAlert = { level, priority: alert.priority, endsAt: now + offset * 1000, nodes };
+            return true;
+        } catch (error) {
+            console.error('Alert failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Schedule one tone (optionally sweeping to tone.to) at an audio-clock time.
+     * tone.volume defaults to 0.5
+     * @returns {Object} { oscillator, gainNode }
+     */
+    scheduleTone(tone, startTime) {
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        const endTime = startTime + (tone.duration / 1000);
+
+        oscillator.type = tone.type || 'sine';
+        oscillator.frequency.setValueAtTime(tone.frequency, startTime);
+        if (tone.to) {
+            oscillator.frequency.exponentialRampToValueAtTime(tone.to, endTime);
+        }
+
+        const volume = tone.volume || 0.5;
+        gainNode.gain.setValueAtTime(0, startTime);
+        gainNode.gain.linearRampToValueAtTime(volume, startTime + 0.01);
+        gainNode.gain.setValueAtTime(volume, endTime - 0.05);
+        gainNode.gain.linearRampToValueAtTime(0, endTime);
+
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+
+        oscillator.start(startTime);
+        oscillator.stop(endTime);
+
+        return { oscillator, gainNode };
+    }
+
+    /**
+     * Silence the alert in progress
+     */
+    stopCurrentAlert() {
+        if (!this.currentAlert) return;
+
+        this.currentAlert.nodes.forEach(({ oscillator, gainNode }) => {
+            try {
+                oscillator.stop();
+            } catch (e) {
+                // Already stopped or not yet started
+            }
+            gainNode.disconnect();
+        });
+        this.currentAlert = null;
+    }
+
+    /**
+     * Set the debounce interval of one alert level
+     * @param {string} level
+     * @param {number} ms
      */
-    playBrakeAlert() {
-        // 880Hz (A5 note) for 150ms - sharp, noticeable but not alarming
-        return this.playBeep(880, 150, 'sine');
+    setAlertDebounce(level, ms) {
+        if (this.alertLevels[level]) {
+            this.alertLevels[level].debounceMs = ms;
+        }
     }
 
     /**
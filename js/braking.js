@@ -0,0 +1,122 @@
+/**
+ * Velocitats - Brake Detector
+ * Filters the forward acceleration and decides when braking starts and
+ * ends, so single-sample spikes (road bumps) do not trigger alerts
+ */
+
+class BrakeDetector {
+    constructor() {
+        this.FILTERS = ['none', 'lowpass', 'average', 'median'];
+        this.MAX_WINDOW = 50;   // samples
+
+        this.reset();
+    }
+
+    /**
+     * Clear filter history and braking state
+     */
+    reset() {
+        this.samples = [];
+        this.smoothed = null;
+        this.filtered = null;
+        this.enterSince = null;
+        this.isBraking = false;
+        this.filterKey = null;
+    }
+
+    /**
+     * Feed one forward-acceleration sample
+     * @param {number} value - m/s², negative when decelerating
+     * @param {boolean} active - False when braking cannot apply (e.g. below the minimum speed)
+     * @param {Object} options
+     * @param {string} options.filter - 'none', 'lowpass', 'average' or 'median'
+     * @param {number} options.window - Filter length in samples (lowpass: equivalent time constant)
+     * @param {number} options.minDuration - ms the deceleration must persist before braking starts
+     * @param {number} options.enter - Threshold below which braking starts
+     * @param {number} options.exit - Threshold at or above which braking ends (never below enter)
+     * @returns {boolean} Whether braking is in progress
+     */
+    update(value, active, options) {
+        const filtered = this.filter(value, options.filter, options.window);
+
+        if (!active) {
+            this.enterSince = null;
+            this.isBraking = false;
+            return false;
+        }
+
+        if (this.isBraking) {
+            if (filtered >= Math.max(options.exit, options.enter)) {
+                this.isBraking = false;
+            }
+            return this.isBraking;
+        }
+
+        if (filtered < options.enter) {
+            const now = Date.now();
+            if (this.enterSince === null) {
+                this.enterSince = now;
+            }
+            if (now - this.enterSince >= (options.minDuration || 0)) {
+                this.isBraking = true;
+                this.enterSince = null;
+            }
+        } else {
+            this.enterSince = null;
+        }
+
+        return this.isBraking;
+    }
+
+    /**
+     * Apply the selected filter; changing filter or window restarts its history
+     * @returns {number} Filtered value (also kept in this.filtered)
+     */
+    filter(value, type = 'none', window = 1) {
+        const size = Math.min(Math.max(Math.round(window) || 1, 1), this.MAX_WINDOW);
+        const key = `${type}:${size}`;
+        if (key !== this.filterKey) {
+            this.samples = [];
+            this.smoothed = null;
+            this.filterKey = key;
+        }
+
+        switch (type) {
+            case 'lowpass': {
+                // Exponential moving average with the same lag as an N-sample average
+                const alpha = 2 / (size + 1);
+                this.smoothed = this.smoothed === null ? value : this.smoothed + alpha * (value - this.smoothed);
+                this.filtered = this.smoothed;
+                break;
+            }
+
+            case 'average':
+                this.push(value, size);
+                this.filtered = this.samples.reduce((sum, sample) => sum + sample, 0) / this.samples.length;
+                break;
+
+            case 'median': {
+                this.push(value, size);
+                const sorted = this.samples.slice().sort((a, b) => a - b);
+                const middle = Math.floor(sorted.length / 2);
+                this.filtered = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+                break;
+            }
+
+            default:
+                this.filtered = value;
+        }
+
+        return this.filtered;
+    }
+
+    push(value, size) {
+        this.samples.push(value);
+        if (this.samples.length > size) {
+            this.samples.shift();
+        }
+    }
+}
+
+// Export for use in app.js
+window.BrakeDetector = BrakeDetector;
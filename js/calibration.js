@@ -0,0 +1,175 @@
+/**
+ * Velocitats - Mount Calibration
+ * Guided two-step flow that learns how the phone sits in the vehicle:
+ *   1. gravity  - vehicle stationary, average the "up" vector
+ *   2. forward  - short straight acceleration, average the horizontal push
+ */
+
+class MountCalibration {
+    constructor() {
+        this.state = 'idle'; // idle, gravity, forward, done, failed
+        this.message = '';
+        this.progress = 0;   // 0-1 within the current step
+        this.mount = null;
+
+        // Step parameters
+        this.GRAVITY_SAMPLES = 90;          // ~1.5-3 s of motion events
+        this.STILL_LIMIT = 0.4;             // m/s² - max linear acceleration while "stationary"
+        this.STILL_SPEED = 0.5;             // m/s - max GPS speed while "stationary"
+        this.FORWARD_SAMPLES = 60;          // samples of clear acceleration needed
+        this.FORWARD_MIN_ACCEL = 1.0;       // m/s² - horizontal push that counts
+        this.FORWARD_CONSISTENCY = 0.8;     // resultant / sum of lengths
+        this.FORWARD_TIMEOUT_MS = 30000;
+
+        // Callbacks
+        this.onUpdate = null;   // (state, progress, message)
+        this.onComplete = null; // (mount)
+
+        this.reset();
+    }
+
+    /**
+     * Clear collected samples
+     */
+    reset() {
+        this.gravitySum = [0, 0, 0];
+        this.gravityCount = 0;
+        this.forwardSum = [0, 0, 0];
+        this.forwardLengthSum = 0;
+        this.forwardCount = 0;
+        this.forwardStartTime = null;
+        this.up = null;
+    }
+
+    get isActive() {
+        return this.state === 'gravity' || this.state === 'forward';
+    }
+
+    /**
+     * Begin the wizard at the gravity step
+     */
+    start() {
+        this.reset();
+        this.mount = null;
+        this.setState('gravity', 0, 'Keep the vehicle still…');
+    }
+
+    /**
+     * Abort the wizard
+     */
+    cancel() {
+        if (!this.isActive) return;
+        this.reset();
+        this.setState('idle', 0, 'Calibration cancelled');
+    }
+
+    /**
+     * Feed a motion sample (as emitted by SensorManager)
+     * @param {Object} motion - { x, y, z, gravity }
+     * @param {number} speed - Current GPS speed in m/s
+     */
+    addSample(motion, speed = 0) {
+        if (!this.isActive) return;
+
+        if (!motion.gravity) {
+            this.setState('failed', 0, 'This device does not report gravity - calibration unavailable');
+            return;
+        }
+
+        const gravity = [motion.gravity.x, motion.gravity.y, motion.gravity.z];
+        const linear = [motion.x, motion.y, motion.z];
+
+        if (this.state === 'gravity') {
+            this.addGravitySample(gravity, linear, speed);
+        } else {
+            this.addForwardSample(linear);
+        }
+    }
+
+    addGravitySample(gravity, linear, speed) {
+        const still = MotionProcessor.length(linear) < this.STILL_LIMIT && (speed || 0) < this.STILL_SPEED;
+
+        if (!still) {
+            // Any movement restarts the step
+            if (this.gravityCount > 0) {
+                this.gravitySum = [0, 0, 0];
+                this.gravityCount = 0;
+                this.setState('gravity', 0, 'Movement detected - keep the vehicle still…');
+            }
+            return;
+        }
+
+        this.gravitySum = [
+            this.gravitySum[0] + gravity[0],
+            this.gravitySum[1] + gravity[1],
+            this.gravitySum[2] + gravity[2]
+        ];
+        this.gravityCount++;
+
+        if (this.gravityCount >= this.GRAVITY_SAMPLES) {
+            this.up = MotionProcessor.normalize(this.gravitySum);
+            this.forwardStartTime = Date.now();
+            this.setState('forward', 0, 'Now accelerate gently in a straight line…');
+        } else {
+            this.setState('gravity', this.gravityCount / this.GRAVITY_SAMPLES, 'Keep the vehicle still…');
+        }
+    }
+
+    addForwardSample(linear) {
+        if (Date.now() - this.forwardStartTime > this.FORWARD_TIMEOUT_MS) {
+            this.setState('failed', 0, 'No clear acceleration detected - try again');
+            return;
+        }
+
+        const horizontal = MotionProcessor.projectOnPlane(linear, this.up);
+        const length = MotionProcessor.length(horizontal);
+        if (length < this.FORWARD_MIN_ACCEL) return;
+
+        this.forwardSum = [
+            this.forwardSum[0] + horizontal[0],
+            this.forwardSum[1] + horizontal[1],
+            this.forwardSum[2] + horizontal[2]
+        ];
+        this.forwardLengthSum += length;
+        this.forwardCount++;
+
+        if (this.forwardCount < this.FORWARD_SAMPLES) {
+            this.setState('forward', this.forwardCount / this.FORWARD_SAMPLES, 'Keep accelerating straight…');
+            return;
+        }
+
+        // Turning or bumps spread the samples out - demand a consistent direction
+        const consistency = MotionProcessor.length(this.forwardSum) / this.forwardLengthSum;
+        if (consistency < this.FORWARD_CONSISTENCY) {
+            this.forwardSum = [0, 0, 0];
+            this.forwardLengthSum = 0;
+            this.forwardCount = 0;
+            this.setState('forward', 0, 'Direction was unsteady - accelerate straight again…');
+            return;
+        }
+
+        this.mount = {
+            up: this.up,
+            forward: MotionProcessor.normalize(this.forwardSum),
+            calibratedAt: Date.now()
+        };
+        this.setState('done', 1, 'Calibration complete');
+
+        if (this.onComplete) {
+            this.onComplete(this.mount);
+        }
+    }
+
+    setState(state, progress, message) {
+        this.state = state;
+        this.progress = progress;
+        this.message = message;
+
+        if (this.onUpdate) {
+            this.onUpdate(state, progress, message);
+        }
+    }
+}
+
+// Export for use in app.js
+window.MountCalibration = MountCalibration;
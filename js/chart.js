@@ -0,0 +1,491 @@
+/**
+ * Velocitats - Time Series Chart
+ * Canvas line chart with a left and a right axis and horizontal threshold
+ * lines. Live mode scrolls with the clock (redrawn every animation frame);
+ * static mode shows a fixed range such as a whole trip.
+ *
+ * Touch: tap pauses/resumes the live view, pinch zooms the time axis,
+ * dragging pans while paused or static. Mouse wheel zooms on desktop.
+ */
+
+class TimeSeriesChart {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {Object[]} options.series - [{ key, label, color, axis: 'left'|'right', unit }]
+     * @param {number} options.span - Visible time span (ms)
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+
+        this.series = options.series || [];
+        this.data = {};                     // key -> { t: [], v: [] } in time order
+        this.series.forEach((series) => {
+            this.data[series.key] = { t: [], v: [] };
+        });
+        this.thresholds = {};               // name -> { axis, value, color, label }
+
+        this.MIN_SPAN = 5000;               // ms
+        this.MAX_SPAN = 300000;             // ms of live history kept for zooming out
+        this.span = options.span || 30000;
+
+        this.live = true;
+        this.paused = false;
+        this.end = null;                    // right edge (ms) when paused or static
+        this.range = null;                  // { start, end } of static data
+
+        this.frameId = null;
+        this.pointers = new Map();          // pointerId -> { x, startX, startTime, pinched }
+        this.pinch = null;                  // { distance, span }
+
+        this.COLORS = {
+            grid: 'rgba(255, 255, 255, 0.08)',
+            zero: 'rgba(255, 255, 255, 0.25)',
+            text: 'rgba(255, 255, 255, 0.5)'
+        };
+        this.PADDING = { left: 34, right: 34, top: 8, bottom: 18 };
+
+        if (this.canvas && this.canvas.addEventListener) {
+            this.bindGestures();
+        }
+    }
+
+    /**
+     * Append a live sample; history older than MAX_SPAN is dropped
+     */
+    push(key, t, value) {
+        const data = this.data[key];
+        if (!data || typeof value !== 'number' || !isFinite(value)) return;
+
+        data.t.push(t);
+        data.v.push(value);
+
+        // Trim in chunks rather than shifting every sample
+        if (data.t[0] < t - this.MAX_SPAN * 1.25) {
+            const cut = TimeSeriesChart.lowerBound(data.t, t - this.MAX_SPAN);
+            data.t.splice(0, cut);
+            data.v.splice(0, cut);
+        }
+    }
+
+    /**
+     * Show a fixed data set (e.g. a recorded trip)
+     * @param {Object} data - key -> [{ t, v }]
+     * @param {number} start - Range start (ms)
+     * @param {number} end - Range end (ms)
+     */
+    setData(data, start, end) {
+        this.series.forEach((series) => {
+            const points = data[series.key] || [];
+            this.data[series.key] = { t: points.map((p) => p.t), v: points.map((p) => p.v) };
+        });
+
+        this.live = false;
+        this.paused = false;
+        this.range = { start, end };
+        this.end = end;
+        this.span = Math.max(end - start, this.MIN_SPAN);
+        this.requestRender();
+    }
+
+    /**
+     * Convert a plotted series in place, e.g. after a display unit change
+     */
+    rescale(key, factor) {
+        const data = this.data[key];
+        if (!data || factor === 1) return;
+
+        data.v = data.v.map((value) => value * factor);
+        this.requestRender();
+    }
+
+    clear() {
+        Object.keys(this.data).forEach((key) => {
+            this.data[key] = { t: [], v: [] };
+        });
+    }
+
+    /**
+     * Add or move a horizontal line
+     * @param {string} name
+     * @param {Object} line - { axis, value, color, label }
+     */
+    setThreshold(name, line) {
+        this.thresholds[name] = { ...this.thresholds[name], ...line };
+        this.requestRender();
+    }
+
+    setSpan(span) {
+        const max = this.range ? Math.max(this.range.end - this.range.start, this.MIN_SPAN) : this.MAX_SPAN;
+        this.span = Math.min(Math.max(span, this.MIN_SPAN), max);
+        this.clampEnd();
+        this.requestRender();
+    }
+
+    /**
+     * Redraw every frame while live and not paused
+     */
+    start() {
+        if (!this.ctx || this.frameId !== null) return;
+
+        const loop = () => {
+            this.render();
+            this.frameId = this.live && !this.paused ? requestAnimationFrame(loop) : null;
+        };
+        this.frameId = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    setPaused(paused) {
+        if (!this.live) return;
+
+        this.paused = paused;
+        this.end = paused ? Date.now() : null;
+        if (paused) {
+            this.stop();
+            this.requestRender();
+        } else {
+            this.start();
+        }
+    }
+
+    /**
+     * Single redraw (static, paused or after a change)
+     */
+    requestRender() {
+        if (!this.ctx || this.frameId !== null) return;
+
+        this.frameId = requestAnimationFrame(() => {
+            this.frameId = null;
+            this.render();
+            if (this.live && !this.paused) {
+                this.start();
+            }
+        });
+    }
+
+    /**
+     * Visible time window
+     * @returns {Object} { start, end } in ms
+     */
+    getView() {
+        const end = this.live && !this.paused ? Date.now() : this.end;
+        return { start: end - this.span, end: end };
+    }
+
+    render() {
+        const ctx = this.ctx;
+        if (!ctx) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth || this.canvas.width;
+        const height = this.canvas.clientHeight || this.canvas.height;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const view = this.getView();
+        const plot = {
+            left: this.PADDING.left,
+            top: this.PADDING.top,
+            width: width - this.PADDING.left - this.PADDING.right,
+            height: height - this.PADDING.top - this.PADDING.bottom
+        };
+        const scales = {
+            left: this.getScale('left', view),
+            right: this.getScale('right', view)
+        };
+
+        this.drawGrid(plot, scales, view);
+
+        Object.values(this.thresholds).forEach((line) => {
+            const scale = scales[line.axis];
+            if (!scale || line.value < scale.min || line.value > scale.max) return;
+
+            const y = this.toY(line.value, scale, plot);
+            ctx.save();
+            ctx.setLineDash([6, 4]);
+            ctx.strokeStyle = line.color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.left + plot.width, y);
+            ctx.stroke();
+            ctx.restore();
+        });
+
+        this.series.forEach((series) => this.drawSeries(series, scales[series.axis], plot, view));
+
+        if (this.paused) {
+            ctx.fillStyle = this.COLORS.text;
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'right';
+            ctx.fillText('❚❚ paused', plot.left + plot.width, plot.top + 10);
+        }
+    }
+
+    /**
+     * Axis range from the visible data: speeds from 0, accelerations symmetric
+     */
+    getScale(axis, view) {
+        const series = this.series.filter((s) => s.axis === axis);
+        if (series.length === 0) return null;
+
+        let max = 0;
+        let min = 0;
+        series.forEach((s) => {
+            const data = this.data[s.key];
+            for (let i = TimeSeriesChart.lowerBound(data.t, view.start); i < data.t.length && data.t[i] <= view.end; i++) {
+                max = Math.max(max, data.v[i]);
+                min = Math.min(min, data.v[i]);
+            }
+        });
+        Object.values(this.thresholds).forEach((line) => {
+            if (line.axis === axis) {
+                max = Math.max(max, line.value);
+                min = Math.min(min, line.value);
+            }
+        });
+
+        if (min < 0) {
+            // Signed data (acceleration): symmetric around zero
+            const extent = TimeSeriesChart.niceCeil(Math.max(-min, max, 1) * 1.1);
+            return { min: -extent, max: extent };
+        }
+        return { min: 0, max: TimeSeriesChart.niceCeil(Math.max(max, 1) * 1.1) };
+    }
+
+    toX(t, plot, view) {
+        return plot.left + (t - view.start) / (view.end - view.start) * plot.width;
+    }
+
+    toY(value, scale, plot) {
+        return plot.top + (1 - (value - scale.min) / (scale.max - scale.min)) * plot.height;
+    }
+
+    drawGrid(plot, scales, view) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = this.COLORS.grid;
+        ctx.lineWidth = 1;
+        ctx.fillStyle = this.COLORS.text;
+        ctx.font = '10px sans-serif';
+
+        // Time grid: ~5 divisions at round steps
+        const step = TimeSeriesChart.niceCeil(this.span / 5 / 1000) * 1000;
+        const origin = this.live ? view.end : this.range.start;
+        ctx.textAlign = 'center';
+        ctx.beginPath();
+        for (let t = origin - Math.floor((origin - view.start) / step) * step; t <= view.end; t += step) {
+            if (t < view.start) continue;
+            const x = this.toX(t, plot, view);
+            ctx.moveTo(x, plot.top);
+            ctx.lineTo(x, plot.top + plot.height);
+
+            const seconds = Math.round((t - origin) / 1000);
+            const label = this.live ? `${seconds}s` : TimeSeriesChart.formatSeconds(seconds);
+            ctx.fillText(label, x, plot.top + plot.height + 12);
+        }
+        ctx.stroke();
+
+        // Axis labels, top and bottom of each scale
+        [['left', plot.left - 4, 'right'], ['right', plot.left + plot.width + 4, 'left']].forEach(([axis, x, align]) => {
+            const scale = scales[axis];
+            if (!scale) return;
+            ctx.textAlign = align;
+            ctx.fillText(String(scale.max), x, plot.top + 8);
+            ctx.fillText(String(scale.min), x, plot.top + plot.height);
+        });
+
+        // Zero line of a signed axis
+        const signed = scales.right && scales.right.min < 0 ? scales.right : (scales.left && scales.left.min < 0 ? scales.left : null);
+        if (signed) {
+            const y = this.toY(0, signed, plot);
+            ctx.strokeStyle = this.COLORS.zero;
+            ctx.beginPath();
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.left + plot.width, y);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Plot one series; dense data is reduced to min/max per pixel column
+     * so whole trips stay fast
+     */
+    drawSeries(series, scale, plot, view) {
+        const data = this.data[series.key];
+        if (!scale || data.t.length === 0) return;
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(plot.left, plot.top, plot.width, plot.height);
+        ctx.clip();
+
+        ctx.strokeStyle = series.color;
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+
+        let first = true;
+        let column = null;
+        let low = 0;
+        let high = 0;
+
+        const flush = () => {
+            if (column === null) return;
+            const yLow = this.toY(low, scale, plot);
+            const yHigh = this.toY(high, scale, plot);
+            if (first) {
+                ctx.moveTo(column, yLow);
+                first = false;
+            } else {
+                ctx.lineTo(column, yLow);
+            }
+            if (high !== low) {
+                ctx.lineTo(column, yHigh);
+            }
+        };
+
+        // Start one point early so the line enters from the left edge
+        const from = Math.max(TimeSeriesChart.lowerBound(data.t, view.start) - 1, 0);
+        for (let i = from; i < data.t.length; i++) {
+            const x = Math.round(this.toX(data.t[i], plot, view));
+            const value = data.v[i];
+
+            if (x !== column) {
+                flush();
+                column = x;
+                low = value;
+                high = value;
+            } else {
+                low = Math.min(low, value);
+                high = Math.max(high, value);
+            }
+
+            if (data.t[i] > view.end) break;
+        }
+        flush();
+
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Keep a paused or static view inside the available data
+     */
+    clampEnd() {
+        if (this.end === null) return;
+
+        const latest = this.range ? this.range.end : Date.now();
+        const earliest = this.range ? this.range.start + this.span : latest - this.MAX_SPAN + this.span;
+        this.end = Math.min(Math.max(this.end, earliest), latest);
+    }
+
+    bindGestures() {
+        const canvas = this.canvas;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            this.pointers.set(e.pointerId, { x: e.clientX, startX: e.clientX, startTime: Date.now(), pinched: false });
+            if (this.pointers.size === 2) {
+                this.pinch = { distance: this.pointerDistance(), span: this.span };
+                this.pointers.forEach((p) => {
+                    p.pinched = true;
+                });
+            }
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            const pointer = this.pointers.get(e.pointerId);
+            if (!pointer) return;
+
+            const dx = e.clientX - pointer.x;
+            pointer.x = e.clientX;
+
+            if (this.pinch && this.pointers.size === 2) {
+                // Fingers apart = zoom in (shorter span)
+                const distance = this.pointerDistance();
+                if (distance > 0) {
+                    this.setSpan(this.pinch.span * this.pinch.distance / distance);
+                }
+            } else if (this.pointers.size === 1 && this.end !== null) {
+                const width = (canvas.clientWidth || canvas.width) - this.PADDING.left - this.PADDING.right;
+                this.end -= dx / width * this.span;
+                this.clampEnd();
+                this.requestRender();
+            }
+        });
+
+        const release = (e) => {
+            const pointer = this.pointers.get(e.pointerId);
+            if (!pointer) return;
+            this.pointers.delete(e.pointerId);
+
+            if (this.pointers.size < 2) {
+                this.pinch = null;
+            }
+
+            // A short, still touch is a tap
+            const isTap = !pointer.pinched && Math.abs(e.clientX - pointer.startX) < 10 && Date.now() - pointer.startTime < 300;
+            if (isTap && e.type === 'pointerup') {
+                this.setPaused(!this.paused);
+            }
+        };
+        canvas.addEventListener('pointerup', release);
+        canvas.addEventListener('pointercancel', release);
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.setSpan(this.span * (e.deltaY > 0 ? 1.2 : 1 / 1.2));
+        });
+    }
+
+    pointerDistance() {
+        const [a, b] = Array.from(this.pointers.values());
+        return Math.abs(a.x - b.x);
+    }
+
+    /**
+     * First index with times[i] >= t (times sorted ascending)
+     */
+    static lowerBound(times, t) {
+        let lo = 0;
+        let hi = times.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (times[mid] < t) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    /**
+     * Round up to 1, 2 or 5 × 10^n
+     */
+    static niceCeil(value) {
+        const power = Math.pow(10, Math.floor(Math.log10(value)));
+        const fraction = value / power;
+        return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * power;
+    }
+
+    static formatSeconds(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
+
+// Export for use in app.js
+window.TimeSeriesChart = TimeSeriesChart;
@@ -0,0 +1,183 @@
+/**
+ * Velocitats - Compass Quality
+ * Judges whether the compass heading can be believed:
+ * - relative: the device only reports orientation relative to where it
+ *   started, so there is no north to point at
+ * - interference: the heading jitters back and forth, the platform reports a
+ *   poor accuracy, or its offset from the GPS course keeps wandering while
+ *   moving (a phone in a fixed mount keeps a steady offset; nearby metal or
+ *   magnets do not)
+ * Interference is what a figure-8 calibration fixes.
+ */
+
+class CompassMonitor {
+    constructor() {
+        this.WINDOW_MS = 1000;           // headings the jitter is measured over
+        this.MIN_SAMPLES = 10;           // ...once there are this many
+        this.ERRATIC_JITTER = 4;         // ° of back-and-forth per sample
+        this.POOR_ACCURACY = 25;         // ° - iOS webkitCompassAccuracy, negative when uncalibrated
+        this.COURSE_MIN_SPEED = 5;       // m/s - GPS course is trustworthy above this
+        this.COURSE_SAMPLES = 10;        // course comparisons kept
+        this.COURSE_SPREAD = 25;         // ° circular spread of (course - heading)
+        this.RECOVERY_MS = 5000;         // interference has to stay away this long
+
+        // Called with (state, status) whenever the state changes
+        this.onChange = null;
+
+        this.reset();
+    }
+
+    /**
+     * Forget all readings; the state is unknown (null) until the first heading
+     */
+    reset() {
+        this.headings = [];         // [{ t, azimuth }]
+        this.offsets = [];          // course - heading, degrees
+        this.absolute = null;
+        this.accuracy = null;
+        this.lastTrouble = null;    // when interference was last seen
+        this.state = null;
+        this.status = null;
+    }
+
+    /**
+     * Signed shortest difference between two angles
+     * @returns {number} Degrees in (-180, 180]
+     */
+    static delta(from, to) {
+        const delta = (((to - from) % 360) + 360) % 360;
+        return delta > 180 ? delta - 360 : delta;
+    }
+
+    /**
+     * Circular standard deviation of a set of angles
+     * @returns {number} Degrees
+     */
+    static spread(angles) {
+        const sin = angles.reduce((sum, angle) => sum + Math.sin(Geo.toRadians(angle)), 0) / angles.length;
+        const cos = angles.reduce((sum, angle) => sum + Math.cos(Geo.toRadians(angle)), 0) / angles.length;
+        const length = Math.min(Math.hypot(sin, cos), 1);
+        return length > 0 ? Geo.toDegrees(Math.sqrt(-2 * Math.log(length))) : 180;
+    }
+
+    /**
+     * A compass reading
+     * @param {Object} data - Orientation payload: { azimuth, absolute, accuracy }
+     *                        absolute/accuracy are left undefined by sources that do not know
+     */
+    addHeading(data, now = Date.now()) {
+        if (data.absolute !== undefined) {
+            this.absolute = data.absolute;
+        }
+        if (typeof data.accuracy === 'number' && isFinite(data.accuracy)) {
+            this.accuracy = data.accuracy;
+        }
+
+        this.headings.push({ t: now, azimuth: data.azimuth });
+        while (this.headings.length > 0 && now - this.headings[0].t > this.WINDOW_MS) {
+            this.headings.shift();
+        }
+        this.check(now);
+    }
+
+    /**
+     * A GPS course to compare the latest heading with
+     * @param {number} bearing - Degrees from true north
+     * @param {number} speed - m/s
+     */
+    addCourse(bearing, speed, now = Date.now()) {
+        const latest = this.headings[this.headings.length - 1];
+        if (!latest || typeof bearing !== 'number' || !(speed >= this.COURSE_MIN_SPEED)) return;
+
+        this.offsets.push(CompassMonitor.delta(latest.azimuth, bearing));
+        if (this.offsets.length > this.COURSE_SAMPLES) {
+            this.offsets.shift();
+        }
+        this.check(now);
+    }
+
+    /**
+     * Update the state and notify on changes
+     * @returns {Object} Current status
+     */
+    check(now = Date.now()) {
+        const status = this.evaluate();
+
+        // Stay on interference until it has been clear for a while
+        if (status.state === 'interference') {
+            this.lastTrouble = now;
+        } else if (status.state === 'good' && this.state === 'interference' &&
+            now - this.lastTrouble < this.RECOVERY_MS) {
+            status.state = 'interference';
+        }
+
+        const changed = status.state !== this.state;
+        this.status = status;
+        this.state = status.state;
+        if (changed && this.onChange) {
+            this.onChange(this.state, this.status);
+        }
+        return this.status;
+    }
+
+    /**
+     * Rate the compass without changing any state
+     * @returns {Object} { state, jitter, spread, accuracy, reasons }
+     */
+    evaluate() {
+        const reasons = [];
+
+        let jitter = null;
+        if (this.headings.length >= this.MIN_SAMPLES) {
+            // Path travelled minus net turn: zero for a steady turn, large for noise
+            let path = 0;
+            let net = 0;
+            for (let i = 1; i < this.headings.length; i++) {
+                const delta = CompassMonitor.delta(this.headings[i - 1].azimuth, this.headings[i].azimuth);
+                path += Math.abs(delta);
+                net += delta;
+            }
+            jitter = (path - Math.abs(net)) / (this.headings.length - 1);
+            if (jitter > this.ERRATIC_JITTER) {
+                reasons.push('erratic heading');
+            }
+        }
+
+        if (this.accuracy !== null && this.accuracy < 0) {
+            reasons.push('needs calibration');
+        } else if (this.accuracy !== null && this.accuracy > this.POOR_ACCURACY) {
+            reasons.push('accuracy');
+        }
+
+        const spread = this.offsets.length >= this.COURSE_SAMPLES ? CompassMonitor.spread(this.offsets) : null;
+        if (spread !== null && spread > this.COURSE_SPREAD) {
+            reasons.push('disagrees with GPS course');
+        }
+
+        let state = 'good';
+        if (this.absolute === false) {
+            state = 'relative';
+            reasons.unshift('no absolute north');
+        } else if (reasons.length > 0) {
+            state = 'interference';
+        }
+
+        return {
+            state: state,
+            jitter: jitter,
+            spread: spread,
+            accuracy: this.accuracy,
+            reasons: reasons
+        };
+    }
+
+    /**
+     * Whether the north arrow means anything
+     */
+    get isAbsolute() {
+        return this.absolute !== false;
+    }
+}
+
+// Export
+window.CompassMonitor = CompassMonitor;
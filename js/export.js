@@ -0,0 +1,221 @@
+/**
+ * Velocitats - Trip Export
+ * Converts recorded trips to GPX, GeoJSON and CSV and downloads them
+ */
+
+class TripExporter {
+    /**
+     * Export a stored trip and trigger a browser download
+     * @param {TripStorage} storage
+     * @param {Object} trip - Trip record
+     * @param {string} format - gpx, geojson or csv
+     */
+    static async exportTrip(storage, trip, format) {
+        const samples = await storage.getSamples(trip.id);
+        const baseName = TripExporter.fileName(trip);
+
+        switch (format) {
+            case 'gpx':
+                TripExporter.download(
+                    TripExporter.toGPX(trip, samples),
+                    `${baseName}.gpx`,
+                    'application/gpx+xml'
+                );
+                break;
+            case 'geojson':
+                TripExporter.download(
+                    JSON.stringify(TripExporter.toGeoJSON(trip, samples), null, 2),
+                    `${baseName}.geojson`,
+                    'application/geo+json'
+                );
+                break;
+            case 'csv':
+                TripExporter.download(
+                    TripExporter.toCSV(samples),
+                    `${baseName}.csv`,
+                    'text/csv'
+                );
+                break;
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * GPX 1.1 document: one track segment plus brake events as waypoints
+     * Speed (m/s) and course (degrees) use the Garmin TrackPointExtension v2
+     */
+    static toGPX(trip, samples) {
+        const fixes = samples.filter((sample) => sample.type === 'gps');
+        const brakes = samples.filter((sample) => sample.type === 'brake' && TripExporter.isNumber(sample.data.latitude));
+        const name = TripExporter.escapeXml(`Velocitats ${new Date(trip.startTime).toISOString()}`);
+
+        const waypoints = brakes.map((sample) => [
+            `  <wpt lat="${sample.data.latitude}" lon="${sample.data.longitude}">`,
+            `    <time>${new Date(sample.t).toISOString()}</time>`,
+            `    <name>Brake ${sample.data.forward.toFixed(1)} m/s²</name>`,
+            '    <type>brake</type>',
+            '  </wpt>'
+        ].join('\n'));
+
+        const trackpoints = fixes.map((sample) => {
+            const fix = sample.data;
+            const extensions = [];
+            if (TripExporter.isNumber(fix.speed)) {
+                extensions.push(`<gpxtpx:speed>${fix.speed.toFixed(2)}</gpxtpx:speed>`);
+            }
+            if (TripExporter.isNumber(fix.bearing)) {
+                extensions.push(`<gpxtpx:course>${fix.bearing.toFixed(1)}</gpxtpx:course>`);
+            }
+
+            return [
+                `      <trkpt lat="${fix.latitude}" lon="${fix.longitude}">`,
+                `        <time>${new Date(TripExporter.fixTime(sample)).toISOString()}</time>`,
+                extensions.length > 0
+                    ? `        <extensions><gpxtpx:TrackPointExtension>${extensions.join('')}</gpxtpx:TrackPointExtension></extensions>`
+                    : null,
+                '      </trkpt>'
+            ].filter((line) => line !== null).join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="Velocitats"',
+            '  xmlns="http://www.topografix.com/GPX/1/1"',
+            '  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"',
+            '  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+            '  xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+            '  <metadata>',
+            `    <name>${name}</name>`,
+            `    <time>${new Date(trip.startTime).toISOString()}</time>`,
+            '  </metadata>',
+            ...waypoints,
+            '  <trk>',
+            `    <name>${name}</name>`,
+            '    <trkseg>',
+            ...trackpoints,
+            '    </trkseg>',
+            '  </trk>',
+            '</gpx>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * GeoJSON FeatureCollection: the track as a LineString, brake events as Points
+     */
+    static toGeoJSON(trip, samples) {
+        const fixes = samples.filter((sample) => sample.type === 'gps');
+        const brakes = samples.filter((sample) => sample.type === 'brake' && TripExporter.isNumber(sample.data.latitude));
+
+        const track = {
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: fixes.map((sample) => [sample.data.longitude, sample.data.latitude])
+            },
+            properties: {
+                kind: 'track',
+                source: trip.source,
+                startTime: new Date(trip.startTime).toISOString(),
+                endTime: trip.endTime ? new Date(trip.endTime).toISOString() : null,
+                summary: trip.summary,
+                // Per-vertex attributes, parallel to the coordinates array
+                times: fixes.map((sample) => new Date(TripExporter.fixTime(sample)).toISOString()),
+                speeds: fixes.map((sample) => sample.data.speed),
+                bearings: fixes.map((sample) => sample.data.bearing)
+            }
+        };
+
+        const brakeFeatures = brakes.map((sample) => ({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [sample.data.longitude, sample.data.latitude]
+            },
+            properties: {
+                kind: 'brake',
+                time: new Date(sample.t).toISOString(),
+                forward: sample.data.forward,
+                speed: sample.data.speed
+            }
+        }));
+
+        return {
+            type: 'FeatureCollection',
+            features: [track, ...brakeFeatures]
+        };
+    }
+
+    /**
+     * CSV of the raw motion stream
+     */
+    static toCSV(samples) {
+        const header = 'timestamp,time,x,y,z,magnitude,forward';
+        const rows = samples
+            .filter((sample) => sample.type === 'motion')
+            .map((sample) => [
+                sample.t,
+                new Date(sample.t).toISOString(),
+                sample.data.x,
+                sample.data.y,
+                sample.data.z,
+                sample.data.magnitude,
+                sample.data.forward
+            ].map((value) => TripExporter.isNumber(value) ? +value.toFixed(4) : value).join(','));
+
+        return [header, ...rows, ''].join('\n');
+    }
+
+    /**
+     * Offer text content as a file download (no server involved)
+     */
+    static download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser time to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * File name stem for a trip, e.g. velocitats-2024-05-01-1830
+     */
+    static fileName(trip) {
+        const date = new Date(trip.startTime);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `velocitats-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Time of a GPS fix: the position timestamp, or when it was recorded
+     */
+    static fixTime(sample) {
+        return sample.data.timestamp || sample.t;
+    }
+
+    static isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// Export for use in app.js
+window.TripExporter = TripExporter;
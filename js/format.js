@@ -0,0 +1,437 @@
+/**
+ * Velocitats - Formatter
+ * Display units and coordinate formats. Everything else in the app works in
+ * SI (m/s, m/s², m) with speed limits in km/h; values are converted here, at
+ * the edge of the UI, to the units the user picked:
+ *   speed         m/s, km/h, mph, knots (distances follow: km, mi, nmi)
+ *   acceleration  m/s² or g
+ *   coordinates   DD, DDM, DMS, UTM, MGRS or Plus Code
+ */
+
+class Formatter {
+    constructor() {
+        this.speedUnit = 'kmh';
+        this.accelerationUnit = 'ms2';
+        this.coordinateFormat = 'dms';
+
+        // factor: display units per m/s; distance: the matching long distance unit
+        this.SPEED_UNITS = {
+            'ms': { label: 'm/s', factor: 1, distance: 'km' },
+            'kmh': { label: 'km/h', factor: 3.6, distance: 'km' },
+            'mph': { label: 'mph', factor: 3600 / 1609.344, distance: 'mi' },
+            'knots': { label: 'kn', factor: 3600 / 1852, distance: 'nmi' }
+        };
+
+        this.DISTANCE_UNITS = {
+            'km': 1000,
+            'mi': 1609.344,
+            'nmi': 1852
+        };
+
+        // factor: display units per m/s²
+        this.ACCELERATION_UNITS = {
+            'ms2': { label: 'm/s²', factor: 1 },
+            'g': { label: 'g', factor: 1 / Formatter.GRAVITY }
+        };
+
+        this.COORDINATE_FORMATS = {
+            'dd': 'Decimal degrees',
+            'ddm': 'Degrees, decimal minutes',
+            'dms': 'Degrees, minutes, seconds',
+            'utm': 'UTM',
+            'mgrs': 'MGRS',
+            'pluscode': 'Plus Code'
+        };
+    }
+
+    static get GRAVITY() {
+        return 9.80665;
+    }
+
+    // ---- Speed, acceleration and distance ----
+
+    get speedLabel() {
+        return this.SPEED_UNITS[this.speedUnit].label;
+    }
+
+    get accelerationLabel() {
+        return this.ACCELERATION_UNITS[this.accelerationUnit].label;
+    }
+
+    /**
+     * @param {number} speed - m/s
+     * @returns {number} In the selected speed unit
+     */
+    toSpeed(speed) {
+        return speed * this.SPEED_UNITS[this.speedUnit].factor;
+    }
+
+    /**
+     * @param {number} value - In the selected speed unit
+     * @returns {number} m/s
+     */
+    fromSpeed(value) {
+        return value / this.SPEED_UNITS[this.speedUnit].factor;
+    }
+
+    /**
+     * @param {number} acceleration - m/s²
+     * @returns {number} In the selected acceleration unit
+     */
+    toAcceleration(acceleration) {
+        return acceleration * this.ACCELERATION_UNITS[this.accelerationUnit].factor;
+    }
+
+    fromAcceleration(value) {
+        return value / this.ACCELERATION_UNITS[this.accelerationUnit].factor;
+    }
+
+    /**
+     * Speed limits are kept in km/h, as signposted in most of the world
+     * (factor / 3.6 is exactly 1 for km/h, so limits round-trip unchanged)
+     */
+    toSpeedLimit(kmh) {
+        return kmh * (this.SPEED_UNITS[this.speedUnit].factor / 3.6);
+    }
+
+    fromSpeedLimit(value) {
+        return value / (this.SPEED_UNITS[this.speedUnit].factor / 3.6);
+    }
+
+    /**
+     * Convert a stored value for display
+     * @param {string} quantity - 'speed' (m/s), 'limit' (km/h) or 'acceleration' (m/s²)
+     */
+    toDisplay(quantity, value) {
+        switch (quantity) {
+            case 'speed': return this.toSpeed(value);
+            case 'limit': return this.toSpeedLimit(value);
+            default: return this.toAcceleration(value);
+        }
+    }
+
+    fromDisplay(quantity, value) {
+        switch (quantity) {
+            case 'speed': return this.fromSpeed(value);
+            case 'limit': return this.fromSpeedLimit(value);
+            default: return this.fromAcceleration(value);
+        }
+    }
+
+    label(quantity) {
+        return quantity === 'acceleration' ? this.accelerationLabel : this.speedLabel;
+    }
+
+    /**
+     * Decimals that keep the same resolution as one decimal of m/s²
+     */
+    get accelerationDigits() {
+        return this.accelerationUnit === 'g' ? 2 : 1;
+    }
+
+    speed(speed, digits = 0) {
+        return `${this.toSpeed(speed).toFixed(digits)} ${this.speedLabel}`;
+    }
+
+    acceleration(acceleration, digits = this.accelerationDigits) {
+        return `${this.toAcceleration(acceleration).toFixed(digits)} ${this.accelerationLabel}`;
+    }
+
+    /**
+     * Trip distances in the unit that goes with the speed unit
+     * @param {number} meters
+     */
+    distance(meters, digits = 2) {
+        const unit = this.SPEED_UNITS[this.speedUnit].distance;
+        return `${(meters / this.DISTANCE_UNITS[unit]).toFixed(digits)} ${unit}`;
+    }
+
+    /**
+     * Slider bounds in display units for a stored setting
+     * @param {string} quantity - See toDisplay()
+     * @param {number} min - Stored units
+     * @param {number} max - Stored units
+     * @param {number} step - Stored units; the display step is the next 1-2-5 value
+     * @returns {Object} { min, max, step, digits, round } in display units
+     */
+    range(quantity, min, max, step) {
+        const convert = (value) => this.toDisplay(quantity, value);
+        const displayStep = Formatter.niceStep(Math.abs(convert(step)));
+        const digits = Math.max(0, -Math.floor(Math.log10(displayStep) + 1e-9));
+        const round = (value) => +(Math.round(value / displayStep) * displayStep).toFixed(digits);
+
+        return {
+            min: round(convert(min)),
+            max: round(convert(max)),
+            step: displayStep,
+            digits: digits,
+            round: round
+        };
+    }
+
+    /**
+     * Smallest 1, 2 or 5 × 10ⁿ not below the given step, with 10% slack so
+     * 0.051 g still rounds to 0.05 rather than 0.1
+     */
+    static niceStep(raw) {
+        const target = raw / 1.1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+        const nice = [1, 2, 5, 10].find((candidate) => candidate * magnitude >= target);
+        return +(nice * magnitude).toPrecision(1);
+    }
+
+    // ---- Directions ----
+
+    /**
+     * Compass point for a bearing
+     * @param {number} bearing - Degrees
+     * @param {number} points - 8 or 16
+     */
+    static bearingToCardinal(bearing, points = 16) {
+        const directions = points === 8
+            ? ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+            : ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+        const normalized = ((bearing % 360) + 360) % 360;
+        return directions[Math.round(normalized / (360 / points)) % points];
+    }
+
+    // ---- Coordinates ----
+
+    /**
+     * Position in the selected format, as labelled rows for the coordinates card
+     * @returns {Object[]} [{ label, text }]; one row for the grid formats
+     */
+    position(latitude, longitude) {
+        switch (this.coordinateFormat) {
+            case 'dd':
+                return [
+                    { label: 'LAT', text: Formatter.toDD(latitude, true) },
+                    { label: 'LNG', text: Formatter.toDD(longitude, false) }
+                ];
+            case 'ddm':
+                return [
+                    { label: 'LAT', text: Formatter.toDDM(latitude, true) },
+                    { label: 'LNG', text: Formatter.toDDM(longitude, false) }
+                ];
+            case 'utm':
+            case 'mgrs': {
+                const text = this.coordinateFormat === 'utm'
+                    ? Formatter.formatUTM(latitude, longitude)
+                    : Formatter.toMGRS(latitude, longitude);
+                // No UPS near the poles: fall back to degrees
+                return text
+                    ? [{ label: this.coordinateFormat.toUpperCase(), text: text }]
+                    : [{ label: 'DD', text: `${latitude.toFixed(6)}, ${longitude.toFixed(6)}` }];
+            }
+            case 'pluscode':
+                return [{ label: 'PLUS', text: Formatter.toPlusCode(latitude, longitude) }];
+            default:
+                return [
+                    { label: 'LAT', text: Formatter.toDMS(latitude, true) },
+                    { label: 'LNG', text: Formatter.toDMS(longitude, false) }
+                ];
+        }
+    }
+
+    static hemisphere(decimal, isLatitude) {
+        if (isLatitude) {
+            return decimal >= 0 ? 'N' : 'S';
+        }
+        return decimal >= 0 ? 'E' : 'W';
+    }
+
+    static toDD(decimal, isLatitude) {
+        return `${Math.abs(decimal).toFixed(6)}° ${Formatter.hemisphere(decimal, isLatitude)}`;
+    }
+
+    /**
+     * Degrees and decimal minutes, the usual marine and GPS receiver format
+     */
+    static toDDM(decimal, isLatitude) {
+        const absolute = Math.abs(decimal);
+        let degrees = Math.floor(absolute);
+        let minutes = ((absolute - degrees) * 60).toFixed(4);
+        if (parseFloat(minutes) >= 60) {
+            degrees += 1;
+            minutes = (0).toFixed(4);
+        }
+        return `${degrees}° ${minutes}' ${Formatter.hemisphere(decimal, isLatitude)}`;
+    }
+
+    /**
+     * Convert decimal degrees to DMS format
+     */
+    static toDMS(decimal, isLatitude) {
+        const absolute = Math.abs(decimal);
+        let degrees = Math.floor(absolute);
+        const minutesFloat = (absolute - degrees) * 60;
+        let minutes = Math.floor(minutesFloat);
+        let seconds = ((minutesFloat - minutes) * 60).toFixed(3);
+        // Carry seconds that round up to 60 into the minutes, and on into the degrees
+        if (parseFloat(seconds) >= 60) {
+            seconds = (0).toFixed(3);
+            minutes += 1;
+            if (minutes === 60) {
+                minutes = 0;
+                degrees += 1;
+            }
+        }
+
+        return `${degrees}° ${minutes}' ${seconds}" ${Formatter.hemisphere(decimal, isLatitude)}`;
+    }
+
+    /**
+     * WGS84 to UTM (transverse Mercator series, Snyder 1987), with the
+     * Norway and Svalbard zone exceptions
+     * @returns {Object|null} { zone, band, easting, northing }, null outside 80°S–84°N
+     */
+    static toUTM(latitude, longitude) {
+        if (!(latitude >= -80 && latitude < 84)) return null;
+
+        const lon = ((((longitude + 180) % 360) + 360) % 360) - 180;
+        let zone = Math.floor((lon + 180) / 6) + 1;
+        if (latitude >= 56 && latitude < 64 && lon >= 3 && lon < 12) {
+            zone = 32;
+        } else if (latitude >= 72) {
+            if (lon >= 0 && lon < 9) zone = 31;
+            else if (lon >= 9 && lon < 21) zone = 33;
+            else if (lon >= 21 && lon < 33) zone = 35;
+            else if (lon >= 33 && lon < 42) zone = 37;
+        }
+
+        const a = 6378137;
+        const f = 1 / 298.257223563;
+        const k0 = 0.9996;
+        const e2 = f * (2 - f);
+        const ep2 = e2 / (1 - e2);
+
+        const phi = latitude * Math.PI / 180;
+        const lambda0 = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180;
+        const sin = Math.sin(phi);
+        const cos = Math.cos(phi);
+        const tan = Math.tan(phi);
+
+        const N = a / Math.sqrt(1 - e2 * sin * sin);
+        const T = tan * tan;
+        const C = ep2 * cos * cos;
+        const A = cos * (lon * Math.PI / 180 - lambda0);
+        const M = a * (
+            (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256) * phi -
+            (3 * e2 / 8 + 3 * e2 * e2 / 32 + 45 * e2 * e2 * e2 / 1024) * Math.sin(2 * phi) +
+            (15 * e2 * e2 / 256 + 45 * e2 * e2 * e2 / 1024) * Math.sin(4 * phi) -
+            (35 * e2 * e2 * e2 / 3072) * Math.sin(6 * phi)
+        );
+
+        const easting = 500000 + k0 * N * (
+            A + (1 - T + C) * Math.pow(A, 3) / 6 +
+            (5 - 18 * T + T * T + 72 * C - 58 * ep2) * Math.pow(A, 5) / 120
+        );
+        let northing = k0 * (M + N * tan * (
+            A * A / 2 + (5 - T + 9 * C + 4 * C * C) * Math.pow(A, 4) / 24 +
+            (61 - 58 * T + T * T + 600 * C - 330 * ep2) * Math.pow(A, 6) / 720
+        ));
+        if (latitude < 0) {
+            northing += 10000000;
+        }
+
+        // Latitude bands of 8°, X stretched to 84°N
+        const band = 'CDEFGHJKLMNPQRSTUVWXX'[Math.floor((latitude + 80) / 8)];
+
+        return { zone, band, easting, northing };
+    }
+
+    static formatUTM(latitude, longitude) {
+        const utm = Formatter.toUTM(latitude, longitude);
+        if (!utm) return null;
+        return `${utm.zone}${utm.band} ${Math.floor(utm.easting)}E ${Math.floor(utm.northing)}N`;
+    }
+
+    /**
+     * Military Grid Reference System: UTM zone and band, 100 km square letters,
+     * then easting and northing within the square
+     * @param {number} digits - Per axis: 5 = 1 m, 4 = 10 m, ...
+     */
+    static toMGRS(latitude, longitude, digits = 5) {
+        const utm = Formatter.toUTM(latitude, longitude);
+        if (!utm) return null;
+
+        // Column letters cycle every three zones, row letters shift by five on even zones
+        const set = ((utm.zone - 1) % 3);
+        const columns = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'][set];
+        const rows = 'ABCDEFGHJKLMNPQRSTUV';
+
+        const column = columns[Math.floor(utm.easting / 100000) - 1];
+        const row = rows[(Math.floor(utm.northing / 100000) + (utm.zone % 2 === 0 ? 5 : 0)) % 20];
+
+        const scale = Math.pow(10, 5 - digits);
+        const pad = (value) => String(Math.floor((Math.floor(value) % 100000) / scale)).padStart(digits, '0');
+
+        return `${utm.zone}${utm.band} ${column}${row} ${pad(utm.easting)} ${pad(utm.northing)}`;
+    }
+
+    /**
+     * Open Location Code (Plus Code)
+     * @param {number} length - Digits, 10 (≈14 m) by default; even, up to 10
+     */
+    static toPlusCode(latitude, longitude, length = 10) {
+        const alphabet = '23456789CFGHJMPQRVWX';
+        const pairs = length / 2;
+        const cells = Math.pow(20, pairs - 2);          // cells per degree at this length
+
+        let lat = Math.min(Math.max(latitude, -90), 90);
+        const lon = ((((longitude + 180) % 360) + 360) % 360) - 180;
+
+        // Integer cell indices; rounding first avoids 0.1 + 0.2 style errors
+        let latCell = Math.floor(Math.round((lat + 90) * cells * 1e6) / 1e6);
+        const lonCell = Math.floor(Math.round((lon + 180) * cells * 1e6) / 1e6);
+        if (latCell >= 180 * cells) {
+            latCell = 180 * cells - 1;   // the north pole belongs to the top cell
+        }
+
+        let code = '';
+        let latRest = latCell;
+        let lonRest = lonCell;
+        for (let i = 0; i < pairs; i++) {
+            code = alphabet[latRest % 20] + alphabet[lonRest % 20] + code;
+            latRest = Math.floor(latRest / 20);
+            lonRest = Math.floor(lonRest / 20);
+        }
+
+        if (code.length < 8) {
+            return code.padEnd(8, '0') + '+';
+        }
+        return `${code.slice(0, 8)}+${code.slice(8)}`;
+    }
+
+    // ---- Settings ----
+
+    /**
+     * Settings snapshot for localStorage
+     */
+    toJSON() {
+        return {
+            speed: this.speedUnit,
+            acceleration: this.accelerationUnit,
+            coordinates: this.coordinateFormat
+        };
+    }
+
+    /**
+     * Restore a snapshot from toJSON(); unknown values are ignored
+     */
+    restore(settings) {
+        if (!settings) return;
+        if (settings.speed in this.SPEED_UNITS) {
+            this.speedUnit = settings.speed;
+        }
+        if (settings.acceleration in this.ACCELERATION_UNITS) {
+            this.accelerationUnit = settings.acceleration;
+        }
+        if (settings.coordinates in this.COORDINATE_FORMATS) {
+            this.coordinateFormat = settings.coordinates;
+        }
+    }
+}
+
+// Export for use in app.js
+window.Formatter = Formatter;
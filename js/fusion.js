@@ -0,0 +1,366 @@
+/**
+ * Velocitats - Sensor Fusion
+ * Extended Kalman filter over position, speed, heading and forward
+ * acceleration. Sits between a data source (SensorManager, SensorSimulator)
+ * and the app: ~1 Hz GPS fixes correct the filter, every devicemotion event
+ * advances it, so speed and heading come out smoothed at the motion rate.
+ */
+
+class SensorFusion {
+    constructor() {
+        // Same callback interface as the data sources it wraps
+        this.onGpsUpdate = null;
+        this.onOrientationUpdate = null;
+        this.onMotionUpdate = null;
+
+        this.source = null;
+        this.enabled = true;
+
+        // Process noise (standard deviations per second)
+        this.POSITION_NOISE = 0.5;      // m
+        this.SPEED_NOISE = 0.5;         // m/s
+        this.HEADING_NOISE = 30;        // degrees
+        this.JERK_NOISE = 10;           // m/s³
+
+        // Measurement noise (standard deviations)
+        this.ACCEL_NOISE = 1.5;         // m/s² - raw devicemotion forward
+        this.SPEED_MEASUREMENT_NOISE = 0.5;  // m/s
+        this.BEARING_MEASUREMENT_NOISE = 10; // degrees
+        this.DEFAULT_ACCURACY = 30;     // m, when a fix has none
+
+        this.MIN_BEARING_SPEED = 2;     // m/s - GPS course is noise below this
+        this.MAX_HEADING_SIGMA = 45;    // degrees - heading reported as null above this
+        this.MAX_SPEED_SIGMA = 3;       // m/s - speed uncertainty at zero confidence
+        this.MAX_DEAD_RECKONING_MS = 10000;  // stop extrapolating after this long without a fix
+        this.MAX_STEP = 1;              // s - longer gaps are predicted in one capped step
+        this.OUTPUT_INTERVAL = 16;      // ms - fused GPS updates are throttled to ~60 Hz
+
+        this.reset();
+    }
+
+    // State vector indices
+    static get E() { return 0; }   // m east of origin
+    static get N() { return 1; }   // m north of origin
+    static get V() { return 2; }   // m/s along the heading
+    static get PSI() { return 3; } // heading, radians from North
+    static get A() { return 4; }   // m/s² forward
+
+    /**
+     * Clear the filter
+     */
+    reset() {
+        this.x = null;          // state [e, n, v, psi, a]
+        this.P = null;          // covariance
+        this.origin = null;     // { latitude, longitude } of the local tangent plane
+        this.lastTime = null;
+        this.lastFix = null;    // { timestamp, arrival, raw } of the latest GPS fix
+        this.lastOutput = 0;
+    }
+
+    /**
+     * Route a data source through the filter
+     * @param {Object} source - SensorManager or SensorSimulator
+     * @returns {SensorFusion} this, to be used as the app's data source
+     */
+    attach(source) {
+        if (this.source && this.source !== source) {
+            this.detachSource();
+        }
+
+        this.source = source;
+        source.onGpsUpdate = (data) => this.handleGps(data);
+        source.onOrientationUpdate = (data) => {
+            if (this.onOrientationUpdate) this.onOrientationUpdate(data);
+        };
+        source.onMotionUpdate = (data) => this.handleMotion(data);
+        return this;
+    }
+
+    /**
+     * Drop the wrapped source: stop it and clear every callback it holds
+     */
+    detachSource() {
+        this.source.dispose();
+        this.source = null;
+    }
+
+    /**
+     * Initialize the wrapped source
+     */
+    async initialize() {
+        this.reset();
+        return this.source.initialize();
+    }
+
+    /**
+     * Stop the wrapped source
+     */
+    stop() {
+        if (this.source) {
+            this.detachSource();
+        }
+        this.reset();
+    }
+
+    /**
+     * Pause the wrapped source (e.g. while the page is hidden)
+     */
+    pause() {
+        if (this.source) {
+            this.source.pause();
+        }
+    }
+
+    /**
+     * Resume the wrapped source; the filter restarts from the next fix
+     * rather than predicting across the gap
+     */
+    resume() {
+        this.reset();
+        if (this.source) {
+            this.source.resume();
+        }
+    }
+
+    get isRunning() {
+        return Boolean(this.source && this.source.isRunning);
+    }
+
+    get isPaused() {
+        return Boolean(this.source && this.source.isPaused);
+    }
+
+    /**
+     * Switch filtering on or off; when off, data passes through untouched
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.reset();
+    }
+
+    /**
+     * GPS fix: correct position, and speed/course when reported
+     */
+    handleGps(data) {
+        if (!this.enabled) {
+            if (this.onGpsUpdate) this.onGpsUpdate(data);
+            return;
+        }
+
+        const now = Date.now();
+        const accuracy = SensorFusion.isNumber(data.accuracy) ? data.accuracy : this.DEFAULT_ACCURACY;
+        const hasSpeed = SensorFusion.isNumber(data.speed);
+        const hasBearing = SensorFusion.isNumber(data.bearing);
+
+        if (!this.x) {
+            this.initializeState(data, accuracy, hasSpeed, hasBearing);
+        } else {
+            this.predict(now);
+
+            const [east, north] = this.toLocal(data.latitude, data.longitude);
+            this.updateScalar(SensorFusion.E, east, accuracy ** 2);
+            this.updateScalar(SensorFusion.N, north, accuracy ** 2);
+
+            if (hasSpeed) {
+                this.updateScalar(SensorFusion.V, data.speed, this.SPEED_MEASUREMENT_NOISE ** 2);
+            }
+            if (hasBearing && (hasSpeed ? data.speed : this.x[SensorFusion.V]) >= this.MIN_BEARING_SPEED) {
+                this.updateScalar(SensorFusion.PSI, Geo.toRadians(data.bearing),
+                    Geo.toRadians(this.BEARING_MEASUREMENT_NOISE) ** 2, true);
+            }
+        }
+
+        this.lastTime = now;
+        this.lastFix = { timestamp: data.timestamp, arrival: now, raw: data };
+        this.emitEstimate(true);
+    }
+
+    /**
+     * Motion sample: advance the filter and correct the forward acceleration
+     */
+    handleMotion(data) {
+        if (this.enabled && this.x) {
+            this.predict(Date.now());
+            this.updateScalar(SensorFusion.A, data.forward, this.ACCEL_NOISE ** 2);
+            data = { ...data, forward: this.x[SensorFusion.A], rawForward: data.forward };
+        }
+
+        if (this.onMotionUpdate) this.onMotionUpdate(data);
+
+        if (this.enabled && this.x) {
+            this.emitEstimate(false);
+        }
+    }
+
+    initializeState(data, accuracy, hasSpeed, hasBearing) {
+        this.origin = { latitude: data.latitude, longitude: data.longitude };
+        this.x = [0, 0, hasSpeed ? data.speed : 0, hasBearing ? Geo.toRadians(data.bearing) : 0, 0];
+        this.P = SensorFusion.diagonal([
+            accuracy ** 2,
+            accuracy ** 2,
+            hasSpeed ? this.SPEED_MEASUREMENT_NOISE ** 2 : 25,
+            hasBearing ? Geo.toRadians(this.BEARING_MEASUREMENT_NOISE) ** 2 : Math.PI ** 2,
+            4
+        ]);
+    }
+
+    /**
+     * Constant-acceleration motion along the heading
+     */
+    predict(now) {
+        const dt = Math.min((now - this.lastTime) / 1000, this.MAX_STEP);
+        this.lastTime = now;
+        if (dt <= 0) return;
+
+        const { E, N, V, PSI, A } = SensorFusion;
+        const v = this.x[V];
+        const sin = Math.sin(this.x[PSI]);
+        const cos = Math.cos(this.x[PSI]);
+
+        this.x[E] += v * sin * dt;
+        this.x[N] += v * cos * dt;
+        this.x[V] = Math.max(v + this.x[A] * dt, 0);
+
+        // Jacobian of the transition
+        const F = SensorFusion.identity(5);
+        F[E][V] = sin * dt;
+        F[E][PSI] = v * cos * dt;
+        F[N][V] = cos * dt;
+        F[N][PSI] = -v * sin * dt;
+        F[V][A] = dt;
+
+        const Q = SensorFusion.diagonal([
+            (this.POSITION_NOISE * dt) ** 2,
+            (this.POSITION_NOISE * dt) ** 2,
+            (this.SPEED_NOISE * dt) ** 2,
+            (Geo.toRadians(this.HEADING_NOISE) * dt) ** 2,
+            (this.JERK_NOISE * dt) ** 2
+        ]);
+
+        this.P = SensorFusion.add(
+            SensorFusion.multiply(SensorFusion.multiply(F, this.P), SensorFusion.transpose(F)),
+            Q
+        );
+    }
+
+    /**
+     * Kalman update for a direct measurement of one state component
+     * @param {number} i - State index
+     * @param {number} z - Measured value
+     * @param {number} variance - Measurement variance
+     * @param {boolean} angle - Wrap the innovation to ±π
+     */
+    updateScalar(i, z, variance, angle = false) {
+        let innovation = z - this.x[i];
+        if (angle) {
+            innovation = Math.atan2(Math.sin(innovation), Math.cos(innovation));
+        }
+
+        const S = this.P[i][i] + variance;
+        const K = this.P.map((row) => row[i] / S);
+
+        this.x = this.x.map((value, j) => value + K[j] * innovation);
+        this.P = this.P.map((row, j) => row.map((value, k) => value - K[j] * this.P[i][k]));
+
+        const { V, PSI } = SensorFusion;
+        this.x[V] = Math.max(this.x[V], 0);
+        this.x[PSI] = (this.x[PSI] + 2 * Math.PI) % (2 * Math.PI);
+    }
+
+    /**
+     * Publish the current estimate in the GPS payload shape
+     * @param {boolean} fix - Whether this update incorporated a real GPS fix
+     */
+    emitEstimate(fix) {
+        if (!this.onGpsUpdate || !this.lastFix) return;
+
+        const now = Date.now();
+        if (now - this.lastFix.arrival > this.MAX_DEAD_RECKONING_MS) return;
+        if (!fix && now - this.lastOutput < this.OUTPUT_INTERVAL) return;
+        this.lastOutput = now;
+
+        this.onGpsUpdate(this.getEstimate(fix));
+    }
+
+    /**
+     * Current estimate
+     * @param {boolean} fix
+     * @returns {Object} GPS payload plus { confidence, fused, fix, gpsAcceleration },
+     *                   and the source's own fix as raw when fix is true
+     */
+    getEstimate(fix = false) {
+        const { E, N, V, PSI, A } = SensorFusion;
+        const [latitude, longitude] = this.toGeographic(this.x[E], this.x[N]);
+
+        const speedSigma = Math.sqrt(this.P[V][V]);
+        const headingSigma = Geo.toDegrees(Math.sqrt(this.P[PSI][PSI]));
+
+        const estimate = {
+            latitude: latitude,
+            longitude: longitude,
+            speed: this.x[V],
+            bearing: headingSigma <= this.MAX_HEADING_SIGMA ? Geo.toDegrees(this.x[PSI]) : null,
+            accuracy: Math.sqrt((this.P[E][E] + this.P[N][N]) / 2),
+            timestamp: this.lastFix.timestamp + (Date.now() - this.lastFix.arrival),
+            acceleration: this.x[A],
+            // Along-track acceleration of the latest fix alone: A is corrected by
+            // every motion sample, so it is not an independent GPS measurement
+            gpsAcceleration: SensorFusion.isNumber(this.lastFix.raw.acceleration) ? this.lastFix.raw.acceleration : null,
+            confidence: Math.min(Math.max(1 - speedSigma / this.MAX_SPEED_SIGMA, 0), 1),
+            fused: true,
+            fix: fix
+        };
+        if (fix) {
+            estimate.raw = this.lastFix.raw;
+        }
+        return estimate;
+    }
+
+    /**
+     * Geographic to local east/north meters (equirectangular around the origin)
+     */
+    toLocal(latitude, longitude) {
+        const R = Geo.EARTH_RADIUS;
+        const cosLat = Math.cos(Geo.toRadians(this.origin.latitude));
+        return [
+            Geo.toRadians(longitude - this.origin.longitude) * R * cosLat,
+            Geo.toRadians(latitude - this.origin.latitude) * R
+        ];
+    }
+
+    toGeographic(east, north) {
+        const R = Geo.EARTH_RADIUS;
+        const cosLat = Math.cos(Geo.toRadians(this.origin.latitude));
+        return [
+            this.origin.latitude + Geo.toDegrees(north / R),
+            this.origin.longitude + Geo.toDegrees(east / (R * cosLat))
+        ];
+    }
+
+    static isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    static identity(size) {
+        return Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j ? 1 : 0)));
+    }
+
+    static diagonal(values) {
+        return values.map((value, i) => values.map((_, j) => (i === j ? value : 0)));
+    }
+
+    static multiply(a, b) {
+        return a.map((row) => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+    }
+
+    static transpose(m) {
+        return m[0].map((_, j) => m.map((row) => row[j]));
+    }
+
+    static add(a, b) {
+        return a.map((row, i) => row.map((value, j) => value + b[i][j]));
+    }
+}
+
+// Export for use in app.js
+window.SensorFusion = SensorFusion;
@@ -0,0 +1,341 @@
+/**
+ * Velocitats - Generic Sensor API Backend
+ * Reads orientation and motion through AbsoluteOrientationSensor and
+ * LinearAccelerationSensor at a chosen frequency, with the Magnetometer
+ * estimating compass accuracy. The gyroscope is read inside the orientation
+ * fusion, so its permission gates the compass. Whatever is missing, blocked
+ * or fails falls back to the deviceorientation/devicemotion events; the
+ * callbacks receive the same payloads either way.
+ */
+
+class GenericSensorManager extends SensorManager {
+    constructor() {
+        super();
+
+        // 'generic' uses the Generic Sensor API where it can, 'events' never does
+        this.backend = 'generic';
+        this.frequency = 60;            // Hz requested from each sensor
+        this.MIN_FREQUENCY = 5;
+        this.MAX_FREQUENCY = 60;
+
+        // Permission state by name ('granted', 'prompt', 'denied' or 'unknown')
+        this.permissions = {};
+
+        // Running Sensor objects by role: { orientation, motion, magnetometer }
+        this.genericSensors = {};
+
+        // Path each sensor ended up on: 'generic', 'events' or null while stopped
+        this.backends = { orientation: null, motion: null };
+
+        // Latest magnetometer estimate (± degrees), undefined while unknown
+        this.compassAccuracy = undefined;
+        this.expectedField = null;      // WMM field at fieldPosition, nT
+        this.fieldPosition = null;
+
+        // Called with (backends) when a sensor switches path
+        this.onBackendChange = null;
+    }
+
+    /**
+     * Whether a Generic Sensor API interface exists in this browser
+     * @param {string} name - e.g. 'AbsoluteOrientationSensor'
+     */
+    static isAvailable(name) {
+        return typeof window[name] === 'function';
+    }
+
+    /**
+     * Euler angles in the deviceorientation convention (Z-X'-Y'') from a
+     * device -> earth quaternion, following the W3C conversion
+     * @param {number[]} quaternion - [x, y, z, w]
+     * @returns {Object} { alpha, beta, gamma } in degrees
+     */
+    static quaternionToEuler(quaternion) {
+        const [x, y, z, w] = quaternion;
+        const m01 = 2 * (x * y - z * w);
+        const m11 = 1 - 2 * (x * x + z * z);
+        const m20 = 2 * (x * z - y * w);
+        const m21 = 2 * (y * z + x * w);
+        const m22 = 1 - 2 * (x * x + y * y);
+
+        let alpha;
+        let beta;
+        let gamma;
+        if (m22 >= 0) {
+            alpha = Math.atan2(-m01, m11);
+            beta = Math.asin(Math.max(-1, Math.min(1, m21)));
+            gamma = Math.atan2(-m20, m22);
+        } else {
+            // Screen facing down: keep gamma within ±90° and let beta wrap
+            alpha = Math.atan2(m01, -m11);
+            beta = -Math.asin(Math.max(-1, Math.min(1, m21)));
+            beta += beta >= 0 ? -Math.PI : Math.PI;
+            gamma = Math.atan2(m20, -m22);
+        }
+
+        return {
+            alpha: (Geo.toDegrees(alpha) + 360) % 360,
+            beta: Geo.toDegrees(beta),
+            gamma: Geo.toDegrees(gamma)
+        };
+    }
+
+    /**
+     * Ask navigator.permissions about the motion sensors; names the browser
+     * does not know are 'unknown'
+     * @returns {Promise<Object>} { accelerometer, gyroscope, magnetometer }
+     */
+    async queryPermissions() {
+        const results = {};
+        for (const name of ['accelerometer', 'gyroscope', 'magnetometer']) {
+            results[name] = 'unknown';
+            if (!navigator.permissions || typeof navigator.permissions.query !== 'function') continue;
+
+            try {
+                const status = await navigator.permissions.query({ name: name });
+                results[name] = status.state;
+            } catch (error) {
+                console.log(`Permission "${name}" cannot be queried:`, error.message);
+            }
+        }
+
+        this.permissions = results;
+        console.log('Generic Sensor permissions:', JSON.stringify(results));
+        return results;
+    }
+
+    /**
+     * Query permissions first, then start as usual
+     */
+    async initialize() {
+        if (this.backend === 'generic') {
+            await this.queryPermissions();
+        }
+        return super.initialize();
+    }
+
+    /**
+     * Whether a sensor can be tried through the Generic Sensor API
+     * @param {string} name - Interface name
+     * @param {string[]} permissions - Permissions it needs
+     */
+    canUse(name, permissions) {
+        return this.backend === 'generic' && GenericSensorManager.isAvailable(name) &&
+            permissions.every((permission) => this.permissions[permission] !== 'denied');
+    }
+
+    /**
+     * Switch between the Generic Sensor API and the legacy events, restarting
+     * the running sensors on the new path
+     * @param {string} backend - 'generic' or 'events'
+     */
+    async setBackend(backend) {
+        this.backend = backend === 'events' ? 'events' : 'generic';
+        if (this.backend === 'generic') {
+            await this.queryPermissions();
+        }
+        this.restartSensors();
+    }
+
+    /**
+     * Change the sampling frequency; generic sensors restart to apply it
+     * @param {number} frequency - Hz
+     */
+    setFrequency(frequency) {
+        this.frequency = Math.min(Math.max(frequency, this.MIN_FREQUENCY), this.MAX_FREQUENCY);
+        this.restartSensors();
+    }
+
+    /**
+     * Restart orientation and motion while running, keeping GPS untouched
+     */
+    restartSensors() {
+        if (!this.isRunning || this.isPaused) return;
+        if (this.hasOrientationPermission) {
+            this.startOrientation();
+        }
+        if (this.hasMotionPermission) {
+            this.startMotion();
+        }
+    }
+
+    /**
+     * Compass from AbsoluteOrientationSensor, or the deviceorientation events
+     */
+    startOrientation() {
+        this.stopSensor('orientation');
+        this.stopSensor('magnetometer');
+        this.removeListener('orientation');
+
+        let hasReceivedData = false;
+        const started = this.canUse('AbsoluteOrientationSensor', ['accelerometer', 'gyroscope', 'magnetometer']) &&
+            this.startSensor('orientation', 'AbsoluteOrientationSensor', (sensor) => {
+                if (!sensor.quaternion) return;
+
+                const euler = GenericSensorManager.quaternionToEuler(sensor.quaternion);
+                const azimuth = this.processOrientation({
+                    alpha: euler.alpha,
+                    beta: euler.beta,
+                    gamma: euler.gamma,
+                    absolute: true,
+                    accuracy: this.compassAccuracy
+                });
+                if (!hasReceivedData) {
+                    hasReceivedData = true;
+                    console.log('Compass data received (AbsoluteOrientationSensor), azimuth:', azimuth.toFixed(1), '°');
+                }
+            }, () => this.fallBack('orientation'));
+
+        if (!started) {
+            this.fallBack('orientation');
+            return;
+        }
+
+        // Optional: judges how far the local field is from the expected one
+        if (this.canUse('Magnetometer', ['magnetometer'])) {
+            this.startSensor('magnetometer', 'Magnetometer', (sensor) => {
+                this.compassAccuracy = this.estimateCompassAccuracy(sensor);
+            }, () => {
+                this.compassAccuracy = undefined;
+            });
+        }
+
+        this.checkAvailability('orientation', () => hasReceivedData, 'Compass not available on this device');
+        this.hasOrientationPermission = true;
+        this.setBackendUsed('orientation', 'generic');
+    }
+
+    /**
+     * Acceleration from LinearAccelerationSensor, or the devicemotion events
+     */
+    startMotion() {
+        this.stopSensor('motion');
+        this.removeListener('motion');
+
+        let hasReceivedData = false;
+        const started = this.canUse('LinearAccelerationSensor', ['accelerometer']) &&
+            this.startSensor('motion', 'LinearAccelerationSensor', (sensor) => {
+                // Gravity comes from the orientation pose
+                const motion = this.processMotion({ x: sensor.x, y: sensor.y, z: sensor.z }, null);
+                if (motion) {
+                    hasReceivedData = true;
+                }
+            }, () => this.fallBack('motion'));
+
+        if (!started) {
+            this.fallBack('motion');
+            return;
+        }
+
+        this.checkAvailability('motion', () => hasReceivedData, 'Accelerometer not available on this device');
+        this.hasMotionPermission = true;
+        this.setBackendUsed('motion', 'generic');
+    }
+
+    /**
+     * Create and start a Generic Sensor
+     * @param {string} role - Key in genericSensors
+     * @param {string} name - Interface name
+     * @param {Function} onReading - Called with the sensor on every reading
+     * @param {Function} onFailure - Called once if the sensor errors after starting
+     * @returns {boolean} Whether the sensor could be constructed
+     */
+    startSensor(role, name, onReading, onFailure) {
+        let sensor;
+        try {
+            sensor = new window[name]({ frequency: this.frequency });
+        } catch (error) {
+            // SecurityError when blocked by a permissions policy
+            console.warn(`${name} cannot be used:`, error.message);
+            return false;
+        }
+
+        sensor.addEventListener('reading', () => onReading(sensor));
+        sensor.addEventListener('error', (event) => {
+            // NotAllowedError, NotReadableError or NotSupportedError
+            const error = event.error || {};
+            console.warn(`${name} failed:`, error.name, error.message);
+            if (this.genericSensors[role] !== sensor) return;
+
+            this.stopSensor(role);
+            onFailure();
+        });
+
+        this.genericSensors[role] = sensor;
+        sensor.start();
+        return true;
+    }
+
+    stopSensor(role) {
+        const sensor = this.genericSensors[role];
+        if (sensor) {
+            delete this.genericSensors[role];
+            sensor.stop();
+        }
+    }
+
+    /**
+     * Use the legacy events for a sensor
+     * @param {string} sensor - 'orientation' or 'motion'
+     */
+    fallBack(sensor) {
+        if (sensor === 'orientation') {
+            this.stopSensor('magnetometer');
+            this.compassAccuracy = undefined;
+            super.startOrientation();
+        } else {
+            super.startMotion();
+        }
+        this.setBackendUsed(sensor, 'events');
+    }
+
+    setBackendUsed(sensor, backend) {
+        if (this.backends[sensor] === backend) return;
+
+        this.backends[sensor] = backend;
+        if (this.onBackendChange) {
+            this.onBackendChange({ ...this.backends });
+        }
+    }
+
+    /**
+     * Heading error the local field could cause: the difference between the
+     * measured field strength and the World Magnetic Model's, against the
+     * horizontal component that the compass actually reads
+     * @param {Object} reading - Magnetometer { x, y, z } in µT
+     * @returns {number|undefined} ± degrees, undefined before the first fix
+     */
+    estimateCompassAccuracy(reading) {
+        if (this.lastPosition && this.lastPosition !== this.fieldPosition) {
+            this.expectedField = MagneticModel.field(
+                this.lastPosition.latitude, this.lastPosition.longitude, 0, new Date(Date.now())
+            );
+            this.fieldPosition = this.lastPosition;
+        }
+        if (!this.expectedField || typeof reading.x !== 'number') return undefined;
+
+        const measured = Math.hypot(reading.x, reading.y, reading.z) * 1000;   // nT
+        const expected = Math.hypot(this.expectedField.x, this.expectedField.y, this.expectedField.z);
+        const horizontal = Math.hypot(this.expectedField.x, this.expectedField.y);
+
+        return Geo.toDegrees(Math.asin(Math.min(Math.abs(measured - expected) / horizontal, 1)));
+    }
+
+    /**
+     * Stop the generic sensors along with the GPS watch and event listeners
+     */
+    detach() {
+        super.detach();
+        Object.keys(this.genericSensors).forEach((role) => this.stopSensor(role));
+        this.setBackendUsed('orientation', null);
+        this.setBackendUsed('motion', null);
+    }
+
+    dispose() {
+        super.dispose();
+        this.onBackendChange = null;
+    }
+}
+
+// Export for use in app.js
+window.GenericSensorManager = GenericSensorManager;
@@ -0,0 +1,56 @@
+/**
+ * Velocitats - Geodesy Helpers
+ * Great-circle distance and bearing between coordinates
+ */
+
+class Geo {
+    /**
+     * Earth's mean radius in meters
+     */
+    static get EARTH_RADIUS() {
+        return 6371000;
+    }
+
+    static toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    static toDegrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+
+    /**
+     * Haversine distance between two points
+     * @returns {number} Distance in meters
+     */
+    static distance(lat1, lon1, lat2, lon2) {
+        const phi1 = Geo.toRadians(lat1);
+        const phi2 = Geo.toRadians(lat2);
+        const dPhi = Geo.toRadians(lat2 - lat1);
+        const dLambda = Geo.toRadians(lon2 - lon1);
+
+        const a = Math.sin(dPhi / 2) ** 2 +
+            Math.cos(phi1) * Math.cos(phi2) * Math.sin(dLambda / 2) ** 2;
+
+        return 2 * Geo.EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * Initial bearing (forward azimuth) from point 1 to point 2
+     * @returns {number} Bearing in degrees (0-360, 0 = North)
+     */
+    static bearing(lat1, lon1, lat2, lon2) {
+        const phi1 = Geo.toRadians(lat1);
+        const phi2 = Geo.toRadians(lat2);
+        const dLambda = Geo.toRadians(lon2 - lon1);
+
+        const y = Math.sin(dLambda) * Math.cos(phi2);
+        const x = Math.cos(phi1) * Math.sin(phi2) -
+            Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLambda);
+
+        return (Geo.toDegrees(Math.atan2(y, x)) + 360) % 360;
+    }
+}
+
+// Export for use in app.js
+window.Geo = Geo;
@@ -0,0 +1,123 @@
+/**
+ * Velocitats - Haptic Engine
+ * Vibration API patterns per alert type, so alerts still reach the driver
+ * with the phone muted or over engine noise
+ */
+
+class HapticEngine {
+    constructor() {
+        this.enabled = true;
+
+        // Vibrate/pause durations in ms; longer and more insistent with severity
+        this.PATTERNS = {
+            'brake': [150],
+            'hard-brake': [200, 100, 200],
+            'emergency': [400, 100, 400, 100, 400],
+            'hard-accel': [80, 60, 80],
+            'cornering': [120],
+            'speeding': [300, 150, 300],
+            'impact': [600, 200, 600, 200, 600]
+        };
+
+        this.LABELS = {
+            'brake': 'Braking',
+            'hard-brake': 'Hard braking',
+            'emergency': 'Emergency braking',
+            'hard-accel': 'Hard acceleration',
+            'cornering': 'Sharp cornering',
+            'speeding': 'Speeding',
+            'impact': 'Impact countdown'
+        };
+
+        // Same ranking as AudioEngine.alertLevels: only the same level or a
+        // higher priority may cut into a pattern that is still running
+        this.PRIORITIES = {
+            'brake': 2,
+            'hard-brake': 3,
+            'emergency': 4,
+            'hard-accel': 1,
+            'cornering': 1,
+            'speeding': 1,
+            'impact': 5
+        };
+        this.currentVibration = null; // { level, priority, endsAt }
+
+        // Per alert type on/off
+        this.levels = {};
+        Object.keys(this.PATTERNS).forEach((level) => {
+            this.levels[level] = true;
+        });
+    }
+
+    /**
+     * Whether the device can vibrate (not on iOS Safari or most desktops)
+     */
+    get isSupported() {
+        return typeof navigator.vibrate === 'function';
+    }
+
+    /**
+     * Vibrate the pattern for an alert type
+     * @param {string} level - Key of this.PATTERNS
+     * @returns {boolean} Whether a vibration was requested (false when
+     *     disabled, unsupported or outranked by the running pattern)
+     */
+    vibrate(level) {
+        const pattern = this.PATTERNS[level];
+        if (!pattern || !this.enabled || !this.levels[level] || !this.isSupported) {
+            return false;
+        }
+
+        const now = Date.now();
+        const priority = this.PRIORITIES[level];
+        // A level may restart its own pattern, e.g. the impact countdown every second
+        if (this.currentVibration && now < this.currentVibration.endsAt &&
+            level !== this.currentVibration.level && priority <= this.currentVibration.priority) {
+            return false;
+        }
+
+        try {
+            // Returns false when blocked (e.g. no user activation yet); a new
+            // pattern replaces the running one
+            const started = navigator.vibrate(pattern);
+            if (started) {
+                const duration = pattern.reduce((sum, ms) => sum + ms, 0);
+                this.currentVibration = { level, priority, endsAt: now + duration };
+            }
+            return started;
+        } catch (error) {
+            console.warn('Vibration failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Enable or disable one alert type
+     */
+    setLevel(level, enabled) {
+        if (level in this.PATTERNS) {
+            this.levels[level] = enabled;
+        }
+    }
+
+    /**
+     * Settings snapshot for localStorage
+     */
+    toJSON() {
+        return { enabled: this.enabled, levels: { ...this.levels } };
+    }
+
+    /**
+     * Restore a snapshot from toJSON()
+     */
+    restore(settings) {
+        if (!settings) return;
+        if (typeof settings.enabled === 'boolean') {
+            this.enabled = settings.enabled;
+        }
+        Object.entries(settings.levels || {}).forEach(([level, enabled]) => this.setLevel(level, enabled === true));
+    }
+}
+
+// Export for use in app.js
+window.HapticEngine = HapticEngine;
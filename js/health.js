@@ -0,0 +1,173 @@
+/**
+ * Velocitats - GPS Health Monitor
+ * Rates the GPS feed as good, degraded or lost from the age of the last fix,
+ * its accuracy, the recent update rate and repeated watchPosition errors.
+ * Fixes are pushed in by the app; a periodic check catches the feed going
+ * quiet, which no callback would report.
+ */
+
+class GpsHealthMonitor {
+    constructor() {
+        this.STALE_MS = 3000;              // fix older than this: degraded, telemetry greyed
+        this.LOST_MS = 10000;              // ...and lost after this long
+        this.POOR_ACCURACY = 30;           // m - degraded above this
+        this.UNUSABLE_ACCURACY = 100;      // m - lost above this
+        this.SLOW_INTERVAL_MS = 2500;      // mean gap between recent fixes that counts as degraded
+        this.RATE_WINDOW = 5;              // fixes the update rate is averaged over
+        this.ERROR_WINDOW_MS = 30000;      // errors older than this are forgotten
+        this.MAX_ERRORS = 3;               // this many recent errors: lost
+        this.CHECK_INTERVAL_MS = 1000;
+
+        // Called with (state, status) whenever the state changes
+        this.onChange = null;
+
+        this.intervalId = null;
+        this.reset();
+    }
+
+    /**
+     * Forget all fixes and errors. The state stays unknown (null) until the
+     * first fix, error or periodic check
+     */
+    reset() {
+        this.lastFix = null;        // { arrival, accuracy }
+        this.arrivals = [];         // arrival times of the recent fixes
+        this.errors = [];           // [{ time, message }]
+        this.state = null;
+        this.status = null;
+    }
+
+    /**
+     * Re-evaluate periodically so a silent feed goes stale and then lost
+     */
+    start() {
+        if (this.intervalId !== null) return;
+        this.intervalId = setInterval(() => this.check(), this.CHECK_INTERVAL_MS);
+    }
+
+    stop() {
+        if (this.intervalId !== null) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    /**
+     * A real GPS fix (not a dead-reckoned estimate)
+     * @param {Object} fix - GPS payload with accuracy in meters
+     */
+    recordFix(fix, now = Date.now()) {
+        // The rate is measured within a run of fixes; a gap long enough to lose
+        // the GPS is not a slow update rate
+        if (this.lastFix && now - this.lastFix.arrival > this.LOST_MS) {
+            this.arrivals = [];
+        }
+        this.arrivals.push(now);
+        if (this.arrivals.length > this.RATE_WINDOW + 1) {
+            this.arrivals.shift();
+        }
+
+        this.lastFix = {
+            arrival: now,
+            accuracy: typeof fix.accuracy === 'number' && isFinite(fix.accuracy) ? fix.accuracy : null
+        };
+
+        // A fix clears earlier failures
+        this.errors = [];
+        this.check(now);
+    }
+
+    /**
+     * A watchPosition error (timeout, unavailable, denied)
+     */
+    recordError(message, now = Date.now()) {
+        this.errors.push({ time: now, message: message });
+        this.check(now);
+    }
+
+    /**
+     * Update the state and notify when it, or the staleness, changes
+     * @returns {Object} Current status
+     */
+    check(now = Date.now()) {
+        const previous = this.status;
+        this.status = this.evaluate(now);
+        this.state = this.status.state;
+
+        if (!previous || previous.state !== this.status.state || previous.stale !== this.status.stale) {
+            if (this.onChange) {
+                this.onChange(this.state, this.status);
+            }
+        }
+        return this.status;
+    }
+
+    /**
+     * Rate the feed without changing any state
+     * @returns {Object} { state, age, accuracy, interval, errors, stale, reasons }
+     *                   age/interval in ms, null while unknown
+     */
+    evaluate(now = Date.now()) {
+        this.errors = this.errors.filter((error) => now - error.time <= this.ERROR_WINDOW_MS);
+
+        const age = this.lastFix ? now - this.lastFix.arrival : null;
+        const accuracy = this.lastFix ? this.lastFix.accuracy : null;
+        const interval = this.arrivals.length > 1
+            ? (this.arrivals[this.arrivals.length - 1] - this.arrivals[0]) / (this.arrivals.length - 1)
+            : null;
+
+        const lost = [];
+        const degraded = [];
+
+        if (age === null) {
+            lost.push('no fix');
+        } else if (age > this.LOST_MS) {
+            lost.push('no recent fix');
+        } else if (age > this.STALE_MS) {
+            degraded.push('stale fix');
+        }
+
+        if (accuracy !== null && accuracy > this.UNUSABLE_ACCURACY) {
+            lost.push('accuracy');
+        } else if (accuracy !== null && accuracy > this.POOR_ACCURACY) {
+            degraded.push('accuracy');
+        }
+
+        if (interval !== null && interval > this.SLOW_INTERVAL_MS) {
+            degraded.push('slow updates');
+        }
+
+        if (this.errors.length >= this.MAX_ERRORS) {
+            lost.push('errors');
+        } else if (this.errors.length > 0) {
+            degraded.push('errors');
+        }
+
+        let state = 'good';
+        if (lost.length > 0) {
+            state = 'lost';
+        } else if (degraded.length > 0) {
+            state = 'degraded';
+        }
+
+        return {
+            state: state,
+            age: age,
+            accuracy: accuracy,
+            interval: interval,
+            errors: this.errors.length,
+            stale: age === null || age > this.STALE_MS,
+            reasons: lost.concat(degraded)
+        };
+    }
+
+    /**
+     * Whether the speed can drive alerts at all
+     */
+    get isTrusted() {
+        return this.state !== 'lost';
+    }
+}
+
+// Export
+window.GpsHealthMonitor = GpsHealthMonitor;
@@ -0,0 +1,107 @@
+/**
+ * Velocitats - Impact Detector
+ * Flags a probable crash: a high-g spike in the motion stream followed by
+ * the vehicle coming to a stop. Keeps the last seconds of sensor data so
+ * the incident can be logged with what happened around it.
+ */
+
+class ImpactDetector {
+    constructor() {
+        this.THRESHOLD_G = 4.0;       // linear acceleration magnitude that counts as an impact
+        this.MIN_SPEED = 3.0;         // m/s (~11 km/h) - slower spikes are handling, not crashes
+        this.STOP_SPEED = 1.0;        // m/s - "stopped" after the spike
+        this.STOP_WINDOW_MS = 10000;  // the stop must follow the spike within this time
+        this.BUFFER_MS = 30000;       // sensor history kept for the incident log
+
+        this.onImpact = null;         // (impact) => void
+
+        this.reset();
+    }
+
+    /**
+     * Forget the pending spike and the sensor history
+     */
+    reset() {
+        this.spike = null;            // { t, peak, speed, position } awaiting the stop
+        this.buffer = [];
+        this.speed = 0;
+        this.position = null;
+    }
+
+    /**
+     * Feed one sample
+     * @param {string} type - gps, orientation or motion
+     * @param {Object} data - Payload as emitted by the data source
+     * @param {number} t - Sample time (ms)
+     * @returns {Object|null} The impact when this sample confirms one
+     */
+    update(type, data, t) {
+        this.buffer.push({ type: type, t: t, data: { ...data } });
+        while (this.buffer.length > 0 && t - this.buffer[0].t > this.BUFFER_MS) {
+            this.buffer.shift();
+        }
+
+        if (type === 'motion') {
+            this.checkSpike(data, t);
+            return null;
+        }
+
+        if (type === 'gps') {
+            this.speed = data.speed || 0;
+            if (SpeedZones.isCoordinate(data)) {
+                this.position = data;
+            }
+            return this.checkStop(t);
+        }
+
+        return null;
+    }
+
+    checkSpike(data, t) {
+        const g = (data.magnitude || 0) / ImpactDetector.GRAVITY;
+        if (g < this.THRESHOLD_G) return;
+
+        if (this.spike) {
+            // Multiple hits in one crash: keep the strongest
+            this.spike.peak = Math.max(this.spike.peak, g);
+        } else if (this.speed >= this.MIN_SPEED) {
+            this.spike = { t: t, peak: g, speed: this.speed, position: this.position };
+        }
+    }
+
+    checkStop(t) {
+        if (!this.spike) return null;
+
+        if (t - this.spike.t > this.STOP_WINDOW_MS) {
+            // Kept moving: a pothole or a dropped phone
+            this.spike = null;
+            return null;
+        }
+
+        if (this.speed > this.STOP_SPEED) return null;
+
+        const position = this.position || this.spike.position;
+        const impact = {
+            time: this.spike.t,
+            peak: this.spike.peak,                  // g
+            speedBefore: this.spike.speed,          // m/s
+            latitude: position ? position.latitude : null,
+            longitude: position ? position.longitude : null,
+            accuracy: position ? position.accuracy : null,
+            samples: this.buffer.slice()            // [{ type, t, data }] around the impact
+        };
+        this.spike = null;
+
+        if (this.onImpact) {
+            this.onImpact(impact);
+        }
+        return impact;
+    }
+
+    static get GRAVITY() {
+        return 9.80665;
+    }
+}
+
+// Export for use in app.js
+window.ImpactDetector = ImpactDetector;
@@ -0,0 +1,134 @@
+/**
+ * Velocitats - GPS Kinematics
+ * Speed and course from consecutive fixes when the device leaves
+ * coords.speed / coords.heading null, plus a longitudinal acceleration
+ * estimate from speed deltas
+ */
+
+class GpsKinematics {
+    constructor() {
+        // Fixes closer than this are skipped for derivation, further apart restart it
+        this.MIN_INTERVAL = 0.2;    // s
+        this.MAX_INTERVAL = 10;     // s
+
+        // How fast the true speed may drift between fixes, as a standard deviation
+        this.SPEED_PROCESS_NOISE = 2;   // m/s per second
+        // Variance assigned to a speed reported by the device itself
+        this.REPORTED_SPEED_VARIANCE = 0.25;
+        // Used when a fix carries no accuracy
+        this.DEFAULT_ACCURACY = 30;     // m
+
+        // Acceleration smoothing (0-1, higher follows new deltas faster)
+        this.ACCEL_SMOOTHING = 0.5;
+
+        this.reset();
+    }
+
+    /**
+     * Forget all previous fixes
+     */
+    reset() {
+        this.lastFix = null;
+        this.bearingAnchor = null;  // last fix a course was measured from
+        this.speed = null;
+        this.speedVariance = null;
+        this.bearing = null;
+        this.acceleration = null;
+    }
+
+    /**
+     * Process one fix
+     * @param {Object} fix - { latitude, longitude, speed, heading, accuracy, timestamp }
+     *                       speed/heading as reported by the device, null when missing
+     * @returns {Object} { speed, bearing, acceleration }, each null while still unknown
+     */
+    update(fix) {
+        const reportedSpeed = GpsKinematics.isValid(fix.speed) ? fix.speed : null;
+        const reportedBearing = GpsKinematics.isValid(fix.heading) ? fix.heading : null;
+        const accuracy = GpsKinematics.isValid(fix.accuracy) ? fix.accuracy : this.DEFAULT_ACCURACY;
+
+        const previous = this.lastFix;
+        const dt = previous ? (fix.timestamp - previous.timestamp) / 1000 : null;
+
+        if (previous && dt < this.MIN_INTERVAL) {
+            // Duplicate or burst fix: keep the current estimates
+            return this.result();
+        }
+
+        if (dt === null || dt > this.MAX_INTERVAL) {
+            // First fix or after a gap: only what the device reports is known
+            this.speed = reportedSpeed;
+            this.speedVariance = reportedSpeed !== null ? this.REPORTED_SPEED_VARIANCE : null;
+            this.bearing = reportedBearing;
+            this.acceleration = null;
+            this.lastFix = { ...fix, accuracy };
+            this.bearingAnchor = this.lastFix;
+            return this.result();
+        }
+
+        const previousSpeed = this.speed;
+        const distance = Geo.distance(previous.latitude, previous.longitude, fix.latitude, fix.longitude);
+        const uncertainty = Math.sqrt(previous.accuracy ** 2 + accuracy ** 2);
+
+        // Speed: reported value when present, else blend distance/time into the
+        // running estimate, trusting it less the worse both fixes' accuracy is
+        if (reportedSpeed !== null) {
+            this.speed = reportedSpeed;
+            this.speedVariance = this.REPORTED_SPEED_VARIANCE;
+        } else {
+            const measured = distance / dt;
+            const measuredVariance = (uncertainty / dt) ** 2;
+
+            if (this.speed === null) {
+                this.speed = measured;
+                this.speedVariance = measuredVariance;
+            } else {
+                const predictedVariance = this.speedVariance + (this.SPEED_PROCESS_NOISE * dt) ** 2;
+                const gain = predictedVariance / (predictedVariance + measuredVariance);
+                this.speed += gain * (measured - this.speed);
+                this.speedVariance = (1 - gain) * predictedVariance;
+            }
+        }
+
+        // Bearing: measured from an anchor fix, only once the displacement
+        // exceeds the position noise (slow movement accumulates over several fixes)
+        const anchor = this.bearingAnchor;
+        if (reportedBearing !== null) {
+            this.bearing = reportedBearing;
+            this.bearingAnchor = { ...fix, accuracy };
+        } else if (Geo.distance(anchor.latitude, anchor.longitude, fix.latitude, fix.longitude) >
+                Math.sqrt(anchor.accuracy ** 2 + accuracy ** 2)) {
+            this.bearing = Geo.bearing(anchor.latitude, anchor.longitude, fix.latitude, fix.longitude);
+            this.bearingAnchor = { ...fix, accuracy };
+        }
+
+        // Longitudinal acceleration from the speed delta
+        if (previousSpeed !== null) {
+            const delta = (this.speed - previousSpeed) / dt;
+            this.acceleration = this.acceleration === null
+                ? delta
+                : this.acceleration + this.ACCEL_SMOOTHING * (delta - this.acceleration);
+        }
+
+        this.lastFix = { ...fix, accuracy };
+        return this.result();
+    }
+
+    result() {
+        return {
+            speed: this.speed,
+            bearing: this.bearing,
+            acceleration: this.acceleration
+        };
+    }
+
+    /**
+     * Geolocation reports NaN heading while stationary and null when unsupported
+     */
+    static isValid(value) {
+        return value !== null && value !== undefined && isFinite(value);
+    }
+}
+
+// Export for use in sensors.js
+window.GpsKinematics = GpsKinematics;
@@ -0,0 +1,237 @@
+/**
+ * Velocitats - Magnetic Declination
+ * World Magnetic Model (WMM2025, NOAA NCEI / BGS) spherical harmonic
+ * synthesis, to turn compass headings (magnetic north) into true north.
+ * Coefficients are the published WMM.COF values: degree and order 12,
+ * main field in nT at epoch 2025.0 and secular variation in nT/year.
+ * Dates outside the model's validity are clamped to it.
+ */
+
+class MagneticModel {
+    static get EPOCH() {
+        return 2025.0;
+    }
+
+    /**
+     * Validity window as decimal years (2024-11-13 to 2029-11-13)
+     */
+    static get VALID_FROM() {
+        return 2024.87;
+    }
+
+    static get VALID_TO() {
+        return 2029.87;
+    }
+
+    /**
+     * [n, m, g, h, dg/dt, dh/dt]
+     */
+    static get COEFFICIENTS() {
+        return WMM_COEFFICIENTS;
+    }
+
+    /**
+     * Decimal year of a date (UTC)
+     */
+    static decimalYear(date) {
+        const year = date.getUTCFullYear();
+        const start = Date.UTC(year, 0, 1);
+        const end = Date.UTC(year + 1, 0, 1);
+        return year + (date.getTime() - start) / (end - start);
+    }
+
+    /**
+     * Magnetic field at a point
+     * @param {number} latitude - Geodetic degrees
+     * @param {number} longitude - Degrees
+     * @param {number} altitude - km above the WGS84 ellipsoid
+     * @param {Date} date
+     * @returns {Object} { x, y, z } in nT (north, east, down) and declination in degrees (east positive)
+     */
+    static field(latitude, longitude, altitude = 0, date = new Date()) {
+        const year = Math.min(Math.max(MagneticModel.decimalYear(date), MagneticModel.VALID_FROM), MagneticModel.VALID_TO);
+        const dt = year - MagneticModel.EPOCH;
+
+        // Geodetic (WGS84) to geocentric spherical coordinates
+        const A = 6378.137;
+        const F = 1 / 298.257223563;
+        const E2 = F * (2 - F);
+        const REFERENCE_RADIUS = 6371.2;
+
+        // The Legendre derivatives are singular exactly at the poles
+        const phi = Geo.toRadians(Math.min(Math.max(latitude, -89.9999), 89.9999));
+        const lambda = Geo.toRadians(longitude);
+        const rc = A / Math.sqrt(1 - E2 * Math.sin(phi) ** 2);
+        const p = (rc + altitude) * Math.cos(phi);
+        const zc = (rc * (1 - E2) + altitude) * Math.sin(phi);
+        const r = Math.hypot(p, zc);
+        const phiPrime = Math.asin(zc / r);
+
+        const sinPhi = Math.sin(phiPrime);
+        const cosPhi = Math.cos(phiPrime);
+        const { P, dP } = MagneticModel.legendre(sinPhi, cosPhi, 12);
+
+        let bx = 0;
+        let by = 0;
+        let bz = 0;
+        MagneticModel.COEFFICIENTS.forEach(([n, m, g0, h0, gDot, hDot]) => {
+            const g = g0 + dt * gDot;
+            const h = h0 + dt * hDot;
+            const radius = (REFERENCE_RADIUS / r) ** (n + 2);
+            const cosM = Math.cos(m * lambda);
+            const sinM = Math.sin(m * lambda);
+
+            bx -= radius * (g * cosM + h * sinM) * dP[n][m];
+            by += radius * m * (g * sinM - h * cosM) * P[n][m];
+            bz -= radius * (n + 1) * (g * cosM + h * sinM) * P[n][m];
+        });
+        by /= cosPhi;
+
+        // Rotate from the geocentric to the geodetic frame
+        const psi = phiPrime - phi;
+        const x = bx * Math.cos(psi) - bz * Math.sin(psi);
+        const z = bx * Math.sin(psi) + bz * Math.cos(psi);
+
+        return {
+            x: x,
+            y: by,
+            z: z,
+            declination: Geo.toDegrees(Math.atan2(by, x))
+        };
+    }
+
+    /**
+     * Declination: true bearing = magnetic bearing + declination
+     * @returns {number} Degrees, east positive
+     */
+    static declination(latitude, longitude, altitude = 0, date = new Date()) {
+        return MagneticModel.field(latitude, longitude, altitude, date).declination;
+    }
+
+    /**
+     * Schmidt semi-normalized associated Legendre functions of sin(latitude)
+     * and their derivatives with respect to latitude
+     * @returns {Object} { P, dP } indexed [n][m]
+     */
+    static legendre(sinPhi, cosPhi, maxDegree) {
+        const P = [[1]];
+        const dP = [[0]];
+
+        for (let n = 1; n <= maxDegree; n++) {
+            P[n] = [];
+            dP[n] = [];
+            for (let m = 0; m <= n; m++) {
+                if (n === m) {
+                    const k = n === 1 ? 1 : Math.sqrt((2 * n - 1) / (2 * n));
+                    P[n][m] = k * cosPhi * P[n - 1][m - 1];
+                    dP[n][m] = k * (cosPhi * dP[n - 1][m - 1] - sinPhi * P[n - 1][m - 1]);
+                } else {
+                    const previous = n > m + 1 ? P[n - 2][m] : 0;
+                    const previousDerivative = n > m + 1 ? dP[n - 2][m] : 0;
+                    const k = Math.sqrt((n - 1) ** 2 - m ** 2);
+                    const norm = Math.sqrt(n ** 2 - m ** 2);
+
+                    P[n][m] = ((2 * n - 1) * sinPhi * P[n - 1][m] - k * previous) / norm;
+                    dP[n][m] = ((2 * n - 1) * (sinPhi * dP[n - 1][m] + cosPhi * P[n - 1][m]) - k * previousDerivative) / norm;
+                }
+            }
+        }
+        return { P, dP };
+    }
+}
+
+const WMM_COEFFICIENTS = [
+    [ 1,  0,  -29351.8,       0.0,   12.0,    0.0],
+    [ 1,  1,   -1410.8,    4545.4,    9.7,  -21.5],
+    [ 2,  0,   -2556.6,       0.0,  -11.6,    0.0],
+    [ 2,  1,    2951.1,   -3133.6,   -5.2,  -27.7],
+    [ 2,  2,    1649.3,    -815.1,   -8.0,  -12.1],
+    [ 3,  0,    1361.0,       0.0,   -1.3,    0.0],
+    [ 3,  1,   -2404.1,     -56.6,   -4.2,    4.0],
+    [ 3,  2,    1243.8,     237.5,    0.4,   -0.3],
+    [ 3,  3,     453.6,    -549.5,  -15.6,   -4.1],
+    [ 4,  0,     895.0,       0.0,   -1.6,    0.0],
+    [ 4,  1,     799.5,     278.6,   -2.4,   -1.1],
+    [ 4,  2,      55.7,    -133.9,   -6.0,    4.1],
+    [ 4,  3,    -281.1,     212.0,    5.6,    1.6],
+    [ 4,  4,      12.1,    -375.6,   -7.0,   -4.4],
+    [ 5,  0,    -233.2,       0.0,    0.6,    0.0],
+    [ 5,  1,     368.9,      45.4,    1.4,   -0.5],
+    [ 5,  2,     187.2,     220.2,    0.0,    2.2],
+    [ 5,  3,    -138.7,    -122.9,    0.6,    0.4],
+    [ 5,  4,    -142.0,      43.0,    2.2,    1.7],
+    [ 5,  5,      20.9,     106.1,    0.9,    1.9],
+    [ 6,  0,      64.4,       0.0,   -0.2,    0.0],
+    [ 6,  1,      63.8,     -18.4,   -0.4,    0.3],
+    [ 6,  2,      76.9,      16.8,    0.9,   -1.6],
+    [ 6,  3,    -115.7,      48.8,    1.2,   -0.4],
+    [ 6,  4,     -40.9,     -59.8,   -0.9,    0.9],
+    [ 6,  5,      14.9,      10.9,    0.3,    0.7],
+    [ 6,  6,     -60.7,      72.7,    0.9,    0.9],
+    [ 7,  0,      79.5,       0.0,    0.0,    0.0],
+    [ 7,  1,     -77.0,     -48.9,   -0.1,    0.6],
+    [ 7,  2,      -8.8,     -14.4,   -0.1,    0.5],
+    [ 7,  3,      59.3,      -1.0,    0.5,   -0.8],
+    [ 7,  4,      15.8,      23.4,   -0.1,    0.0],
+    [ 7,  5,       2.5,      -7.4,   -0.8,   -1.0],
+    [ 7,  6,     -11.1,     -25.1,   -0.8,    0.6],
+    [ 7,  7,      14.2,      -2.3,    0.8,   -0.2],
+    [ 8,  0,      23.2,       0.0,   -0.1,    0.0],
+    [ 8,  1,      10.8,       7.1,    0.2,   -0.2],
+    [ 8,  2,     -17.5,     -12.6,    0.0,    0.5],
+    [ 8,  3,       2.0,      11.4,    0.5,   -0.4],
+    [ 8,  4,     -21.7,      -9.7,   -0.1,    0.4],
+    [ 8,  5,      16.9,      12.7,    0.3,   -0.5],
+    [ 8,  6,      15.0,       0.7,    0.2,   -0.6],
+    [ 8,  7,     -16.8,      -5.2,    0.0,    0.3],
+    [ 8,  8,       0.9,       3.9,    0.2,    0.2],
+    [ 9,  0,       4.6,       0.0,    0.0,    0.0],
+    [ 9,  1,       7.8,     -24.8,   -0.1,   -0.3],
+    [ 9,  2,       3.0,      12.2,    0.1,    0.3],
+    [ 9,  3,      -0.2,       8.3,    0.3,   -0.3],
+    [ 9,  4,      -2.5,      -3.3,   -0.3,    0.3],
+    [ 9,  5,     -13.1,      -5.2,    0.0,    0.2],
+    [ 9,  6,       2.4,       7.2,    0.3,   -0.1],
+    [ 9,  7,       8.6,      -0.6,   -0.1,   -0.2],
+    [ 9,  8,      -8.7,       0.8,    0.1,    0.4],
+    [ 9,  9,     -12.9,      10.0,   -0.1,    0.1],
+    [10,  0,      -1.3,       0.0,    0.1,    0.0],
+    [10,  1,      -6.4,       3.3,    0.0,    0.0],
+    [10,  2,       0.2,       0.0,    0.1,    0.0],
+    [10,  3,       2.0,       2.4,    0.1,   -0.2],
+    [10,  4,      -1.0,       5.3,    0.0,    0.1],
+    [10,  5,      -0.6,      -9.1,   -0.3,   -0.1],
+    [10,  6,      -0.9,       0.4,    0.0,    0.1],
+    [10,  7,       1.5,      -4.2,   -0.1,    0.0],
+    [10,  8,       0.9,      -3.8,   -0.1,   -0.1],
+    [10,  9,      -2.7,       0.9,    0.0,    0.2],
+    [10, 10,      -3.9,      -9.1,    0.0,    0.0],
+    [11,  0,       2.9,       0.0,    0.0,    0.0],
+    [11,  1,      -1.5,       0.0,    0.0,    0.0],
+    [11,  2,      -2.5,       2.9,    0.0,    0.1],
+    [11,  3,       2.4,      -0.6,    0.0,    0.0],
+    [11,  4,      -0.6,       0.2,    0.0,    0.1],
+    [11,  5,      -0.1,       0.5,   -0.1,    0.0],
+    [11,  6,      -0.6,      -0.3,    0.0,    0.0],
+    [11,  7,      -0.1,      -1.2,    0.0,    0.1],
+    [11,  8,       1.1,      -1.7,   -0.1,    0.0],
+    [11,  9,      -1.0,      -2.9,   -0.1,    0.0],
+    [11, 10,      -0.2,      -1.8,   -0.1,    0.0],
+    [11, 11,       2.6,      -2.3,   -0.1,    0.0],
+    [12,  0,      -2.0,       0.0,    0.0,    0.0],
+    [12,  1,      -0.2,      -1.3,    0.0,    0.0],
+    [12,  2,       0.3,       0.7,    0.0,    0.0],
+    [12,  3,       1.2,       1.0,    0.0,   -0.1],
+    [12,  4,      -1.3,      -1.4,    0.0,    0.1],
+    [12,  5,       0.6,       0.0,    0.0,    0.0],
+    [12,  6,       0.6,       0.6,    0.1,    0.0],
+    [12,  7,       0.5,      -0.1,    0.0,    0.0],
+    [12,  8,      -0.1,       0.8,    0.0,    0.0],
+    [12,  9,      -0.4,       0.1,    0.0,    0.0],
+    [12, 10,      -0.2,      -1.0,   -0.1,    0.0],
+    [12, 11,      -1.3,       0.1,    0.0,    0.0],
+    [12, 12,      -0.7,       0.2,   -0.1,   -0.1]
+];
+
+// Export
+window.MagneticModel = MagneticModel;
@@ -0,0 +1,530 @@
+/**
+ * Velocitats - Track Map
+ * Offline canvas map: current position, accuracy circle, heading, the path
+ * travelled and brake markers. Web Mercator, like XYZ tile pyramids, so
+ * user-imported tiles (served from Cache Storage by sw.js) line up underneath.
+ * Works without any tiles: the track is drawn over a metric grid.
+ */
+
+class TrackMap {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+
+        this.MIN_ZOOM = 3;
+        this.MAX_ZOOM = 19;
+        this.MAX_POINTS = 5000;          // path is thinned beyond this
+        this.MIN_POINT_DISTANCE = 2;     // m between stored path points
+
+        this.zoom = 16;
+        this.path = [];                  // [{ latitude, longitude }]
+        this.brakes = [];                // [{ latitude, longitude, level }]
+        this.position = null;            // { latitude, longitude, accuracy, bearing }
+        this.showTiles = true;
+
+        // Polygon being drawn by tapping the map, null when not drawing
+        this.draft = null;               // [{ latitude, longitude }]
+        this.onDraftChange = null;       // Called with (draft) after each tap
+
+        this.tiles = new Map();          // 'z/x/y' -> Image, or null when missing
+        this.frameId = null;
+
+        this.COLORS = {
+            background: '#12121a',
+            grid: 'rgba(255, 255, 255, 0.06)',
+            path: '#6366f1',
+            accuracy: 'rgba(59, 130, 246, 0.15)',
+            position: '#3b82f6',
+            heading: '#ef4444',
+            text: 'rgba(255, 255, 255, 0.6)',
+            'brake': '#f59e0b',
+            'hard-brake': '#f97316',
+            'emergency': '#ef4444',
+            draft: '#22c55e'
+        };
+
+        if (canvas && canvas.addEventListener) {
+            canvas.addEventListener('click', (e) => this.handleTap(e.offsetX, e.offsetY));
+        }
+    }
+
+    /**
+     * Forget the track (new session)
+     */
+    reset() {
+        this.path = [];
+        this.brakes = [];
+        this.position = null;
+        this.requestRender();
+    }
+
+    /**
+     * Update the current position; fixes also extend the path
+     * @param {Object} data - { latitude, longitude, accuracy, bearing }
+     * @param {boolean} isFix - False for fused estimates between fixes
+     */
+    setPosition(data, isFix = true) {
+        if (!SpeedZones.isCoordinate(data)) return;
+
+        this.position = {
+            latitude: data.latitude,
+            longitude: data.longitude,
+            accuracy: data.accuracy || 0,
+            bearing: typeof data.bearing === 'number' ? data.bearing : (this.position ? this.position.bearing : null)
+        };
+
+        if (isFix) {
+            this.addPoint(data.latitude, data.longitude);
+        }
+        this.requestRender();
+    }
+
+    addPoint(latitude, longitude) {
+        const last = this.path[this.path.length - 1];
+        if (last && Geo.distance(last.latitude, last.longitude, latitude, longitude) < this.MIN_POINT_DISTANCE) {
+            return;
+        }
+
+        this.path.push({ latitude, longitude });
+
+        if (this.path.length > this.MAX_POINTS) {
+            // Halve the resolution, keeping the newest point
+            this.path = this.path.filter((point, i) => i % 2 === 0 || i === this.path.length - 1);
+        }
+    }
+
+    /**
+     * Mark a brake event
+     */
+    addBrake(latitude, longitude, level = 'brake') {
+        if (typeof latitude !== 'number' || typeof longitude !== 'number') return;
+        this.brakes.push({ latitude, longitude, level });
+        this.requestRender();
+    }
+
+    /**
+     * Start drawing a polygon: taps on the map add its vertices
+     */
+    startDraft() {
+        this.draft = [];
+        this.requestRender();
+    }
+
+    /**
+     * Stop drawing
+     * @returns {Object[]} The vertices tapped so far
+     */
+    endDraft() {
+        const points = this.draft || [];
+        this.draft = null;
+        this.requestRender();
+        return points;
+    }
+
+    /**
+     * Add a vertex where the map was tapped while drawing
+     * @param {number} x - CSS pixels from the canvas' left edge
+     * @param {number} y - CSS pixels from its top edge
+     */
+    handleTap(x, y) {
+        if (!this.draft) return;
+
+        const point = this.pointAt(x, y);
+        if (!point) return;
+
+        this.draft.push(point);
+        this.requestRender();
+        if (this.onDraftChange) {
+            this.onDraftChange(this.draft);
+        }
+    }
+
+    /**
+     * Coordinates under a canvas point, with the map centred as in render()
+     * @returns {Object|null} { latitude, longitude }, null before any position
+     */
+    pointAt(x, y) {
+        const center = this.position || this.path[this.path.length - 1];
+        if (!center) return null;
+
+        const width = this.canvas.clientWidth || this.canvas.width;
+        const height = this.canvas.clientHeight || this.canvas.height;
+        const origin = TrackMap.project(center.latitude, center.longitude, this.zoom);
+        return TrackMap.unproject(origin.x + x - width / 2, origin.y + y - height / 2, this.zoom);
+    }
+
+    /**
+     * Retry tiles previously found missing (after an import)
+     */
+    reloadTiles() {
+        this.tiles.clear();
+        this.requestRender();
+    }
+
+    setZoom(zoom) {
+        this.zoom = Math.min(Math.max(Math.round(zoom), this.MIN_ZOOM), this.MAX_ZOOM);
+        this.requestRender();
+    }
+
+    /**
+     * Coalesce redraws into one per animation frame
+     */
+    requestRender() {
+        if (!this.ctx || this.frameId !== null) return;
+
+        this.frameId = requestAnimationFrame(() => {
+            this.frameId = null;
+            this.render();
+        });
+    }
+
+    render() {
+        const ctx = this.ctx;
+        if (!ctx) return;
+
+        // Match the backing store to the displayed size
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth || this.canvas.width;
+        const height = this.canvas.clientHeight || this.canvas.height;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        ctx.fillStyle = this.COLORS.background;
+        ctx.fillRect(0, 0, width, height);
+
+        const center = this.position || this.path[this.path.length - 1];
+        if (!center) {
+            ctx.fillStyle = this.COLORS.text;
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Waiting for GPS…', width / 2, height / 2);
+            return;
+        }
+
+        const origin = TrackMap.project(center.latitude, center.longitude, this.zoom);
+        const toScreen = (point) => {
+            const world = TrackMap.project(point.latitude, point.longitude, this.zoom);
+            return { x: world.x - origin.x + width / 2, y: world.y - origin.y + height / 2 };
+        };
+        const metersPerPixel = TrackMap.metersPerPixel(center.latitude, this.zoom);
+
+        const drewTiles = this.showTiles && this.drawTiles(origin, width, height);
+        if (!drewTiles) {
+            this.drawGrid(width, height, metersPerPixel);
+        }
+
+        this.drawPath(toScreen);
+
+        this.brakes.forEach((brake) => {
+            const p = toScreen(brake);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+            ctx.fillStyle = this.COLORS[brake.level] || this.COLORS.brake;
+            ctx.fill();
+        });
+
+        if (this.draft) {
+            this.drawDraft(toScreen);
+        }
+
+        if (this.position) {
+            this.drawPosition(toScreen(this.position), metersPerPixel);
+        }
+
+        this.drawScale(height, metersPerPixel);
+    }
+
+    /**
+     * Draw cached tiles under the track
+     * @returns {boolean} Whether any tile was drawn
+     */
+    drawTiles(origin, width, height) {
+        const size = TrackMap.TILE_SIZE;
+        const count = Math.pow(2, this.zoom);
+        const left = origin.x - width / 2;
+        const top = origin.y - height / 2;
+        let drawn = false;
+
+        for (let tx = Math.floor(left / size); tx <= Math.floor((left + width) / size); tx++) {
+            for (let ty = Math.floor(top / size); ty <= Math.floor((top + height) / size); ty++) {
+                if (ty < 0 || ty >= count) continue;
+
+                const image = this.getTile(this.zoom, ((tx % count) + count) % count, ty);
+                if (image) {
+                    this.ctx.drawImage(image, tx * size - left, ty * size - top, size, size);
+                    drawn = true;
+                }
+            }
+        }
+        return drawn;
+    }
+
+    /**
+     * Tile image when loaded; starts loading otherwise. Missing tiles are
+     * remembered so they are not requested every frame
+     */
+    getTile(z, x, y) {
+        const key = `${z}/${x}/${y}`;
+        if (this.tiles.has(key)) {
+            const image = this.tiles.get(key);
+            return image && image.complete && image.naturalWidth > 0 ? image : null;
+        }
+        if (typeof Image === 'undefined') return null;
+
+        const image = new Image();
+        image.onload = () => this.requestRender();
+        image.onerror = () => this.tiles.set(key, null);
+        image.src = TrackMap.tileUrl(z, x, y);
+        this.tiles.set(key, image);
+        return null;
+    }
+
+    drawGrid(width, height, metersPerPixel) {
+        const ctx = this.ctx;
+        const spacing = TrackMap.niceDistance(metersPerPixel * 80) / metersPerPixel;
+
+        ctx.strokeStyle = this.COLORS.grid;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = (width / 2) % spacing; x < width; x += spacing) {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+        }
+        for (let y = (height / 2) % spacing; y < height; y += spacing) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+        }
+        ctx.stroke();
+    }
+
+    drawPath(toScreen) {
+        if (this.path.length < 2) return;
+
+        const ctx = this.ctx;
+        ctx.strokeStyle = this.COLORS.path;
+        ctx.lineWidth = 3;
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        this.path.forEach((point, i) => {
+            const p = toScreen(point);
+            if (i === 0) {
+                ctx.moveTo(p.x, p.y);
+            } else {
+                ctx.lineTo(p.x, p.y);
+            }
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Outline of the polygon being drawn, closed once it has three vertices
+     */
+    drawDraft(toScreen) {
+        const ctx = this.ctx;
+        const points = this.draft.map(toScreen);
+
+        ctx.strokeStyle = this.COLORS.draft;
+        ctx.fillStyle = this.COLORS.draft;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            if (i === 0) {
+                ctx.moveTo(p.x, p.y);
+            } else {
+                ctx.lineTo(p.x, p.y);
+            }
+        });
+        if (points.length >= 3) {
+            ctx.closePath();
+        }
+        ctx.stroke();
+
+        points.forEach((p) => {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    drawPosition(p, metersPerPixel) {
+        const ctx = this.ctx;
+
+        if (this.position.accuracy > 0) {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, this.position.accuracy / metersPerPixel, 0, Math.PI * 2);
+            ctx.fillStyle = this.COLORS.accuracy;
+            ctx.fill();
+        }
+
+        // Heading: a wedge pointing along the course (screen north is up)
+        if (this.position.bearing !== null) {
+            const angle = Geo.toRadians(this.position.bearing);
+            ctx.save();
+            ctx.translate(p.x, p.y);
+            ctx.rotate(angle);
+            ctx.beginPath();
+            ctx.moveTo(0, -22);
+            ctx.lineTo(-7, -6);
+            ctx.lineTo(7, -6);
+            ctx.closePath();
+            ctx.fillStyle = this.COLORS.heading;
+            ctx.fill();
+            ctx.restore();
+        }
+
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+        ctx.fillStyle = this.COLORS.position;
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+    }
+
+    drawScale(height, metersPerPixel) {
+        const ctx = this.ctx;
+        const meters = TrackMap.niceDistance(metersPerPixel * 80);
+        const length = meters / metersPerPixel;
+
+        ctx.strokeStyle = this.COLORS.text;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(8, height - 8);
+        ctx.lineTo(8 + length, height - 8);
+        ctx.stroke();
+
+        ctx.fillStyle = this.COLORS.text;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(meters >= 1000 ? `${meters / 1000} km` : `${meters} m`, 8, height - 12);
+    }
+
+    /**
+     * Web Mercator pixel coordinates at a zoom level
+     * @returns {Object} { x, y } in pixels of the 2^zoom × 256 world
+     */
+    static project(latitude, longitude, zoom) {
+        const size = TrackMap.TILE_SIZE * Math.pow(2, zoom);
+        const lat = Math.max(Math.min(latitude, 85.05112878), -85.05112878);
+        const sin = Math.sin(Geo.toRadians(lat));
+
+        return {
+            x: (longitude + 180) / 360 * size,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+        };
+    }
+
+    /**
+     * Inverse of project()
+     * @returns {Object} { latitude, longitude } in degrees
+     */
+    static unproject(x, y, zoom) {
+        const size = TrackMap.TILE_SIZE * Math.pow(2, zoom);
+        const n = Math.PI * (1 - 2 * y / size);
+
+        return {
+            latitude: Geo.toDegrees(Math.atan(Math.sinh(n))),
+            longitude: x / size * 360 - 180
+        };
+    }
+
+    /**
+     * Ground resolution; Web Mercator uses the WGS84 equatorial radius
+     */
+    static metersPerPixel(latitude, zoom) {
+        return 2 * Math.PI * 6378137 * Math.cos(Geo.toRadians(latitude)) /
+            (TrackMap.TILE_SIZE * Math.pow(2, zoom));
+    }
+
+    /**
+     * Round down to 1, 2 or 5 × 10^n (scale bar and grid steps)
+     */
+    static niceDistance(meters) {
+        const power = Math.pow(10, Math.floor(Math.log10(meters)));
+        const fraction = meters / power;
+        return (fraction >= 5 ? 5 : fraction >= 2 ? 2 : 1) * power;
+    }
+
+    /**
+     * URL a tile is cached under (and served from by sw.js)
+     */
+    static tileUrl(z, x, y) {
+        return `/tiles/${z}/${x}/${y}`;
+    }
+
+    /**
+     * z/x/y of a file in an XYZ tile folder ("…/15/16574/12234.png")
+     * @returns {Object|null} { z, x, y }
+     */
+    static parseTilePath(path) {
+        const match = /(?:^|\/)(\d+)\/(\d+)\/(\d+)\.(?:png|jpe?g|webp)$/i.exec(path);
+        if (!match) return null;
+
+        const [z, x, y] = match.slice(1).map((n) => parseInt(n, 10));
+        const count = Math.pow(2, z);
+        return x < count && y < count ? { z, x, y } : null;
+    }
+
+    /**
+     * Store a tile package (an XYZ folder picked with a directory input)
+     * in Cache Storage for offline use
+     * @param {File[]} files
+     * @returns {Promise<number>} Number of tiles stored
+     */
+    static async importTiles(files) {
+        if (!('caches' in window)) {
+            throw new Error('Offline storage (Cache Storage) is not supported');
+        }
+
+        const cache = await caches.open(TrackMap.TILE_CACHE);
+        let count = 0;
+
+        for (const file of files) {
+            const tile = TrackMap.parseTilePath(file.webkitRelativePath || file.name);
+            if (!tile) continue;
+
+            await cache.put(TrackMap.tileUrl(tile.z, tile.x, tile.y), new Response(file, {
+                headers: { 'Content-Type': file.type || 'image/png' }
+            }));
+            count++;
+        }
+
+        return count;
+    }
+
+    /**
+     * Number of cached tiles
+     */
+    static async countTiles() {
+        if (!('caches' in window)) return 0;
+        const cache = await caches.open(TrackMap.TILE_CACHE);
+        return (await cache.keys()).length;
+    }
+
+    static async clearTiles() {
+        if ('caches' in window) {
+            await caches.delete(TrackMap.TILE_CACHE);
+        }
+    }
+
+    /**
+     * Must match TILE_CACHE in sw.js
+     */
+    static get TILE_CACHE() {
+        return 'velocitats-tiles';
+    }
+
+    static get TILE_SIZE() {
+        return 256;
+    }
+}
+
+// Export for use in app.js
+window.TrackMap = TrackMap;
@@ -0,0 +1,278 @@
+/**
+ * Velocitats - Motion Processor
+ * Turns raw devicemotion vectors into gravity-free forward/lateral
+ * acceleration in the vehicle frame, whatever the phone's pose
+ */
+
+class MotionProcessor {
+    constructor() {
+        // Latest device orientation: { alpha, beta, gamma, absolute }
+        // alpha is referenced to North only when absolute is true
+        this.orientation = null;
+
+        // Direction of travel from GPS (degrees), null while unknown or too slow
+        this.travelBearing = null;
+
+        // Low-pass gravity estimate for devices that only report accelerationIncludingGravity
+        this.gravityEstimate = null;
+        this.GRAVITY_FILTER = 0.1;
+
+        // Below this speed the GPS course is too noisy to define "forward"
+        this.MIN_TRAVEL_SPEED = 2; // m/s
+
+        // Calibrated mount ({ up, forward } in the device frame), see calibration.js
+        this.mount = null;
+        this.MOUNT_TOLERANCE = 15; // degrees of gravity shift before the mount is distrusted
+
+        // Rotation of the screen content (screen.orientation.angle): 90 when the
+        // phone is turned counter-clockwise into landscape
+        this.screenAngle = 0;
+    }
+
+    /**
+     * Use a calibrated mount as the forward reference
+     * @param {Object|null} mount
+     */
+    setMount(mount) {
+        this.mount = mount;
+    }
+
+    /**
+     * Follow the screen rotation; without a mount or GPS course, forward is
+     * the top of the screen rather than the top of the device
+     * @param {number} angle - Degrees, as screen.orientation.angle
+     */
+    setScreenAngle(angle) {
+        this.screenAngle = ((angle % 360) + 360) % 360;
+    }
+
+    /**
+     * Unit vector towards the top of the screen, in the device frame
+     */
+    screenUp() {
+        const angle = this.screenAngle * Math.PI / 180;
+        return [Math.sin(angle), Math.cos(angle), 0];
+    }
+
+    /**
+     * Standard gravity in m/s²
+     */
+    static get GRAVITY() {
+        return 9.80665;
+    }
+
+    /**
+     * Update the device orientation used for projection
+     */
+    setOrientation(orientation) {
+        this.orientation = orientation;
+    }
+
+    /**
+     * Update the GPS direction of travel
+     * @param {number|null} bearing - Course over ground in degrees
+     * @param {number|null} speed - m/s
+     */
+    setTravel(bearing, speed) {
+        const valid = bearing !== null && bearing !== undefined && isFinite(bearing) &&
+            speed !== null && speed !== undefined && speed >= this.MIN_TRAVEL_SPEED;
+        this.travelBearing = valid ? bearing : null;
+    }
+
+    /**
+     * Process one devicemotion sample
+     * @param {Object|null} acceleration - event.acceleration (gravity removed)
+     * @param {Object|null} withGravity - event.accelerationIncludingGravity
+     * @returns {Object|null} { x, y, z, magnitude, forward, lateral, gravity, reference, mountShift }
+     */
+    process(acceleration, withGravity) {
+        const linearRaw = MotionProcessor.toVector(acceleration);
+        const totalRaw = MotionProcessor.toVector(withGravity);
+
+        if (!linearRaw && !totalRaw) return null;
+
+        const R = this.orientation ? MotionProcessor.rotationMatrix(
+            this.orientation.alpha || 0, this.orientation.beta || 0, this.orientation.gamma || 0
+        ) : null;
+
+        // Gravity ("up", as reported by accelerometers at rest) in the device frame
+        let gravity;
+        if (linearRaw && totalRaw) {
+            gravity = MotionProcessor.subtract(totalRaw, linearRaw);
+        } else if (R) {
+            // Earth "up" rotated into the device frame (R is device -> earth)
+            gravity = MotionProcessor.multiplyTransposed(R, [0, 0, MotionProcessor.GRAVITY]);
+        } else if (totalRaw) {
+            this.gravityEstimate = this.gravityEstimate
+                ? MotionProcessor.lerp(this.gravityEstimate, totalRaw, this.GRAVITY_FILTER)
+                : totalRaw;
+            gravity = this.gravityEstimate;
+        } else {
+            gravity = null;
+        }
+
+        const linear = linearRaw || MotionProcessor.subtract(totalRaw, gravity);
+        const magnitude = MotionProcessor.length(linear);
+
+        let forward;
+        let lateral = 0;
+        let reference;
+        let mountShift = null;
+
+        if (gravity && MotionProcessor.length(gravity) > 0) {
+            const up = MotionProcessor.normalize(gravity);
+            const horizontal = MotionProcessor.projectOnPlane(linear, up);
+
+            if (this.mount) {
+                const cosine = Math.min(Math.max(MotionProcessor.dot(this.mount.up, up), -1), 1);
+                mountShift = Math.acos(cosine) * 180 / Math.PI;
+            }
+
+            let direction = null;
+            if (mountShift !== null && mountShift <= this.MOUNT_TOLERANCE) {
+                direction = MotionProcessor.normalize(MotionProcessor.projectOnPlane(this.mount.forward, up));
+                reference = 'mount';
+            } else if (R && this.orientation.absolute && this.travelBearing !== null) {
+                // Direction of GPS travel expressed in the device frame
+                const theta = this.travelBearing * Math.PI / 180;
+                const travel = MotionProcessor.multiplyTransposed(R, [Math.sin(theta), Math.cos(theta), 0]);
+                direction = MotionProcessor.normalize(MotionProcessor.projectOnPlane(travel, up));
+                reference = 'gps';
+            } else {
+                direction = MotionProcessor.deviceForward(up, this.screenUp());
+                reference = 'device';
+            }
+
+            if (direction) {
+                const right = MotionProcessor.cross(direction, up);
+                forward = MotionProcessor.dot(horizontal, direction);
+                lateral = MotionProcessor.dot(horizontal, right);
+            } else {
+                forward = MotionProcessor.dot(linear, this.screenUp());
+                reference = 'raw';
+            }
+        } else {
+            // No way to tell which way is up - legacy behaviour (screen Y axis)
+            forward = MotionProcessor.dot(linear, this.screenUp());
+            reference = 'raw';
+        }
+
+        return {
+            x: linear[0],
+            y: linear[1],
+            z: linear[2],
+            magnitude: magnitude,
+            forward: forward,
+            lateral: lateral,
+            gravity: gravity ? { x: gravity[0], y: gravity[1], z: gravity[2] } : null,
+            reference: reference,
+            mountShift: mountShift  // degrees the phone moved since calibration, null if uncalibrated
+        };
+    }
+
+    /**
+     * Best guess of the vehicle's forward axis from the phone's pose alone:
+     * the top edge when lying flat, the back when standing in a mount
+     * @param {number[]} up - Unit "up" vector in the device frame
+     * @param {number[]} [screenUp] - Top edge of the screen in the device frame
+     * @returns {number[]|null} Horizontal unit vector in the device frame
+     */
+    static deviceForward(up, screenUp = [0, 1, 0]) {
+        const top = MotionProcessor.projectOnPlane(screenUp, up);
+        const back = MotionProcessor.projectOnPlane([0, 0, -1], up);
+        const topLength = MotionProcessor.length(top);
+        const backLength = MotionProcessor.length(back);
+
+        // Standing upright (screen within 30° of vertical) the back faces the
+        // road; in a landscape mount with the screen unrotated the top edge is
+        // level too but points sideways, so it has to be clearly more level
+        const upright = Math.abs(up[2]) < 0.5;
+        const candidate = topLength >= backLength + (upright ? 0.1 : 0) ? top : back;
+        return MotionProcessor.length(candidate) > 0.1 ? MotionProcessor.normalize(candidate) : null;
+    }
+
+    /**
+     * Rotation matrix (device -> earth, x East, y North, z up) from
+     * DeviceOrientation angles in degrees, following the W3C Z-X'-Y'' convention
+     */
+    static rotationMatrix(alpha, beta, gamma) {
+        const a = alpha * Math.PI / 180;
+        const b = beta * Math.PI / 180;
+        const g = gamma * Math.PI / 180;
+
+        const cA = Math.cos(a), sA = Math.sin(a);
+        const cB = Math.cos(b), sB = Math.sin(b);
+        const cG = Math.cos(g), sG = Math.sin(g);
+
+        return [
+            [cA * cG - sA * sB * sG, -cB * sA, cG * sA * sB + cA * sG],
+            [cG * sA + cA * sB * sG, cA * cB, sA * sG - cA * cG * sB],
+            [-cB * sG, sB, cB * cG]
+        ];
+    }
+
+    /**
+     * R · v
+     */
+    static multiply(R, v) {
+        return R.map((row) => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+    }
+
+    /**
+     * Rᵀ · v (inverse rotation)
+     */
+    static multiplyTransposed(R, v) {
+        return [0, 1, 2].map((i) => R[0][i] * v[0] + R[1][i] * v[1] + R[2][i] * v[2]);
+    }
+
+    /**
+     * { x, y, z } event vector to an array, or null when it carries no data
+     */
+    static toVector(value) {
+        if (!value || (value.x === null && value.y === null && value.z === null)) return null;
+        return [value.x || 0, value.y || 0, value.z || 0];
+    }
+
+    static dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    static cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+
+    static subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+
+    static scale(v, factor) {
+        return [v[0] * factor, v[1] * factor, v[2] * factor];
+    }
+
+    static length(v) {
+        return Math.sqrt(MotionProcessor.dot(v, v));
+    }
+
+    static normalize(v) {
+        const length = MotionProcessor.length(v);
+        return length > 0 ? MotionProcessor.scale(v, 1 / length) : v;
+    }
+
+    static lerp(a, b, t) {
+        return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+    }
+
+    /**
+     * Component of v perpendicular to the unit normal n
+     */
+    static projectOnPlane(v, n) {
+        return MotionProcessor.subtract(v, MotionProcessor.scale(n, MotionProcessor.dot(v, n)));
+    }
+}
+
+// Export for use in sensors.js
+window.MotionProcessor = MotionProcessor;
@@ -0,0 +1,42 @@
+/**
+ * Velocitats - Seeded Random
+ * Small deterministic PRNG (mulberry32) so simulator runs can be reproduced
+ */
+
+class SeededRandom {
+    /**
+     * @param {number} seed - Any integer; the same seed yields the same sequence
+     */
+    constructor(seed = 1) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Restart the sequence from the seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next float in [min, max)
+     */
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+}
+
+// Export
+window.SeededRandom = SeededRandom;
@@ -0,0 +1,196 @@
+/**
+ * Velocitats - Trip Recorder
+ * Captures sensor samples and brake events of a drive into TripStorage
+ */
+
+class TripRecorder {
+    constructor(storage) {
+        this.storage = storage;
+
+        // State
+        this.isRecording = false;
+        this.trip = null;
+        this.buffer = [];
+        this.flushIntervalId = null;
+
+        // Buffering (motion arrives at up to 60 Hz, so write in batches)
+        this.FLUSH_SIZE = 200;
+        this.FLUSH_INTERVAL_MS = 2000;
+
+        // Running statistics for the summary
+        this.stats = null;
+
+        // Driving score, fed with every sample (see DrivingScore)
+        this.scorer = null;
+        this.scoreThresholds = {};
+    }
+
+    /**
+     * Start a new trip
+     * @param {string} source - Data source name: sensors, simulator, ...
+     * @returns {Promise<Object>} The created trip
+     */
+    async start(source) {
+        if (this.isRecording) return this.trip;
+
+        const trip = {
+            startTime: Date.now(),
+            endTime: null,
+            source: source,
+            summary: null
+        };
+        trip.id = await this.storage.createTrip(trip);
+
+        this.trip = trip;
+        this.buffer = [];
+        this.stats = TripRecorder.createStats();
+        this.scorer = new DrivingScore(this.scoreThresholds);
+        this.isRecording = true;
+
+        this.flushIntervalId = setInterval(() => this.flush(), this.FLUSH_INTERVAL_MS);
+        console.log('⏺ Recording trip', trip.id);
+
+        return trip;
+    }
+
+    /**
+     * Record a sample of the current trip
+     * @param {string} type - gps, orientation, motion, brake or speeding
+     * @param {Object} data - Payload as emitted by the data source
+     */
+    record(type, data) {
+        if (!this.isRecording) return;
+
+        const t = Date.now();
+        this.buffer.push({ tripId: this.trip.id, type: type, t: t, data: { ...data } });
+        TripRecorder.accumulate(this.stats, type, data, t);
+        this.scorer.add(type, data, t);
+
+        if (this.buffer.length >= this.FLUSH_SIZE) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Write buffered samples to storage
+     */
+    async flush() {
+        if (this.buffer.length === 0) return;
+
+        const batch = this.buffer;
+        this.buffer = [];
+
+        try {
+            await this.storage.addSamples(batch);
+        } catch (error) {
+            console.error('Failed to store samples:', error);
+        }
+    }
+
+    /**
+     * Stop recording and store the trip summary
+     * @returns {Promise<Object>} The finished trip
+     */
+    async stop() {
+        if (!this.isRecording) return null;
+
+        this.isRecording = false;
+        clearInterval(this.flushIntervalId);
+        this.flushIntervalId = null;
+
+        await this.flush();
+
+        const trip = this.trip;
+        trip.endTime = Date.now();
+        trip.summary = TripRecorder.summarize(this.stats, trip.startTime, trip.endTime);
+        trip.summary.score = this.scorer.result().score;
+        await this.storage.updateTrip(trip);
+
+        this.trip = null;
+        this.stats = null;
+        this.scorer = null;
+        console.log('⏹ Trip saved', trip.id, trip.summary);
+
+        return trip;
+    }
+
+    /**
+     * Empty running statistics
+     */
+    static createStats() {
+        return {
+            lastFix: null,
+            distance: 0,
+            maxSpeed: 0,
+            speedSum: 0,
+            speedCount: 0,
+            brakeEvents: 0
+        };
+    }
+
+    /**
+     * Update running statistics with a sample
+     */
+    static accumulate(stats, type, data, t) {
+        if (type === 'brake') {
+            stats.brakeEvents++;
+            return;
+        }
+
+        if (type !== 'gps') return;
+
+        const speed = data.speed || 0;
+        stats.maxSpeed = Math.max(stats.maxSpeed, speed);
+        stats.speedSum += speed;
+        stats.speedCount++;
+
+        if (stats.lastFix) {
+            const distance = Geo.distance(
+                stats.lastFix.latitude, stats.lastFix.longitude,
+                data.latitude, data.longitude
+            );
+
+            // Ignore GPS jitter while standing still
+            if (speed > TripRecorder.MIN_MOVING_SPEED || distance > (data.accuracy || 0)) {
+                stats.distance += distance;
+            }
+        }
+
+        stats.lastFix = { latitude: data.latitude, longitude: data.longitude, t: t };
+    }
+
+    /**
+     * Build a trip summary from running statistics
+     */
+    static summarize(stats, startTime, endTime) {
+        return {
+            duration: endTime - startTime,                  // ms
+            distance: stats.distance,                       // m
+            maxSpeed: stats.maxSpeed,                       // m/s
+            avgSpeed: stats.speedCount > 0 ? stats.speedSum / stats.speedCount : 0, // m/s
+            brakeEvents: stats.brakeEvents
+        };
+    }
+
+    /**
+     * Build a trip summary from stored samples (e.g. for trips cut short)
+     */
+    static summarizeSamples(samples, startTime, endTime, scoreThresholds) {
+        const stats = TripRecorder.createStats();
+        samples.forEach((sample) => TripRecorder.accumulate(stats, sample.type, sample.data, sample.t));
+
+        const summary = TripRecorder.summarize(stats, startTime, endTime);
+        summary.score = DrivingScore.analyze(samples, scoreThresholds).score;
+        return summary;
+    }
+
+    /**
+     * Speed above which displacement always counts towards distance (m/s)
+     */
+    static get MIN_MOVING_SPEED() {
+        return 0.5;
+    }
+}
+
+// Export for use in app.js
+window.TripRecorder = TripRecorder;
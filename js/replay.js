@@ -0,0 +1,395 @@
+/**
+ * Velocitats - Replay Data Source
+ * Plays back recorded trips or imported GPX/CSV tracks at their real timing
+ */
+
+class SensorReplay {
+    constructor() {
+        this.isRunning = false;
+        this.isPaused = false;
+        this.intervalId = null;
+
+        // Timeline
+        this.samples = [];
+        this.cursor = 0;          // Index of the next sample to emit
+        this.position = 0;        // Playhead in ms from the first sample
+        this.duration = 0;        // ms
+        this.lastTickTime = null; // Wall clock of the previous tick
+
+        // Playback parameters
+        this.rate = 1;
+        this.loop = false;
+        this.MIN_RATE = 0.5;
+        this.MAX_RATE = 8;
+
+        // Callbacks (same interface as SensorManager)
+        this.onGpsUpdate = null;
+        this.onOrientationUpdate = null;
+        this.onMotionUpdate = null;
+
+        // Playback callbacks
+        this.onProgress = null;
+        this.onEnd = null;
+    }
+
+    /**
+     * Load a timeline of samples
+     * @param {Array<Object>} samples - [{ type, t, data }] with t in ms
+     */
+    load(samples) {
+        this.stop();
+
+        this.samples = samples
+            .filter((sample) => ['gps', 'orientation', 'motion'].includes(sample.type))
+            .sort((a, b) => a.t - b.t);
+
+        if (this.samples.length === 0) {
+            throw new Error('Nothing to replay: no GPS, orientation or motion samples');
+        }
+
+        const startT = this.samples[0].t;
+        this.samples.forEach((sample) => {
+            sample.offset = sample.t - startT;
+        });
+
+        this.duration = this.samples[this.samples.length - 1].offset;
+        this.cursor = 0;
+        this.position = 0;
+    }
+
+    /**
+     * Which sensor streams the loaded timeline contains
+     */
+    getAvailability() {
+        const has = (type) => this.samples.some((sample) => sample.type === type);
+        return { gps: has('gps'), orientation: has('orientation'), motion: has('motion') };
+    }
+
+    /**
+     * Start (or restart) playback from the current position
+     */
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.isPaused = false;
+        this.lastTickTime = Date.now();
+
+        this.intervalId = setInterval(() => this.tick(), 1000 / 60);
+        console.log('Replay started');
+    }
+
+    /**
+     * Stop playback
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.isRunning = false;
+        this.isPaused = false;
+    }
+
+    /**
+     * Pause playback, keeping the playhead
+     */
+    pause() {
+        if (!this.isRunning) return;
+        this.isPaused = true;
+    }
+
+    /**
+     * Resume after pause
+     */
+    resume() {
+        if (!this.isRunning) {
+            this.start();
+            return;
+        }
+
+        // Resuming at the end starts over
+        if (this.cursor >= this.samples.length) {
+            this.seek(0);
+        }
+        this.isPaused = false;
+        this.lastTickTime = Date.now();
+    }
+
+    /**
+     * Set the playback speed
+     * @param {number} rate - 0.5x to 8x
+     */
+    setRate(rate) {
+        this.rate = Math.min(Math.max(rate, this.MIN_RATE), this.MAX_RATE);
+    }
+
+    /**
+     * Jump to a position in the timeline
+     * @param {number} position - ms from the start of the track
+     */
+    seek(position) {
+        this.position = Math.min(Math.max(position, 0), this.duration);
+        this.cursor = this.indexAt(this.position);
+
+        // Re-emit the latest known value of each stream so the dashboard catches up
+        const latest = {};
+        for (let i = this.cursor - 1; i >= 0 && Object.keys(latest).length < 3; i--) {
+            const sample = this.samples[i];
+            if (!latest[sample.type]) {
+                latest[sample.type] = sample;
+            }
+        }
+        Object.values(latest).forEach((sample) => this.emit(sample));
+
+        this.reportProgress();
+    }
+
+    /**
+     * Index of the first sample after a position (binary search)
+     */
+    indexAt(position) {
+        let low = 0;
+        let high = this.samples.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.samples[mid].offset <= position) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Playback tick - advance the playhead and emit due samples
+     */
+    tick() {
+        const now = Date.now();
+        const elapsed = now - this.lastTickTime;
+        this.lastTickTime = now;
+
+        if (this.isPaused) return;
+
+        this.position += elapsed * this.rate;
+
+        while (this.cursor < this.samples.length && this.samples[this.cursor].offset <= this.position) {
+            this.emit(this.samples[this.cursor]);
+            this.cursor++;
+        }
+
+        if (this.cursor >= this.samples.length) {
+            if (this.loop) {
+                this.cursor = 0;
+                this.position = 0;
+            } else {
+                this.position = this.duration;
+                this.pause();
+                if (this.onEnd) {
+                    this.onEnd();
+                }
+            }
+        }
+
+        this.reportProgress();
+    }
+
+    /**
+     * Send a sample through the matching callback
+     */
+    emit(sample) {
+        switch (sample.type) {
+            case 'gps':
+                if (this.onGpsUpdate) this.onGpsUpdate({ ...sample.data });
+                break;
+            case 'orientation':
+                if (this.onOrientationUpdate) this.onOrientationUpdate({ ...sample.data });
+                break;
+            case 'motion':
+                if (this.onMotionUpdate) this.onMotionUpdate({ ...sample.data });
+                break;
+        }
+    }
+
+    reportProgress() {
+        if (this.onProgress) {
+            this.onProgress(this.position, this.duration);
+        }
+    }
+
+    /**
+     * Initialize (compatible with SensorManager interface)
+     */
+    async initialize() {
+        this.start();
+        return this.getAvailability();
+    }
+
+    /**
+     * Parse an imported file into replay samples
+     * @param {string} text - File contents
+     * @param {string} fileName - Used to detect the format
+     */
+    static parse(text, fileName) {
+        const extension = fileName.split('.').pop().toLowerCase();
+
+        switch (extension) {
+            case 'gpx':
+                return SensorReplay.fromGPX(text);
+            case 'csv':
+                return SensorReplay.fromCSV(text);
+            default:
+                throw new Error(`Unsupported file type: .${extension}`);
+        }
+    }
+
+    /**
+     * GPX track points to GPS samples
+     * Speed and course come from TrackPointExtension when present, otherwise
+     * they are derived from consecutive points.
+     */
+    static fromGPX(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid GPX file');
+        }
+
+        const childValue = (element, localName) => {
+            const child = element.getElementsByTagNameNS('*', localName)[0];
+            return child ? parseFloat(child.textContent) : null;
+        };
+
+        const points = Array.from(doc.getElementsByTagNameNS('*', 'trkpt'));
+        const timeOf = (point) => point.getElementsByTagNameNS('*', 'time')[0];
+        // Without timestamps, assume one fix per second; in a timed track the
+        // odd untimed point is left out rather than placed at 1970
+        const timed = points.some((point) => timeOf(point));
+        const samples = [];
+
+        points.forEach((point, i) => {
+            const timeElement = timeOf(point);
+            const latitude = parseFloat(point.getAttribute('lat'));
+            const longitude = parseFloat(point.getAttribute('lon'));
+            if (timed && !timeElement) return;
+            const t = timeElement ? Date.parse(timeElement.textContent) : i * 1000;
+            if (!isFinite(t)) return;
+
+            let speed = childValue(point, 'speed');
+            let bearing = childValue(point, 'course');
+
+            const previous = samples[samples.length - 1];
+            if (previous && (speed === null || bearing === null)) {
+                const dt = (t - previous.t) / 1000;
+                const distance = Geo.distance(previous.data.latitude, previous.data.longitude, latitude, longitude);
+                if (speed === null) speed = dt > 0 ? distance / dt : 0;
+                if (bearing === null) bearing = distance > 0
+                    ? Geo.bearing(previous.data.latitude, previous.data.longitude, latitude, longitude)
+                    : previous.data.bearing;
+            }
+
+            samples.push({
+                type: 'gps',
+                t: t,
+                data: {
+                    latitude: latitude,
+                    longitude: longitude,
+                    speed: speed || 0,
+                    bearing: bearing || 0,
+                    accuracy: null,
+                    timestamp: t
+                }
+            });
+        });
+
+        return samples;
+    }
+
+    /**
+     * CSV rows to samples
+     * Rows with latitude/longitude become GPS samples; rows with x/y/z or
+     * forward become motion samples (the format written by TripExporter.toCSV).
+     */
+    static fromCSV(text) {
+        const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+        if (lines.length < 2) {
+            throw new Error('CSV file has no data rows');
+        }
+
+        const header = lines[0].split(',').map((name) => name.trim().toLowerCase());
+        const column = (...names) => header.findIndex((name) => names.includes(name));
+
+        const columns = {
+            timestamp: column('timestamp', 'time_ms', 't'),
+            time: column('time', 'datetime', 'iso_time'),
+            latitude: column('latitude', 'lat'),
+            longitude: column('longitude', 'lon', 'lng'),
+            speed: column('speed'),
+            bearing: column('bearing', 'course', 'heading'),
+            accuracy: column('accuracy'),
+            x: column('x'),
+            y: column('y'),
+            z: column('z'),
+            magnitude: column('magnitude'),
+            forward: column('forward')
+        };
+
+        if (columns.timestamp < 0 && columns.time < 0) {
+            throw new Error('CSV file needs a timestamp or time column');
+        }
+
+        const samples = [];
+
+        lines.slice(1).forEach((line) => {
+            const cells = line.split(',');
+            const number = (index) => {
+                if (index < 0 || cells[index] === undefined || cells[index].trim() === '') return null;
+                const value = parseFloat(cells[index]);
+                return isFinite(value) ? value : null;
+            };
+
+            const t = columns.timestamp >= 0 ? number(columns.timestamp) : Date.parse(cells[columns.time]);
+            if (t === null || !isFinite(t)) return;
+
+            const latitude = number(columns.latitude);
+            const longitude = number(columns.longitude);
+            if (latitude !== null && longitude !== null) {
+                samples.push({
+                    type: 'gps',
+                    t: t,
+                    data: {
+                        latitude: latitude,
+                        longitude: longitude,
+                        speed: number(columns.speed) || 0,
+                        bearing: number(columns.bearing) || 0,
+                        accuracy: number(columns.accuracy),
+                        timestamp: t
+                    }
+                });
+            }
+
+            const x = number(columns.x) || 0;
+            const y = number(columns.y) || 0;
+            const z = number(columns.z) || 0;
+            const forward = number(columns.forward);
+            if (forward !== null || columns.x >= 0 || columns.y >= 0) {
+                const magnitude = number(columns.magnitude);
+                samples.push({
+                    type: 'motion',
+                    t: t,
+                    data: {
+                        x: x,
+                        y: y,
+                        z: z,
+                        magnitude: magnitude !== null ? magnitude : Math.sqrt(x ** 2 + y ** 2 + z ** 2),
+                        forward: forward !== null ? forward : y
+                    }
+                });
+            }
+        });
+
+        return samples;
+    }
+}
+
+// Export
+window.SensorReplay = SensorReplay;
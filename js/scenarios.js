@@ -0,0 +1,201 @@
+/**
+ * Velocitats - Simulator Scenarios
+ * JSON-describable driving scripts for SensorSimulator
+ *
+ * A scenario is a list of segments run in order:
+ *   { type: 'accelerate', to: 15, duration: 5 }      // reach 15 m/s over 5 s
+ *   { type: 'cruise', duration: 8, turnRate: 3 }     // hold speed, turn 3°/s
+ *   { type: 'brake', decel: 7, to: 0 }               // brake at 7 m/s² down to 0 m/s
+ *   { type: 'stop', duration: 3 }                    // standstill
+ *   { type: 'gpsDropout', duration: 10 }             // hold speed, no GPS fixes
+ *   { type: 'compassNoise', duration: 5, amplitude: 20 } // hold speed, ±20° compass noise
+ *   { type: 'branch', options: [{ weight: 0.7, segments: [...] }, ...] }
+ *
+ * Any segment may add `jitter` (s), a seeded random extra duration.
+ * cruise, gpsDropout and compassNoise also accept `wander` for gentle curves.
+ */
+
+class SimulatorScenarios {
+    /**
+     * Built-in scenarios
+     */
+    static get PRESETS() {
+        return [
+            {
+                id: 'random-drive',
+                name: 'Random drive',
+                loop: true,
+                segments: [
+                    { type: 'accelerate', to: 15, duration: 5 },
+                    { type: 'cruise', duration: 8, jitter: 4, wander: 1 },
+                    {
+                        type: 'branch',
+                        options: [
+                            { weight: 0.7, segments: [{ type: 'brake', decel: 7, to: 0 }, { type: 'stop', duration: 3 }] },
+                            { weight: 0.3, segments: [{ type: 'accelerate', to: 20, duration: 4 }, { type: 'cruise', duration: 6, wander: 1 }] }
+                        ]
+                    }
+                ]
+            },
+            {
+                id: 'city-stop-go',
+                name: 'City stop & go',
+                loop: true,
+                segments: [
+                    { type: 'accelerate', to: 12, duration: 6 },
+                    { type: 'cruise', duration: 10 },
+                    { type: 'brake', decel: 3, to: 0 },
+                    { type: 'stop', duration: 5 },
+                    { type: 'accelerate', to: 14, duration: 7 },
+                    { type: 'cruise', duration: 5, turnRate: 9 },
+                    { type: 'brake', decel: 5, to: 0 },
+                    { type: 'stop', duration: 4 }
+                ]
+            },
+            {
+                id: 'emergency-stop',
+                name: 'Emergency stop',
+                loop: false,
+                segments: [
+                    { type: 'accelerate', to: 25, duration: 10 },
+                    { type: 'cruise', duration: 5 },
+                    { type: 'brake', decel: 9, to: 0 },
+                    { type: 'stop', duration: 5 }
+                ]
+            },
+            {
+                id: 'tunnel',
+                name: 'Tunnel (GPS dropout)',
+                loop: true,
+                segments: [
+                    { type: 'accelerate', to: 20, duration: 8 },
+                    { type: 'cruise', duration: 5 },
+                    { type: 'gpsDropout', duration: 10 },
+                    { type: 'cruise', duration: 5 },
+                    { type: 'brake', decel: 4, to: 0 },
+                    { type: 'stop', duration: 3 }
+                ]
+            },
+            {
+                id: 'magnetic-interference',
+                name: 'Magnetic interference',
+                loop: true,
+                segments: [
+                    { type: 'accelerate', to: 10, duration: 5 },
+                    { type: 'compassNoise', duration: 10, amplitude: 25 },
+                    { type: 'cruise', duration: 10, turnRate: 3 },
+                    { type: 'brake', decel: 4, to: 0 },
+                    { type: 'stop', duration: 3 }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Segment types and their required numeric fields
+     */
+    static get SEGMENT_FIELDS() {
+        return {
+            accelerate: ['to', 'duration'],
+            cruise: ['duration'],
+            brake: ['decel'],
+            stop: ['duration'],
+            gpsDropout: ['duration'],
+            compassNoise: ['duration', 'amplitude'],
+            branch: []
+        };
+    }
+
+    /**
+     * Find a built-in scenario by id
+     */
+    static get(id) {
+        return SimulatorScenarios.PRESETS.find((scenario) => scenario.id === id) || null;
+    }
+
+    /**
+     * Parse and validate a scenario from JSON text
+     * @throws {Error} If the scenario is malformed
+     */
+    static parse(json) {
+        let scenario;
+        try {
+            scenario = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Invalid scenario JSON: ${error.message}`);
+        }
+
+        SimulatorScenarios.validate(scenario);
+        return scenario;
+    }
+
+    /**
+     * Check a scenario definition
+     * @throws {Error} Describing the first problem found
+     */
+    static validate(scenario) {
+        if (!scenario || !Array.isArray(scenario.segments) || scenario.segments.length === 0) {
+            throw new Error('Scenario needs a non-empty "segments" array');
+        }
+
+        SimulatorScenarios.validateSegments(scenario.segments, 'segments');
+    }
+
+    static validateSegments(segments, path) {
+        segments.forEach((segment, i) => {
+            const where = `${path}[${i}]`;
+            const fields = SimulatorScenarios.SEGMENT_FIELDS[segment && segment.type];
+
+            if (!fields) {
+                throw new Error(`${where}: unknown segment type "${segment && segment.type}"`);
+            }
+
+            fields.forEach((field) => {
+                if (typeof segment[field] !== 'number' || !isFinite(segment[field])) {
+                    throw new Error(`${where}: "${field}" must be a number`);
+                }
+            });
+
+            if (segment.type === 'brake' && segment.decel <= 0) {
+                throw new Error(`${where}: "decel" must be positive`);
+            }
+            if (segment.type === 'brake' && segment.to !== undefined &&
+                (typeof segment.to !== 'number' || !(segment.to >= 0) || !isFinite(segment.to))) {
+                throw new Error(`${where}: "to" must not be negative`);
+            }
+
+            // Optional on brake; a zero duration would never end the segment
+            if (segment.duration !== undefined &&
+                (typeof segment.duration !== 'number' || !(segment.duration > 0) || !isFinite(segment.duration))) {
+                throw new Error(`${where}: "duration" must be positive`);
+            }
+            if (segment.jitter !== undefined &&
+                (typeof segment.jitter !== 'number' || !(segment.jitter >= 0) || !isFinite(segment.jitter))) {
+                throw new Error(`${where}: "jitter" must not be negative`);
+            }
+
+            if (segment.type === 'branch') {
+                if (!Array.isArray(segment.options) || segment.options.length === 0) {
+                    throw new Error(`${where}: branch needs a non-empty "options" array`);
+                }
+                segment.options.forEach((option, j) => {
+                    // An empty option in a looping scenario would never yield a segment
+                    if (!option || !Array.isArray(option.segments) || option.segments.length === 0) {
+                        throw new Error(`${where}.options[${j}]: needs a non-empty "segments" array`);
+                    }
+                    if (option.weight !== undefined &&
+                        (typeof option.weight !== 'number' || !(option.weight >= 0) || !isFinite(option.weight))) {
+                        throw new Error(`${where}.options[${j}]: "weight" must not be negative`);
+                    }
+                    SimulatorScenarios.validateSegments(option.segments, `${where}.options[${j}].segments`);
+                });
+                if (!segment.options.some((option) => (option.weight ?? 1) > 0)) {
+                    throw new Error(`${where}: at least one option needs a positive "weight"`);
+                }
+            }
+        });
+    }
+}
+
+// Export
+window.SimulatorScenarios = SimulatorScenarios;
@@ -0,0 +1,241 @@
+/**
+ * Velocitats - Driving Score
+ * Turns a trip's samples into harsh-driving events and a 0-100 score.
+ * Fed incrementally (sample by sample, as recorded) or from stored samples.
+ *
+ * Categories:
+ *   braking      - forward below the brake threshold (BRAKE_THRESHOLD)
+ *   acceleration - forward above the acceleration threshold
+ *   cornering    - lateral acceleration, or speed × bearing rate without it
+ *   speeding     - 'speeding' samples recorded by the speed-limit check
+ *   handling     - phone picked up / moved: fast tilt changes while driving
+ */
+
+class DrivingScore {
+    /**
+     * @param {Object} thresholds - Overrides for DrivingScore.DEFAULT_THRESHOLDS
+     */
+    constructor(thresholds = {}) {
+        this.thresholds = { ...DrivingScore.DEFAULT_THRESHOLDS, ...thresholds };
+        this.reset();
+    }
+
+    /**
+     * Thresholds: m/s² for braking/acceleration/cornering, degrees/s for handling
+     */
+    static get DEFAULT_THRESHOLDS() {
+        return {
+            braking: -2.0,
+            acceleration: 3.0,
+            cornering: 3.5,
+            handling: 60
+        };
+    }
+
+    /**
+     * Penalty points per event at the threshold; harsher events count up to 3×
+     */
+    static get WEIGHTS() {
+        return {
+            braking: 5,
+            acceleration: 3,
+            cornering: 4,
+            speeding: 4,
+            handling: 6
+        };
+    }
+
+    static get CATEGORIES() {
+        return ['braking', 'acceleration', 'cornering', 'speeding', 'handling'];
+    }
+
+    /**
+     * Events shorter than this are treated as bumps
+     */
+    static get MIN_EVENT_MS() {
+        return 250;
+    }
+
+    /**
+     * Penalties count fully up to this distance, then are spread per this many km
+     */
+    static get EXPOSURE_KM() {
+        return 10;
+    }
+
+    reset() {
+        this.events = [];
+        this.open = {};             // category -> { start, peak, last } of an episode in progress
+        this.lastFix = null;
+        this.speed = 0;
+        this.distance = 0;          // m
+        this.motionLateral = false; // true once motion carries a usable lateral value
+        this.lastOrientation = null;
+        this.tiltRate = 0;          // smoothed degrees/s
+    }
+
+    /**
+     * Feed one recorded sample
+     * @param {string} type - gps, orientation, motion, brake, speeding
+     * @param {Object} data - Sample payload
+     * @param {number} t - Sample time (ms)
+     */
+    add(type, data, t) {
+        switch (type) {
+            case 'gps':
+                this.addFix(data, t);
+                break;
+
+            case 'motion': {
+                const forward = data.forward || 0;
+                this.track('braking', forward < this.thresholds.braking, forward, t);
+                this.track('acceleration', forward > this.thresholds.acceleration, forward, t);
+
+                if (data.reference && data.reference !== 'raw' && typeof data.lateral === 'number') {
+                    this.motionLateral = true;
+                    this.track('cornering', Math.abs(data.lateral) > this.thresholds.cornering, data.lateral, t);
+                }
+                break;
+            }
+
+            case 'orientation':
+                this.addOrientation(data, t);
+                break;
+
+            case 'speeding':
+                this.events.push({
+                    t: t,
+                    category: 'speeding',
+                    peak: data.speed,
+                    severity: Math.min(1 + (data.speed - data.limit) / 10, 3)  // +1 per 10 km/h over
+                });
+                break;
+        }
+    }
+
+    addFix(data, t) {
+        const speed = data.speed || 0;
+
+        if (this.lastFix) {
+            const dt = (t - this.lastFix.t) / 1000;
+            const distance = Geo.distance(this.lastFix.latitude, this.lastFix.longitude, data.latitude, data.longitude);
+            if (speed > TripRecorder.MIN_MOVING_SPEED || distance > (data.accuracy || 0)) {
+                this.distance += distance;
+            }
+
+            // Cornering from the course change when the motion stream has no lateral axis
+            if (!this.motionLateral && dt > 0 && typeof data.bearing === 'number' &&
+                typeof this.lastFix.bearing === 'number') {
+                const turn = ((data.bearing - this.lastFix.bearing + 540) % 360) - 180;
+                const lateral = speed * Geo.toRadians(turn) / dt;
+                this.track('cornering', Math.abs(lateral) > this.thresholds.cornering, lateral, t, 0);
+            }
+        }
+
+        this.speed = speed;
+        this.lastFix = { latitude: data.latitude, longitude: data.longitude, bearing: data.bearing, t: t };
+    }
+
+    addOrientation(data, t) {
+        const last = this.lastOrientation;
+        this.lastOrientation = { beta: data.beta, gamma: data.gamma, t: t };
+        if (!last || typeof data.beta !== 'number' || typeof data.gamma !== 'number') return;
+
+        const dt = (t - last.t) / 1000;
+        if (dt <= 0) return;
+
+        // Shortest way round: beta wraps at ±180°, gamma at ±90°
+        const dBeta = ((data.beta - last.beta + 540) % 360) - 180;
+        const dGamma = ((data.gamma - last.gamma + 270) % 180) - 90;
+        const rate = (Math.abs(dBeta) + Math.abs(dGamma)) / dt;
+        this.tiltRate += 0.2 * (rate - this.tiltRate);
+
+        const moving = this.speed > TripRecorder.MIN_MOVING_SPEED;
+        this.track('handling', moving && this.tiltRate > this.thresholds.handling, this.tiltRate, t);
+    }
+
+    /**
+     * Open, extend or close an episode of one category
+     * @param {number} minDuration - Shortest episode that counts (ms)
+     */
+    track(category, active, value, t, minDuration = DrivingScore.MIN_EVENT_MS) {
+        const episode = this.open[category];
+
+        if (active) {
+            if (!episode) {
+                this.open[category] = { start: t, peak: value, last: t };
+            } else {
+                if (Math.abs(value) > Math.abs(episode.peak)) episode.peak = value;
+                episode.last = t;
+            }
+            return;
+        }
+
+        if (episode) {
+            delete this.open[category];
+            if (t - episode.start >= minDuration) {
+                this.pushEvent(category, episode);
+            }
+        }
+    }
+
+    pushEvent(category, episode) {
+        const threshold = Math.abs(this.thresholds[category]);
+        this.events.push({
+            t: episode.start,
+            category: category,
+            peak: episode.peak,
+            severity: Math.min(Math.abs(episode.peak) / threshold, 3)
+        });
+    }
+
+    /**
+     * Score and per-category breakdown
+     * @returns {Object} { score, distance, events, categories: { [name]: { count, penalty } } }
+     */
+    result() {
+        // Episodes still open at the end of the trip count too
+        Object.entries(this.open).forEach(([category, episode]) => {
+            if (episode.last - episode.start >= DrivingScore.MIN_EVENT_MS) {
+                this.pushEvent(category, episode);
+            }
+        });
+        this.open = {};
+        this.events.sort((a, b) => a.t - b.t);
+
+        const exposure = Math.max(1, this.distance / 1000 / DrivingScore.EXPOSURE_KM);
+        const categories = {};
+        DrivingScore.CATEGORIES.forEach((category) => {
+            categories[category] = { count: 0, penalty: 0 };
+        });
+
+        this.events.forEach((event) => {
+            const entry = categories[event.category];
+            entry.count++;
+            entry.penalty += DrivingScore.WEIGHTS[event.category] * event.severity / exposure;
+        });
+
+        const total = DrivingScore.CATEGORIES.reduce((sum, category) => sum + categories[category].penalty, 0);
+
+        return {
+            score: Math.max(0, Math.round(100 - total)),
+            distance: this.distance,
+            events: this.events.slice(),
+            categories: categories
+        };
+    }
+
+    /**
+     * Score a stored trip
+     * @param {Object[]} samples - { type, t, data } in time order
+     * @param {Object} thresholds
+     */
+    static analyze(samples, thresholds) {
+        const scorer = new DrivingScore(thresholds);
+        samples.forEach((sample) => scorer.add(sample.type, sample.data, sample.t));
+        return scorer.result();
+    }
+}
+
+// Export for use in app.js
+window.DrivingScore = DrivingScore;
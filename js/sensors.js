@@ -9,6 +9,12 @@ class SensorManager {
         this.gpsWatchId = null;
         this.hasMotionPermission = false;
         this.hasOrientationPermission = false;
+        this.isRunning = false;
+        this.isPaused = false;
+
+        // Window listeners and availability checks, by sensor, so they can be removed
+        this.listeners = {};     // { orientation: { type, handler }, motion: { type, handler } }
+        this.checkTimers = {};   // { orientation: timeoutId, motion: timeoutId }
 
         // Callbacks
         this.onGpsUpdate = null;
@@ -21,12 +27,21 @@ class SensorManager {
         this.lastAzimuth = null;
         this.lastAcceleration = null;
         this.initialAzimuth = null;
+
+        // Projects raw motion into the vehicle frame
+        this.motionProcessor = new MotionProcessor();
+
+        // Fills in speed/course when the device does not report them
+        this.kinematics = new GpsKinematics();
     }
 
     /**
      * Request all necessary permissions and start sensors
      */
     async initialize() {
+        // Initializing again (e.g. switching back from the simulator) starts clean
+        this.stop();
+
         const results = {
             gps: false,
             orientation: false,
@@ -83,9 +98,107 @@ class SensorManager {
             results.orientation = true;
         }
 
+        this.isRunning = true;
+        this.isPaused = false;
         return results;
     }
 
+    /**
+     * Start the sensors that were already granted, without asking again
+     */
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.isPaused = false;
+        this.attach();
+    }
+
+    /**
+     * Detach from all sensors, keeping the permissions and cached values
+     */
+    pause() {
+        if (!this.isRunning || this.isPaused) return;
+        this.isPaused = true;
+        this.detach();
+    }
+
+    /**
+     * Reattach after pause
+     */
+    resume() {
+        if (!this.isRunning) {
+            this.start();
+            return;
+        }
+        if (!this.isPaused) return;
+
+        this.isPaused = false;
+        this.attach();
+    }
+
+    /**
+     * Restart GPS and the granted motion/orientation listeners
+     */
+    attach() {
+        this.startGps().catch((error) => {
+            console.error('GPS error:', error);
+            this.handleError('gps', error.message);
+        });
+        if (this.hasMotionPermission) {
+            this.startMotion();
+        }
+        if (this.hasOrientationPermission) {
+            this.startOrientation();
+        }
+    }
+
+    /**
+     * Clear the GPS watch, window listeners and pending availability checks
+     */
+    detach() {
+        if (this.gpsWatchId !== null) {
+            navigator.geolocation.clearWatch(this.gpsWatchId);
+            this.gpsWatchId = null;
+        }
+
+        Object.keys(this.listeners).forEach((sensor) => this.removeListener(sensor));
+        Object.keys(this.checkTimers).forEach((sensor) => {
+            clearTimeout(this.checkTimers[sensor]);
+        });
+        this.checkTimers = {};
+    }
+
+    /**
+     * Listen for a window sensor event, replacing any previous listener for that sensor
+     */
+    addListener(sensor, type, handler) {
+        this.removeListener(sensor);
+        window.addEventListener(type, handler, true);
+        this.listeners[sensor] = { type, handler };
+    }
+
+    removeListener(sensor) {
+        const listener = this.listeners[sensor];
+        if (listener) {
+            window.removeEventListener(listener.type, listener.handler, true);
+            delete this.listeners[sensor];
+        }
+    }
+
+    /**
+     * Report a sensor as unavailable if it sends nothing for 2 seconds
+     */
+    checkAvailability(sensor, hasReceivedData, message) {
+        clearTimeout(this.checkTimers[sensor]);
+        this.checkTimers[sensor] = setTimeout(() => {
+            delete this.checkTimers[sensor];
+            if (!hasReceivedData()) {
+                console.warn(`No ${sensor} data received - sensor may not be available`);
+                this.handleError(sensor, message);
+            }
+        }, 2000);
+    }
+
     /**
      * Start GPS tracking
      */
@@ -96,6 +209,12 @@ class SensorManager {
                 return;
             }
 
+            if (this.gpsWatchId !== null) {
+                navigator.geolocation.clearWatch(this.gpsWatchId);
+            }
+
+            let settled = false;
+
             const options = {
                 enableHighAccuracy: true,
                 timeout: 10000,
@@ -104,18 +223,34 @@ class SensorManager {
 
             this.gpsWatchId = navigator.geolocation.watchPosition(
                 (position) => {
-                    this.lastPosition = {
-                        latitude: position.coords.latitude,
-                        longitude: position.coords.longitude,
-                        speed: position.coords.speed || 0,
-                        bearing: position.coords.heading || 0,
-                        accuracy: position.coords.accuracy,
+                    const coords = position.coords;
+                    const kinematics = this.kinematics.update({
+                        latitude: coords.latitude,
+                        longitude: coords.longitude,
+                        speed: coords.speed,
+                        heading: coords.heading,
+                        accuracy: coords.accuracy,
                         timestamp: position.timestamp
+                    });
+
+                    this.motionProcessor.setTravel(kinematics.bearing, kinematics.speed);
+
+                    // speed/bearing are derived from previous fixes when the device
+                    // reports null, and stay null until they can be
+                    this.lastPosition = {
+                        latitude: coords.latitude,
+                        longitude: coords.longitude,
+                        speed: kinematics.speed,
+                        bearing: kinematics.bearing,
+                        accuracy: coords.accuracy,
+                        timestamp: position.timestamp,
+                        acceleration: kinematics.acceleration  // m/s² along the track, null while unknown
                     };
 
                     if (this.onGpsUpdate) {
                         this.onGpsUpdate(this.lastPosition);
                     }
+                    settled = true;
                     resolve();
                 },
                 (error) => {
@@ -131,7 +266,14 @@ class SensorManager {
                             message = 'Location request timed out';
                             break;
                     }
-                    reject(new Error(message));
+                    // Only the first outcome settles the promise; later timeouts
+                    // and losses are reported as they happen
+                    if (settled) {
+                        this.handleError('gps', message);
+                    } else {
+                        settled = true;
+                        reject(new Error(message));
+                    }
                 },
                 options
             );
@@ -146,180 +288,179 @@ class SensorManager {
         let hasReceivedData = false;
 
         const handleOrientation = (event) => {
-            // Get azimuth (compass heading)
-            // alpha: rotation around z-axis (0-360)
-            // For absolute orientation, use webkitCompassHeading on iOS
-            let azimuth;
-
-            if (event.webkitCompassHeading !== undefined) {
-                // iOS provides compass heading directly (degrees from magnetic north)
-                azimuth = event.webkitCompassHeading;
-            } else if (event.alpha !== null) {
-                // Android / Desktop:
-                // When using deviceorientationabsolute (event.absolute is true),
-                // alpha represents the compass heading where:
-                //   alpha = 0 means device top points to North
-                //   alpha increases as device rotates counter-clockwise
-                // So compass heading = (360 - alpha) % 360
-                //
-                // When using regular deviceorientation (not absolute),
-                // alpha is relative to the initial orientation and not useful for compass
-                if (event.absolute || usingAbsolute) {
-                    // Absolute orientation: convert alpha to compass heading
-                    azimuth = (360 - event.alpha) % 360;
-                } else {
-                    // Relative orientation - can't determine true north
-                    // Use alpha directly as a fallback (won't be accurate compass)
-                    azimuth = event.alpha;
-                }
-            } else {
-                return; // No valid data
-            }
-
-            if (!hasReceivedData) {
+            const azimuth = this.processOrientation(event, usingAbsolute);
+            if (azimuth !== null && !hasReceivedData) {
                 hasReceivedData = true;
                 console.log('Compass data received, azimuth:', azimuth.toFixed(1), '°');
             }
-
-            // Store initial azimuth for velocity arrow calculation
-            if (this.initialAzimuth === null) {
-                this.initialAzimuth = azimuth;
-            }
-
-            this.lastAzimuth = azimuth;
-
-            if (this.onOrientationUpdate) {
-                this.onOrientationUpdate({
-                    azimuth: azimuth,
-                    initialAzimuth: this.initialAzimuth,
-                    beta: event.beta,   // Front-back tilt
-                    gamma: event.gamma  // Left-right tilt
-                });
-            }
         };
 
         // Try absolute orientation first (more accurate for compass)
         if ('ondeviceorientationabsolute' in window) {
             usingAbsolute = true;
-            window.addEventListener('deviceorientationabsolute', handleOrientation, true);
+            this.addListener('orientation', 'deviceorientationabsolute', handleOrientation);
             console.log('Using deviceorientationabsolute for compass');
         } else {
-            window.addEventListener('deviceorientation', handleOrientation, true);
+            this.addListener('orientation', 'deviceorientation', handleOrientation);
             console.log('Using deviceorientation for compass (may not be accurate)');
         }
 
         // Check if we receive orientation data within 2 seconds
-        setTimeout(() => {
-            if (!hasReceivedData) {
-                console.warn('No compass/orientation data received - sensor may not be available');
-                this.handleError('orientation', 'Compass not available on this device');
-            }
-        }, 2000);
+        this.checkAvailability('orientation', () => hasReceivedData, 'Compass not available on this device');
 
         this.hasOrientationPermission = true;
     }
 
     /**
-     * Start device motion tracking (accelerometer)
+     * Turn one orientation reading into a compass heading and report it
+     * @param {Object} event - deviceorientation event, or the same fields from another source
+     * @param {boolean} usingAbsolute - Listening to deviceorientationabsolute
+     * @returns {number|null} Azimuth, or null when the reading carries no heading
      */
-    startMotion() {
-        let hasReceivedData = false;
-        let checkTimeout = null;
-
-        const handleMotion = (event) => {
-            // Use acceleration excluding gravity for true linear acceleration
-            const accel = event.acceleration || event.accelerationIncludingGravity;
-
-            if (!accel || (accel.x === null && accel.y === null && accel.z === null)) {
-                // No valid accelerometer data
-                return;
+    processOrientation(event, usingAbsolute = false) {
+        // Get azimuth (compass heading)
+        // alpha: rotation around z-axis (0-360)
+        // For absolute orientation, use webkitCompassHeading on iOS
+        let azimuth;
+
+        if (event.webkitCompassHeading !== undefined) {
+            // iOS provides compass heading directly (degrees from magnetic north)
+            azimuth = event.webkitCompassHeading;
+        } else if (event.alpha !== null) {
+            // Android / Desktop:
+            // When using deviceorientationabsolute (event.absolute is true),
+            // alpha represents the compass heading where:
+            //   alpha = 0 means device top points to North
+            //   alpha increases as device rotates counter-clockwise
+            // So compass heading = (360 - alpha) % 360
+            //
+            // When using regular deviceorientation (not absolute),
+            // alpha is relative to the initial orientation and not useful for compass
+            if (event.absolute || usingAbsolute) {
+                // Absolute orientation: convert alpha to compass heading
+                azimuth = (360 - event.alpha) % 360;
+            } else {
+                // Relative orientation - can't determine true north
+                // Use alpha directly as a fallback (won't be accurate compass)
+                azimuth = event.alpha;
             }
+        } else {
+            return null; // No valid data
+        }
 
-            hasReceivedData = true;
+        // Store initial azimuth for velocity arrow calculation
+        if (this.initialAzimuth === null) {
+            this.initialAzimuth = azimuth;
+        }
 
-            // Calculate magnitude of acceleration vector
-            const magnitude = Math.sqrt(
-                (accel.x || 0) ** 2 +
-                (accel.y || 0) ** 2 +
-                (accel.z || 0) ** 2
-            );
+        this.lastAzimuth = azimuth;
 
-            // Forward acceleration (Y-axis in portrait mode)
-            // Negative Y means braking (decelerating)
-            const forwardAccel = accel.y || 0;
+        // Full pose for the motion projection; alpha is re-referenced to North
+        // whenever the heading is absolute
+        const isAbsolute = event.webkitCompassHeading !== undefined || event.absolute || usingAbsolute;
+        this.motionProcessor.setOrientation({
+            alpha: isAbsolute ? (360 - azimuth) % 360 : event.alpha,
+            beta: event.beta,
+            gamma: event.gamma,
+            absolute: isAbsolute
+        });
 
-            this.lastAcceleration = {
-                x: accel.x || 0,
-                y: accel.y || 0,
-                z: accel.z || 0,
-                magnitude: magnitude,
-                forward: forwardAccel
-            };
+        if (this.onOrientationUpdate) {
+            this.onOrientationUpdate({
+                azimuth: azimuth,
+                initialAzimuth: this.initialAzimuth,
+                beta: event.beta,   // Front-back tilt
+                gamma: event.gamma, // Left-right tilt
+                absolute: isAbsolute,
+                // ± degrees: iOS reports it (negative when the compass needs
+                // calibration), the Generic Sensor backend estimates it
+                accuracy: event.webkitCompassAccuracy !== undefined ? event.webkitCompassAccuracy : event.accuracy
+            });
+        }
+        return azimuth;
+    }
 
-            if (this.onMotionUpdate) {
-                this.onMotionUpdate(this.lastAcceleration);
+    /**
+     * Start device motion tracking (accelerometer)
+     */
+    startMotion() {
+        let hasReceivedData = false;
+
+        const handleMotion = (event) => {
+            if (this.processMotion(event.acceleration, event.accelerationIncludingGravity)) {
+                hasReceivedData = true;
             }
         };
 
-        window.addEventListener('devicemotion', handleMotion, true);
+        this.addListener('motion', 'devicemotion', handleMotion);
 
         // Check if we receive accelerometer data within 2 seconds
-        checkTimeout = setTimeout(() => {
-            if (!hasReceivedData) {
-                console.warn('No accelerometer data received - sensor may not be available');
-                this.handleError('motion', 'Accelerometer not available on this device');
-            }
-        }, 2000);
+        this.checkAvailability('motion', () => hasReceivedData, 'Accelerometer not available on this device');
 
         this.hasMotionPermission = true;
     }
 
     /**
-     * Handle sensor errors
+     * Turn one accelerometer reading into vehicle-frame motion and report it
+     * @param {Object|null} acceleration - { x, y, z } without gravity
+     * @param {Object|null} withGravity - { x, y, z } including gravity
+     * @returns {Object|null} Motion payload, null without valid data
      */
-    handleError(sensor, message) {
-        if (this.onError) {
-            this.onError(sensor, message);
+    processMotion(acceleration, withGravity) {
+        // Remove gravity and rotate into the vehicle frame: forward is the
+        // GPS direction of travel when known, otherwise inferred from the pose
+        const motion = this.motionProcessor.process(acceleration, withGravity);
+
+        if (!motion) {
+            // No valid accelerometer data
+            return null;
+        }
+
+        // Negative forward means braking (decelerating)
+        this.lastAcceleration = motion;
+
+        if (this.onMotionUpdate) {
+            this.onMotionUpdate(this.lastAcceleration);
         }
+        return motion;
     }
 
     /**
-     * Stop all sensors
+     * Motion is projected against the top of the screen, which turns with it
+     * @param {number} angle - screen.orientation.angle in degrees
      */
-    stop() {
-        if (this.gpsWatchId !== null) {
-            navigator.geolocation.clearWatch(this.gpsWatchId);
-            this.gpsWatchId = null;
-        }
+    setScreenAngle(angle) {
+        this.motionProcessor.setScreenAngle(angle);
     }
 
     /**
-     * Convert decimal degrees to DMS format
+     * Handle sensor errors
      */
-    static toDMS(decimal, isLatitude) {
-        const absolute = Math.abs(decimal);
-        const degrees = Math.floor(absolute);
-        const minutesFloat = (absolute - degrees) * 60;
-        const minutes = Math.floor(minutesFloat);
-        const seconds = ((minutesFloat - minutes) * 60).toFixed(3);
-
-        let direction;
-        if (isLatitude) {
-            direction = decimal >= 0 ? 'N' : 'S';
-        } else {
-            direction = decimal >= 0 ? 'E' : 'W';
+    handleError(sensor, message) {
+        if (this.onError) {
+            this.onError(sensor, message);
         }
+    }
 
-        return `${degrees}° ${minutes}' ${seconds}" ${direction}`;
+    /**
+     * Stop all sensors; start() or initialize() can bring them back
+     */
+    stop() {
+        this.detach();
+        this.kinematics.reset();
+        this.isRunning = false;
+        this.isPaused = false;
     }
 
     /**
-     * Get cardinal direction from bearing
+     * Stop and drop the callbacks
      */
-    static bearingToCardinal(bearing) {
-        const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW', 'N'];
-        const index = Math.round(bearing / 45);
-        return directions[index];
+    dispose() {
+        this.stop();
+        this.onGpsUpdate = null;
+        this.onOrientationUpdate = null;
+        this.onMotionUpdate = null;
+        this.onError = null;
     }
 }
 
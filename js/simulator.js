@@ -1,30 +1,78 @@
 /**
  * Velocitats - Sensor Simulator
  * Simulates GPS movement, compass rotation, and acceleration data
+ * by running a scripted scenario (see scenarios.js) with a seeded PRNG
  */
 
 class SensorSimulator {
     constructor() {
         this.isRunning = false;
+        this.isPaused = false;
         this.intervalId = null;
 
+        // Fixed time step so a scenario + seed always yields the same streams
+        this.FPS = 30;
+        this.dt = 1 / this.FPS;
+
+        // Start position
+        this.START_LATITUDE = 41.3851;   // Barcelona
+        this.START_LONGITUDE = 2.1734;
+
+        // Scenario
+        this.scenario = SimulatorScenarios.get('random-drive');
+        this.seed = 1;
+        this.random = new SeededRandom(this.seed);
+
+        this.reset();
+
+        // Callbacks (same interface as SensorManager)
+        this.onGpsUpdate = null;
+        this.onOrientationUpdate = null;
+        this.onMotionUpdate = null;
+    }
+
+    /**
+     * Select the scenario and seed for the next run
+     * @param {Object} scenario - Scenario definition (validated)
+     * @param {number} seed - PRNG seed
+     */
+    setScenario(scenario, seed = 1) {
+        SimulatorScenarios.validate(scenario);
+        this.scenario = scenario;
+        this.seed = seed;
+        this.reset();
+    }
+
+    /**
+     * Reset simulation state to the start of the scenario
+     */
+    reset() {
+        this.random = new SeededRandom(this.seed);
+
         // Simulation state
         this.time = 0;
-        this.latitude = 41.3851;   // Barcelona
-        this.longitude = 2.1734;
+        this.startTimestamp = Date.now();
+        this.latitude = this.START_LATITUDE;
+        this.longitude = this.START_LONGITUDE;
         this.speed = 0;
         this.bearing = 0;
         this.azimuth = 0;
         this.acceleration = 0;
+        this.turnRate = 0; // deg/s
 
-        // Simulation parameters
-        this.scenario = 'cruise'; // cruise, accelerate, brake, stop
-        this.scenarioTime = 0;
+        // Sensor conditions set by the current segment
+        this.gpsAvailable = true;
+        this.compassNoise = 0;
 
-        // Callbacks (same interface as SensorManager)
-        this.onGpsUpdate = null;
-        this.onOrientationUpdate = null;
-        this.onMotionUpdate = null;
+        // Segment queue
+        this.queue = [...this.scenario.segments];
+        this.segment = null;
+        this.segmentTime = 0;
+        this.segmentDuration = 0;
+        this.segmentStartSpeed = 0;
+        this.finished = false;
+
+        this.nextSegment();
     }
 
     /**
@@ -33,10 +81,10 @@ class SensorSimulator {
     start() {
         if (this.isRunning) return;
         this.isRunning = true;
+        this.isPaused = false;
 
-        // Run at 60fps for smooth animation
-        this.intervalId = setInterval(() => this.tick(), 1000 / 30);
-        console.log('Simulation started');
+        this.intervalId = setInterval(() => this.tick(), 1000 / this.FPS);
+        console.log(`Simulation started: ${this.scenario.name || 'custom scenario'} (seed ${this.seed})`);
     }
 
     /**
@@ -48,14 +96,49 @@ class SensorSimulator {
             this.intervalId = null;
         }
         this.isRunning = false;
+        this.isPaused = false;
+    }
+
+    /**
+     * Freeze the scenario where it is; no ticks until resume()
+     */
+    pause() {
+        if (!this.isRunning || this.isPaused) return;
+        this.isPaused = true;
+
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+    }
+
+    /**
+     * Continue after pause
+     */
+    resume() {
+        if (!this.isRunning) {
+            this.start();
+            return;
+        }
+        if (!this.isPaused) return;
+        this.isPaused = false;
+
+        this.intervalId = setInterval(() => this.tick(), 1000 / this.FPS);
+    }
+
+    /**
+     * Stop and drop the callbacks
+     */
+    dispose() {
+        this.stop();
+        this.onGpsUpdate = null;
+        this.onOrientationUpdate = null;
+        this.onMotionUpdate = null;
     }
 
     /**
      * Simulation tick - update all values
      */
     tick() {
-        this.time += 1 / 30; // 30 fps
-        this.scenarioTime += 1 / 30;
+        this.time += this.dt;
 
         // Run scenario logic
         this.updateScenario();
@@ -68,63 +151,123 @@ class SensorSimulator {
     }
 
     /**
-     * Scenario state machine - simulates realistic driving patterns
+     * Advance to the next segment, resolving branches and looping
+     */
+    nextSegment() {
+        while (true) {
+            if (this.queue.length === 0) {
+                if (!this.scenario.loop) {
+                    // Scenario over - hold the last speed
+                    this.segment = null;
+                    this.finished = true;
+                    return;
+                }
+                this.queue = [...this.scenario.segments];
+            }
+
+            const segment = this.queue.shift();
+
+            if (segment.type === 'branch') {
+                this.queue.unshift(...this.pickBranch(segment.options));
+                continue;
+            }
+
+            this.segment = segment;
+            this.segmentTime = 0;
+            this.segmentStartSpeed = this.speed;
+            this.segmentDuration = (segment.duration ?? Infinity) +
+                (segment.jitter ? this.random.range(0, segment.jitter) : 0);
+            return;
+        }
+    }
+
+    /**
+     * Choose a branch option by weight
+     */
+    pickBranch(options) {
+        const total = options.reduce((sum, option) => sum + (option.weight ?? 1), 0);
+        let roll = this.random.next() * total;
+
+        for (const option of options) {
+            roll -= option.weight ?? 1;
+            if (roll < 0) return option.segments;
+        }
+        return options[options.length - 1].segments;
+    }
+
+    /**
+     * Scenario state machine - runs the current segment for one time step
      */
     updateScenario() {
-        switch (this.scenario) {
-            case 'accelerate':
-                // Accelerate for 5 seconds
-                this.speed = Math.min(this.speed + 0.5, 15); // Max 15 m/s (54 km/h)
-                this.acceleration = 2.5;
-                if (this.scenarioTime > 5) {
-                    this.scenario = 'cruise';
-                    this.scenarioTime = 0;
+        this.gpsAvailable = true;
+        this.compassNoise = 0;
+
+        const segment = this.segment;
+        if (!segment) {
+            this.acceleration = 0;
+            this.turnRate = 0;
+            return;
+        }
+
+        const previousBearing = this.bearing;
+
+        this.segmentTime += this.dt;
+        let done = this.segmentTime >= this.segmentDuration;
+
+        switch (segment.type) {
+            case 'accelerate': {
+                // Linear speed ramp from the segment's start speed
+                const rate = (segment.to - this.segmentStartSpeed) / segment.duration;
+                this.speed = Math.max(this.speed + rate * this.dt, 0);
+                this.acceleration = rate;
+                if (done) {
+                    this.speed = segment.to;
                 }
                 break;
+            }
 
             case 'cruise':
-                // Cruise for 8-12 seconds, gentle turns
+            case 'gpsDropout':
+            case 'compassNoise':
                 this.acceleration = Math.sin(this.time * 0.5) * 0.5; // Slight variations
-                this.bearing += Math.sin(this.time * 0.3) * 0.5; // Gentle curves
+                this.bearing += (segment.turnRate || 0) * this.dt;
+                if (segment.wander) {
+                    this.bearing += Math.sin(this.time * 0.3) * 0.5 * segment.wander; // Gentle curves
+                }
                 this.azimuth += Math.sin(this.time * 0.2) * 0.3; // Device rotation
 
-                if (this.scenarioTime > 8 + Math.random() * 4) {
-                    // Randomly brake or continue
-                    if (Math.random() > 0.3) {
-                        this.scenario = 'brake';
-                    } else {
-                        this.scenario = 'accelerate';
-                    }
-                    this.scenarioTime = 0;
+                if (segment.type === 'gpsDropout') {
+                    this.gpsAvailable = false;
+                } else if (segment.type === 'compassNoise') {
+                    this.compassNoise = segment.amplitude;
                 }
                 break;
 
-            case 'brake':
-                // Hard braking for 2 seconds
-                this.speed = Math.max(this.speed - 2.5, 0);
-                this.acceleration = -7.0; // Hard brake!
-
-                if (this.scenarioTime > 2 || this.speed <= 0) {
-                    this.scenario = this.speed <= 0 ? 'stop' : 'cruise';
-                    this.scenarioTime = 0;
-                }
+            case 'brake': {
+                // Never speed up to a target above the current speed
+                const target = Math.min(segment.to || 0, this.speed);
+                this.speed = Math.max(this.speed - segment.decel * this.dt, target);
+                this.acceleration = -segment.decel;
+                done = done || this.speed <= target;
                 break;
+            }
 
             case 'stop':
-                // Stopped for 3 seconds
                 this.speed = 0;
                 this.acceleration = 0;
-
-                if (this.scenarioTime > 3) {
-                    this.scenario = 'accelerate';
-                    this.scenarioTime = 0;
-                }
                 break;
         }
 
+        // Turn rate drives the simulated lateral (cornering) acceleration
+        this.turnRate = (this.bearing - previousBearing) / this.dt;
+
         // Keep bearing in 0-360 range
         this.bearing = ((this.bearing % 360) + 360) % 360;
         this.azimuth = ((this.azimuth % 360) + 360) % 360;
+
+        if (done) {
+            this.nextSegment();
+        }
     }
 
     /**
@@ -133,8 +276,7 @@ class SensorSimulator {
     updatePosition() {
         if (this.speed <= 0) return;
 
-        const dt = 1 / 30;
-        const distance = this.speed * dt; // meters
+        const distance = this.speed * this.dt; // meters
 
         // Convert bearing to radians
         const bearingRad = this.bearing * Math.PI / 180;
@@ -155,38 +297,47 @@ class SensorSimulator {
      * Send updates through callbacks
      */
     sendUpdates() {
+        // Simulated clock, so timestamps are reproducible relative to the start
+        const timestamp = this.startTimestamp + Math.round(this.time * 1000);
+
         // GPS update
-        if (this.onGpsUpdate) {
+        if (this.onGpsUpdate && this.gpsAvailable) {
             this.onGpsUpdate({
                 latitude: this.latitude,
                 longitude: this.longitude,
                 speed: this.speed,
                 bearing: this.bearing,
                 accuracy: 5,
-                timestamp: Date.now()
+                timestamp: timestamp,
+                acceleration: this.acceleration
             });
         }
 
         // Orientation update
         if (this.onOrientationUpdate) {
+            const noise = this.compassNoise ? (this.random.next() - 0.5) * 2 * this.compassNoise : 0;
             this.onOrientationUpdate({
-                azimuth: this.azimuth,
+                azimuth: ((this.azimuth + noise) % 360 + 360) % 360,
                 initialAzimuth: 0,
                 beta: 0,
-                gamma: 0
+                gamma: 0,
+                absolute: true
             });
         }
 
         // Motion update
         if (this.onMotionUpdate) {
             // Add some noise
-            const noise = (Math.random() - 0.5) * 0.5;
+            const noise = (this.random.next() - 0.5) * 0.5;
             this.onMotionUpdate({
                 x: noise,
                 y: this.acceleration + noise,
                 z: noise,
-                magnitude: Math.abs(this.acceleration) + Math.random() * 0.5,
-                forward: this.acceleration
+                magnitude: Math.abs(this.acceleration) + this.random.next() * 0.5,
+                forward: this.acceleration,
+                lateral: this.speed * this.turnRate * Math.PI / 180,
+                gravity: { x: 0, y: 0, z: MotionProcessor.GRAVITY }, // Phone lying flat
+                reference: 'gps'
             });
         }
     }
@@ -195,14 +346,15 @@ class SensorSimulator {
      * Trigger a manual brake event (for testing)
      */
     triggerBrake() {
-        this.scenario = 'brake';
-        this.scenarioTime = 0;
+        this.queue.unshift({ type: 'brake', decel: 7, to: 0 }, { type: 'stop', duration: 3 });
+        this.nextSegment();
     }
 
     /**
      * Initialize (compatible with SensorManager interface)
      */
     async initialize() {
+        this.reset();
         this.start();
         return { gps: true, orientation: true, motion: true };
     }
@@ -0,0 +1,201 @@
+/**
+ * Velocitats - Trip Storage
+ * IndexedDB persistence for recorded trips, their sensor samples and
+ * the impact incident log
+ */
+
+class TripStorage {
+    constructor() {
+        this.DB_NAME = 'velocitats';
+        this.DB_VERSION = 2;
+        this.db = null;
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                // Trip metadata and summary
+                if (!db.objectStoreNames.contains('trips')) {
+                    db.createObjectStore('trips', { keyPath: 'id', autoIncrement: true });
+                }
+
+                // Raw samples: { tripId, type, t, data }
+                if (!db.objectStoreNames.contains('samples')) {
+                    const samples = db.createObjectStore('samples', { keyPath: 'id', autoIncrement: true });
+                    samples.createIndex('tripId', 'tripId', { unique: false });
+                }
+
+                // Impact incidents with their surrounding samples (version 2)
+                if (!db.objectStoreNames.contains('incidents')) {
+                    db.createObjectStore('incidents', { keyPath: 'id', autoIncrement: true });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a callback inside a transaction and resolve when it completes
+     * @param {string[]} stores - Object store names
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the transaction, may return a value
+     */
+    async transaction(stores, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(stores, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+
+            result = callback(tx);
+        });
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Create a new trip record
+     * @param {Object} trip - Trip metadata (startTime, source, ...)
+     * @returns {Promise<number>} New trip id
+     */
+    async createTrip(trip) {
+        const db = await this.open();
+        const store = db.transaction('trips', 'readwrite').objectStore('trips');
+        return TripStorage.promisify(store.add(trip));
+    }
+
+    /**
+     * Overwrite an existing trip record
+     */
+    async updateTrip(trip) {
+        const db = await this.open();
+        const store = db.transaction('trips', 'readwrite').objectStore('trips');
+        return TripStorage.promisify(store.put(trip));
+    }
+
+    /**
+     * Get a single trip by id
+     */
+    async getTrip(id) {
+        const db = await this.open();
+        const store = db.transaction('trips', 'readonly').objectStore('trips');
+        return TripStorage.promisify(store.get(id));
+    }
+
+    /**
+     * List all trips, newest first
+     */
+    async listTrips() {
+        const db = await this.open();
+        const store = db.transaction('trips', 'readonly').objectStore('trips');
+        const trips = await TripStorage.promisify(store.getAll());
+        return trips.sort((a, b) => b.startTime - a.startTime);
+    }
+
+    /**
+     * Append a batch of samples in a single transaction
+     * @param {Array<Object>} samples - [{ tripId, type, t, data }]
+     */
+    addSamples(samples) {
+        if (samples.length === 0) return Promise.resolve();
+
+        return this.transaction(['samples'], 'readwrite', (tx) => {
+            const store = tx.objectStore('samples');
+            samples.forEach((sample) => store.add(sample));
+        });
+    }
+
+    /**
+     * Get all samples of a trip in recording order
+     * @param {number} tripId
+     * @param {string} [type] - Optional filter: gps, orientation, motion, brake
+     */
+    async getSamples(tripId, type = null) {
+        const db = await this.open();
+        const index = db.transaction('samples', 'readonly').objectStore('samples').index('tripId');
+        const samples = await TripStorage.promisify(index.getAll(IDBKeyRange.only(tripId)));
+
+        return type ? samples.filter((sample) => sample.type === type) : samples;
+    }
+
+    /**
+     * Delete a trip and all of its samples
+     */
+    deleteTrip(tripId) {
+        return this.transaction(['trips', 'samples'], 'readwrite', (tx) => {
+            tx.objectStore('trips').delete(tripId);
+
+            const index = tx.objectStore('samples').index('tripId');
+            const cursorRequest = index.openKeyCursor(IDBKeyRange.only(tripId));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    tx.objectStore('samples').delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    /**
+     * Log an impact incident
+     * @param {Object} incident - { time, peak, latitude, longitude, status, samples, ... }
+     * @returns {Promise<number>} New incident id
+     */
+    async addIncident(incident) {
+        const db = await this.open();
+        const store = db.transaction('incidents', 'readwrite').objectStore('incidents');
+        return TripStorage.promisify(store.add(incident));
+    }
+
+    /**
+     * List logged incidents, newest first
+     */
+    async listIncidents() {
+        const db = await this.open();
+        const store = db.transaction('incidents', 'readonly').objectStore('incidents');
+        const incidents = await TripStorage.promisify(store.getAll());
+        return incidents.sort((a, b) => b.time - a.time);
+    }
+
+    deleteIncident(id) {
+        return this.transaction(['incidents'], 'readwrite', (tx) => {
+            tx.objectStore('incidents').delete(id);
+        });
+    }
+}
+
+// Export for use in app.js
+window.TripStorage = TripStorage;
@@ -0,0 +1,193 @@
+/**
+ * Velocitats - Voice Announcer
+ * Spoken alerts and periodic readouts via the Web Speech synthesis API,
+ * with a priority queue so urgent alerts cut in ahead of routine readouts
+ */
+
+class VoiceAnnouncer {
+    constructor() {
+        this.enabled = false;
+        this.language = 'en';
+
+        this.queue = [];        // [{ key, text, priority }], highest priority first
+        this.speaking = null;   // item currently being spoken
+
+        this.LOCALES = { ca: 'ca-ES', es: 'es-ES', en: 'en-GB' };
+
+        // Higher interrupts lower; readouts are routine
+        this.PRIORITIES = {
+            'impact': 4,
+            'emergency': 3,
+            'hard-brake': 3,
+            'brake': 2,
+            'speeding': 2,
+            'hard-accel': 1,
+            'cornering': 1,
+            'readout': 0
+        };
+
+        this.PHRASES = {
+            en: {
+                'brake': 'Braking',
+                'hard-brake': 'Hard braking',
+                'emergency': 'Emergency braking',
+                'impact': 'Impact detected',
+                'hard-accel': 'Hard acceleration',
+                'cornering': 'Sharp turn',
+                'speeding': 'Speed {speed}, limit {limit}',
+                'readout': 'Speed {speed}',
+                'readout-heading': 'Speed {speed}, heading {direction}',
+                'directions': ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west']
+            },
+            es: {
+                'brake': 'Frenada',
+                'hard-brake': 'Frenada fuerte',
+                'emergency': 'Frenada de emergencia',
+                'impact': 'Impacto detectado',
+                'hard-accel': 'Aceleración fuerte',
+                'cornering': 'Curva cerrada',
+                'speeding': 'Velocidad {speed}, límite {limit}',
+                'readout': 'Velocidad {speed}',
+                'readout-heading': 'Velocidad {speed}, rumbo {direction}',
+                'directions': ['norte', 'nordeste', 'este', 'sudeste', 'sur', 'sudoeste', 'oeste', 'noroeste']
+            },
+            ca: {
+                'brake': 'Frenada',
+                'hard-brake': 'Frenada forta',
+                'emergency': 'Frenada d\'emergència',
+                'impact': 'Impacte detectat',
+                'hard-accel': 'Acceleració forta',
+                'cornering': 'Revolt tancat',
+                'speeding': 'Velocitat {speed}, límit {limit}',
+                'readout': 'Velocitat {speed}',
+                'readout-heading': 'Velocitat {speed}, rumb {direction}',
+                'directions': ['nord', 'nord-est', 'est', 'sud-est', 'sud', 'sud-oest', 'oest', 'nord-oest']
+            }
+        };
+    }
+
+    /**
+     * Whether the browser can speak
+     */
+    get isSupported() {
+        return 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.cancel();
+        }
+    }
+
+    setLanguage(language) {
+        if (this.PHRASES[language]) {
+            this.language = language;
+        }
+    }
+
+    /**
+     * Queue an announcement
+     * @param {string} key - Phrase key ('hard-brake', 'speeding', 'readout', ...)
+     * @param {Object} params - Template values ({ speed, limit, bearing })
+     * @returns {boolean} Whether it was queued
+     */
+    announce(key, params = {}) {
+        if (!this.enabled || !this.isSupported) return false;
+
+        const text = this.phrase(key, params);
+        if (!text) return false;
+
+        const item = { key, text, priority: this.PRIORITIES[key] || 0 };
+
+        // A newer announcement of the same kind replaces the stale one
+        this.queue = this.queue.filter((queued) => queued.key !== key);
+
+        if (this.speaking && item.priority > this.speaking.priority) {
+            // Urgent: cut in now. cancel() fires onend for the interrupted
+            // utterance, which is ignored because speaking is cleared first
+            this.speaking = null;
+            window.speechSynthesis.cancel();
+        }
+
+        const index = this.queue.findIndex((queued) => queued.priority < item.priority);
+        this.queue.splice(index === -1 ? this.queue.length : index, 0, item);
+
+        if (!this.speaking) {
+            this.speakNext();
+        }
+        return true;
+    }
+
+    /**
+     * Build the localized text for a phrase
+     */
+    phrase(key, params) {
+        const phrases = this.PHRASES[this.language];
+        let template = phrases[key];
+
+        if (key === 'readout' && params.bearing !== null && params.bearing !== undefined) {
+            template = phrases['readout-heading'];
+        }
+        if (!template) return null;
+
+        const values = {
+            speed: params.speed !== undefined ? Math.round(params.speed) : '',
+            limit: params.limit !== undefined ? Math.round(params.limit) : '',
+            direction: params.bearing !== undefined && params.bearing !== null
+                ? phrases.directions[Math.round((((params.bearing % 360) + 360) % 360) / 45) % 8]
+                : ''
+        };
+
+        return template.replace(/\{(\w+)\}/g, (match, name) => values[name]);
+    }
+
+    speakNext() {
+        const item = this.queue.shift();
+        if (!item) return;
+
+        const utterance = new window.SpeechSynthesisUtterance(item.text);
+        utterance.lang = this.LOCALES[this.language];
+
+        const voice = this.findVoice();
+        if (voice) {
+            utterance.voice = voice;
+        }
+
+        const done = () => {
+            if (this.speaking !== item) return;
+            this.speaking = null;
+            this.speakNext();
+        };
+        utterance.onend = done;
+        utterance.onerror = done;
+
+        this.speaking = item;
+        window.speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * Best installed voice for the selected language
+     */
+    findVoice() {
+        const voices = window.speechSynthesis.getVoices ? window.speechSynthesis.getVoices() : [];
+        const locale = this.LOCALES[this.language];
+        return voices.find((voice) => voice.lang === locale) ||
+            voices.find((voice) => voice.lang && voice.lang.toLowerCase().startsWith(this.language)) ||
+            null;
+    }
+
+    /**
+     * Drop everything queued and stop speaking
+     */
+    cancel() {
+        this.queue = [];
+        this.speaking = null;
+        if (this.isSupported) {
+            window.speechSynthesis.cancel();
+        }
+    }
+}
+
+// Export for use in app.js
+window.VoiceAnnouncer = VoiceAnnouncer;
@@ -0,0 +1,215 @@
+/**
+ * Velocitats - Speed Zones
+ * Geofenced speed limits (circles and polygons), stored in localStorage
+ * and importable from GeoJSON
+ *
+ * Zone shapes:
+ *   { id, name, limit, type: 'circle', center: { latitude, longitude }, radius }
+ *   { id, name, limit, type: 'polygon', points: [{ latitude, longitude }, ...] }
+ * limit is in km/h, radius in meters
+ */
+
+class SpeedZones {
+    constructor() {
+        this.STORAGE_KEY = 'velocitats-zones';
+        this.zones = [];
+    }
+
+    /**
+     * Load zones from localStorage
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            this.zones = saved ? JSON.parse(saved) : [];
+        } catch (e) {
+            console.error('Failed to load speed zones:', e);
+            this.zones = [];
+        }
+        return this.zones;
+    }
+
+    save() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.zones));
+    }
+
+    /**
+     * Add zones (validated) and persist
+     * @param {Object[]} zones
+     */
+    add(zones) {
+        zones.forEach((zone, i) => SpeedZones.validate(zone, `zones[${i}]`));
+
+        zones.forEach((zone) => {
+            this.zones.push({ ...zone, id: zone.id || SpeedZones.createId() });
+        });
+        this.save();
+    }
+
+    remove(id) {
+        this.zones = this.zones.filter((zone) => zone.id !== id);
+        this.save();
+    }
+
+    clear() {
+        this.zones = [];
+        this.save();
+    }
+
+    /**
+     * Lowest limit among the zones containing a point
+     * @returns {Object|null} The zone, or null outside all zones
+     */
+    zoneAt(latitude, longitude) {
+        let match = null;
+        this.zones.forEach((zone) => {
+            if (SpeedZones.contains(zone, latitude, longitude) && (!match || zone.limit < match.limit)) {
+                match = zone;
+            }
+        });
+        return match;
+    }
+
+    /**
+     * Whether a zone contains a point
+     */
+    static contains(zone, latitude, longitude) {
+        if (zone.type === 'circle') {
+            return Geo.distance(zone.center.latitude, zone.center.longitude, latitude, longitude) <= zone.radius;
+        }
+        return SpeedZones.pointInPolygon(zone.points, latitude, longitude);
+    }
+
+    /**
+     * Ray casting on the lat/lon plane (fine at zone scale)
+     */
+    static pointInPolygon(points, latitude, longitude) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.latitude > latitude) !== (b.latitude > latitude) &&
+                longitude < (b.longitude - a.longitude) * (latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Check a zone definition, throwing a descriptive error
+     * @param {Object} zone
+     * @param {string} path - Prefix for error messages
+     */
+    static validate(zone, path = 'zone') {
+        if (!zone || typeof zone !== 'object') {
+            throw new Error(`${path}: must be an object`);
+        }
+        if (typeof zone.limit !== 'number' || !(zone.limit > 0)) {
+            throw new Error(`${path}: "limit" must be a positive number (km/h)`);
+        }
+
+        if (zone.type === 'circle') {
+            if (!zone.center || !SpeedZones.isCoordinate(zone.center)) {
+                throw new Error(`${path}: "center" must have a latitude and longitude`);
+            }
+            if (typeof zone.radius !== 'number' || !(zone.radius > 0)) {
+                throw new Error(`${path}: "radius" must be a positive number (m)`);
+            }
+        } else if (zone.type === 'polygon') {
+            if (!Array.isArray(zone.points) || zone.points.length < 3) {
+                throw new Error(`${path}: "points" must have at least 3 coordinates`);
+            }
+            zone.points.forEach((point, i) => {
+                if (!SpeedZones.isCoordinate(point)) {
+                    throw new Error(`${path}: points[${i}] must have a latitude and longitude`);
+                }
+            });
+        } else {
+            throw new Error(`${path}: unknown zone type "${zone.type}"`);
+        }
+    }
+
+    static isCoordinate(point) {
+        return typeof point.latitude === 'number' && isFinite(point.latitude) &&
+            typeof point.longitude === 'number' && isFinite(point.longitude);
+    }
+
+    /**
+     * Parse GeoJSON (Feature or FeatureCollection) into zones.
+     * Polygons use their outer ring; Points become circles and need a
+     * "radius" property. The limit is read from "limit", "maxspeed" or "speedLimit" (km/h).
+     * Null features and features without a geometry are skipped.
+     * @param {string} text
+     * @returns {Object} { zones, skipped } - skipped counts the features left out
+     */
+    static fromGeoJSON(text) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Invalid JSON: ${e.message}`);
+        }
+
+        let features;
+        if (json && json.type === 'FeatureCollection' && Array.isArray(json.features)) {
+            features = json.features;
+        } else if (json && json.type === 'Feature') {
+            features = [json];
+        } else {
+            throw new Error('Expected a GeoJSON Feature or FeatureCollection');
+        }
+
+        const zones = [];
+        let skipped = 0;
+        features.forEach((feature, i) => {
+            const path = `features[${i}]`;
+            if (!feature || typeof feature !== 'object' || !feature.geometry || typeof feature.geometry !== 'object') {
+                skipped++;
+                return;
+            }
+
+            const geometry = feature.geometry;
+            const properties = feature.properties || {};
+            const limit = parseFloat(properties.limit ?? properties.maxspeed ?? properties.speedLimit);
+            const name = properties.name || `Zone ${zones.length + 1}`;
+
+            const toPoint = ([longitude, latitude]) => ({ latitude, longitude });
+
+            let zone;
+            if (geometry.type === 'Polygon') {
+                const ring = (geometry.coordinates && geometry.coordinates[0]) || [];
+                zone = { name, limit, type: 'polygon', points: ring.map(toPoint) };
+            } else if (geometry.type === 'MultiPolygon') {
+                (geometry.coordinates || []).forEach((polygon, j) => {
+                    const part = { name, limit, type: 'polygon', points: (polygon[0] || []).map(toPoint) };
+                    SpeedZones.validate(part, `${path}.coordinates[${j}]`);
+                    zones.push(part);
+                });
+                return;
+            } else if (geometry.type === 'Point') {
+                zone = {
+                    name,
+                    limit,
+                    type: 'circle',
+                    center: toPoint(geometry.coordinates || []),
+                    radius: parseFloat(properties.radius)
+                };
+            } else {
+                throw new Error(`${path}: unsupported geometry "${geometry.type}"`);
+            }
+
+            SpeedZones.validate(zone, path);
+            zones.push(zone);
+        });
+
+        return { zones, skipped };
+    }
+
+    static createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+// Export for use in app.js
+window.SpeedZones = SpeedZones;
@@ -1,11 +1,38 @@
-const CACHE_NAME = 'velocitats-v1';
+const CACHE_NAME = 'velocitats-v25';
+const TILE_CACHE = 'velocitats-tiles';  // user-imported map tiles, see TrackMap.importTiles
 const ASSETS = [
     '/',
     '/index.html',
     '/css/styles.css',
     '/js/app.js',
+    '/js/geo.js',
+    '/js/motion.js',
+    '/js/kinematics.js',
+    '/js/magnetic.js',
+    '/js/compass.js',
+    '/js/health.js',
+    '/js/format.js',
     '/js/sensors.js',
+    '/js/generic-sensors.js',
+    '/js/calibration.js',
+    '/js/random.js',
+    '/js/scenarios.js',
+    '/js/simulator.js',
+    '/js/fusion.js',
+    '/js/replay.js',
+    '/js/braking.js',
+    '/js/zones.js',
     '/js/audio.js',
+    '/js/voice.js',
+    '/js/haptics.js',
+    '/js/impact.js',
+    '/js/storage.js',
+    '/js/scoring.js',
+    '/js/recorder.js',
+    '/js/export.js',
+    '/js/arrow.js',
+    '/js/map.js',
+    '/js/chart.js',
     '/assets/icon-192.png',
     '/assets/icon-512.png'
 ];
@@ -19,20 +46,30 @@ self.addEventListener('install', (event) => {
     );
 });
 
-// Activate - clean old caches
+// Activate - clean old caches (imported map tiles are kept)
 self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys().then((keys) => {
             return Promise.all(
-                keys.filter((key) => key !== CACHE_NAME)
+                keys.filter((key) => key !== CACHE_NAME && key !== TILE_CACHE)
                     .map((key) => caches.delete(key))
             );
         }).then(() => self.clients.claim())
     );
 });
 
-// Fetch - network first, fallback to cache
+// Fetch - map tiles from the tile cache only; everything else network first, fallback to cache
 self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (url.origin === self.location.origin && url.pathname.startsWith('/tiles/')) {
+        event.respondWith(
+            caches.open(TILE_CACHE)
+                .then((cache) => cache.match(event.request))
+                .then((response) => response || new Response('', { status: 404 }))
+        );
+        return;
+    }
+
     event.respondWith(
         fetch(event.request)
             .then((response) => {
@@ -0,0 +1,243 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+/**
+ * App instance with brake alerts counted instead of played
+ */
+function createApp() {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+    const alerts = [];
+    app.audio.playBrakeAlert = (level) => {
+        alerts.push(env.clock.now);
+        alerts.levels.push(level);
+    };
+    alerts.levels = [];
+    return { env, app, alerts };
+}
+
+test('no alert while below the speed threshold', () => {
+    const { app, alerts } = createApp();
+
+    app.currentSpeed = app.SPEED_THRESHOLD;
+    app.checkBraking(-8);
+
+    assert.equal(app.isBraking, false);
+    assert.equal(alerts.length, 0);
+});
+
+test('deceleration exactly at the threshold does not count as braking', () => {
+    const { app, alerts } = createApp();
+
+    app.currentSpeed = 10;
+    app.checkBraking(app.BRAKE_THRESHOLD);
+
+    assert.equal(app.isBraking, false);
+    assert.equal(alerts.length, 0);
+});
+
+test('entering braking alerts once and shows the indicator', () => {
+    const { app, alerts } = createApp();
+    const indicator = app.elements.brakeIndicator;
+    indicator.classList.add('hidden');
+
+    app.currentSpeed = 10;
+    app.checkBraking(-3);
+    app.checkBraking(-4.5);
+    app.checkBraking(-4);
+
+    assert.equal(app.isBraking, true);
+    assert.equal(alerts.length, 1);
+    assert.equal(indicator.classList.contains('hidden'), false);
+});
+
+test('leaving braking hides the indicator and re-arms the alert', () => {
+    const { app, alerts } = createApp();
+    const indicator = app.elements.brakeIndicator;
+
+    app.currentSpeed = 10;
+    app.checkBraking(-3);
+    app.checkBraking(0);
+
+    assert.equal(app.isBraking, false);
+    assert.equal(indicator.classList.contains('hidden'), true);
+
+    app.checkBraking(-3);
+    assert.equal(alerts.length, 2);
+});
+
+test('stopping below the speed threshold ends braking', () => {
+    const { app } = createApp();
+
+    app.currentSpeed = 10;
+    app.checkBraking(-3);
+    app.currentSpeed = 0;
+    app.checkBraking(-3);
+
+    assert.equal(app.isBraking, false);
+});
+
+test('thresholds follow the settings sliders and persist', () => {
+    const { app, env } = createApp();
+
+    app.elements.brakeThresholdInput.dispatchEvent({ type: 'ionChange', detail: { value: -5 } });
+    app.elements.speedThresholdInput.dispatchEvent({ type: 'ionChange', detail: { value: 9 } });   // km/h
+
+    assert.equal(app.BRAKE_THRESHOLD, -5);
+    assert.equal(app.SPEED_THRESHOLD, 2.5);
+    assert.equal(app.elements.brakeThresholdValue.textContent, '-5.0');
+
+    const saved = JSON.parse(env.localStorage.getItem('velocitats-settings'));
+    assert.equal(saved.brakeThreshold, -5);
+    assert.equal(saved.speedThreshold, 2.5);
+});
+
+test('median filter ignores a single-sample bump', () => {
+    const { app, alerts } = createApp();
+    app.BRAKE_FILTER = 'median';
+    app.BRAKE_FILTER_WINDOW = 5;
+
+    app.currentSpeed = 10;
+    [0, 0, -9, 0, 0, 0].forEach((value) => app.checkBraking(value));
+    assert.equal(alerts.length, 0);
+
+    [-4, -4, -4].forEach((value) => app.checkBraking(value));
+    assert.equal(alerts.length, 1);
+});
+
+test('deceleration must persist for the minimum duration', () => {
+    const { env, app, alerts } = createApp();
+    app.BRAKE_MIN_DURATION = 200;
+
+    app.currentSpeed = 10;
+    app.checkBraking(-4);
+    env.clock.tick(100);
+    app.checkBraking(-4);
+    env.clock.tick(100);
+    app.checkBraking(0);
+    assert.equal(alerts.length, 0);
+
+    for (let i = 0; i < 5; i++) {
+        app.checkBraking(-4);
+        env.clock.tick(60);
+    }
+    assert.equal(alerts.length, 1);
+});
+
+test('hysteresis keeps braking until the exit threshold is crossed', () => {
+    const { app, alerts } = createApp();
+    app.BRAKE_THRESHOLD = -3;
+    app.BRAKE_EXIT_THRESHOLD = -1;
+
+    app.currentSpeed = 10;
+    app.checkBraking(-4);
+    app.checkBraking(-2);
+    app.checkBraking(-3.5);
+    assert.equal(app.isBraking, true);
+    assert.equal(alerts.length, 1);
+
+    app.checkBraking(-0.5);
+    assert.equal(app.isBraking, false);
+});
+
+test('brake filter settings persist', () => {
+    const { env, app } = createApp();
+    app.BRAKE_FILTER = 'lowpass';
+    app.BRAKE_FILTER_WINDOW = 8;
+    app.BRAKE_MIN_DURATION = 150;
+    app.BRAKE_EXIT_THRESHOLD = -1.5;
+    app.saveSettings();
+
+    const restored = new (env.get('VelocitatsApp'))();
+    assert.equal(restored.BRAKE_FILTER, 'lowpass');
+    assert.equal(restored.BRAKE_FILTER_WINDOW, 8);
+    assert.equal(restored.BRAKE_MIN_DURATION, 150);
+    assert.equal(restored.BRAKE_EXIT_THRESHOLD, -1.5);
+});
+
+test('harder braking escalates the alert level once per level', () => {
+    const { app, alerts } = createApp();
+
+    app.currentSpeed = 20;
+    [-3, -6, -5.5, -9, -8, -3].forEach((value) => app.checkBraking(value));
+
+    assert.deepEqual(alerts.levels, ['brake', 'hard-brake', 'emergency']);
+});
+
+test('an escalation sounds even when its level was debounced by an earlier stop', async () => {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+    await app.audio.unlock();
+    const hardBrakes = () => env.played.filter((tone) => tone.type === 'square').length;
+
+    app.currentSpeed = 20;
+    [-3, -6, -5.5].forEach((value) => app.checkBraking(value));
+    assert.equal(hardBrakes(), 2);
+    [-0.5, -0.5, -0.5].forEach((value) => app.checkBraking(value));
+    assert.equal(app.isBraking, false);
+
+    // Braking again straight away, then harder, inside the hard-brake debounce
+    env.clock.tick(500);
+    [-3, -3.5, -6, -5.5].forEach((value) => app.checkBraking(value));
+
+    assert.equal(app.brakeLevel, 'hard-brake');
+    assert.equal(hardBrakes(), 4);
+    assert.equal(app.audio.currentAlert.level, 'hard-brake');
+});
+
+test('hard acceleration and sharp cornering alert on entry only', () => {
+    const { app } = createApp();
+    const played = [];
+    app.audio.playAlert = (level) => played.push(level);
+
+    app.currentSpeed = 10;
+    app.checkManoeuvres({ forward: 6, lateral: 0 });
+    app.checkManoeuvres({ forward: 6.5, lateral: 0 });
+    app.checkManoeuvres({ forward: 1, lateral: -5 });
+    app.checkManoeuvres({ forward: 1, lateral: -5 });
+
+    assert.deepEqual(played, ['hard-accel', 'cornering']);
+});
+
+test('speeding over the limit plus tolerance alerts, repeats and clears', () => {
+    const { env, app } = createApp();
+    const played = [];
+    app.audio.playAlert = (level) => played.push(level);
+    app.MAX_SPEED = 50;
+    app.SPEED_TOLERANCE = 5;
+    app.SPEED_REPEAT_INTERVAL = 10;
+    const banner = app.elements.speedBanner;
+    const fix = (kmh) => ({ latitude: 41.4, longitude: 2.17, speed: kmh / 3.6, bearing: 0, accuracy: 5, timestamp: env.clock.now });
+
+    app.handleGpsUpdate(fix(54));
+    assert.equal(played.length, 0);
+
+    app.handleGpsUpdate(fix(60));
+    assert.deepEqual(played, ['speeding']);
+    assert.equal(banner.classList.contains('hidden'), false);
+
+    env.clock.tick(5000);
+    app.handleGpsUpdate(fix(53));
+    assert.equal(played.length, 1);
+    assert.equal(banner.classList.contains('hidden'), false);
+
+    env.clock.tick(5000);
+    app.handleGpsUpdate(fix(62));
+    assert.equal(played.length, 2);
+
+    app.handleGpsUpdate(fix(48));
+    assert.equal(banner.classList.contains('hidden'), true);
+});
+
+test('a speed zone overrides the global limit', () => {
+    const { env, app } = createApp();
+    const played = [];
+    app.audio.playAlert = (level) => played.push(level);
+    app.zones.add([{ name: 'School', limit: 20, type: 'circle', center: { latitude: 41.4, longitude: 2.17 }, radius: 200 }]);
+
+    app.handleGpsUpdate({ latitude: 41.4, longitude: 2.17, speed: 30 / 3.6, bearing: 0, accuracy: 5, timestamp: env.clock.now });
+
+    assert.deepEqual(played, ['speeding']);
+    assert.match(app.elements.speedBannerLabel.textContent, /limit 20 \(School\)/);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, flushPromises } = require('./harness');
+
+/**
+ * Canvas whose 2D context records the calls made on it
+ */
+function createCanvas() {
+    const calls = [];
+    const ctx = new Proxy({}, {
+        get: (target, name) => (name in target ? target[name] : (...args) => calls.push({ name, args, style: target.strokeStyle })),
+        set: (target, name, value) => {
+            target[name] = value;
+            return true;
+        }
+    });
+    return { canvas: { width: 200, height: 200, clientWidth: 200, clientHeight: 200, getContext: () => ctx }, calls };
+}
+
+test('angles are compared along the shortest arc', () => {
+    const env = createEnvironment();
+    const ArrowRenderer = env.get('ArrowRenderer');
+
+    assert.equal(ArrowRenderer.shortestDelta(350, 10), 20);
+    assert.equal(ArrowRenderer.shortestDelta(10, 350), -20);
+    assert.equal(ArrowRenderer.shortestDelta(0, 180), 180);
+    assert.equal(ArrowRenderer.shortestDelta(90, 90 + 720), 0);
+});
+
+test('the compass eases through north instead of spinning round', () => {
+    const env = createEnvironment();
+    const { canvas } = createCanvas();
+    const arrow = new (env.get('ArrowRenderer'))(canvas);
+
+    arrow.setTarget({ azimuth: 350 });
+    arrow.setTarget({ azimuth: 10 });
+
+    const seen = [];
+    for (let i = 0; i < 60; i++) {
+        env.clock.tick(16);
+        seen.push(arrow.current.azimuth);
+    }
+
+    assert.ok(seen.every((azimuth) => azimuth >= 350 || azimuth <= 10));
+    assert.ok(seen.some((azimuth) => azimuth > 350 && azimuth < 360));   // eased, not snapped
+    assert.equal(arrow.current.azimuth, 10);
+
+    // Settled: the loop stops
+    assert.equal(arrow.frameId, null);
+});
+
+test('small compass jitter is ignored', () => {
+    const env = createEnvironment();
+    const { canvas } = createCanvas();
+    const arrow = new (env.get('ArrowRenderer'))(canvas);
+
+    arrow.setTarget({ azimuth: 90 });
+    arrow.setTarget({ azimuth: 90.3 });
+    arrow.setTarget({ azimuth: 89.8 });
+
+    assert.equal(arrow.target.azimuth, 90);
+});
+
+test('the trail lengthens with speed and fades when steady', () => {
+    const env = createEnvironment();
+    const { canvas, calls } = createCanvas();
+    const arrow = new (env.get('ArrowRenderer'))(canvas);
+
+    const sweep = (speed) => {
+        arrow.setTarget({ bearing: 0, speed: speed });
+        env.clock.tick(2000);
+        arrow.setTarget({ bearing: 90 });
+        env.clock.tick(300);
+        return arrow.trail.length;
+    };
+
+    const slow = sweep(5);
+    const fast = sweep(30);
+    assert.ok(fast > slow);
+
+    const trail = calls.filter((call) => call.name === 'stroke' && /^rgba\(239, 68, 68/.test(call.style));
+    assert.ok(trail.length > 0);
+
+    // Settles, then the last tips age out
+    env.clock.tick(arrow.TRAIL_MS * 2);
+    assert.ok(arrow.trail.length <= 1);
+    assert.equal(arrow.frameId, null);
+});
+
+test('the app draws on the canvas when it can, and keeps the SVG otherwise', () => {
+    // No 2D context in the harness: SVG fallback
+    const fallback = createEnvironment();
+    const svgApp = new (fallback.get('VelocitatsApp'))();
+    assert.equal(svgApp.elements.arrowSvg.classList.contains('hidden'), false);
+    svgApp.handleOrientationUpdate({ azimuth: 45 });
+    assert.equal(svgApp.arrow.frameId, null);
+
+    const env = createEnvironment();
+    const { canvas, calls } = createCanvas();
+    env.document.getElementById('arrow-canvas').getContext = canvas.getContext;
+    const app = new (env.get('VelocitatsApp'))();
+    assert.equal(app.elements.arrowSvg.classList.contains('hidden'), true);
+    assert.equal(app.elements.arrowCanvas.classList.contains('hidden'), false);
+
+    app.handleGpsUpdate({ latitude: 41.38, longitude: 2.17, speed: 10, bearing: 270, accuracy: 5 });
+    app.handleOrientationUpdate({ azimuth: 359 });
+    app.handleOrientationUpdate({ azimuth: 1 });
+    env.clock.tick(1000);
+
+    // The compass is corrected to true north, like the GPS course
+    assert.ok(Math.abs(app.arrow.current.azimuth - (1 + app.declination)) < 1e-9);
+    assert.equal(app.arrow.current.bearing, 270);
+    assert.ok(calls.some((call) => call.name === 'fill'));
+});
+
+test('the arrows follow the top of the screen, and the orientation lock is a setting', async () => {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+    app.setNorthReference('magnetic');
+
+    // Locked to portrait by default, as the manifest used to
+    assert.deepEqual(env.orientation.locks, ['portrait']);
+
+    app.handleOrientationUpdate({ azimuth: 350, absolute: true });
+    assert.equal(app.currentAzimuth, 350);
+
+    // Turned counter-clockwise into landscape: the top of the screen faces 80°
+    env.orientation.rotate(90);
+    assert.equal(app.currentAzimuth, 80);
+    assert.equal(app.sensors.motionProcessor.screenAngle, 90);
+
+    env.orientation.rotate(270);
+    app.handleOrientationUpdate({ azimuth: 10, absolute: true });
+    assert.equal(app.currentAzimuth, 280);
+
+    app.elements.orientationLockSelect.dispatchEvent({ type: 'ionChange', detail: { value: 'any' } });
+    app.elements.orientationLockSelect.dispatchEvent({ type: 'ionChange', detail: { value: 'landscape' } });
+    assert.deepEqual(env.orientation.locks, ['portrait', 'unlocked', 'landscape']);
+    assert.equal(JSON.parse(env.localStorage.getItem('velocitats-settings')).orientationLock, 'landscape');
+
+    // Restored on the next start; a refused lock is only logged
+    env.orientation.lock = () => Promise.reject(new Error('not installed'));
+    const restored = new (env.get('VelocitatsApp'))();
+    await flushPromises();
+    assert.equal(restored.ORIENTATION_LOCK, 'landscape');
+    assert.equal(restored.elements.orientationLockSelect.value, 'landscape');
+    assert.equal(restored.screenAngle, 270);
+    assert.ok(env.logs.some((log) => log.level === 'warn' && /orientation lock/.test(log.args[0])));
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+test('playBeep refuses to play before unlock', () => {
+    const { get, played } = createEnvironment();
+    const audio = new (get('AudioEngine'))();
+
+    assert.equal(audio.playBeep(), false);
+    assert.equal(played.length, 0);
+});
+
+test('playBeep debounces beeps within debounceMs', async () => {
+    const { get, played, clock } = createEnvironment();
+    const audio = new (get('AudioEngine'))();
+    await audio.unlock();
+
+    assert.equal(audio.playBeep(880), true);
+    clock.tick(999);
+    assert.equal(audio.playBeep(880), false);
+    clock.tick(1);
+    assert.equal(audio.playBeep(660), true);
+
+    assert.deepEqual(played.map((beep) => beep.frequency), [880, 660]);
+});
+
+test('setDebounce changes the minimum interval', async () => {
+    const { get, clock } = createEnvironment();
+    const audio = new (get('AudioEngine'))();
+    await audio.unlock();
+
+    audio.setDebounce(200);
+    assert.equal(audio.playBeep(), true);
+    clock.tick(150);
+    assert.equal(audio.playBeep(), false);
+    clock.tick(50);
+    assert.equal(audio.playBeep(), true);
+});
+
+test('playBrakeAlert plays an 880 Hz sine beep', async () => {
+    const { get, played } = createEnvironment();
+    const audio = new (get('AudioEngine'))();
+    await audio.unlock();
+
+    assert.equal(audio.playBrakeAlert(), true);
+    assert.deepEqual(played.map((beep) => [beep.frequency, beep.type]), [[880, 'sine']]);
+});
+
+test('each alert level has its own tone pattern', async () => {
+    const { get, played, clock } = createEnvironment();
+    const audio = new (get('AudioEngine'))();
+    await audio.unlock();
+
+    assert.equal(audio.playAlert('hard-brake'), true);
+    assert.deepEqual(played.map((beep) => [beep.frequency, beep.type]), [[1100, 'square'], [1100, 'square']]);
+
+    clock.tick(1000);
+    played.length = 0;
+    assert.equal(audio.playAlert('emergency'), true);
+    assert.equal(played.length, 3);
+    assert.ok(played.every((beep) => beep.type === 'sawtooth'));
+});
+
+test('alert levels are debounced independently', async () => {
+    const { get, clock } = createEnvironment();
+    const audio = new (get('AudioEngine'))();
+    await audio.unlock();
+
+    assert.equal(audio.playAlert('cornering'), true);
+    clock.tick(500);
+    assert.equal(audio.playAlert('hard-accel'), true);
+    clock.tick(500);
+    assert.equal(audio.playAlert('cornering'), false);
+
+    audio.setAlertDebounce('cornering', 800);
+    assert.equal(audio.playAlert('cornering'), true);
+});
+
+test('a higher priority interrupts a sounding alert, a lower one waits', async () => {
+    const { get, clock } = createEnvironment();
+    const audio = new (get('AudioEngine'))();
+    await audio.unlock();
+
+    assert.equal(audio.playAlert('brake'), true);
+    clock.tick(50);
+    assert.equal(audio.playAlert('cornering'), false);
+    assert.equal(audio.playAlert('emergency'), true);
+    assert.equal(audio.currentAlert.level, 'emergency');
+
+    clock.tick(100);
+    assert.equal(audio.playAlert('hard-brake'), false);
+    clock.tick(1000);
+    assert.equal(audio.playAlert('hard-brake'), true);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+const G = 9.80665;
+
+function near(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+function createCalibration() {
+    const env = createEnvironment();
+    return { env, calibration: new (env.get('MountCalibration'))() };
+}
+
+// Upright portrait mount: gravity along +Y, vehicle forward out of the back (-Z)
+const GRAVITY = { x: 0, y: G, z: 0 };
+const still = { x: 0.05, y: -0.02, z: 0.03, gravity: GRAVITY };
+const push = { x: 0, y: 0, z: -2, gravity: GRAVITY };
+
+test('still then straight acceleration yields the mount axes', () => {
+    const { calibration } = createCalibration();
+    let mount = null;
+    calibration.onComplete = (result) => { mount = result; };
+
+    calibration.start();
+    for (let i = 0; i < calibration.GRAVITY_SAMPLES; i++) calibration.addSample(still, 0);
+    assert.equal(calibration.state, 'forward');
+
+    for (let i = 0; i < calibration.FORWARD_SAMPLES; i++) calibration.addSample(push, 3);
+    assert.equal(calibration.state, 'done');
+
+    near(mount.up[1], 1);
+    near(mount.forward[2], -1);
+});
+
+test('movement during the gravity step restarts it', () => {
+    const { calibration } = createCalibration();
+    const messages = [];
+    calibration.onUpdate = (state, progress, message) => messages.push(message);
+
+    calibration.start();
+    for (let i = 0; i < 10; i++) calibration.addSample(still, 0);
+    calibration.addSample(still, 3);
+
+    assert.equal(calibration.state, 'gravity');
+    assert.equal(calibration.gravityCount, 0);
+    assert.match(messages[messages.length - 1], /Movement detected/);
+});
+
+test('a calibrated mount defines forward for the motion processor', () => {
+    const { env, calibration } = createCalibration();
+    const processor = new (env.get('MotionProcessor'))();
+
+    calibration.start();
+    for (let i = 0; i < calibration.GRAVITY_SAMPLES; i++) calibration.addSample(still, 0);
+    for (let i = 0; i < calibration.FORWARD_SAMPLES; i++) calibration.addSample(push, 3);
+    processor.setMount(calibration.mount);
+
+    const braking = processor.process({ x: 0, y: 0, z: 4 }, { x: 0, y: G, z: 4 });
+    assert.equal(braking.reference, 'mount');
+    near(braking.forward, -4);
+    near(braking.mountShift, 0);
+
+    // Phone knocked flat: the mount is no longer trusted
+    const moved = processor.process({ x: 0, y: -4, z: 0 }, { x: 0, y: -4, z: G });
+    near(moved.mountShift, 90);
+    assert.notEqual(moved.reference, 'mount');
+});
+
+test('the app offers recalibration as soon as the motion processor stops trusting the mount', () => {
+    const { env } = createCalibration();
+    const app = new (env.get('VelocitatsApp'))();
+    app.applyMount({ up: [0, 1, 0], forward: [0, 0, -1], calibratedAt: env.clock.now });
+    const banner = app.elements.mountMovedBanner;
+
+    // Just inside the tolerance: forward still comes from the mount
+    const tolerance = app.sensors.motionProcessor.MOUNT_TOLERANCE;
+    app.checkMountShift(tolerance);
+    env.clock.tick(app.MOUNT_MOVED_MS);
+    app.checkMountShift(tolerance);
+    assert.ok(banner.classList.contains('hidden'));
+
+    app.checkMountShift(tolerance + 1);
+    env.clock.tick(app.MOUNT_MOVED_MS);
+    app.checkMountShift(tolerance + 1);
+    assert.ok(!banner.classList.contains('hidden'));
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+/**
+ * Canvas with a recording 2D context and pointer events
+ */
+function createChart(env, options = {}) {
+    const calls = [];
+    const ctx = new Proxy({}, {
+        get: (target, name) => (name in target ? target[name] : (...args) => calls.push({ name, args, style: target.strokeStyle })),
+        set: (target, name, value) => {
+            target[name] = value;
+            return true;
+        }
+    });
+
+    const canvas = env.document.createElement('canvas');
+    Object.assign(canvas, { width: 300, height: 160, clientWidth: 300, clientHeight: 160, getContext: () => ctx });
+
+    const chart = new (env.get('TimeSeriesChart'))(canvas, {
+        span: 30000,
+        series: [
+            { key: 'speed', color: 'blue', axis: 'left' },
+            { key: 'forward', color: 'green', axis: 'right' }
+        ],
+        ...options
+    });
+    return { chart, canvas, calls };
+}
+
+function pointer(canvas, type, id, x) {
+    canvas.dispatchEvent({ type, pointerId: id, clientX: x });
+}
+
+test('binary search and nice axis steps', () => {
+    const env = createEnvironment();
+    const TimeSeriesChart = env.get('TimeSeriesChart');
+
+    assert.equal(TimeSeriesChart.lowerBound([1, 3, 3, 7], 3), 1);
+    assert.equal(TimeSeriesChart.lowerBound([1, 3, 3, 7], 8), 4);
+    assert.equal(TimeSeriesChart.niceCeil(37), 50);
+    assert.equal(TimeSeriesChart.niceCeil(1.2), 2);
+    assert.equal(TimeSeriesChart.formatSeconds(75), '1:15');
+});
+
+test('live history is bounded', () => {
+    const env = createEnvironment();
+    const { chart } = createChart(env);
+
+    for (let t = 0; t <= 600000; t += 100) {
+        chart.push('speed', t, 50);
+    }
+
+    const times = chart.data.speed.t;
+    assert.ok(times[0] >= 600000 - chart.MAX_SPAN * 1.25);
+    assert.equal(times[times.length - 1], 600000);
+});
+
+test('scrolls with the clock and draws the brake threshold', () => {
+    const env = createEnvironment();
+    const { chart, calls } = createChart(env);
+    chart.setThreshold('brake', { axis: 'right', value: -2, color: 'red' });
+
+    // 60 Hz for 20 s
+    for (let i = 0; i < 1200; i++) {
+        env.clock.tick(1000 / 60);
+        chart.push('forward', env.clock.now, Math.sin(i / 10) * 3);
+        if (i % 60 === 0) chart.push('speed', env.clock.now, 40);
+    }
+    calls.length = 0;
+    env.clock.tick(16);
+
+    const red = calls.filter((call) => call.style === 'red' && call.name === 'lineTo');
+    assert.equal(red.length, 1);
+
+    // Dense data is reduced to at most two points per pixel column
+    const green = calls.filter((call) => call.style === 'green' && call.name === 'lineTo');
+    assert.ok(green.length > 0 && green.length <= 2 * 300);
+
+    // Still animating
+    calls.length = 0;
+    env.clock.tick(16);
+    assert.ok(calls.some((call) => call.name === 'clearRect'));
+});
+
+test('tap pauses and resumes, drag pans while paused', () => {
+    const env = createEnvironment();
+    const { chart, canvas } = createChart(env);
+    chart.start();
+    env.clock.tick(60000);
+
+    pointer(canvas, 'pointerdown', 1, 100);
+    pointer(canvas, 'pointerup', 1, 102);
+    assert.equal(chart.paused, true);
+    const end = chart.end;
+
+    // Drag right: look further back in time
+    env.clock.tick(1000);
+    pointer(canvas, 'pointerdown', 1, 100);
+    pointer(canvas, 'pointermove', 1, 216);
+    pointer(canvas, 'pointerup', 1, 216);
+    assert.ok(Math.abs(chart.end - (end - 15000)) < 1);
+    assert.equal(chart.paused, true);
+
+    pointer(canvas, 'pointerdown', 1, 50);
+    pointer(canvas, 'pointerup', 1, 50);
+    assert.equal(chart.paused, false);
+    assert.equal(chart.end, null);
+});
+
+test('pinch zooms the time axis within limits', () => {
+    const env = createEnvironment();
+    const { chart, canvas } = createChart(env);
+
+    pointer(canvas, 'pointerdown', 1, 100);
+    pointer(canvas, 'pointerdown', 2, 200);
+    pointer(canvas, 'pointermove', 2, 300);    // fingers twice as far apart
+    assert.equal(chart.span, 15000);
+
+    pointer(canvas, 'pointermove', 2, 101);
+    assert.equal(chart.span, chart.MAX_SPAN);
+
+    pointer(canvas, 'pointerup', 2, 101);
+    pointer(canvas, 'pointerup', 1, 100);
+    assert.equal(chart.paused, false);         // a pinch is not a tap
+});
+
+test('whole trips render as a static range', () => {
+    const env = createEnvironment();
+    const { chart, calls } = createChart(env);
+    const start = 1000000;
+
+    chart.setData({
+        speed: [{ t: start, v: 0 }, { t: start + 60000, v: 50 }, { t: start + 120000, v: 0 }],
+        forward: [{ t: start + 1000, v: 1 }, { t: start + 119000, v: -3 }]
+    }, start, start + 120000);
+    env.clock.tick(16);
+
+    assert.equal(chart.live, false);
+    assert.equal(chart.span, 120000);
+    assert.deepEqual({ ...chart.getView() }, { start: start, end: start + 120000 });
+    assert.ok(calls.some((call) => call.style === 'blue' && call.name === 'lineTo'));
+
+    // Static charts do not keep animating
+    calls.length = 0;
+    env.clock.tick(100);
+    assert.equal(calls.length, 0);
+});
+
+test('the app feeds the live chart from its handlers', () => {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+
+    app.handleGpsUpdate({ latitude: 41.38, longitude: 2.17, speed: 10, bearing: 0, accuracy: 5 });
+    app.handleMotionUpdate({ x: 0, y: 0, z: 0, magnitude: 3, forward: -3, lateral: 0, reference: 'raw', mountShift: null });
+
+    assert.deepEqual(Array.from(app.chart.data.speed.v), [36]);
+    assert.deepEqual(Array.from(app.chart.data.forward.v), [-3]);
+    assert.equal(app.chart.thresholds.brake.value, app.BRAKE_THRESHOLD);
+});
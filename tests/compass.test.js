@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+test('World Magnetic Model declination and field', () => {
+    const env = createEnvironment();
+    const MagneticModel = env.get('MagneticModel');
+    const date = new Date(Date.UTC(2025, 0, 1));
+
+    // Reference values at 2025.0, sea level
+    const cases = [
+        [41.3851, 2.1734, 1.878],       // Barcelona
+        [40.689167, -74.044444, -12.512],
+        [-33.8688, 151.2093, 12.789],
+        [64.1466, -21.9426, -11.583],
+        [0, 120, -0.158]
+    ];
+    cases.forEach(([latitude, longitude, expected]) => {
+        const declination = MagneticModel.declination(latitude, longitude, 0, date);
+        assert.ok(Math.abs(declination - expected) < 0.001, `${latitude}, ${longitude}: ${declination}`);
+    });
+
+    const field = MagneticModel.field(41.3851, 2.1734, 0, date);
+    assert.ok(Math.abs(field.x - 25118.5) < 0.1 && Math.abs(field.y - 823.4) < 0.1 && Math.abs(field.z - 38360.3) < 0.1);
+
+    // Secular variation, and dates outside the model clamped to its validity
+    assert.ok(Math.abs(MagneticModel.declination(41.3851, 2.1734, 0, new Date(Date.UTC(2029, 0, 1))) - 2.370) < 0.001);
+    assert.equal(
+        MagneticModel.declination(41.3851, 2.1734, 0, new Date(Date.UTC(2040, 0, 1))),
+        MagneticModel.declination(41.3851, 2.1734, 0, new Date(Date.UTC(2050, 0, 1)))
+    );
+});
+
+test('relative-only orientation is flagged', () => {
+    const env = createEnvironment();
+    const compass = new (env.get('CompassMonitor'))();
+    const states = [];
+    compass.onChange = (state) => states.push(state);
+
+    compass.addHeading({ azimuth: 10, absolute: false });
+    assert.equal(compass.state, 'relative');
+    assert.equal(compass.isAbsolute, false);
+
+    // Sources that do not say are given the benefit of the doubt
+    const unknown = new (env.get('CompassMonitor'))();
+    unknown.addHeading({ azimuth: 10 });
+    assert.equal(unknown.state, 'good');
+    assert.deepEqual(states, ['relative']);
+});
+
+test('erratic headings mean interference, a steady turn does not', () => {
+    const env = createEnvironment();
+    const CompassMonitor = env.get('CompassMonitor');
+
+    const turning = new CompassMonitor();
+    for (let i = 0; i < 60; i++) {
+        turning.addHeading({ azimuth: 350 + i, absolute: true });   // through north at 60°/s
+        env.clock.tick(16);
+    }
+    assert.equal(turning.state, 'good');
+
+    const noisy = new CompassMonitor();
+    for (let i = 0; i < 60; i++) {
+        noisy.addHeading({ azimuth: 90 + (i % 2 ? 8 : -8), absolute: true });
+        env.clock.tick(16);
+    }
+    assert.equal(noisy.state, 'interference');
+    assert.deepEqual(Array.from(noisy.status.reasons), ['erratic heading']);
+
+    // Recovers only after a quiet spell
+    for (let i = 0; i < 100; i++) {
+        noisy.addHeading({ azimuth: 90, absolute: true });
+        env.clock.tick(16);
+    }
+    assert.equal(noisy.state, 'interference');
+    env.clock.tick(noisy.RECOVERY_MS);
+    noisy.addHeading({ azimuth: 90, absolute: true });
+    assert.equal(noisy.state, 'good');
+});
+
+test('a poor or negative platform accuracy means interference', () => {
+    const env = createEnvironment();
+    const CompassMonitor = env.get('CompassMonitor');
+
+    const poor = new CompassMonitor();
+    poor.addHeading({ azimuth: 90, absolute: true, accuracy: 40 });
+    assert.equal(poor.state, 'interference');
+    assert.deepEqual(Array.from(poor.status.reasons), ['accuracy']);
+
+    // iOS reports -1 while the compass is uncalibrated
+    const uncalibrated = new CompassMonitor();
+    uncalibrated.addHeading({ azimuth: 90, absolute: true, accuracy: -1 });
+    assert.equal(uncalibrated.state, 'interference');
+    assert.deepEqual(Array.from(uncalibrated.status.reasons), ['needs calibration']);
+
+    const fine = new CompassMonitor();
+    fine.addHeading({ azimuth: 90, absolute: true, accuracy: 10 });
+    assert.equal(fine.state, 'good');
+});
+
+test('a wandering offset from the GPS course means interference', () => {
+    const env = createEnvironment();
+    const CompassMonitor = env.get('CompassMonitor');
+
+    // Fixed mount: the phone points 30° off the road, consistently
+    const mounted = new CompassMonitor();
+    for (let i = 0; i < 20; i++) {
+        mounted.addHeading({ azimuth: (i * 15 + 330) % 360, absolute: true });
+        mounted.addCourse(i * 15, 15);
+        env.clock.tick(1000);
+    }
+    assert.equal(mounted.state, 'good');
+    assert.ok(mounted.status.spread < 1);
+
+    const disturbed = new CompassMonitor();
+    for (let i = 0; i < 20; i++) {
+        disturbed.addHeading({ azimuth: [0, 60, 300, 40][i % 4], absolute: true });
+        disturbed.addCourse(0, 15);
+        env.clock.tick(1000);
+    }
+    assert.equal(disturbed.state, 'interference');
+    assert.deepEqual(Array.from(disturbed.status.reasons), ['disagrees with GPS course']);
+
+    // Too slow for the course to count
+    const slow = new CompassMonitor();
+    slow.addHeading({ azimuth: 0, absolute: true });
+    slow.addCourse(180, 1);
+    assert.equal(slow.offsets.length, 0);
+});
+
+test('the app corrects to true north, and prompts a figure-8 on interference', () => {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+
+    app.handleGpsUpdate({ latitude: 40.689167, longitude: -74.044444, speed: 15, bearing: 90, accuracy: 5 });
+    app.handleOrientationUpdate({ azimuth: 100, absolute: true });
+
+    const declination = app.declination;
+    assert.ok(declination < -12 && declination > -14);
+    assert.equal(app.elements.declinationValue.textContent, `${Math.abs(declination).toFixed(1)}° W`);
+    assert.equal(app.elements.bearing.textContent, 90);
+    assert.equal(app.elements.bearingUnit.textContent, '°T');
+    assert.ok(Math.abs(app.currentAzimuth - (100 + declination)) < 1e-9);
+
+    // Magnetic north: the course is converted instead
+    app.elements.northReferenceSelect.dispatchEvent({ type: 'ionChange', detail: { value: 'magnetic' } });
+    assert.equal(app.currentAzimuth, 100);
+    assert.equal(app.elements.bearing.textContent, Math.round(90 - declination));
+    assert.equal(app.elements.bearingUnit.textContent, '°M');
+    assert.equal(JSON.parse(env.localStorage.getItem('velocitats-settings')).northReference, 'magnetic');
+
+    // Erratic compass: red dot and the calibration prompt, dismissible
+    for (let i = 0; i < 30; i++) {
+        app.handleOrientationUpdate({ azimuth: 100 + (i % 2 ? 10 : -10), absolute: true });
+        env.clock.tick(16);
+    }
+    assert.equal(app.elements.compassStatus.classList.contains('error'), true);
+    assert.equal(app.elements.compassBanner.classList.contains('hidden'), false);
+    app.elements.compassDismissBtn.dispatchEvent({ type: 'click' });
+    assert.equal(app.elements.compassBanner.classList.contains('hidden'), true);
+
+    // Relative-only data dims the north needle and skips the declination
+    const relative = new (env.get('VelocitatsApp'))();
+    relative.handleGpsUpdate({ latitude: 40.689167, longitude: -74.044444, speed: 15, bearing: 90, accuracy: 5 });
+    relative.handleOrientationUpdate({ azimuth: 100, absolute: false });
+    assert.equal(relative.NORTH_REFERENCE, 'magnetic');   // restored setting
+    assert.equal(relative.elements.compassNote.classList.contains('hidden'), false);
+    assert.equal(relative.elements.northArrow.classList.contains('unreliable'), true);
+    assert.equal(relative.currentAzimuth, 100);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+function createExporter() {
+    const env = createEnvironment();
+    return { env, TripExporter: env.get('TripExporter'), SensorReplay: env.get('SensorReplay') };
+}
+
+const START = Date.parse('2024-05-01T18:30:00Z');
+const TRIP = { id: 3, startTime: START, endTime: START + 2000, source: 'sensors', summary: { distance: 22 } };
+const SAMPLES = [
+    { type: 'gps', t: START, data: { latitude: 41.4, longitude: 2.17, speed: 11, bearing: 0, accuracy: 5, timestamp: START - 200 } },
+    { type: 'motion', t: START + 500, data: { x: 0, y: -3.25, z: 0.1, magnitude: 3.2515, forward: -3.25 } },
+    { type: 'brake', t: START + 600, data: { latitude: 41.4001, longitude: 2.17, forward: -3.25, speed: 10.5, level: 'brake' } },
+    { type: 'gps', t: START + 1000, data: { latitude: 41.4002, longitude: 2.17, speed: 10, bearing: 0, accuracy: 5 } }
+];
+
+test('GPX export carries the track with speed and course, and reads back', () => {
+    const { TripExporter, SensorReplay } = createExporter();
+
+    const gpx = TripExporter.toGPX(TRIP, SAMPLES);
+    assert.match(gpx, /<wpt lat="41.4001" lon="2.17">[\s\S]*<name>Brake -3.3 m\/s²<\/name>/);
+    assert.match(gpx, /<gpxtpx:speed>11.00<\/gpxtpx:speed><gpxtpx:course>0.0<\/gpxtpx:course>/);
+
+    // Fixes keep the device's timestamp; brake waypoints are not track points
+    const samples = SensorReplay.fromGPX(gpx);
+    assert.equal(samples.length, 2);
+    assert.equal(samples[0].t, START - 200);
+    assert.equal(samples[1].t, START + 1000);
+    assert.equal(samples[1].data.latitude, 41.4002);
+    assert.equal(samples[1].data.speed, 10);
+});
+
+test('GeoJSON export has the track line and brake points', () => {
+    const { TripExporter } = createExporter();
+
+    const geojson = TripExporter.toGeoJSON(TRIP, SAMPLES);
+    const [track, brake] = geojson.features;
+
+    assert.equal(geojson.features.length, 2);
+    assert.deepEqual(Array.from(track.geometry.coordinates, (point) => Array.from(point)), [[2.17, 41.4], [2.17, 41.4002]]);
+    assert.equal(track.properties.source, 'sensors');
+    assert.equal(track.properties.times[0], new Date(START - 200).toISOString());
+    assert.equal(track.properties.endTime, new Date(START + 2000).toISOString());
+    assert.equal(brake.geometry.type, 'Point');
+    assert.equal(brake.properties.forward, -3.25);
+});
+
+test('CSV export holds the motion stream and replays as motion samples', () => {
+    const { TripExporter, SensorReplay } = createExporter();
+
+    const csv = TripExporter.toCSV(SAMPLES);
+    const lines = csv.trim().split('\n');
+    assert.equal(lines[0], 'timestamp,time,x,y,z,magnitude,forward');
+    assert.equal(lines.length, 2);
+
+    const samples = SensorReplay.fromCSV(csv);
+    assert.equal(samples.length, 1);
+    assert.equal(samples[0].type, 'motion');
+    assert.equal(samples[0].t, START + 500);
+    assert.equal(samples[0].data.forward, -3.25);
+    assert.equal(samples[0].data.z, 0.1);
+});
+
+test('exporting a stored trip downloads a file of the chosen format', async () => {
+    const { env, TripExporter } = createExporter();
+    const storage = { getSamples: async (id) => (id === TRIP.id ? SAMPLES : []) };
+
+    await TripExporter.exportTrip(storage, TRIP, 'geojson');
+    assert.equal(env.downloads.length, 1);
+    assert.equal(env.downloads[0].type, 'application/geo+json');
+    assert.equal(JSON.parse(await env.downloads[0].text()).features.length, 2);
+
+    await assert.rejects(TripExporter.exportTrip(storage, TRIP, 'kml'), /Unknown export format: kml/);
+    assert.match(TripExporter.fileName(TRIP), /^velocitats-2024-05-0[12]-\d{4}$/);
+    assert.equal(TripExporter.escapeXml('<a & "b">'), '&lt;a &amp; &quot;b&quot;&gt;');
+});
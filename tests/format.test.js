@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+test('toDMS formats latitude and longitude with hemisphere', () => {
+    const { get } = createEnvironment();
+    const Formatter = get('Formatter');
+
+    assert.equal(Formatter.toDMS(52.52, true), '52° 31\' 12.000" N');
+    assert.equal(Formatter.toDMS(-33.8688, true), '33° 52\' 7.680" S');
+    assert.equal(Formatter.toDMS(2.1734, false), '2° 10\' 24.240" E');
+    assert.equal(Formatter.toDMS(-0.5, false), '0° 30\' 0.000" W');
+    assert.equal(Formatter.toDMS(0, true), '0° 0\' 0.000" N');
+
+    // Seconds rounding up to 60 carry into the minutes and degrees
+    assert.equal(Formatter.toDMS(41.9999999, true), '42° 0\' 0.000" N');
+    assert.equal(Formatter.toDMS(-2.1833333, false), '2° 11\' 0.000" W');
+});
+
+test('decimal degrees and decimal minutes', () => {
+    const { get } = createEnvironment();
+    const Formatter = get('Formatter');
+
+    assert.equal(Formatter.toDD(-33.8688, true), '33.868800° S');
+    assert.equal(Formatter.toDDM(52.52, true), '52° 31.2000\' N');
+    assert.equal(Formatter.toDDM(-0.5, false), '0° 30.0000\' W');
+    assert.equal(Formatter.toDDM(1.999999999, false), '2° 0.0000\' E');
+});
+
+test('bearingToCardinal maps the eight sectors', () => {
+    const { get } = createEnvironment();
+    const Formatter = get('Formatter');
+
+    const cases = [
+        [0, 'N'], [22.4, 'N'], [22.5, 'NE'], [45, 'NE'], [90, 'E'], [135, 'SE'],
+        [180, 'S'], [225, 'SW'], [270, 'W'], [292.4, 'W'], [315, 'NW'], [337.4, 'NW']
+    ];
+    cases.forEach(([bearing, expected]) => {
+        assert.equal(Formatter.bearingToCardinal(bearing, 8), expected, `bearing ${bearing}`);
+    });
+});
+
+test('bearingToCardinal wraps to N from 337.5° upwards', () => {
+    const { get } = createEnvironment();
+    const Formatter = get('Formatter');
+
+    [337.5, 345, 359.9, 360].forEach((bearing) => {
+        assert.equal(Formatter.bearingToCardinal(bearing, 8), 'N', `bearing ${bearing}`);
+    });
+});
+
+test('bearingToCardinal defaults to sixteen points', () => {
+    const { get } = createEnvironment();
+    const Formatter = get('Formatter');
+
+    const cases = [
+        [0, 'N'], [11.2, 'N'], [11.25, 'NNE'], [67.5, 'ENE'], [157.5, 'SSE'],
+        [202.5, 'SSW'], [247.5, 'WSW'], [292.5, 'WNW'], [337.5, 'NNW'], [348.75, 'N'], [-22.5, 'NNW']
+    ];
+    cases.forEach(([bearing, expected]) => {
+        assert.equal(Formatter.bearingToCardinal(bearing), expected, `bearing ${bearing}`);
+    });
+});
+
+test('UTM and MGRS grid references', () => {
+    const { get } = createEnvironment();
+    const Formatter = get('Formatter');
+
+    // Statue of Liberty
+    assert.equal(Formatter.formatUTM(40.689167, -74.044444), '18T 580740E 4504691N');
+    assert.equal(Formatter.toMGRS(40.689167, -74.044444), '18T WL 80740 04691');
+    assert.equal(Formatter.toMGRS(40.689167, -74.044444, 3), '18T WL 807 046');
+
+    // Southern hemisphere, even zone
+    assert.equal(Formatter.toMGRS(-33.8688, 151.2093), '56H LH 34368 50948');
+
+    // Zone exceptions: south-west Norway and Svalbard
+    assert.equal(Formatter.toUTM(60.39, 5.32).zone, 32);
+    assert.equal(Formatter.toUTM(78.22, 15.65).zone, 33);
+
+    // Polar regions use UPS, which is not supported
+    assert.equal(Formatter.toUTM(85, 0), null);
+    assert.equal(Formatter.toMGRS(-81, 0), null);
+});
+
+test('Plus Codes', () => {
+    const { get } = createEnvironment();
+    const Formatter = get('Formatter');
+
+    assert.equal(Formatter.toPlusCode(47.365590, 8.524997), '8FVC9G8F+6X');
+    assert.equal(Formatter.toPlusCode(47.365590, 8.524997, 6), '8FVC9G00+');
+    assert.equal(Formatter.toPlusCode(90, 180), 'C2X2X2X2+X2');   // 180° wraps to -180°
+});
+
+test('speed, acceleration and distance in the selected units', () => {
+    const { get } = createEnvironment();
+    const format = new (get('Formatter'))();
+
+    assert.equal(format.speed(10), '36 km/h');
+    assert.equal(format.distance(12345), '12.35 km');
+
+    format.restore({ speed: 'mph', acceleration: 'g', coordinates: 'utm' });
+    assert.equal(format.speed(26.8224), '60 mph');
+    assert.equal(format.distance(1609.344), '1.00 mi');
+    assert.equal(format.acceleration(-9.80665), '-1.00 g');
+    assert.deepEqual({ ...format.toJSON() }, { speed: 'mph', acceleration: 'g', coordinates: 'utm' });
+
+    format.restore({ speed: 'knots', acceleration: 'furlongs' });
+    assert.equal(format.speed(1852 / 3600, 1), '1.0 kn');
+    assert.equal(format.distance(1852), '1.00 nmi');
+    assert.equal(format.accelerationUnit, 'g');
+
+    // Limits are stored in km/h and survive a km/h round trip exactly
+    format.restore({ speed: 'kmh' });
+    assert.equal(format.fromSpeedLimit(format.toSpeedLimit(50)), 50);
+});
+
+test('slider ranges are rescaled to round display steps', () => {
+    const { get } = createEnvironment();
+    const format = new (get('Formatter'))();
+
+    assert.deepEqual(pick(format.range('limit', 0, 200, 5)), { min: 0, max: 200, step: 5 });
+
+    format.restore({ speed: 'mph', acceleration: 'g' });
+    assert.deepEqual(pick(format.range('limit', 0, 200, 5)), { min: 0, max: 125, step: 5 });
+    assert.deepEqual(pick(format.range('speed', 0, 5, 0.1)), { min: 0, max: 11, step: 0.5 });
+    assert.deepEqual(pick(format.range('acceleration', -10, -0.5, 0.5)), { min: -1, max: -0.05, step: 0.05 });
+
+    function pick(range) {
+        return { min: range.min, max: range.max, step: range.step };
+    }
+});
+
+test('the app applies the chosen units across cards and sliders', () => {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+
+    app.handleGpsUpdate({ latitude: 40.689167, longitude: -74.044444, speed: 26.8224, bearing: 100, accuracy: 5 });
+    assert.equal(app.elements.speedValue.textContent, '96.6');
+    assert.equal(app.elements.bearingDirection.textContent, 'E');
+    assert.equal(app.elements.latitudeLabel.textContent, 'LAT');
+
+    app.elements.speedUnitSelect.dispatchEvent({ type: 'ionChange', detail: { value: 'mph' } });
+    app.elements.coordinateFormatSelect.dispatchEvent({ type: 'ionChange', detail: { value: 'mgrs' } });
+    app.elements.accelerationUnitSelect.dispatchEvent({ type: 'ionChange', detail: { value: 'g' } });
+
+    assert.equal(app.elements.speedValue.textContent, '60.0');
+    assert.equal(app.elements.speedUnit.textContent, 'mph');
+    assert.equal(app.elements.latitudeLabel.textContent, 'MGRS');
+    assert.equal(app.elements.latitude.textContent, '18T WL 80740 04691');
+    assert.equal(app.elements.longitudeRow.classList.contains('hidden'), true);
+
+    // The chart history is converted, not mixed
+    assert.ok(Math.abs(app.chart.data.speed.v[0] - 60) < 1e-9);
+
+    // Sliders work in the display units; settings stay in SI
+    assert.equal(app.elements.brakeThresholdLabel.textContent, 'Brake Sensitivity (g)');
+    assert.equal(app.elements.brakeThresholdValue.textContent, '-0.20');
+    app.elements.brakeThresholdInput.dispatchEvent({ type: 'ionChange', detail: { value: -0.5 } });
+    assert.ok(Math.abs(app.BRAKE_THRESHOLD + 4.903325) < 1e-9);
+
+    app.elements.maxSpeedInput.dispatchEvent({ type: 'ionChange', detail: { value: 30 } });
+    assert.ok(Math.abs(app.MAX_SPEED - 48.28032) < 1e-9);
+    assert.equal(app.elements.maxSpeedValue.textContent, '30');
+
+    const saved = JSON.parse(env.localStorage.getItem('velocitats-settings'));
+    assert.deepEqual(saved.units, { speed: 'mph', acceleration: 'g', coordinates: 'mgrs' });
+
+    // Restored on the next start
+    const restored = new (env.get('VelocitatsApp'))();
+    assert.equal(restored.format.speedUnit, 'mph');
+    assert.equal(restored.elements.maxSpeedInput.value, 30);
+});
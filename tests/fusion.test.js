@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+/**
+ * Fusion layer wrapped around a scripted source: GPS at 1 Hz, motion at 50 Hz
+ */
+function createFusion() {
+    const env = createEnvironment();
+    const fusion = new (env.get('SensorFusion'))();
+    const source = { dispose() { this.disposed = true; }, initialize: async () => ({ gps: true, motion: true }) };
+    fusion.attach(source);
+
+    const fixes = [];
+    const motions = [];
+    fusion.onGpsUpdate = (data) => fixes.push(data);
+    fusion.onMotionUpdate = (data) => motions.push(data);
+
+    const metersEast = (meters) => 2.17 + meters / (111195 * Math.cos(41.4 * Math.PI / 180));
+
+    /**
+     * Drive east, decelerating at `decel` m/s² from `speed`, for `seconds`
+     */
+    function drive({ seconds, speed, decel = 0, noise = 0, gpsSpeed = true }) {
+        let position = 0;
+        for (let step = 0; step < seconds * 50; step++) {
+            if (step % 50 === 0) {
+                source.onGpsUpdate({
+                    latitude: 41.4,
+                    longitude: metersEast(position),
+                    speed: gpsSpeed ? speed : null,
+                    bearing: 90,
+                    accuracy: 5,
+                    timestamp: env.clock.now
+                });
+            }
+            env.clock.tick(20);
+            const forward = -decel + (step % 2 ? noise : -noise);
+            source.onMotionUpdate({ x: 0, y: forward, z: 0, magnitude: Math.abs(forward), forward });
+            position += speed * 0.02;
+            speed = Math.max(speed - decel * 0.02, 0);
+        }
+        return speed;
+    }
+
+    return { env, fusion, source, fixes, motions, drive };
+}
+
+test('speed and heading are emitted at the motion rate between fixes', () => {
+    const { fixes, drive } = createFusion();
+
+    drive({ seconds: 5, speed: 15, noise: 2 });
+
+    const realFixes = fixes.filter((data) => data.fix);
+    assert.equal(realFixes.length, 5);
+    assert.ok(fixes.length > 200, `only ${fixes.length} updates`);
+
+    const last = fixes[fixes.length - 1];
+    assert.ok(Math.abs(last.speed - 15) < 0.5, `speed ${last.speed}`);
+    assert.ok(Math.abs(last.bearing - 90) < 2, `bearing ${last.bearing}`);
+    assert.ok(last.confidence > 0.5 && last.confidence <= 1);
+});
+
+test('accelerometer deceleration drives speed down between fixes', () => {
+    const { fixes, drive } = createFusion();
+
+    drive({ seconds: 3, speed: 20, decel: 4 });
+
+    // Within the last second the estimate must keep falling, not hold at the fix
+    const lastFix = fixes.map((data) => data.fix).lastIndexOf(true);
+    const after = fixes.slice(lastFix);
+    assert.ok(after[after.length - 1].speed < after[0].speed - 2);
+    assert.ok(after[after.length - 1].acceleration < -2);
+});
+
+test('noisy forward acceleration is smoothed for brake detection', () => {
+    const { motions, drive } = createFusion();
+
+    drive({ seconds: 3, speed: 15, noise: 3 });
+
+    const tail = motions.slice(-50);
+    assert.ok(tail.every((data) => Math.abs(data.forward) < 1.5), 'fused forward stays near zero');
+    assert.ok(tail.some((data) => Math.abs(data.rawForward) === 3));
+});
+
+test('disabled fusion passes data through untouched', () => {
+    const { fusion, fixes, motions, drive } = createFusion();
+    fusion.setEnabled(false);
+
+    drive({ seconds: 2, speed: 10, noise: 1 });
+
+    assert.equal(fixes.length, 2);
+    assert.equal(fixes[0].fused, undefined);
+    assert.equal(motions[0].rawForward, undefined);
+});
+
+test('attaching another source disposes of the previous one', () => {
+    const { fusion, source } = createFusion();
+
+    const next = fusion.attach({ dispose() {} }).source;
+
+    assert.equal(source.disposed, true);
+    assert.equal(typeof next.onGpsUpdate, 'function');
+});
+
+test('fixes carry the source payload and its own acceleration', () => {
+    const { env, fixes, source, drive } = createFusion();
+
+    drive({ seconds: 3, speed: 15, decel: 4 });
+    const fixed = fixes.filter((data) => data.fix);
+    const last = fixed[fixed.length - 1];
+    assert.equal(last.raw.accuracy, 5);
+    assert.equal(last.raw.latitude, 41.4);
+    assert.ok(fixes.filter((data) => !data.fix).every((data) => data.raw === undefined));
+
+    // The fused state follows the accelerometer; gpsAcceleration only the fix
+    source.onGpsUpdate({ latitude: 41.4, longitude: 2.17, speed: 10, bearing: 90, accuracy: 150,
+        acceleration: 0.5, timestamp: env.clock.now });
+    const fix = fixes[fixes.length - 1];
+    assert.equal(fix.gpsAcceleration, 0.5);
+    assert.ok(fix.acceleration < -2, `fused ${fix.acceleration}`);
+    assert.equal(fix.raw.accuracy, 150);
+    assert.ok(fix.accuracy < 150);
+});
+
+test('the app records fixes as reported and brakes on GPS acceleration alone', () => {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+    const recorded = [];
+    app.recorder.record = (type, data) => recorded.push({ type, data });
+    app.BRAKE_SOURCE = 'gps';
+
+    const raw = { latitude: 41.4, longitude: 2.17, speed: 10, bearing: 90, accuracy: 40, acceleration: -0.5, timestamp: env.clock.now };
+    app.handleGpsUpdate({ ...raw, accuracy: 3, acceleration: -6, gpsAcceleration: -0.5, fused: true, fix: true, raw: raw, confidence: 1 });
+    assert.equal(recorded.find((entry) => entry.type === 'gps').data, raw);
+    assert.equal(app.gpsAcceleration, -0.5);
+    assert.equal(app.isBraking, false);
+
+    // Estimates between fixes neither record nor move the GPS acceleration
+    app.handleGpsUpdate({ ...raw, accuracy: 3, acceleration: -6, gpsAcceleration: -0.5, fused: true, fix: false, confidence: 1 });
+    assert.equal(recorded.filter((entry) => entry.type === 'gps').length, 1);
+    assert.equal(app.gpsAcceleration, -0.5);
+});
+
+test('estimates between fixes redraw a few times a second and stay out of the impact log', () => {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+    let redraws = 0;
+    app.map.setPosition = () => redraws++;
+
+    const raw = { latitude: 41.4, longitude: 2.17, speed: 10, bearing: 90, accuracy: 5, timestamp: env.clock.now };
+    app.handleGpsUpdate({ ...raw, accuracy: 2, gpsAcceleration: 0, fused: true, fix: true, raw: raw, confidence: 1 });
+    for (let i = 0; i < 60; i++) {
+        env.clock.tick(16);
+        app.handleGpsUpdate({ ...raw, speed: 10 - i * 0.01, fused: true, fix: false, confidence: 1 });
+    }
+
+    assert.ok(redraws >= 4 && redraws <= 6, `redraws ${redraws}`);
+    assert.ok(Math.abs(app.currentSpeed - 9.41) < 1e-9);
+    const gps = app.impact.buffer.filter((sample) => sample.type === 'gps');
+    assert.equal(gps.length, 1);
+    assert.equal(gps[0].data.accuracy, 5);
+});
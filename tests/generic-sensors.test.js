@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, flushPromises } = require('./harness');
+
+const G = 9.80665;
+
+/**
+ * Install fake Generic Sensor API interfaces; returns every sensor constructed
+ */
+function installSensors(env, names = ['AbsoluteOrientationSensor', 'LinearAccelerationSensor', 'Magnetometer']) {
+    const created = [];
+    names.forEach((name) => {
+        env.window[name] = class {
+            constructor(options) {
+                this.name = name;
+                this.options = options;
+                this.listeners = {};
+                this.started = false;
+                created.push(this);
+            }
+
+            addEventListener(type, listener) {
+                (this.listeners[type] = this.listeners[type] || []).push(listener);
+            }
+
+            start() {
+                this.started = true;
+            }
+
+            stop() {
+                this.started = false;
+            }
+
+            emit(type, values = {}) {
+                Object.assign(this, values);
+                (this.listeners[type] || []).forEach((listener) => listener({ type, error: values.error }));
+            }
+        };
+    });
+    return created;
+}
+
+function grantPermissions(env, states) {
+    env.window.navigator.permissions = {
+        query: async ({ name }) => {
+            if (!(name in states)) throw new TypeError(`${name} is not a valid permission name`);
+            return { state: states[name] };
+        }
+    };
+}
+
+/**
+ * Quaternion [x, y, z, w] of the deviceorientation rotation Z(alpha)·X(beta)·Y(gamma)
+ */
+function quaternion(alpha, beta, gamma) {
+    const multiply = (a, b) => [
+        a[3] * b[0] + a[0] * b[3] + a[1] * b[2] - a[2] * b[1],
+        a[3] * b[1] - a[0] * b[2] + a[1] * b[3] + a[2] * b[0],
+        a[3] * b[2] + a[0] * b[1] - a[1] * b[0] + a[2] * b[3],
+        a[3] * b[3] - a[0] * b[0] - a[1] * b[1] - a[2] * b[2]
+    ];
+    const axis = (index, degrees) => {
+        const q = [0, 0, 0, Math.cos(degrees * Math.PI / 360)];
+        q[index] = Math.sin(degrees * Math.PI / 360);
+        return q;
+    };
+    return multiply(multiply(axis(2, alpha), axis(0, beta)), axis(1, gamma));
+}
+
+async function initialize(env, manager) {
+    const started = manager.initialize();
+    await flushPromises();
+    env.geolocation.emitPosition({ latitude: 41.3851, longitude: 2.1734, speed: 0, heading: null, accuracy: 5 });
+    return started;
+}
+
+test('quaternions convert to deviceorientation angles', () => {
+    const env = createEnvironment();
+    const GenericSensorManager = env.get('GenericSensorManager');
+
+    [[0, 0, 0], [90, 0, 0], [100, 30, -20], [250, -60, 45], [30, 150, 10], [300, -120, -70]].forEach(([alpha, beta, gamma]) => {
+        const euler = GenericSensorManager.quaternionToEuler(quaternion(alpha, beta, gamma));
+        const close = (a, b) => Math.abs(((a - b) % 360 + 540) % 360 - 180) < 1e-9;
+        assert.ok(close(euler.alpha, alpha) && close(euler.beta, beta) && close(euler.gamma, gamma),
+            `${alpha}/${beta}/${gamma} -> ${euler.alpha}/${euler.beta}/${euler.gamma}`);
+        assert.ok(euler.alpha >= 0 && euler.alpha < 360 && Math.abs(euler.gamma) <= 90);
+    });
+});
+
+test('orientation and motion come from the Generic Sensor API with the same payloads', async () => {
+    const env = createEnvironment();
+    const created = installSensors(env);
+    grantPermissions(env, { accelerometer: 'granted', gyroscope: 'granted', magnetometer: 'granted' });
+
+    const manager = new (env.get('GenericSensorManager'))();
+    const orientations = [];
+    const motions = [];
+    const backends = [];
+    manager.onOrientationUpdate = (data) => orientations.push(data);
+    manager.onMotionUpdate = (data) => motions.push(data);
+    manager.onBackendChange = (value) => backends.push(value);
+    manager.setFrequency(30);
+
+    const results = await initialize(env, manager);
+    assert.deepEqual({ ...results }, { gps: true, orientation: true, motion: true });
+    assert.deepEqual({ ...manager.permissions }, { accelerometer: 'granted', gyroscope: 'granted', magnetometer: 'granted' });
+    assert.deepEqual({ ...manager.backends }, { orientation: 'generic', motion: 'generic' });
+    assert.equal(env.window.listenerCount('deviceorientation') + env.window.listenerCount('devicemotion'), 0);
+
+    const [orientation, magnetometer] = created.filter((sensor) => sensor.name !== 'LinearAccelerationSensor');
+    const motion = created.find((sensor) => sensor.name === 'LinearAccelerationSensor');
+    assert.ok(created.every((sensor) => sensor.started && sensor.options.frequency === 30));
+
+    // Flat, top pointing East: alpha 270 is a compass heading of 90
+    orientation.emit('reading', { quaternion: quaternion(270, 0, 0) });
+    assert.equal(orientations.length, 1);
+    assert.ok(Math.abs(orientations[0].azimuth - 90) < 1e-9);
+    assert.equal(orientations[0].absolute, true);
+    assert.equal(orientations[0].accuracy, undefined);
+    assert.ok(Math.abs(orientations[0].beta) < 1e-9 && Math.abs(orientations[0].gamma) < 1e-9);
+
+    // Braking along the top of the phone
+    motion.emit('reading', { x: 0, y: -4, z: 0 });
+    assert.ok(Math.abs(motions[0].forward + 4) < 1e-9);
+    assert.ok(Math.abs(motions[0].gravity.z - G) < 1e-9);
+
+    // A field 10 µT stronger than the model expects here
+    const MagneticModel = env.get('MagneticModel');
+    const field = MagneticModel.field(41.3851, 2.1734, 0, new Date(env.clock.now));
+    const total = Math.hypot(field.x, field.y, field.z) / 1000;
+    magnetometer.emit('reading', { x: 0, y: 0, z: -(total + 10) });
+    orientation.emit('reading', { quaternion: quaternion(270, 0, 0) });
+    const expected = Math.asin(10000 / Math.hypot(field.x, field.y)) * 180 / Math.PI;
+    assert.ok(Math.abs(orientations[1].accuracy - expected) < 1e-6, `accuracy ${orientations[1].accuracy}`);
+
+    // A new rate restarts the sensors; stopping releases them
+    manager.setFrequency(100);
+    assert.equal(manager.frequency, 60);
+    assert.ok(Object.values(manager.genericSensors).every((sensor) => sensor.options.frequency === 60 && sensor.started));
+    manager.stop();
+    assert.ok(created.every((sensor) => !sensor.started));
+    assert.deepEqual({ ...backends[backends.length - 1] }, { orientation: null, motion: null });
+});
+
+test('missing, denied or failing sensors fall back to the events', async () => {
+    const env = createEnvironment();
+    installSensors(env, ['AbsoluteOrientationSensor', 'LinearAccelerationSensor']);
+    grantPermissions(env, { accelerometer: 'granted', magnetometer: 'denied' });   // gyroscope unknown
+
+    const manager = new (env.get('GenericSensorManager'))();
+    const orientations = [];
+    const motions = [];
+    manager.onOrientationUpdate = (data) => orientations.push(data);
+    manager.onMotionUpdate = (data) => motions.push(data);
+
+    await initialize(env, manager);
+    assert.equal(manager.permissions.gyroscope, 'unknown');
+    assert.deepEqual({ ...manager.backends }, { orientation: 'events', motion: 'generic' });
+    assert.equal(env.window.listenerCount('deviceorientation'), 1);
+
+    env.dispatch('deviceorientation', { alpha: 0, beta: 0, gamma: 0, absolute: true });
+    assert.equal(orientations[0].azimuth, 0);
+
+    // The accelerometer goes away after starting
+    manager.genericSensors.motion.emit('error', { error: { name: 'NotReadableError', message: 'Could not connect' } });
+    assert.deepEqual({ ...manager.backends }, { orientation: 'events', motion: 'events' });
+    assert.equal(manager.genericSensors.motion, undefined);
+    env.dispatch('devicemotion', { acceleration: { x: 0, y: -2, z: 0 }, accelerationIncludingGravity: { x: 0, y: -2, z: G } });
+    assert.ok(Math.abs(motions[0].forward + 2) < 1e-9);
+
+    // No interfaces at all
+    const plain = createEnvironment();
+    const fallback = new (plain.get('GenericSensorManager'))();
+    await initialize(plain, fallback);
+    assert.deepEqual({ ...fallback.permissions }, { accelerometer: 'unknown', gyroscope: 'unknown', magnetometer: 'unknown' });
+    assert.deepEqual({ ...fallback.backends }, { orientation: 'events', motion: 'events' });
+
+    // Opting out while running moves everything to the events
+    const optOut = createEnvironment();
+    installSensors(optOut);
+    const manual = new (optOut.get('GenericSensorManager'))();
+    await initialize(optOut, manual);
+    assert.deepEqual({ ...manual.backends }, { orientation: 'generic', motion: 'generic' });
+    await manual.setBackend('events');
+    assert.deepEqual({ ...manual.backends }, { orientation: 'events', motion: 'events' });
+    assert.deepEqual(Object.keys(manual.genericSensors), []);
+    assert.equal(optOut.window.listenerCount('devicemotion'), 1);
+});
+
+test('the app shows the sensor path and keeps the backend settings', async () => {
+    const env = createEnvironment();
+    installSensors(env);
+    const app = new (env.get('VelocitatsApp'))();
+
+    const started = app.start('sensors');
+    await flushPromises();
+    env.geolocation.emitPosition({ latitude: 41.3851, longitude: 2.1734, speed: 0, heading: null, accuracy: 5 });
+    await started;
+    assert.equal(app.elements.sensorBackendNote.textContent, 'Compass: Generic Sensor API · Motion: Generic Sensor API');
+
+    app.elements.sensorFrequencyInput.dispatchEvent({ type: 'ionChange', detail: { value: 20 } });
+    assert.equal(app.sensors.genericSensors.motion.options.frequency, 20);
+    assert.equal(app.elements.sensorFrequencyValue.textContent, 20);
+
+    app.elements.sensorBackendSelect.dispatchEvent({ type: 'ionChange', detail: { value: 'events' } });
+    await flushPromises();
+    assert.equal(app.elements.sensorBackendNote.textContent, 'Compass: events · Motion: events');
+
+    const saved = JSON.parse(env.localStorage.getItem('velocitats-settings'));
+    assert.equal(saved.sensorBackend, 'events');
+    assert.equal(saved.sensorFrequency, 20);
+
+    const restored = new (env.get('VelocitatsApp'))();
+    assert.equal(restored.sensors.backend, 'events');
+    assert.equal(restored.elements.sensorFrequencyInput.value, 20);
+
+    await app.exit();
+    assert.equal(app.elements.sensorBackendNote.textContent, 'Sensors not started');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+function createHaptics(supported = true) {
+    const env = createEnvironment();
+    const patterns = [];
+    if (supported) {
+        env.window.navigator.vibrate = (pattern) => {
+            patterns.push(pattern);
+            return true;
+        };
+    }
+    return { env, haptics: new (env.get('HapticEngine'))(), patterns };
+}
+
+test('severity maps to longer vibration patterns', () => {
+    const { haptics, patterns } = createHaptics();
+
+    haptics.vibrate('brake');
+    haptics.vibrate('hard-brake');
+    haptics.vibrate('emergency');
+
+    const total = (pattern) => pattern.reduce((sum, ms) => sum + ms, 0);
+    assert.equal(patterns.length, 3);
+    assert.ok(total(patterns[0]) < total(patterns[1]) && total(patterns[1]) < total(patterns[2]));
+});
+
+test('a lower level cannot cut into a running higher one', () => {
+    const { env, haptics, patterns } = createHaptics();
+
+    assert.equal(haptics.vibrate('emergency'), true);
+    env.clock.tick(500);
+    assert.equal(haptics.vibrate('brake'), false);
+    assert.equal(haptics.vibrate('hard-brake'), false);
+    assert.equal(haptics.vibrate('impact'), true);
+
+    // Once the pattern has run out any level plays again
+    env.clock.tick(2200);
+    assert.equal(haptics.vibrate('brake'), true);
+    assert.deepEqual(patterns.map((pattern) => pattern.length), [5, 5, 1]);
+});
+
+test('a level repeating faster than its pattern restarts it', () => {
+    const { env, haptics, patterns } = createHaptics();
+
+    // The impact countdown vibrates every second with a 2.2 s pattern
+    for (let i = 0; i < 5; i++) {
+        assert.equal(haptics.vibrate('impact'), true);
+        assert.equal(haptics.vibrate('emergency'), false);
+        env.clock.tick(1000);
+    }
+    assert.equal(patterns.length, 5);
+});
+
+test('alert types can be switched off individually or together', () => {
+    const { haptics, patterns } = createHaptics();
+
+    haptics.setLevel('cornering', false);
+    assert.equal(haptics.vibrate('cornering'), false);
+    assert.equal(haptics.vibrate('speeding'), true);
+
+    haptics.enabled = false;
+    assert.equal(haptics.vibrate('speeding'), false);
+    assert.equal(patterns.length, 1);
+});
+
+test('unsupported devices fall back silently', () => {
+    const { haptics } = createHaptics(false);
+
+    assert.equal(haptics.isSupported, false);
+    assert.equal(haptics.vibrate('emergency'), false);
+});
+
+test('settings round-trip through the app', () => {
+    const { env, patterns } = createHaptics();
+    const app = new (env.get('VelocitatsApp'))();
+
+    app.haptics.setLevel('hard-accel', false);
+    app.saveSettings();
+    const restored = new (env.get('VelocitatsApp'))();
+    assert.equal(restored.haptics.levels['hard-accel'], false);
+    assert.equal(restored.haptics.levels['brake'], true);
+
+    restored.triggerAlert('hard-brake');
+    assert.deepEqual(patterns.map((pattern) => Array.from(pattern)), [[200, 100, 200]]);
+});
@@ -0,0 +1,622 @@
+/**
+ * Velocitats - Headless Test Harness
+ * Loads the browser scripts into a Node vm context with a fake DOM,
+ * stubbed sensors, a mock AudioContext and a controllable clock.
+ *
+ * Run all tests with:  node --test tests/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * Scripts in index.html order
+ */
+const SCRIPTS = [
+    'geo.js',
+    'motion.js',
+    'kinematics.js',
+    'magnetic.js',
+    'compass.js',
+    'health.js',
+    'format.js',
+    'sensors.js',
+    'generic-sensors.js',
+    'calibration.js',
+    'random.js',
+    'scenarios.js',
+    'simulator.js',
+    'fusion.js',
+    'replay.js',
+    'braking.js',
+    'zones.js',
+    'audio.js',
+    'voice.js',
+    'haptics.js',
+    'impact.js',
+    'storage.js',
+    'scoring.js',
+    'recorder.js',
+    'export.js',
+    'arrow.js',
+    'map.js',
+    'chart.js',
+    'app.js'
+];
+
+/**
+ * Deterministic clock driving Date.now, setTimeout and setInterval
+ */
+class FakeClock {
+    constructor(start = 1700000000000) {
+        this.now = start;
+        this.timers = new Map();
+        this.nextId = 1;
+    }
+
+    setTimeout(fn, delay = 0) {
+        const id = this.nextId++;
+        this.timers.set(id, { fn, at: this.now + delay, interval: null });
+        return id;
+    }
+
+    setInterval(fn, delay = 0) {
+        const id = this.nextId++;
+        this.timers.set(id, { fn, at: this.now + delay, interval: Math.max(delay, 1) });
+        return id;
+    }
+
+    clear(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Advance time, firing due timers in order
+     * @param {number} ms
+     */
+    tick(ms) {
+        const end = this.now + ms;
+
+        while (true) {
+            let nextId = null;
+            let next = null;
+            for (const [id, timer] of this.timers) {
+                if (timer.at <= end && (next === null || timer.at < next.at)) {
+                    nextId = id;
+                    next = timer;
+                }
+            }
+            if (next === null) break;
+
+            this.now = next.at;
+            if (next.interval !== null) {
+                next.at += next.interval;
+            } else {
+                this.timers.delete(nextId);
+            }
+            next.fn();
+        }
+
+        this.now = end;
+    }
+}
+
+/**
+ * Minimal event target
+ */
+class FakeEventTarget {
+    constructor() {
+        this.listeners = {};
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter((l) => l !== listener);
+    }
+
+    dispatchEvent(event) {
+        (this.listeners[event.type] || []).slice().forEach((listener) => listener(event));
+        return true;
+    }
+
+    listenerCount(type) {
+        return (this.listeners[type] || []).length;
+    }
+}
+
+/**
+ * Just enough of an HTMLElement for app.js
+ */
+class FakeElement extends FakeEventTarget {
+    constructor(tagName = 'div', id = null) {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.children = [];
+        this.attributes = {};
+        this.style = {};
+        this.textContent = '';
+        this.html = '';
+        this.value = undefined;
+
+        const classes = new Set();
+        this.classList = {
+            add: (...names) => names.forEach((name) => classes.add(name)),
+            remove: (...names) => names.forEach((name) => classes.delete(name)),
+            contains: (name) => classes.has(name),
+            toggle: (name, force) => {
+                const on = force === undefined ? !classes.has(name) : force;
+                if (on) classes.add(name); else classes.delete(name);
+                return on;
+            }
+        };
+    }
+
+    // Like the DOM, replacing the markup drops the children
+    get innerHTML() {
+        return this.html;
+    }
+
+    set innerHTML(html) {
+        this.html = html;
+        this.children = [];
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter((c) => c !== child);
+        return child;
+    }
+
+    remove() {}
+
+    click() {
+        this.dispatchEvent({ type: 'click', target: this });
+    }
+
+    getContext() {
+        return null;
+    }
+}
+
+/**
+ * Mock Web Audio API that records every oscillator started
+ */
+function createAudioContextClass(played) {
+    const param = () => ({
+        value: 0,
+        setValueAtTime() {},
+        linearRampToValueAtTime() {},
+        exponentialRampToValueAtTime() {},
+        cancelScheduledValues() {}
+    });
+
+    return class MockAudioContext {
+        constructor() {
+            this.state = 'running';
+            this.currentTime = 0;
+            this.destination = {};
+        }
+
+        resume() {
+            this.state = 'running';
+            return Promise.resolve();
+        }
+
+        createBuffer() {
+            return {};
+        }
+
+        createBufferSource() {
+            return { connect() {}, start() {} };
+        }
+
+        createGain() {
+            return { gain: param(), connect() {}, disconnect() {} };
+        }
+
+        createOscillator() {
+            const oscillator = {
+                type: 'sine',
+                frequency: param(),
+                connect() {},
+                disconnect() {},
+                start(when) {
+                    played.push({ frequency: oscillator.frequency.lastValue, type: oscillator.type, when });
+                },
+                stop() {}
+            };
+            oscillator.frequency.setValueAtTime = (value) => {
+                oscillator.frequency.lastValue = value;
+            };
+            return oscillator;
+        }
+    };
+}
+
+/**
+ * Just enough of DOMParser for GPX: elements with attributes and text,
+ * searched by local name. Anything it cannot read yields a <parsererror> document
+ */
+class FakeDOMParser {
+    parseFromString(text) {
+        const root = FakeDOMParser.node('#document');
+        const stack = [root];
+        const tags = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*"[^"]*")*)\s*(\/?)>|([^<]+)/g;
+        let match;
+        let position = 0;
+
+        while ((match = tags.exec(text)) !== null) {
+            if (match.index !== position) return FakeDOMParser.error();
+            position = tags.lastIndex;
+
+            const [, closing, name, attributes, selfClosing, content] = match;
+            const parent = stack[stack.length - 1];
+
+            if (content !== undefined) {
+                parent.children.push({ text: content });
+            } else if (!name) {
+                continue;
+            } else if (closing) {
+                if (parent.name !== name) return FakeDOMParser.error();
+                stack.pop();
+            } else {
+                const element = FakeDOMParser.node(name);
+                (attributes.match(/[\w:.-]+\s*=\s*"[^"]*"/g) || []).forEach((pair) => {
+                    const [key, value] = pair.split(/\s*=\s*"/);
+                    element.attributes[key] = value.slice(0, -1);
+                });
+                parent.children.push(element);
+                if (!selfClosing) stack.push(element);
+            }
+        }
+
+        const hasRoot = root.children.some((child) => child.children);
+        return position === text.length && stack.length === 1 && hasRoot ? root : FakeDOMParser.error();
+    }
+
+    static node(name) {
+        const element = {
+            name,
+            attributes: {},
+            children: [],
+            getAttribute: (key) => (key in element.attributes ? element.attributes[key] : null),
+            getElementsByTagName: (tag) => FakeDOMParser.find(element, (child) => child.name === tag),
+            getElementsByTagNameNS: (namespace, localName) =>
+                FakeDOMParser.find(element, (child) => child.name.split(':').pop() === localName),
+            get textContent() {
+                return element.children.map((child) => (child.children ? child.textContent : child.text)).join('');
+            }
+        };
+        return element;
+    }
+
+    static find(element, predicate, found = []) {
+        element.children.forEach((child) => {
+            if (!child.children) return;
+            if (predicate(child)) found.push(child);
+            FakeDOMParser.find(child, predicate, found);
+        });
+        return found;
+    }
+
+    static error() {
+        const root = FakeDOMParser.node('#document');
+        root.children.push(FakeDOMParser.node('parsererror'));
+        return root;
+    }
+}
+
+/**
+ * In-memory IndexedDB covering what TripStorage uses: object stores with
+ * auto-increment keys, single-key indexes, getAll/get/add/put/delete and key
+ * cursors. Requests succeed on the next microtask; a transaction completes
+ * once it has no pending requests left
+ */
+function createIndexedDB() {
+    const databases = new Map();
+    const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+    const createTransaction = (db) => {
+        let pending = 0;
+        let finished = false;
+        const tx = { oncomplete: null, onerror: null, onabort: null, error: null };
+
+        const settle = () => {
+            if (pending > 0 || finished) return;
+            setImmediate(() => {
+                if (pending > 0 || finished) return;
+                finished = true;
+                if (tx.oncomplete) tx.oncomplete();
+            });
+        };
+
+        const request = (run) => {
+            const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+            pending++;
+            queueMicrotask(() => {
+                req.result = run(req);
+                if (req.onsuccess) req.onsuccess();
+                pending--;
+                settle();
+            });
+            return req;
+        };
+
+        const matches = (range, value) => range === undefined || range.only === value;
+
+        tx.objectStore = (name) => {
+            const store = db.stores.get(name);
+            const put = (value) => request(() => {
+                const record = clone(value);
+                if (record[store.keyPath] === undefined) {
+                    record[store.keyPath] = store.nextKey;
+                }
+                store.nextKey = Math.max(store.nextKey, record[store.keyPath] + 1);
+                store.records.set(record[store.keyPath], record);
+                return record[store.keyPath];
+            });
+
+            return {
+                add: put,
+                put: put,
+                get: (key) => request(() => clone(store.records.get(key))),
+                getAll: () => request(() => Array.from(store.records.values()).map(clone)),
+                delete: (key) => request(() => {
+                    store.records.delete(key);
+                }),
+                createIndex: (indexName, keyPath) => {
+                    store.indexes.set(indexName, keyPath);
+                },
+                index: (indexName) => {
+                    const keyPath = store.indexes.get(indexName);
+                    const selected = (range) => Array.from(store.records.values()).filter((record) => matches(range, record[keyPath]));
+                    return {
+                        getAll: (range) => request(() => selected(range).map(clone)),
+                        openKeyCursor: (range) => {
+                            const keys = selected(range).map((record) => record[store.keyPath]);
+                            let position = 0;
+                            let req = null;
+                            const advance = () => {
+                                if (position >= keys.length) return null;
+                                const primaryKey = keys[position++];
+                                return {
+                                    primaryKey,
+                                    continue: () => {
+                                        const next = request(advance);
+                                        next.onsuccess = () => {
+                                            req.result = next.result;
+                                            if (req.onsuccess) req.onsuccess();
+                                        };
+                                    }
+                                };
+                            };
+                            req = request(advance);
+                            return req;
+                        }
+                    };
+                }
+            };
+        };
+
+        settle();
+        return tx;
+    };
+
+    const createDatabase = (name) => {
+        const stores = new Map();
+        const db = {
+            name,
+            version: 0,
+            stores,
+            objectStoreNames: { contains: (storeName) => stores.has(storeName) },
+            createObjectStore: (storeName, options = {}) => {
+                stores.set(storeName, { keyPath: options.keyPath, records: new Map(), indexes: new Map(), nextKey: 1 });
+                return createTransaction(db).objectStore(storeName);
+            },
+            transaction: () => createTransaction(db),
+            close() {}
+        };
+        return db;
+    };
+
+    return {
+        databases,
+        open(name, version = 1) {
+            const request = { result: null, error: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+            queueMicrotask(() => {
+                if (!databases.has(name)) {
+                    databases.set(name, createDatabase(name));
+                }
+                const db = databases.get(name);
+                request.result = db;
+                if (version > db.version) {
+                    db.version = version;
+                    if (request.onupgradeneeded) request.onupgradeneeded();
+                }
+                if (request.onsuccess) request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+/**
+ * Build a fresh browser-like environment with the app scripts loaded
+ * @param {Object} [options]
+ * @param {string[]} [options.scripts] - Scripts to load (default: all)
+ * @param {boolean} [options.indexedDB] - Provide an in-memory IndexedDB (off by
+ *     default, so the app does not persist trips in unrelated tests)
+ * @returns {Object} { window, document, clock, played, downloads, geolocation, orientation, get, dispatch }
+ */
+function createEnvironment(options = {}) {
+    const clock = new FakeClock();
+    const played = [];
+    const logs = [];
+    const downloads = [];   // Blobs handed to URL.createObjectURL
+
+    const elements = new Map();
+    const document = new FakeEventTarget();
+    document.visibilityState = 'visible';
+    document.body = new FakeElement('body');
+    document.getElementById = (id) => {
+        if (!elements.has(id)) {
+            elements.set(id, new FakeElement('div', id));
+        }
+        return elements.get(id);
+    };
+    document.createElement = (tagName) => new FakeElement(tagName);
+
+    // Geolocation stub: tests push fixes and errors through it
+    const geolocation = {
+        watchers: new Map(),
+        nextId: 1,
+        watchPosition(success, error) {
+            const id = this.nextId++;
+            this.watchers.set(id, { success, error });
+            return id;
+        },
+        clearWatch(id) {
+            this.watchers.delete(id);
+        },
+        emitPosition(coords, timestamp = clock.now) {
+            this.watchers.forEach((watcher) => watcher.success({ coords, timestamp }));
+        },
+        emitError(code) {
+            const error = { code, PERMISSION_DENIED: 1, POSITION_UNAVAILABLE: 2, TIMEOUT: 3 };
+            this.watchers.forEach((watcher) => watcher.error(error));
+        }
+    };
+
+    const storage = new Map();
+    const localStorage = {
+        getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => storage.set(key, String(value)),
+        removeItem: (key) => storage.delete(key),
+        clear: () => storage.clear()
+    };
+
+    const noop = () => {};
+    const record = (level) => (...args) => logs.push({ level, args });
+
+    // Screen orientation: tests rotate it with rotate(angle); locks are recorded
+    const orientation = new FakeEventTarget();
+    Object.assign(orientation, {
+        angle: 0,
+        type: 'portrait-primary',
+        locks: [],
+        lock(type) {
+            this.locks.push(type);
+            return Promise.resolve();
+        },
+        unlock() {
+            this.locks.push('unlocked');
+        },
+        rotate(angle) {
+            this.angle = angle;
+            this.type = { 0: 'portrait-primary', 90: 'landscape-primary', 180: 'portrait-secondary', 270: 'landscape-secondary' }[angle];
+            this.dispatchEvent({ type: 'change' });
+        }
+    });
+
+    const window = new FakeEventTarget();
+    Object.assign(window, {
+        document,
+        localStorage,
+        navigator: { geolocation, userAgent: 'node' },
+        console: { log: record('log'), warn: record('warn'), error: record('error'), info: noop, debug: noop },
+        setTimeout: (fn, delay) => clock.setTimeout(fn, delay),
+        clearTimeout: (id) => clock.clear(id),
+        setInterval: (fn, delay) => clock.setInterval(fn, delay),
+        clearInterval: (id) => clock.clear(id),
+        requestAnimationFrame: (fn) => clock.setTimeout(() => fn(clock.now), 16),
+        cancelAnimationFrame: (id) => clock.clear(id),
+        screen: { orientation },
+        AudioContext: createAudioContextClass(played),
+        anime: { set: noop },
+        isSecureContext: true,
+        confirm: () => true,
+        alert: noop,
+        ondevicemotion: null,
+        ondeviceorientation: null,
+        DOMParser: FakeDOMParser,
+        Blob,
+        URL: {
+            createObjectURL(blob) {
+                downloads.push(blob);
+                return `blob:${downloads.length}`;
+            },
+            revokeObjectURL: noop
+        }
+    });
+    if (options.indexedDB) {
+        window.indexedDB = createIndexedDB();
+        window.IDBKeyRange = { only: (value) => ({ only: value }) };
+    }
+    window.window = window;
+    window.self = window;
+
+    const context = vm.createContext(window);
+
+    // Route Date.now through the fake clock
+    context.__clock = clock;
+    vm.runInContext('Date.now = () => __clock.now;', context);
+
+    (options.scripts || SCRIPTS).forEach((file) => {
+        const filename = path.join(JS_DIR, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    return {
+        window: context,
+        document,
+        clock,
+        played,
+        downloads,
+        logs,
+        geolocation,
+        orientation,
+        localStorage,
+
+        /**
+         * Resolve a top-level binding (class declarations are not window properties)
+         */
+        get(name) {
+            return vm.runInContext(name, context);
+        },
+
+        /**
+         * Fire a window event such as devicemotion
+         */
+        dispatch(type, properties = {}) {
+            window.dispatchEvent({ type, ...properties });
+        }
+    };
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+function flushPromises() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+module.exports = { createEnvironment, flushPromises, FakeClock, FakeElement };
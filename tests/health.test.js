@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, flushPromises } = require('./harness');
+
+test('fix age moves the GPS from good through degraded to lost', () => {
+    const env = createEnvironment();
+    const health = new (env.get('GpsHealthMonitor'))();
+    const states = [];
+    health.onChange = (state) => states.push(state);
+
+    health.recordFix({ accuracy: 5 });
+    health.start();
+    env.clock.tick(health.STALE_MS + 1000);
+    assert.equal(health.status.stale, true);
+    env.clock.tick(health.LOST_MS);
+    health.stop();
+
+    assert.deepEqual(states, ['good', 'degraded', 'lost']);
+    assert.equal(health.isTrusted, false);
+    assert.deepEqual(Array.from(health.status.reasons), ['no recent fix']);
+});
+
+test('accuracy, update rate and repeated errors each degrade the fix', () => {
+    const env = createEnvironment();
+    const health = new (env.get('GpsHealthMonitor'))();
+
+    health.recordFix({ accuracy: 45 });
+    assert.equal(health.state, 'degraded');
+    health.recordFix({ accuracy: 150 });
+    assert.equal(health.state, 'lost');
+
+    // One fix every 2.8 s is fresh enough but too slow
+    const slow = new (env.get('GpsHealthMonitor'))();
+    for (let i = 0; i < 4; i++) {
+        slow.recordFix({ accuracy: 5 });
+        env.clock.tick(2800);
+    }
+    slow.recordFix({ accuracy: 5 });
+    assert.equal(slow.state, 'degraded');
+    assert.deepEqual(Array.from(slow.status.reasons), ['slow updates']);
+
+    const failing = new (env.get('GpsHealthMonitor'))();
+    failing.recordFix({ accuracy: 5 });
+    failing.recordError('Location request timed out');
+    assert.equal(failing.state, 'degraded');
+    failing.recordError('Location request timed out');
+    failing.recordError('Location unavailable');
+    assert.equal(failing.state, 'lost');
+
+    // Errors are forgotten after a while, and a new fix clears them
+    env.clock.tick(failing.ERROR_WINDOW_MS + 1);
+    assert.equal(failing.check().errors, 0);
+    failing.recordError('Location request timed out');
+    failing.recordFix({ accuracy: 5 });
+    assert.equal(failing.state, 'good');
+});
+
+test('SensorManager reports GPS errors after the first fix', async () => {
+    const { get, geolocation } = createEnvironment();
+    const sensors = new (get('SensorManager'))();
+    const errors = [];
+    sensors.onError = (sensor, message) => errors.push({ sensor, message });
+
+    const started = sensors.startGps();
+    geolocation.emitPosition({ latitude: 41.4, longitude: 2.17, speed: 12, heading: 90, accuracy: 4 });
+    await started;
+    geolocation.emitError(3);
+
+    assert.deepEqual(errors, [{ sensor: 'gps', message: 'Location request timed out' }]);
+});
+
+test('a lost GPS greys the telemetry and stops stale speed driving alerts', async () => {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+    const alerts = [];
+    app.triggerAlert = (level) => alerts.push(level);
+    app.MAX_SPEED = 50;
+
+    const started = app.start('sensors');
+    await flushPromises();
+    env.geolocation.emitPosition({ latitude: 41.4, longitude: 2.17, speed: 25, heading: 90, accuracy: 45 });
+    await started;
+
+    // Weak but usable: alerts fire, tagged with the GPS state
+    assert.equal(app.elements.gpsStatus.classList.contains('warning'), true);
+    assert.equal(app.elements.gpsQuality.textContent, 'Weak GPS · ±45 m');
+    assert.ok(alerts.includes('speeding'));
+    assert.match(app.elements.speedBannerLabel.textContent, /weak GPS$/);
+
+    // The fixes stop, e.g. in a tunnel
+    env.clock.tick(app.gpsHealth.LOST_MS + 1000);
+    assert.equal(app.elements.gpsStatus.classList.contains('error'), true);
+    assert.equal(app.elements.speedCard.classList.contains('stale'), true);
+    assert.equal(app.elements.gpsQuality.textContent, 'GPS lost');
+    assert.equal(app.elements.speedBanner.classList.contains('hidden'), true);
+
+    alerts.length = 0;
+    for (let i = 0; i < 10; i++) {
+        app.checkBraking(-8);
+    }
+    assert.deepEqual(alerts, []);
+
+    // Back in good signal
+    env.geolocation.emitPosition({ latitude: 41.41, longitude: 2.17, speed: 10, heading: 90, accuracy: 5 });
+    assert.equal(app.elements.gpsStatus.classList.contains('active'), true);
+    assert.equal(app.elements.speedCard.classList.contains('stale'), false);
+    assert.equal(app.elements.gpsQuality.classList.contains('hidden'), true);
+
+    await app.exit();
+});
+
+test('with fusion on, health and the compass course check use the reported fix', () => {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+    const courses = [];
+    app.compass.addCourse = (bearing, speed) => courses.push({ bearing, speed });
+
+    // A 150 m fix the filter has blended down to a few metres
+    const raw = { latitude: 41.4, longitude: 2.17, speed: 12, bearing: 200, accuracy: 150, timestamp: env.clock.now };
+    app.handleGpsUpdate({ ...raw, accuracy: 8, bearing: 90, speed: 15, fused: true, fix: true, raw: raw, confidence: 1 });
+
+    assert.equal(app.gpsHealth.state, 'lost');
+    assert.deepEqual(Array.from(app.gpsHealth.status.reasons), ['accuracy']);
+    assert.deepEqual(courses, [{ bearing: 200, speed: 12 }]);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+const G = 9.80665;
+
+function fix(speed, t) {
+    return { latitude: 41.38 + t * 1e-7, longitude: 2.17, speed: speed, bearing: 90, accuracy: 5 };
+}
+
+function motion(magnitude) {
+    return { x: 0, y: 0, z: 0, magnitude: magnitude, forward: 0, lateral: 0, reference: 'raw', mountShift: null };
+}
+
+test('a high-g spike followed by a stop is an impact', () => {
+    const env = createEnvironment();
+    const detector = new (env.get('ImpactDetector'))();
+
+    detector.update('gps', fix(20, 0), 0);
+    detector.update('motion', motion(3 * G), 500);
+    detector.update('motion', motion(6 * G), 1000);
+    detector.update('motion', motion(8 * G), 1020);
+    assert.equal(detector.update('gps', fix(8, 2000), 2000), null);
+
+    const impact = detector.update('gps', fix(0, 3000), 3000);
+    assert.ok(impact);
+    assert.equal(impact.time, 1000);
+    assert.ok(Math.abs(impact.peak - 8) < 1e-9);
+    assert.equal(impact.speedBefore, 20);
+    assert.equal(impact.latitude, fix(0, 3000).latitude);
+    assert.equal(impact.samples.length, 6);
+});
+
+test('spikes without a stop, or at low speed, are ignored', () => {
+    const env = createEnvironment();
+    const detector = new (env.get('ImpactDetector'))();
+
+    // Pothole: keeps driving past the stop window
+    detector.update('gps', fix(20, 0), 0);
+    detector.update('motion', motion(6 * G), 1000);
+    detector.update('gps', fix(20, 12000), 12000);
+    assert.equal(detector.update('gps', fix(0, 13000), 13000), null);
+
+    // Phone dropped while parked
+    detector.update('motion', motion(6 * G), 14000);
+    assert.equal(detector.update('gps', fix(0, 15000), 15000), null);
+});
+
+test('the sensor history is bounded', () => {
+    const env = createEnvironment();
+    const detector = new (env.get('ImpactDetector'))();
+
+    for (let t = 0; t <= 60000; t += 100) {
+        detector.update('motion', motion(0.1), t);
+    }
+
+    assert.equal(detector.buffer[0].t, 60000 - detector.BUFFER_MS);
+});
+
+/**
+ * App driven through a crash; incidents are captured instead of stored
+ */
+function crash() {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+    const incidents = [];
+    const alerts = [];
+    app.storage.addIncident = async (incident) => {
+        incidents.push(incident);
+        return incidents.length;
+    };
+    app.audio.playAlert = (level) => alerts.push(level);
+
+    app.handleGpsUpdate(fix(15, 0));
+    env.clock.tick(500);
+    app.handleMotionUpdate(motion(7 * G));
+    env.clock.tick(1000);
+    app.handleGpsUpdate(fix(0, 1500));
+
+    return { env, app, incidents, alerts };
+}
+
+test('an impact starts a countdown that ends with the position to share', () => {
+    const { env, app, incidents, alerts } = crash();
+
+    assert.equal(app.elements.impactOverlay.classList.contains('hidden'), false);
+    assert.equal(app.elements.impactCountdown.textContent, app.IMPACT_COUNTDOWN);
+
+    // Data keeps flowing during the countdown and is logged with the incident
+    env.clock.tick(1000);
+    app.handleGpsUpdate(fix(0, 2500));
+    env.clock.tick(app.IMPACT_COUNTDOWN * 1000);
+
+    assert.equal(app.elements.impactLocationView.classList.contains('hidden'), false);
+    assert.equal(app.elements.impactDecimal.textContent, '41.380150, 2.170000');
+    assert.match(app.elements.impactDms.textContent, /41°/);
+
+    assert.equal(incidents.length, 1);
+    assert.equal(incidents[0].status, 'expired');
+    assert.equal(incidents[0].samples.filter((sample) => sample.type === 'gps').length, 3);
+    assert.ok(alerts.filter((level) => level === 'impact').length >= app.IMPACT_COUNTDOWN - 1);
+});
+
+test('the shared text carries the position in DMS and decimal degrees', async () => {
+    const { env, app } = crash();
+    const shared = [];
+    env.window.navigator.share = async (data) => shared.push(data.text);
+
+    env.clock.tick(app.IMPACT_COUNTDOWN * 1000);
+    await app.shareIncident(app.lastIncident);
+
+    const lines = shared[0].split('\n');
+    assert.match(lines[1], /^41° 22' \d+\.\d{3}" N 2° 10' 12\.000" E$/);
+    assert.equal(lines[2], '41.380150, 2.170000');
+});
+
+test('the driver can cancel the countdown', () => {
+    const { env, app, incidents } = crash();
+
+    env.clock.tick(5000);
+    app.cancelImpact();
+    env.clock.tick(app.IMPACT_COUNTDOWN * 1000);
+
+    assert.equal(app.elements.impactOverlay.classList.contains('hidden'), true);
+    assert.equal(incidents.length, 1);
+    assert.equal(incidents[0].status, 'cancelled');
+});
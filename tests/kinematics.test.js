@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+const START = 1700000000000;
+
+// Degrees of latitude per meter along a meridian
+const DEG_PER_METER = 1 / 111195;
+
+function createKinematics() {
+    return new (createEnvironment().get('GpsKinematics'))();
+}
+
+function fix(seconds, metersNorth, metersEast = 0, extra = {}) {
+    return {
+        latitude: 41.4 + metersNorth * DEG_PER_METER,
+        longitude: 2.17 + metersEast * DEG_PER_METER / Math.cos(41.4 * Math.PI / 180),
+        speed: null,
+        heading: null,
+        accuracy: 5,
+        timestamp: START + seconds * 1000,
+        ...extra
+    };
+}
+
+test('speed and bearing are derived when the device reports null', () => {
+    const kinematics = createKinematics();
+
+    const first = kinematics.update(fix(0, 0));
+    assert.equal(first.speed, null);
+    assert.equal(first.bearing, null);
+
+    let result;
+    for (let t = 1; t <= 10; t++) {
+        result = kinematics.update(fix(t, t * 20));
+    }
+
+    assert.ok(Math.abs(result.speed - 20) < 0.5, `speed ${result.speed}`);
+    assert.ok(Math.abs(result.bearing) < 1 || Math.abs(result.bearing - 360) < 1, `bearing ${result.bearing}`);
+    assert.ok(Math.abs(result.acceleration) < 0.5);
+});
+
+test('reported speed and heading take precedence', () => {
+    const kinematics = createKinematics();
+
+    kinematics.update(fix(0, 0, 0, { speed: 12, heading: 90 }));
+    const result = kinematics.update(fix(1, 20, 0, { speed: 14, heading: 90 }));
+
+    assert.equal(result.speed, 14);
+    assert.equal(result.bearing, 90);
+    assert.equal(result.acceleration, 2);
+});
+
+test('bearing holds while the displacement is within the accuracy', () => {
+    const kinematics = createKinematics();
+
+    kinematics.update(fix(0, 0));
+    kinematics.update(fix(1, 0, 20));
+    const drift = kinematics.update(fix(2, 2, 20));
+
+    near(drift.bearing, 90, 1);
+
+    // Slow movement still yields a course once it adds up
+    const moved = kinematics.update(fix(3, 2, 40));
+    near(moved.bearing, 90, 10);
+});
+
+test('decelerating fixes give a negative acceleration', () => {
+    const kinematics = createKinematics();
+
+    let position = 0;
+    let speed = 25;
+    let result;
+    for (let t = 0; t <= 4; t++) {
+        result = kinematics.update(fix(t, position, 0, { accuracy: 3 }));
+        position += speed;
+        speed = Math.max(speed - 6, 0);
+    }
+
+    assert.ok(result.acceleration < -3, `acceleration ${result.acceleration}`);
+});
+
+test('a long gap restarts the derivation', () => {
+    const kinematics = createKinematics();
+
+    kinematics.update(fix(0, 0));
+    kinematics.update(fix(1, 20));
+    const result = kinematics.update(fix(60, 2000));
+
+    assert.equal(result.speed, null);
+    assert.equal(result.acceleration, null);
+});
+
+function near(actual, expected, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
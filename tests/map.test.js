@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+/**
+ * Canvas whose 2D context records the calls made on it
+ */
+function createCanvas() {
+    const calls = [];
+    const ctx = new Proxy({}, {
+        get: (target, name) => (name in target ? target[name] : (...args) => calls.push({ name, args })),
+        set: (target, name, value) => {
+            target[name] = value;
+            return true;
+        }
+    });
+    return { canvas: { width: 300, height: 200, clientWidth: 300, clientHeight: 200, getContext: () => ctx }, calls };
+}
+
+test('projection matches the XYZ tile grid', () => {
+    const env = createEnvironment();
+    const TrackMap = env.get('TrackMap');
+
+    const world = TrackMap.project(0, 0, 0);
+    assert.equal(world.x, 128);
+    assert.ok(Math.abs(world.y - 128) < 1e-9);
+
+    // Barcelona, tile 15/16581/12238
+    const p = TrackMap.project(41.3851, 2.1734, 15);
+    assert.equal(Math.floor(p.x / 256), 16581);
+    assert.equal(Math.floor(p.y / 256), 12238);
+
+    assert.ok(Math.abs(TrackMap.metersPerPixel(0, 0) - 156543.03) < 0.1);
+});
+
+test('tile folders are parsed by their z/x/y path', () => {
+    const env = createEnvironment();
+    const TrackMap = env.get('TrackMap');
+
+    const tile = TrackMap.parseTilePath('barcelona/15/16581/12238.png');
+    assert.deepEqual({ ...tile }, { z: 15, x: 16581, y: 12238 });
+    assert.ok(TrackMap.parseTilePath('15/1/2.JPG'));
+    assert.equal(TrackMap.parseTilePath('tiles/readme.txt'), null);
+    assert.equal(TrackMap.parseTilePath('2/4/0.png'), null);   // outside the 4×4 grid
+});
+
+test('imported tiles are stored in the tile cache', async () => {
+    const env = createEnvironment();
+    const TrackMap = env.get('TrackMap');
+    const stored = new Map();
+    env.window.caches = {
+        open: async () => ({ put: async (url, response) => stored.set(url, response), keys: async () => [...stored.keys()] })
+    };
+    env.window.Response = class {
+        constructor(body, init) {
+            this.body = body;
+            this.headers = init.headers;
+        }
+    };
+
+    const count = await TrackMap.importTiles([
+        { webkitRelativePath: 'pkg/15/16581/12238.png', type: 'image/png' },
+        { webkitRelativePath: 'pkg/metadata.json', type: 'application/json' }
+    ]);
+
+    assert.equal(count, 1);
+    assert.deepEqual([...stored.keys()], ['/tiles/15/16581/12238']);
+    assert.equal(await TrackMap.countTiles(), 1);
+});
+
+test('the path skips jitter and is thinned when long', () => {
+    const env = createEnvironment();
+    const map = new (env.get('TrackMap'))(null);
+    map.MAX_POINTS = 10;
+
+    map.setPosition({ latitude: 41.38, longitude: 2.17, accuracy: 5 });
+    map.setPosition({ latitude: 41.38000001, longitude: 2.17, accuracy: 5 });
+    assert.equal(map.path.length, 1);
+
+    for (let i = 1; i <= 10; i++) {
+        map.setPosition({ latitude: 41.38 + i * 0.0001, longitude: 2.17, accuracy: 5 });
+    }
+    assert.ok(map.path.length <= map.MAX_POINTS);
+    assert.equal(map.path[map.path.length - 1].latitude, 41.38 + 10 * 0.0001);
+
+    // Fused estimates move the marker without extending the path
+    map.setPosition({ latitude: 41.5, longitude: 2.17, accuracy: 5 }, false);
+    assert.equal(map.position.latitude, 41.5);
+    assert.equal(map.path[map.path.length - 1].latitude, 41.38 + 10 * 0.0001);
+});
+
+test('renders track, brake markers, accuracy circle and heading', () => {
+    const env = createEnvironment();
+    const { canvas, calls } = createCanvas();
+    const map = new (env.get('TrackMap'))(canvas);
+    map.showTiles = false;
+
+    map.setPosition({ latitude: 41.38, longitude: 2.17, accuracy: 20, bearing: 90 });
+    map.setPosition({ latitude: 41.381, longitude: 2.17, accuracy: 20, bearing: 90 });
+    map.addBrake(41.3805, 2.17, 'hard-brake');
+    env.clock.tick(20);
+
+    const count = (name) => calls.filter((call) => call.name === name).length;
+    assert.equal(count('arc'), 3);        // brake, accuracy, position
+    assert.equal(count('rotate'), 1);     // heading wedge
+    assert.ok(count('lineTo') >= 1);
+
+    // The accuracy circle is drawn to scale
+    const metersPerPixel = env.get('TrackMap').metersPerPixel(41.381, map.zoom);
+    const radii = calls.filter((call) => call.name === 'arc').map((call) => call.args[2]);
+    assert.ok(radii.some((r) => Math.abs(r - 20 / metersPerPixel) < 1e-9));
+});
+
+test('taps while drawing add the coordinates under them', () => {
+    const env = createEnvironment();
+    const { canvas, calls } = createCanvas();
+    const TrackMap = env.get('TrackMap');
+    const map = new TrackMap(canvas);
+    map.showTiles = false;
+
+    map.handleTap(150, 100);
+    assert.equal(map.draft, null);
+
+    map.setPosition({ latitude: 41.38, longitude: 2.17, accuracy: 0 });
+    map.startDraft();
+    map.handleTap(150, 100);
+    map.handleTap(150 + 256, 100);
+    assert.ok(Math.abs(map.draft[0].latitude - 41.38) < 1e-9 && Math.abs(map.draft[0].longitude - 2.17) < 1e-9);
+
+    // One tile width east is 360° / 2^zoom
+    assert.ok(Math.abs(map.draft[1].longitude - (2.17 + 360 / Math.pow(2, map.zoom))) < 1e-9);
+
+    map.handleTap(150, 0);
+    env.clock.tick(20);
+    assert.ok(calls.some((call) => call.name === 'closePath'));
+    assert.equal(map.endDraft().length, 3);
+    assert.equal(map.draft, null);
+});
+
+test('the app plots fixes and brake events', () => {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+
+    app.handleGpsUpdate({ latitude: 41.38, longitude: 2.17, speed: 10, bearing: 0, accuracy: 5 });
+    app.checkBraking(-4);
+
+    assert.equal(app.map.path.length, 1);
+    assert.equal(app.map.brakes.length, 1);
+    assert.equal(app.map.brakes[0].level, 'brake');
+});
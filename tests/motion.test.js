@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+const G = 9.80665;
+
+function near(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+function createProcessor() {
+    return new (createEnvironment().get('MotionProcessor'))();
+}
+
+test('flat phone, top pointing forward: braking along -Y', () => {
+    const processor = createProcessor();
+
+    const motion = processor.process({ x: 0, y: -4, z: 0 }, { x: 0, y: -4, z: G });
+
+    near(motion.forward, -4);
+    near(motion.lateral, 0);
+    assert.equal(motion.reference, 'device');
+});
+
+test('upright portrait mount: braking pushes along the screen normal', () => {
+    const processor = createProcessor();
+
+    // Gravity along +Y, back of the phone (-Z) facing the road; braking = +Z
+    const motion = processor.process({ x: 0, y: 0, z: 4 }, { x: 0, y: G, z: 4 });
+
+    near(motion.forward, -4);
+    near(motion.magnitude, 4);
+});
+
+test('gravity is removed when only accelerationIncludingGravity is reported', () => {
+    const processor = createProcessor();
+    processor.setOrientation({ alpha: 0, beta: 0, gamma: 0, absolute: false });
+
+    const motion = processor.process(null, { x: 0, y: -3, z: G });
+
+    near(motion.z, 0);
+    near(motion.forward, -3);
+    near(motion.magnitude, 3);
+});
+
+test('landscape phone lying flat uses the GPS course as forward', () => {
+    const processor = createProcessor();
+
+    // Phone top points East (compass heading 90° -> alpha 270°), car drives East
+    processor.setOrientation({ alpha: 270, beta: 0, gamma: 0, absolute: true });
+    processor.setTravel(90, 15);
+
+    // Braking: deceleration towards the West. Device +X points South, +Y points East
+    const motion = processor.process({ x: 0, y: -5, z: 0 }, { x: 0, y: -5, z: G });
+    near(motion.forward, -5, 1e-9);
+    assert.equal(motion.reference, 'gps');
+
+    // Car drives North while the phone still points East: braking is along device -X
+    processor.setTravel(0, 15);
+    const sideways = processor.process({ x: 5, y: 0, z: 0 }, { x: 5, y: 0, z: G });
+    near(sideways.forward, -5, 1e-9);
+});
+
+test('turning right produces positive lateral acceleration', () => {
+    const processor = createProcessor();
+    processor.setOrientation({ alpha: 0, beta: 0, gamma: 0, absolute: true });
+    processor.setTravel(0, 15);
+
+    // Heading North, centripetal acceleration towards the East
+    const motion = processor.process({ x: 3, y: 0, z: 0 }, { x: 3, y: 0, z: G });
+
+    near(motion.lateral, 3);
+    near(motion.forward, 0);
+});
+
+test('GPS course is ignored below the minimum travel speed', () => {
+    const processor = createProcessor();
+    processor.setOrientation({ alpha: 0, beta: 0, gamma: 0, absolute: true });
+    processor.setTravel(90, 0.5);
+
+    const motion = processor.process({ x: 0, y: -2, z: 0 }, { x: 0, y: -2, z: G });
+
+    assert.equal(motion.reference, 'device');
+    near(motion.forward, -2);
+});
+
+test('without a course, forward follows the top of the rotated screen', () => {
+    const processor = createProcessor();
+
+    // Turned counter-clockwise into landscape: the top of the screen is device +X
+    processor.setScreenAngle(90);
+    const flat = processor.process({ x: -4, y: 0, z: 0 }, { x: -4, y: 0, z: G });
+    near(flat.forward, -4);
+    near(flat.lateral, 0);
+    assert.equal(flat.reference, 'device');
+
+    // The other way round, with no gravity to project on
+    processor.setScreenAngle(-90);
+    const raw = processor.process({ x: 3, y: 0, z: 0 }, null);
+    near(raw.forward, -3);
+    assert.equal(raw.reference, 'raw');
+
+    // Upright in a landscape mount the back of the phone still faces the road
+    processor.setScreenAngle(90);
+    const upright = processor.process({ x: 0, y: 0, z: 4 }, { x: G, y: 0, z: 4 });
+    near(upright.forward, -4);
+});
+
+test('upright in landscape with the screen unrotated, the back is forward', () => {
+    const processor = createProcessor();
+    const MotionProcessor = processor.constructor;
+
+    // Rotation locked to portrait: the top edge points sideways, as level as the back
+    const forward = MotionProcessor.deviceForward([1, 0, 0]);
+    near(forward[0], 0);
+    near(forward[1], 0);
+    near(forward[2], -1);
+
+    const braking = processor.process({ x: 0, y: 0, z: 4 }, { x: G, y: 0, z: 4 });
+    near(braking.forward, -4);
+    near(braking.lateral, 0);
+
+    // Tilted back halfway the tie is kept on the top edge, as before
+    const tilted = MotionProcessor.deviceForward(MotionProcessor.normalize([0, -1, 1]));
+    near(tilted[1], Math.SQRT1_2);
+});
+
+test('a landscape mount tilted by a few degrees still brakes along the back', () => {
+    const processor = createProcessor();
+    const MotionProcessor = processor.constructor;
+
+    [2, 10, 20].forEach((degrees) => {
+        const tilt = degrees * Math.PI / 180;
+        const up = [Math.cos(tilt), 0, Math.sin(tilt)];
+
+        const forward = MotionProcessor.deviceForward(up);
+        near(forward[1], 0);
+        assert.ok(forward[2] < -0.9, `${degrees}°: forward ${forward}`);
+
+        // Braking pushes the phone towards the road: along the back's horizontal
+        const push = MotionProcessor.normalize(forward).map((value) => -4 * value);
+        const braking = processor.process(
+            { x: push[0], y: push[1], z: push[2] },
+            { x: push[0] + G * up[0], y: push[1] + G * up[1], z: push[2] + G * up[2] }
+        );
+        near(braking.forward, -4);
+        near(braking.lateral, 0);
+    });
+});
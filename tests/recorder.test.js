@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, flushPromises } = require('./harness');
+
+/**
+ * Recorder over a storage double that keeps what it is given
+ */
+function createRecorder() {
+    const env = createEnvironment();
+    const stored = { trips: [], samples: [], batches: 0 };
+    const storage = {
+        createTrip: async () => 7,
+        addSamples: async (samples) => {
+            stored.batches++;
+            stored.samples.push(...samples);
+        },
+        updateTrip: async (trip) => stored.trips.push(trip)
+    };
+    return { env, TripRecorder: env.get('TripRecorder'), recorder: new (env.get('TripRecorder'))(storage), stored };
+}
+
+const fix = (latitude, speed) => ({ latitude, longitude: 2.17, speed, bearing: 0, accuracy: 5 });
+
+test('samples are only kept while recording', async () => {
+    const { env, recorder, stored } = createRecorder();
+
+    recorder.record('gps', fix(41.4, 10));
+    const trip = await recorder.start('sensors');
+    assert.equal(trip.id, 7);
+    assert.equal(trip.source, 'sensors');
+    assert.equal(trip.startTime, env.clock.now);
+
+    const payload = { forward: -1, lateral: 0 };
+    recorder.record('motion', payload);
+    payload.forward = -9;
+    await recorder.stop();
+    recorder.record('motion', payload);
+
+    assert.equal(stored.samples.length, 1);
+    assert.equal(stored.samples[0].tripId, 7);
+    assert.equal(stored.samples[0].type, 'motion');
+    assert.equal(stored.samples[0].data.forward, -1);
+});
+
+test('samples are written in batches, by size and on a timer', async () => {
+    const { env, recorder, stored } = createRecorder();
+    await recorder.start('simulator');
+
+    for (let i = 0; i < recorder.FLUSH_SIZE; i++) {
+        recorder.record('motion', { forward: 0 });
+    }
+    assert.equal(stored.batches, 1);
+    assert.equal(stored.samples.length, recorder.FLUSH_SIZE);
+
+    recorder.record('motion', { forward: 0 });
+    env.clock.tick(recorder.FLUSH_INTERVAL_MS);
+    await flushPromises();
+    assert.equal(stored.batches, 2);
+    assert.equal(recorder.buffer.length, 0);
+    await recorder.stop();
+});
+
+test('stopping stores a summary of distance, speeds and brake events', async () => {
+    const { env, recorder, stored } = createRecorder();
+    await recorder.start('sensors');
+
+    // 0.001° of latitude (≈111 m) every 10 s
+    [[41.400, 10], [41.401, 12], [41.402, 14]].forEach(([latitude, speed]) => {
+        recorder.record('gps', fix(latitude, speed));
+        env.clock.tick(10000);
+    });
+    recorder.record('brake', { level: 'brake', forward: -4 });
+    const trip = await recorder.stop();
+
+    assert.equal(stored.trips[0], trip);
+    assert.equal(trip.endTime - trip.startTime, 30000);
+    assert.equal(trip.summary.duration, 30000);
+    assert.ok(Math.abs(trip.summary.distance - 222.4) < 1, `distance ${trip.summary.distance}`);
+    assert.equal(trip.summary.maxSpeed, 14);
+    assert.equal(trip.summary.avgSpeed, 12);
+    assert.equal(trip.summary.brakeEvents, 1);
+    assert.equal(recorder.isRecording, false);
+});
+
+test('standing still, GPS jitter inside the accuracy does not add distance', () => {
+    const { TripRecorder } = createRecorder();
+
+    const summary = TripRecorder.summarizeSamples([
+        { type: 'gps', t: 0, data: fix(41.40000, 0) },
+        { type: 'gps', t: 1000, data: fix(41.40003, 0.2) },
+        { type: 'gps', t: 2000, data: fix(41.40000, 0.1) }
+    ], 0, 2000);
+
+    assert.equal(summary.distance, 0);
+    assert.equal(summary.duration, 2000);
+    assert.equal(summary.score, 100);
+});
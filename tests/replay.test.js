@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+function createReplay() {
+    const env = createEnvironment();
+    const SensorReplay = env.get('SensorReplay');
+    return { env, SensorReplay, replay: new SensorReplay() };
+}
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">
+  <trk><trkseg>
+    <trkpt lat="41.4000" lon="2.1700">
+      <time>2024-05-01T10:00:00Z</time>
+      <extensions><gpxtpx:TrackPointExtension><gpxtpx:speed>12.5</gpxtpx:speed><gpxtpx:course>90.0</gpxtpx:course></gpxtpx:TrackPointExtension></extensions>
+    </trkpt>
+    <trkpt lat="41.4000" lon="2.1712"><time>2024-05-01T10:00:10Z</time></trkpt>
+    <trkpt lat="41.4000" lon="2.1724"><time>not a time</time></trkpt>
+    <trkpt lat="41.4005" lon="2.1718"></trkpt>
+    <trkpt lat="41.4009" lon="2.1712"><time>2024-05-01T10:00:20Z</time></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+test('GPX track points become GPS samples, deriving missing speed and course', () => {
+    const { SensorReplay } = createReplay();
+
+    const samples = SensorReplay.parse(GPX, 'drive.GPX');
+
+    // The points with an unreadable or missing time are left out
+    assert.equal(samples.length, 3);
+    assert.ok(samples.every((sample) => sample.type === 'gps' && isFinite(sample.t)));
+    assert.equal(samples[0].t, Date.parse('2024-05-01T10:00:00Z'));
+    assert.equal(samples[0].data.speed, 12.5);
+    assert.equal(samples[0].data.bearing, 90);
+
+    // 0.0012° of longitude in 10 s heading east, then 0.0009° of latitude north
+    assert.ok(Math.abs(samples[1].data.speed - 10) < 0.1, `speed ${samples[1].data.speed}`);
+    assert.ok(Math.abs(samples[1].data.bearing - 90) < 0.1);
+    assert.ok(Math.abs(samples[2].data.speed - 10) < 0.1);
+    assert.ok(samples[2].data.bearing < 0.1);
+});
+
+test('a GPX track without times plays at one fix per second', () => {
+    const { SensorReplay } = createReplay();
+
+    const samples = SensorReplay.parse(`<gpx><trk><trkseg>
+        <trkpt lat="41.4000" lon="2.1700"></trkpt>
+        <trkpt lat="41.4000" lon="2.1701"></trkpt>
+        <trkpt lat="41.4000" lon="2.1702"></trkpt>
+    </trkseg></trk></gpx>`, 'untimed.gpx');
+
+    assert.deepEqual(Array.from(samples, (sample) => sample.t), [0, 1000, 2000]);
+    assert.ok(samples[1].data.speed > 8 && samples[1].data.speed < 9);
+});
+
+test('CSV rows become GPS and motion samples, skipping rows without a time', () => {
+    const { SensorReplay } = createReplay();
+
+    const samples = SensorReplay.parse([
+        'timestamp,latitude,longitude,speed,x,y,z',
+        '1000,41.4,2.17,8,0,-2,0',
+        'soon,41.4,2.17,8,0,-3,0',
+        '2000,,,,0.5,-1,0'
+    ].join('\n'), 'trip.csv');
+
+    assert.deepEqual(Array.from(samples, (sample) => `${sample.type}@${sample.t}`), ['gps@1000', 'motion@1000', 'motion@2000']);
+    assert.equal(samples[0].data.speed, 8);
+    assert.equal(samples[1].data.forward, -2);
+    assert.ok(Math.abs(samples[2].data.magnitude - Math.hypot(0.5, 1)) < 1e-9);
+});
+
+test('unreadable files are rejected', () => {
+    const { SensorReplay } = createReplay();
+
+    assert.throws(() => SensorReplay.parse('{}', 'trip.json'), /Unsupported file type: \.json/);
+    assert.throws(() => SensorReplay.parse('<gpx><trk></gpx>', 'broken.gpx'), /Invalid GPX/);
+    assert.throws(() => SensorReplay.parse('time,latitude\n', 'empty.csv'), /no data rows/);
+    assert.throws(() => SensorReplay.parse('latitude,longitude\n41,2', 'untimed.csv'), /timestamp or time column/);
+});
+
+test('playback emits samples at their recorded timing and rate', () => {
+    const { env, replay } = createReplay();
+    const emitted = [];
+    replay.onGpsUpdate = (data) => emitted.push(['gps', data.speed, env.clock.now]);
+    replay.onMotionUpdate = (data) => emitted.push(['motion', data.forward, env.clock.now]);
+    let ended = false;
+    replay.onEnd = () => { ended = true; };
+
+    replay.load([
+        { type: 'motion', t: 5500, data: { forward: -1 } },
+        { type: 'gps', t: 5000, data: { speed: 10 } },
+        { type: 'brake', t: 5600, data: { level: 'brake' } },
+        { type: 'gps', t: 7000, data: { speed: 12 } }
+    ]);
+    assert.equal(replay.duration, 2000);
+    assert.deepEqual({ ...replay.getAvailability() }, { gps: true, orientation: false, motion: true });
+
+    const start = env.clock.now;
+    replay.start();
+    env.clock.tick(600);
+    assert.deepEqual(emitted.map(([type]) => type), ['gps', 'motion']);
+    assert.ok(emitted[1][2] - start >= 500 && emitted[1][2] - start < 520);
+
+    // Double speed: the last fix, 1.4 s of track away, arrives after about 0.7 s
+    replay.setRate(2);
+    env.clock.tick(750);
+    assert.equal(emitted.length, 3);
+    assert.equal(emitted[2][1], 12);
+    assert.equal(ended, true);
+    assert.equal(replay.isPaused, true);
+    assert.equal(replay.position, 2000);
+});
+
+test('seeking re-emits the latest value of each stream', () => {
+    const { replay } = createReplay();
+    const emitted = [];
+    replay.onGpsUpdate = (data) => emitted.push(data.speed);
+    replay.onMotionUpdate = (data) => emitted.push(data.forward);
+
+    replay.load([
+        { type: 'gps', t: 0, data: { speed: 1 } },
+        { type: 'gps', t: 1000, data: { speed: 2 } },
+        { type: 'motion', t: 1500, data: { forward: -3 } },
+        { type: 'gps', t: 3000, data: { speed: 4 } }
+    ]);
+
+    replay.seek(2000);
+    assert.deepEqual(emitted.sort(), [-3, 2]);
+    assert.equal(replay.cursor, 3);
+
+    // Resuming at the end starts over
+    replay.seek(5000);
+    replay.start();
+    replay.pause();
+    replay.resume();
+    assert.equal(replay.position, 0);
+    replay.stop();
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+function createScorer(thresholds) {
+    const env = createEnvironment();
+    const DrivingScore = env.get('DrivingScore');
+    return { env, DrivingScore, scorer: new DrivingScore(thresholds) };
+}
+
+/**
+ * Feed a straight drive north at a constant speed, with motion at 50 Hz.
+ * @param {Function} forwardAt - t (ms) -> forward acceleration
+ */
+function drive(scorer, seconds, speed, forwardAt = () => 0) {
+    for (let t = 0; t <= seconds * 1000; t += 20) {
+        if (t % 1000 === 0) {
+            scorer.add('gps', {
+                latitude: 41.4 + speed * t / 1000 / 111320,
+                longitude: 2.17,
+                speed: speed,
+                bearing: 0,
+                accuracy: 5
+            }, t);
+        }
+        scorer.add('motion', { forward: forwardAt(t), lateral: 0, reference: 'calibrated' }, t);
+    }
+}
+
+test('a smooth drive scores 100', () => {
+    const { scorer } = createScorer();
+
+    drive(scorer, 60, 15);
+    const result = scorer.result();
+
+    assert.equal(result.score, 100);
+    assert.equal(result.events.length, 0);
+    assert.ok(Math.abs(result.distance - 900) < 20);
+});
+
+test('harsh braking counts one event per episode, weighted by severity', () => {
+    const { scorer, DrivingScore } = createScorer();
+
+    // Two stops: -3 m/s² for 1 s at 10 s, -6 m/s² for 1 s at 30 s
+    drive(scorer, 60, 15, (t) => {
+        if (t >= 10000 && t < 11000) return -3;
+        if (t >= 30000 && t < 31000) return -6;
+        return 0;
+    });
+    const result = scorer.result();
+
+    assert.equal(result.categories.braking.count, 2);
+    assert.deepEqual(Array.from(result.events, (event) => event.t), [10000, 30000]);
+
+    // Severity is the peak over the threshold (-2): 1.5 and 3
+    const expected = DrivingScore.WEIGHTS.braking * (1.5 + 3);
+    assert.ok(Math.abs(result.categories.braking.penalty - expected) < 1e-9);
+    assert.equal(result.score, Math.round(100 - expected));
+});
+
+test('short spikes (bumps) are ignored', () => {
+    const { scorer } = createScorer();
+
+    drive(scorer, 20, 15, (t) => (t >= 5000 && t < 5100 ? -8 : 0));
+
+    assert.equal(scorer.result().events.length, 0);
+});
+
+test('thresholds are configurable', () => {
+    const { scorer } = createScorer({ acceleration: 1.5 });
+
+    drive(scorer, 20, 15, (t) => (t >= 5000 && t < 6000 ? 2 : 0));
+    const result = scorer.result();
+
+    assert.equal(result.categories.acceleration.count, 1);
+    assert.equal(result.categories.braking.count, 0);
+});
+
+test('cornering falls back to speed × bearing rate without a lateral axis', () => {
+    const { scorer } = createScorer();
+
+    // 15 m/s turning 20°/s: ~5.2 m/s² lateral
+    const bearings = [0, 0, 20, 40, 60, 80, 80];
+    bearings.forEach((bearing, i) => {
+        scorer.add('gps', { latitude: 41.4 + i * 0.0001, longitude: 2.17, speed: 15, bearing: bearing, accuracy: 5 }, i * 1000);
+        scorer.add('motion', { forward: 0, lateral: 0, reference: 'raw' }, i * 1000);
+    });
+    const result = scorer.result();
+
+    assert.equal(result.categories.cornering.count, 1);
+    assert.ok(Math.abs(result.events[0].peak) > 5);
+});
+
+test('speeding samples and phone handling are scored', () => {
+    const { scorer } = createScorer();
+
+    scorer.add('gps', { latitude: 41.4, longitude: 2.17, speed: 15, bearing: 0, accuracy: 5 }, 0);
+    scorer.add('speeding', { speed: 70, limit: 50 }, 1000);
+
+    // Phone picked up: tilting 120°/s for a second while moving
+    for (let t = 2000; t <= 3000; t += 20) {
+        scorer.add('orientation', { alpha: 0, beta: (t - 2000) * 0.12, gamma: 0 }, t);
+    }
+    scorer.add('orientation', { alpha: 0, beta: 120, gamma: 0 }, 3500);
+    const result = scorer.result();
+
+    assert.equal(result.categories.speeding.count, 1);
+    assert.equal(result.events[0].severity, 3);
+    assert.equal(result.categories.handling.count, 1);
+});
+
+test('tilt readings crossing the ±180° wrap are not taken as phone handling', () => {
+    const { scorer } = createScorer();
+
+    scorer.add('gps', { latitude: 41.4, longitude: 2.17, speed: 15, bearing: 0, accuracy: 5 }, 0);
+
+    // Lying face down, jittering a tenth of a degree across beta ±180 and gamma ±90
+    for (let t = 1000; t <= 5000; t += 20) {
+        const side = (t / 20) % 2 === 0 ? 1 : -1;
+        scorer.add('orientation', { alpha: 0, beta: side * 179.95, gamma: side * 89.95 }, t);
+    }
+
+    assert.ok(scorer.tiltRate < 20, `tilt rate ${scorer.tiltRate}`);
+    assert.equal(scorer.result().categories.handling.count, 0);
+});
+
+test('long trips spread penalties per exposure distance', () => {
+    const short = createScorer().scorer;
+    const long = createScorer().scorer;
+    const braking = (t) => (t >= 5000 && t < 6000 ? -4 : 0);
+
+    drive(short, 60, 15, braking);      // 0.9 km
+    drive(long, 2000, 15, braking);     // 30 km
+
+    const penalty = (scorer) => 100 - scorer.result().score;
+    assert.equal(penalty(short), 10);
+    assert.ok(penalty(long) >= 3 && penalty(long) <= 4);
+});
+
+test('recorded trips get a score in their summary', async () => {
+    const env = createEnvironment();
+    const TripRecorder = env.get('TripRecorder');
+    const trips = [];
+    const storage = {
+        createTrip: async () => 1,
+        addSamples: async () => {},
+        updateTrip: async (trip) => trips.push(trip)
+    };
+    const recorder = new TripRecorder(storage);
+
+    recorder.scoreThresholds = { braking: -2 };
+    await recorder.start('simulator');
+    recorder.record('gps', { latitude: 41.4, longitude: 2.17, speed: 10, accuracy: 5 });
+    for (let i = 0; i < 50; i++) {
+        env.clock.tick(20);
+        recorder.record('motion', { forward: -4, lateral: 0, reference: 'raw' });
+    }
+    env.clock.tick(20);
+    recorder.record('motion', { forward: 0, lateral: 0, reference: 'raw' });
+    await recorder.stop();
+
+    assert.equal(trips[0].summary.score, 90);
+});
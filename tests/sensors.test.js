@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, flushPromises } = require('./harness');
+
+test('startGps resolves on the first fix and forwards positions', async () => {
+    const { get, geolocation } = createEnvironment();
+    const sensors = new (get('SensorManager'))();
+    const fixes = [];
+    sensors.onGpsUpdate = (data) => fixes.push(data);
+
+    const started = sensors.startGps();
+    geolocation.emitPosition({ latitude: 41.4, longitude: 2.17, speed: 12, heading: 90, accuracy: 4 });
+    await started;
+
+    assert.equal(fixes.length, 1);
+    assert.equal(fixes[0].speed, 12);
+    assert.equal(fixes[0].bearing, 90);
+    assert.equal(fixes[0].accuracy, 4);
+});
+
+test('startGps derives speed and bearing when the device reports null', async () => {
+    const { get, geolocation, clock } = createEnvironment();
+    const sensors = new (get('SensorManager'))();
+    const fixes = [];
+    sensors.onGpsUpdate = (data) => fixes.push(data);
+
+    const started = sensors.startGps();
+    geolocation.emitPosition({ latitude: 41.4, longitude: 2.17, speed: null, heading: null, accuracy: 4 });
+    await started;
+    clock.tick(1000);
+    geolocation.emitPosition({ latitude: 41.4, longitude: 2.1703, speed: null, heading: null, accuracy: 4 });
+
+    assert.equal(fixes[0].speed, null);
+    assert.ok(Math.abs(fixes[1].speed - 25) < 1, `speed ${fixes[1].speed}`);
+    assert.ok(Math.abs(fixes[1].bearing - 90) < 1, `bearing ${fixes[1].bearing}`);
+});
+
+test('startGps rejects with a readable message on permission denial', async () => {
+    const { get, geolocation } = createEnvironment();
+    const sensors = new (get('SensorManager'))();
+
+    const started = sensors.startGps();
+    geolocation.emitError(1);
+
+    await assert.rejects(started, /Location permission denied/);
+});
+
+test('devicemotion events become motion updates', async () => {
+    const { get, dispatch, clock } = createEnvironment();
+    const sensors = new (get('SensorManager'))();
+    const updates = [];
+    const errors = [];
+    sensors.onMotionUpdate = (data) => updates.push(data);
+    sensors.onError = (sensor, message) => errors.push({ sensor, message });
+
+    sensors.startMotion();
+    dispatch('devicemotion', { acceleration: { x: 0, y: -3, z: 4 } });
+    clock.tick(2500);
+    await flushPromises();
+
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].magnitude, 5);
+    assert.equal(updates[0].forward, -3);
+    assert.deepEqual(errors, []);
+});
+
+test('missing accelerometer data reports a motion error after 2 s', () => {
+    const { get, clock } = createEnvironment();
+    const sensors = new (get('SensorManager'))();
+    const errors = [];
+    sensors.onError = (sensor, message) => errors.push({ sensor, message });
+
+    sensors.startMotion();
+    clock.tick(1999);
+    assert.equal(errors.length, 0);
+
+    clock.tick(1);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].sensor, 'motion');
+});
+
+test('pause, resume and stop remove every listener and pending check', async () => {
+    const { window, get, dispatch, geolocation, clock } = createEnvironment();
+    const sensors = new (get('SensorManager'))();
+    const updates = [];
+    const errors = [];
+    sensors.onMotionUpdate = (data) => updates.push(data);
+    sensors.onError = (sensor, message) => errors.push({ sensor, message });
+
+    const started = sensors.initialize();
+    geolocation.emitPosition({ latitude: 41.4, longitude: 2.17, speed: 12, heading: 90, accuracy: 4 });
+    await started;
+    assert.equal(window.listenerCount('devicemotion'), 1);
+    assert.equal(window.listenerCount('deviceorientation'), 1);
+
+    sensors.pause();
+    assert.equal(window.listenerCount('devicemotion'), 0);
+    assert.equal(window.listenerCount('deviceorientation'), 0);
+    assert.equal(geolocation.watchers.size, 0);
+
+    // The 2 s availability checks were cancelled with the listeners
+    clock.tick(2500);
+    assert.deepEqual(errors, []);
+
+    sensors.resume();
+    assert.equal(window.listenerCount('devicemotion'), 1);
+    assert.equal(geolocation.watchers.size, 1);
+    dispatch('devicemotion', { acceleration: { x: 0, y: -3, z: 4 } });
+    assert.equal(updates.length, 1);
+
+    // Initializing again does not stack listeners
+    const restarted = sensors.initialize();
+    geolocation.emitPosition({ latitude: 41.4, longitude: 2.17, speed: 12, heading: 90, accuracy: 4 });
+    await restarted;
+    assert.equal(window.listenerCount('devicemotion'), 1);
+    assert.equal(geolocation.watchers.size, 1);
+
+    sensors.dispose();
+    assert.equal(window.listenerCount('devicemotion'), 0);
+    assert.equal(window.listenerCount('deviceorientation'), 0);
+    assert.equal(geolocation.watchers.size, 0);
+    assert.equal(sensors.isRunning, false);
+    assert.equal(sensors.onMotionUpdate, null);
+});
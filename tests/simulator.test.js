@@ -0,0 +1,254 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, flushPromises } = require('./harness');
+
+/**
+ * Run the app on the simulator and collect brake alert times (ms from start)
+ */
+async function runSimulation(scenarioId, seed, durationMs, fusion = true) {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+    const alerts = [];
+
+    app.fusion.setEnabled(fusion);
+
+    app.scenarioId = scenarioId;
+    app.scenarioSeed = seed;
+
+    const startTime = env.clock.now;
+    alerts.levels = [];
+    app.audio.playBrakeAlert = (level) => {
+        alerts.push(env.clock.now - startTime);
+        alerts.levels.push(level);
+    };
+
+    await app.start('simulator');
+    await flushPromises();
+    env.clock.tick(durationMs);
+    app.simulator.stop();
+
+    return { app, alerts };
+}
+
+test('emergency stop scenario alerts once when braking starts at 15 s', async () => {
+    const { app, alerts } = await runSimulation('emergency-stop', 1, 40000, false);
+
+    // 10 s accelerating + 5 s cruising, then the first braking tick
+    assert.equal(alerts.length, 1);
+    assert.ok(alerts[0] >= 15000 && alerts[0] <= 15100, `alert at ${alerts[0]} ms`);
+    assert.deepEqual(alerts.levels, ['emergency']);
+    assert.equal(app.currentSpeed, 0);
+    assert.equal(app.isBraking, false);
+});
+
+test('fused emergency stop alerts shortly after braking starts and escalates', async () => {
+    const { app, alerts } = await runSimulation('emergency-stop', 1, 40000);
+
+    // The filter trades a few frames of latency for rejecting spikes, so the
+    // deceleration ramps through the lower levels within the first fraction of a second
+    assert.ok(alerts[0] >= 15000 && alerts[0] <= 15250, `alert at ${alerts[0]} ms`);
+    assert.equal(alerts.levels[alerts.levels.length - 1], 'emergency');
+    assert.ok(alerts[alerts.length - 1] <= 15500);
+    assert.ok(app.currentSpeed < 0.5);
+    assert.equal(app.isBraking, false);
+});
+
+test('moderate city braking stays below a stricter threshold', async () => {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+    let alerts = 0;
+    app.audio.playBrakeAlert = () => alerts++;
+    app.BRAKE_THRESHOLD = -6;
+    app.scenarioId = 'city-stop-go';
+
+    await app.start('simulator');
+    await flushPromises();
+    env.clock.tick(60000);
+    app.simulator.stop();
+
+    assert.equal(alerts, 0);
+});
+
+test('the same scenario and seed produce identical alert timings', async () => {
+    const first = await runSimulation('random-drive', 7, 120000);
+    const second = await runSimulation('random-drive', 7, 120000);
+    const other = await runSimulation('random-drive', 8, 120000);
+
+    assert.ok(first.alerts.length > 0);
+    assert.deepEqual(first.alerts, second.alerts);
+    assert.notDeepEqual(first.alerts, other.alerts);
+});
+
+test('GPS dropout segments withhold fixes', () => {
+    const { get } = createEnvironment();
+    const simulator = new (get('SensorSimulator'))();
+    let fixes = 0;
+
+    simulator.setScenario({
+        segments: [{ type: 'cruise', duration: 1 }, { type: 'gpsDropout', duration: 2 }, { type: 'cruise', duration: 1 }]
+    }, 1);
+    simulator.onGpsUpdate = () => fixes++;
+
+    for (let i = 0; i < 4 * simulator.FPS; i++) simulator.tick();
+
+    assert.ok(fixes >= 2 * simulator.FPS - 2 && fixes <= 2 * simulator.FPS + 2, `${fixes} fixes`);
+});
+
+test('invalid scenarios are rejected with a path to the problem', () => {
+    const { get } = createEnvironment();
+    const SimulatorScenarios = get('SimulatorScenarios');
+
+    assert.throws(() => SimulatorScenarios.parse('{"segments": []}'), /non-empty "segments"/);
+    assert.throws(
+        () => SimulatorScenarios.parse('{"segments": [{"type": "brake"}]}'),
+        /segments\[0\]: "decel" must be a number/
+    );
+    assert.throws(
+        () => SimulatorScenarios.parse('{"segments": [{"type": "fly", "duration": 1}]}'),
+        /unknown segment type "fly"/
+    );
+
+    // Scenarios that would hang or stall the simulator
+    const loop = (options) => JSON.stringify({ loop: true, segments: [{ type: 'branch', options }] });
+    assert.throws(() => SimulatorScenarios.parse(loop([{ segments: [] }])), /options\[0\]: needs a non-empty "segments"/);
+    assert.throws(
+        () => SimulatorScenarios.parse(loop([{ weight: -1, segments: [{ type: 'stop', duration: 1 }] }])),
+        /"weight" must not be negative/
+    );
+    assert.throws(
+        () => SimulatorScenarios.parse(loop([{ weight: 0, segments: [{ type: 'stop', duration: 1 }] }])),
+        /at least one option needs a positive "weight"/
+    );
+    assert.throws(
+        () => SimulatorScenarios.parse('{"segments": [{"type": "stop", "duration": 0}]}'),
+        /segments\[0\]: "duration" must be positive/
+    );
+    assert.throws(
+        () => SimulatorScenarios.parse('{"segments": [{"type": "brake", "decel": 3, "duration": -2}]}'),
+        /"duration" must be positive/
+    );
+    assert.throws(
+        () => SimulatorScenarios.parse('{"segments": [{"type": "brake", "decel": 3, "to": -5}]}'),
+        /segments\[0\]: "to" must not be negative/
+    );
+    assert.throws(
+        () => SimulatorScenarios.parse('{"segments": [{"type": "brake", "decel": 3, "to": "20"}]}'),
+        /"to" must not be negative/
+    );
+});
+
+test('braking towards a speed above the current one ends without speeding up', () => {
+    const env = createEnvironment();
+    const simulator = new (env.get('SensorSimulator'))();
+    simulator.setScenario({ segments: [{ type: 'brake', decel: 3, to: 30 }, { type: 'stop', duration: 5 }] });
+    simulator.speed = 10;
+
+    simulator.tick();
+
+    assert.ok(simulator.speed <= 10, `speed ${simulator.speed}`);
+    assert.equal(simulator.segment.type, 'stop');
+});
+
+test('a zero-weight branch option is never picked', () => {
+    const env = createEnvironment();
+    const simulator = new (env.get('SensorSimulator'))();
+    simulator.setScenario({
+        loop: true,
+        segments: [{
+            type: 'branch',
+            options: [
+                { weight: 0, segments: [{ type: 'stop', duration: 1 }] },
+                { weight: 1, segments: [{ type: 'cruise', duration: 1 }] }
+            ]
+        }]
+    }, 7);
+
+    for (let i = 0; i < 20; i++) {
+        simulator.nextSegment();
+        assert.equal(simulator.segment.type, 'cruise');
+    }
+});
+
+test('pausing the simulator freezes the scenario until resumed', () => {
+    const { get, clock } = createEnvironment();
+    const simulator = new (get('SensorSimulator'))();
+    let fixes = 0;
+    simulator.onGpsUpdate = () => fixes++;
+
+    simulator.start();
+    clock.tick(1000);
+    const time = simulator.time;
+    assert.ok(fixes > 0);
+
+    simulator.pause();
+    const paused = fixes;
+    clock.tick(5000);
+    assert.equal(fixes, paused);
+    assert.equal(simulator.time, time);
+
+    simulator.resume();
+    clock.tick(1000);
+    assert.ok(Math.abs(simulator.time - 2 * time) < 1e-9);
+
+    simulator.dispose();
+    clock.tick(1000);
+    assert.equal(simulator.isRunning, false);
+    assert.equal(simulator.onGpsUpdate, null);
+    assert.ok(Math.abs(simulator.time - 2 * time) < 1e-9);
+});
+
+test('the app pauses its source in the background and switches sources live', async () => {
+    const env = createEnvironment();
+    const app = new (env.get('VelocitatsApp'))();
+    const setVisibility = (state) => {
+        env.document.visibilityState = state;
+        env.document.dispatchEvent({ type: 'visibilitychange' });
+    };
+
+    await app.start('simulator');
+    await flushPromises();
+    env.clock.tick(1000);
+
+    setVisibility('hidden');
+    const time = app.simulator.time;
+    env.clock.tick(5000);
+    assert.equal(app.simulator.isPaused, true);
+    assert.equal(app.simulator.time, time);
+
+    setVisibility('visible');
+    env.clock.tick(1000);
+    assert.ok(app.simulator.time > time);
+
+    // Dashboard switch to the device sensors
+    app.elements.sourceSelect.dispatchEvent({ type: 'ionChange', detail: { value: 'sensors' } });
+    await flushPromises();
+    env.geolocation.emitPosition({ latitude: 41.4, longitude: 2.17, speed: 12, heading: 90, accuracy: 4 });
+    await flushPromises();
+
+    assert.equal(app.dataSourceName, 'sensors');
+    assert.equal(app.simulator.isRunning, false);
+    assert.equal(app.sensors.isRunning, true);
+    assert.equal(env.window.listenerCount('devicemotion'), 1);
+    assert.equal(app.simulator.onGpsUpdate, null);
+
+    // Away and back: the sensors were disposed of, and get their callbacks again
+    await app.switchSource('simulator');
+    assert.equal(app.sensors.onError, null);
+    assert.equal(app.sensors.onBackendChange, null);
+    app.switchSource('sensors');
+    await flushPromises();
+    env.geolocation.emitPosition({ latitude: 41.4, longitude: 2.17, speed: 12, heading: 90, accuracy: 4 });
+    await flushPromises();
+    assert.equal(typeof app.sensors.onError, 'function');
+    assert.equal(typeof app.sensors.onBackendChange, 'function');
+
+    // Back to the start screen with nothing left listening
+    await app.exit();
+    assert.equal(env.window.listenerCount('devicemotion'), 0);
+    assert.equal(env.window.listenerCount('deviceorientation'), 0);
+    assert.equal(env.geolocation.watchers.size, 0);
+    assert.equal(app.sensors.onError, null);
+    assert.equal(app.sensors.onGpsUpdate, null);
+    assert.equal(app.elements.overlay.classList.contains('hidden'), false);
+    assert.equal(app.elements.dashboard.classList.contains('hidden'), true);
+});
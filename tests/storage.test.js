@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+function createStorage() {
+    const env = createEnvironment({ indexedDB: true });
+    return { env, storage: new (env.get('TripStorage'))() };
+}
+
+test('trips and their samples round-trip through IndexedDB', async () => {
+    const { storage } = createStorage();
+
+    const first = await storage.createTrip({ startTime: 1000, source: 'sensors', summary: null });
+    const second = await storage.createTrip({ startTime: 5000, source: 'simulator', summary: null });
+    assert.equal(first, 1);
+    assert.equal(second, 2);
+
+    await storage.addSamples([
+        { tripId: first, type: 'gps', t: 1000, data: { speed: 10 } },
+        { tripId: first, type: 'motion', t: 1020, data: { forward: -1 } },
+        { tripId: second, type: 'gps', t: 5000, data: { speed: 3 } }
+    ]);
+    await storage.addSamples([]);
+
+    const samples = await storage.getSamples(first);
+    assert.deepEqual(samples.map((sample) => sample.type), ['gps', 'motion']);
+    assert.equal((await storage.getSamples(first, 'motion'))[0].data.forward, -1);
+
+    const trip = await storage.getTrip(first);
+    trip.summary = { distance: 120 };
+    await storage.updateTrip(trip);
+    assert.equal((await storage.getTrip(first)).summary.distance, 120);
+
+    // Newest first
+    assert.deepEqual((await storage.listTrips()).map((t) => t.source), ['simulator', 'sensors']);
+});
+
+test('deleting a trip removes its samples only', async () => {
+    const { storage } = createStorage();
+    const keep = await storage.createTrip({ startTime: 1 });
+    const drop = await storage.createTrip({ startTime: 2 });
+    await storage.addSamples([
+        { tripId: drop, type: 'gps', t: 1, data: {} },
+        { tripId: keep, type: 'gps', t: 2, data: {} },
+        { tripId: drop, type: 'motion', t: 3, data: {} }
+    ]);
+
+    await storage.deleteTrip(drop);
+
+    assert.equal(await storage.getTrip(drop), undefined);
+    assert.equal((await storage.getSamples(drop)).length, 0);
+    assert.equal((await storage.getSamples(keep)).length, 1);
+});
+
+test('incidents are logged newest first and can be deleted', async () => {
+    const { storage } = createStorage();
+
+    const older = await storage.addIncident({ time: 100, peak: 40, status: 'dismissed' });
+    await storage.addIncident({ time: 200, peak: 55, status: 'expired' });
+    assert.deepEqual((await storage.listIncidents()).map((incident) => incident.peak), [55, 40]);
+
+    await storage.deleteIncident(older);
+    assert.equal((await storage.listIncidents()).length, 1);
+});
+
+test('without IndexedDB opening fails with a clear error', async () => {
+    const env = createEnvironment();
+    const storage = new (env.get('TripStorage'))();
+
+    await assert.rejects(storage.listTrips(), /IndexedDB not supported/);
+});
+
+test('overlapping trip list renders leave one item per trip', async () => {
+    const env = createEnvironment({ indexedDB: true });
+    const app = new (env.get('VelocitatsApp'))();
+
+    // Never stopped, so rendering rebuilds their summaries from the samples
+    const first = await app.storage.createTrip({ startTime: 1000, source: 'sensors', summary: null });
+    const second = await app.storage.createTrip({ startTime: 5000, source: 'sensors', summary: null });
+    await app.storage.addSamples([
+        { tripId: first, type: 'gps', t: 1000, data: { latitude: 41.4, longitude: 2.17, speed: 10 } },
+        { tripId: second, type: 'gps', t: 5000, data: { latitude: 41.4, longitude: 2.17, speed: 12 } }
+    ]);
+
+    await Promise.all([app.renderTripList(), app.renderTripList(), app.renderTripList()]);
+
+    assert.equal(app.elements.tripList.children.length, 2);
+    assert.equal(app.elements.tripListEmpty.classList.contains('hidden'), true);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+/**
+ * Announcer with a fake speechSynthesis that records what is spoken
+ */
+function createVoice() {
+    const env = createEnvironment();
+    const spoken = [];
+    const synth = {
+        current: null,
+        speak(utterance) {
+            this.current = utterance;
+            spoken.push({ text: utterance.text, lang: utterance.lang });
+        },
+        cancel() {
+            const utterance = this.current;
+            this.current = null;
+            if (utterance && utterance.onend) utterance.onend();
+        },
+        getVoices: () => [],
+        // Finish the utterance in progress
+        finish() {
+            const utterance = this.current;
+            this.current = null;
+            if (utterance && utterance.onend) utterance.onend();
+        }
+    };
+    env.window.speechSynthesis = synth;
+    env.window.SpeechSynthesisUtterance = function (text) { this.text = text; };
+
+    const voice = new (env.get('VoiceAnnouncer'))();
+    voice.setEnabled(true);
+    return { voice, synth, spoken };
+}
+
+test('announcements are localized for Catalan, Spanish and English', () => {
+    const { voice, synth, spoken } = createVoice();
+
+    voice.announce('readout', { speed: 91.6, bearing: 44 });
+    synth.finish();
+    voice.setLanguage('es');
+    voice.announce('hard-brake');
+    synth.finish();
+    voice.setLanguage('ca');
+    voice.announce('speeding', { speed: 62, limit: 50 });
+
+    assert.deepEqual(spoken, [
+        { text: 'Speed 92, heading north-east', lang: 'en-GB' },
+        { text: 'Frenada fuerte', lang: 'es-ES' },
+        { text: 'Velocitat 62, límit 50', lang: 'ca-ES' }
+    ]);
+});
+
+test('urgent alerts cut in ahead of routine readouts', () => {
+    const { voice, synth, spoken } = createVoice();
+
+    voice.announce('readout', { speed: 50 });
+    voice.announce('emergency');
+    assert.equal(synth.current.text, 'Emergency braking');
+
+    voice.announce('readout', { speed: 48 });
+    voice.announce('cornering');
+    synth.finish();
+    synth.finish();
+
+    assert.deepEqual(spoken.map((item) => item.text), ['Speed 50', 'Emergency braking', 'Sharp turn', 'Speed 48']);
+});
+
+test('a queued announcement is replaced by a newer one of the same kind', () => {
+    const { voice, synth, spoken } = createVoice();
+
+    voice.announce('hard-brake');
+    voice.announce('readout', { speed: 40 });
+    voice.announce('readout', { speed: 35 });
+    synth.finish();
+    synth.finish();
+
+    assert.deepEqual(spoken.map((item) => item.text), ['Hard braking', 'Speed 35']);
+});
+
+test('nothing is spoken when disabled or unsupported', () => {
+    const { voice, spoken } = createVoice();
+    voice.setEnabled(false);
+    assert.equal(voice.announce('brake'), false);
+
+    const bare = new (createEnvironment().get('VoiceAnnouncer'))();
+    bare.setEnabled(true);
+    assert.equal(bare.announce('brake'), false);
+    assert.equal(spoken.length, 0);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./harness');
+
+function createZones() {
+    const env = createEnvironment();
+    return { env, SpeedZones: env.get('SpeedZones'), zones: new (env.get('SpeedZones'))() };
+}
+
+const SQUARE = {
+    type: 'Feature',
+    properties: { name: 'Centre', maxspeed: '30' },
+    geometry: {
+        type: 'Polygon',
+        coordinates: [[[2.16, 41.38], [2.18, 41.38], [2.18, 41.40], [2.16, 41.40], [2.16, 41.38]]]
+    }
+};
+
+test('GeoJSON polygons and radius points become zones', () => {
+    const { SpeedZones } = createZones();
+
+    const { zones, skipped } = SpeedZones.fromGeoJSON(JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+            SQUARE,
+            { type: 'Feature', properties: { limit: 20, radius: 150 }, geometry: { type: 'Point', coordinates: [2.17, 41.39] } }
+        ]
+    }));
+
+    assert.equal(skipped, 0);
+    assert.equal(zones.length, 2);
+    assert.equal(zones[0].type, 'polygon');
+    assert.equal(zones[0].limit, 30);
+    assert.equal(zones[1].type, 'circle');
+    assert.equal(zones[1].center.latitude, 41.39);
+});
+
+test('invalid GeoJSON zones are rejected with the feature path', () => {
+    const { SpeedZones } = createZones();
+    const missingLimit = { ...SQUARE, properties: {} };
+
+    assert.throws(() => SpeedZones.fromGeoJSON('{'), /Invalid JSON/);
+    assert.throws(() => SpeedZones.fromGeoJSON(JSON.stringify(missingLimit)), /features\[0\]: "limit"/);
+    assert.throws(
+        () => SpeedZones.fromGeoJSON(JSON.stringify({ type: 'Feature', properties: { limit: 50 }, geometry: { type: 'Point', coordinates: [2, 41] } })),
+        /"radius"/
+    );
+});
+
+test('features without a geometry are skipped and counted in the import message', async () => {
+    const { env } = createZones();
+    const app = new (env.get('VelocitatsApp'))();
+    const messages = [];
+    env.window.alert = (message) => messages.push(message);
+
+    const text = JSON.stringify({
+        type: 'FeatureCollection',
+        features: [null, { type: 'Feature', properties: { limit: 40 }, geometry: null }, SQUARE]
+    });
+    await app.importZones({ name: 'zones.geojson', text: async () => text });
+
+    assert.equal(app.zones.zones.length, 1);
+    assert.equal(app.zones.zones[0].name, 'Centre');
+    assert.deepEqual(messages, ['Imported 1 zone(s); skipped 2 feature(s) without a geometry']);
+});
+
+test('a polygon tapped out on the map becomes a zone', () => {
+    const { env } = createZones();
+    const app = new (env.get('VelocitatsApp'))();
+    Object.assign(app.elements.mapCanvas, { clientWidth: 300, clientHeight: 200 });
+    app.elements.zoneLimit.value = '30';
+    app.handleGpsUpdate({ latitude: 41.39, longitude: 2.17, speed: 0, bearing: 0, accuracy: 5 });
+
+    app.startZoneDrawing();
+    assert.ok(!app.elements.mapDrawDone.classList.contains('hidden'));
+    [[100, 50], [200, 50], [200, 150]].forEach(([x, y]) => app.elements.mapCanvas.dispatchEvent({ type: 'click', offsetX: x, offsetY: y }));
+    app.finishZoneDrawing();
+
+    assert.equal(app.map.draft, null);
+    assert.ok(app.elements.mapDrawDone.classList.contains('hidden'));
+    assert.equal(app.zones.zones.length, 1);
+    const zone = app.zones.zones[0];
+    assert.equal(zone.type, 'polygon');
+    assert.equal(zone.limit, 30);
+    assert.equal(zone.points.length, 3);
+
+    // Corners land around the position at the centre of the map
+    assert.ok(zone.points[0].longitude < 2.17 && zone.points[1].longitude > 2.17);
+    assert.ok(zone.points[0].latitude > 41.39 && zone.points[2].latitude < 41.39);
+});
+
+test('the strictest containing zone wins and zones persist', () => {
+    const { env, SpeedZones, zones } = createZones();
+
+    zones.add(SpeedZones.fromGeoJSON(JSON.stringify(SQUARE)).zones);
+    zones.add([{ name: 'School', limit: 20, type: 'circle', center: { latitude: 41.39, longitude: 2.17 }, radius: 100 }]);
+
+    assert.equal(zones.zoneAt(41.39, 2.17).name, 'School');
+    assert.equal(zones.zoneAt(41.385, 2.165).name, 'Centre');
+    assert.equal(zones.zoneAt(41.5, 2.17), null);
+
+    const restored = new (env.get('SpeedZones'))();
+    restored.load();
+    assert.equal(restored.zones.length, 2);
+    restored.remove(restored.zones[1].id);
+    assert.equal(restored.zoneAt(41.39, 2.17).name, 'Centre');
+});